@@ -0,0 +1,86 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { firestore, idToken } from './support/fakes';
+import { actorCan, authenticate, authorize, withAuth } from '@/lib/auth/access';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+
+const request = (uid, method = 'GET') => ({ method, headers: uid ? { authorization: `Bearer ${idToken(uid)}` } : {} });
+
+function response() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+beforeEach(() => {
+  firestore.reset();
+  firestore.put('users/solo', {});
+  firestore.put('users/ed', { orgId: 'o1' });
+  firestore.put('orgs/o1/members/ed', { role: 'editor' });
+  firestore.put('users/old', { orgId: 'o1' });
+  firestore.put('orgs/o1/members/old', {}); // joined before roles existed
+  firestore.put('users/gone', { orgId: 'o1' }); // removed from the team, orgId left behind
+});
+
+describe('authenticate', () => {
+  it('resolves the role from the team membership', async () => {
+    await expect(authenticate(request('solo'))).resolves.toMatchObject({ uid: 'solo', orgId: null, role: 'owner', keyId: null });
+    await expect(authenticate(request('ed'))).resolves.toMatchObject({ orgId: 'o1', role: 'editor' });
+    await expect(authenticate(request('old'))).resolves.toMatchObject({ role: 'editor' });
+  });
+
+  it('makes a user with a dangling orgId a viewer, not an owner', async () => {
+    const actor = await authenticate(request('gone'));
+
+    expect(actor).toMatchObject({ orgId: 'o1', role: 'viewer' });
+    expect(actorCan(actor, 'reports:read')).toBe(true);
+    expect(actorCan(actor, 'comparisons:run')).toBe(false);
+  });
+
+  it('rejects missing and invalid tokens', async () => {
+    await expect(authenticate(request(null))).rejects.toMatchObject({ code: 'NO_AUTH' });
+    await expect(authenticate({ headers: { authorization: 'Bearer nonsense' } })).rejects.toMatchObject({ code: 'BAD_TOKEN' });
+  });
+});
+
+describe('authorize', () => {
+  it('denies what the role does not grant', () => {
+    const editor = { uid: 'ed', role: 'editor', keyId: null, scopes: null };
+
+    expect(authorize(editor, 'comparisons:run')).toBe(editor);
+    expect(() => authorize(editor, 'members:manage')).toThrow(expect.objectContaining({ code: 'FORBIDDEN' }));
+    expect(() => authorize({ uid: 'x', role: 'intern' }, 'reports:read')).toThrow(/intern/);
+  });
+});
+
+describe('withAuth', () => {
+  const route = withAuth({ methods: ['GET', 'POST'], permissions: { POST: 'projects:manage' } }, (req, res, actor) =>
+    res.json({ uid: actor.uid }),
+  );
+
+  it('checks the method, the token and the permission before the handler runs', async () => {
+    const put = response();
+    await route(request('solo', 'PUT'), put);
+    expect(put.statusCode).toBe(405);
+
+    const anonymous = response();
+    await route(request(null), anonymous);
+    expect(anonymous.statusCode).toBe(401);
+
+    const denied = response();
+    await route(request('ed', 'POST'), denied);
+    expect(denied.statusCode).toBe(403);
+    expect(denied.body.error).toMatch(/editor/);
+
+    const allowed = response();
+    await route(request('solo', 'POST'), allowed);
+    expect(allowed).toMatchObject({ statusCode: 200, body: { uid: 'solo' } });
+  });
+});
@@ -0,0 +1,124 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { firestore } from './support/fakes';
+import { authAdmin } from '@/lib/firebase/firebaseAdmin';
+import { authenticate, withAuth } from '@/lib/auth/access';
+import { createApiKey, listApiKeys, revokeApiKey, verifyApiKey } from '@/lib/auth/apiKeys';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+
+const request = (token, method = 'GET') => ({ method, headers: { authorization: `Bearer ${token}` } });
+
+function response() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+beforeEach(() => {
+  firestore.reset();
+  vi.restoreAllMocks();
+  firestore.put('users/u1', {});
+});
+
+describe('verifyApiKey', () => {
+  it('resolves a key to its creator and scopes', async () => {
+    const { key, apiKey } = await createApiKey('u1', { name: 'CI' });
+
+    expect(key.startsWith(apiKey.prefix)).toBe(true);
+    expect(firestore.data(`apiKeys/${apiKey.id}`).hash).not.toContain(key.split('_').at(-1));
+    await expect(verifyApiKey(key)).resolves.toEqual({ keyId: apiKey.id, uid: 'u1', scopes: ['comparisons:run', 'reports:read'] });
+  });
+
+  it('rejects malformed, unknown and tampered keys', async () => {
+    const { key } = await createApiKey('u1', { name: 'CI' });
+
+    for (const token of ['ppk_', 'ppk_abc', 'ppk_a-b_secret', `${key}!`, 'ppk_unknown_secret', `${key.slice(0, -1)}x`]) {
+      await expect(verifyApiKey(token)).rejects.toMatchObject({ code: 'BAD_TOKEN' });
+    }
+  });
+
+  it('stops accepting a key once it is revoked', async () => {
+    const { key, apiKey } = await createApiKey('u1', { name: 'CI' });
+
+    await expect(revokeApiKey('u2', apiKey.id)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    await revokeApiKey('u1', apiKey.id);
+
+    await expect(verifyApiKey(key)).rejects.toMatchObject({ code: 'BAD_TOKEN' });
+    await expect(listApiKeys('u1')).resolves.toEqual([]);
+    await expect(revokeApiKey('u1', apiKey.id)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('only hands out known scopes', async () => {
+    await expect(createApiKey('u1', { name: 'CI', scopes: ['members:manage'] })).rejects.toMatchObject({ code: 'BAD_REQUEST' });
+  });
+});
+
+describe('API keys as bearer tokens', () => {
+  it('act as their creator, limited to their scopes', async () => {
+    const { key, apiKey } = await createApiKey('u1', { name: 'CI', scopes: ['reports:read'] });
+
+    await expect(authenticate(request(key), { apiKeys: true })).resolves.toMatchObject({
+      uid: 'u1',
+      role: 'owner',
+      keyId: apiKey.id,
+      scopes: ['reports:read'],
+    });
+    await expect(authenticate(request(key))).rejects.toMatchObject({ code: 'BAD_TOKEN' });
+  });
+
+  it('are refused for a disabled creator', async () => {
+    const { key } = await createApiKey('u1', { name: 'CI' });
+    vi.spyOn(authAdmin, 'getUser').mockResolvedValue({ uid: 'u1', disabled: true });
+
+    await expect(authenticate(request(key), { apiKeys: true })).rejects.toMatchObject({ code: 'BAD_TOKEN' });
+  });
+
+  it('are denied actions outside their scope or without a permission', async () => {
+    const { key } = await createApiKey('u1', { name: 'CI', scopes: ['reports:read'] });
+    const handler = vi.fn((req, res) => res.json({ ok: true }));
+    const route = withAuth(
+      { methods: ['GET', 'POST', 'DELETE'], permissions: { GET: 'reports:read', POST: 'comparisons:run' }, apiKeys: true },
+      handler,
+    );
+
+    const read = response();
+    await route(request(key), read);
+    expect(read.statusCode).toBe(200);
+
+    const run = response();
+    await route(request(key, 'POST'), run);
+    expect(run.statusCode).toBe(403);
+    expect(run.body.error).toMatch(/not scoped for comparisons:run/);
+
+    const unnamed = response();
+    await route(request(key, 'DELETE'), unnamed);
+    expect(unnamed.statusCode).toBe(403);
+
+    const revoked = response();
+    await revokeApiKey('u1', key.split('_')[1]);
+    await route(request(key), revoked);
+    expect(revoked.statusCode).toBe(401);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("also need the creator's role to allow the action", async () => {
+    firestore.put('users/u1', { orgId: 'o1' });
+    firestore.put('orgs/o1/members/u1', { role: 'viewer' });
+    const { key } = await createApiKey('u1', { name: 'CI' });
+    const route = withAuth({ methods: ['POST'], permissions: { POST: 'comparisons:run' }, apiKeys: true }, (req, res) =>
+      res.json({ ok: true }),
+    );
+
+    const res = response();
+    await route(request(key, 'POST'), res);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toMatch(/viewer/);
+  });
+});
@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { firestore } from './support/fakes';
+import { createBaseline, listBaselines, loadApprovedBaselineImage } from '@/lib/baselines/store';
+import { createProject, createScreen } from '@/lib/projects/store';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/storage/images', () => ({
+  EXT_BY_MIME: { 'image/png': 'png' },
+  uploadImage: async (path) => path,
+  downloadImage: async (path) => Buffer.from(path),
+  signedImageUrl: async (path) => path,
+}));
+
+const image = { buffer: Buffer.from('png'), mimetype: 'image/png', fileName: 'home.png' };
+const owner = { uid: 'u1', orgId: 'o1', role: 'owner' };
+const editor = { uid: 'u2', orgId: 'o1', role: 'editor' };
+const outsider = { uid: 'u3', orgId: null, role: 'owner' };
+
+beforeEach(() => firestore.reset());
+
+describe('team baselines', () => {
+  it('are shared with every member of the team', async () => {
+    const { id } = await createBaseline(owner, { name: 'Home', image });
+    expect(firestore.data(`orgs/o1/baselines/${id}`)).toMatchObject({ name: 'Home', orgId: 'o1', createdBy: 'u1', approvedVersion: 1 });
+
+    const loaded = await loadApprovedBaselineImage(editor, id);
+    expect(loaded).toMatchObject({ path: `orgs/o1/baselines/${id}/v1.png`, baseline: { id, name: 'Home', version: 1 } });
+    await expect(loadApprovedBaselineImage(outsider, id)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it("still list a member's personal baselines", async () => {
+    const { id: personal } = await createBaseline({ uid: 'u2', orgId: null }, { name: 'Old', image });
+    const { id: team } = await createBaseline(owner, { name: 'Home', image });
+
+    const ids = (await listBaselines(editor)).map((b) => b.id);
+    expect(ids.sort()).toEqual([personal, team].sort());
+    expect((await listBaselines(owner)).map((b) => b.id)).toEqual([team]);
+  });
+
+  it('are the only ones a team screen can use', async () => {
+    const { id: personal } = await createBaseline({ uid: 'u1', orgId: null }, { name: 'Old', image });
+    const { id: team } = await createBaseline(owner, { name: 'Home', image });
+    const { id: projectId } = await createProject(owner, { name: 'Client' });
+
+    await expect(createScreen(owner, projectId, { name: 'Home', baselineId: personal })).rejects.toMatchObject({
+      code: 'BAD_REQUEST',
+    });
+    const { id: screenId } = await createScreen(owner, projectId, { name: 'Home', baselineId: team });
+    expect(firestore.data(`projects/${projectId}/screens/${screenId}`).baselineId).toBe(team);
+  });
+});
@@ -0,0 +1,150 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { firestore } from './support/fakes';
+import { BUG, page } from './support/images';
+import { normalizeImages } from '@/lib/compare/normalize';
+import { parseModelOutput, runComparison } from '@/lib/compare/run';
+import { getVisionProvider } from '@/lib/vision';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/compare/normalize', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, normalizeImages: vi.fn(actual.normalizeImages) };
+});
+vi.mock('@/lib/storage/images', () => ({
+  EXT_BY_MIME: { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' },
+  uploadImage: async (path) => path,
+  downloadImage: async () => null,
+  signedImageUrl: async (path) => `https://storage.test/${path}`,
+}));
+
+async function context(overrides = {}) {
+  return {
+    uid: 'u1',
+    rid: 'r1',
+    plan: 'basic',
+    startedAt: Date.now(),
+    design: await page(),
+    dev: await page({ bug: true }),
+    masks: [],
+    ...overrides,
+  };
+}
+
+beforeEach(() => firestore.reset());
+
+describe('mock vision provider', () => {
+  it('is selected by VISION_PROVIDER=mock', () => {
+    expect(getVisionProvider({ plan: 'basic' })).toMatchObject({ name: 'mock', model: 'mock-vision' });
+  });
+});
+
+describe('parseModelOutput', () => {
+  it('rejects an empty answer', () => {
+    expect(() => parseModelOutput('')).toThrow(expect.objectContaining({ status: 502, code: 'OPENAI_EMPTY' }));
+  });
+
+  it('rejects output that does not match the findings schema', () => {
+    const content = JSON.stringify({ summary: 'x', findings: [{ category: 'nope', severity: 'major', description: 'd' }] });
+    expect(() => parseModelOutput(content)).toThrow(
+      expect.objectContaining({ code: 'OPENAI_BAD_SCHEMA', details: expect.arrayContaining([expect.stringContaining('category')]) })
+    );
+  });
+
+  it('sorts findings and adds the diff boxes inside the model boxes', () => {
+    const content = JSON.stringify({
+      summary: 'Two issues.',
+      findings: [
+        { category: 'color', severity: 'minor', description: 'Footer gray is off.', regions: [] },
+        { category: 'layout', severity: 'major', description: 'Stray block.', regions: [{ x: 190, y: 90, width: 100, height: 60 }] },
+      ],
+    });
+    const { summary, findings, result } = parseModelOutput(content, { regions: [{ ...BUG, pixels: 3200 }] });
+
+    expect(summary).toBe('Two issues.');
+    expect(findings.map((f) => f.severity)).toEqual(['major', 'minor']);
+    expect(findings[0].regions).toEqual([
+      { x: 190, y: 90, width: 100, height: 60, source: 'model' },
+      { ...BUG, source: 'diff' },
+    ]);
+    expect(findings[0].region).toEqual({ x: 190, y: 90, width: 100, height: 60 });
+    expect(findings[1].regions).toEqual([]);
+    expect(result).toContain('Stray block.');
+  });
+
+  it('still reads the single `region` of older model output', () => {
+    const content = JSON.stringify({
+      summary: 's',
+      findings: [{ category: 'spacing', severity: 'info', description: 'd', region: { x: 1, y: 2, width: 3, height: 4 } }],
+    });
+    expect(parseModelOutput(content).findings[0].regions).toEqual([{ x: 1, y: 2, width: 3, height: 4, source: 'model' }]);
+  });
+});
+
+describe('runComparison with the mock provider', () => {
+  it('turns the changed area into a located finding and saves the report', async () => {
+    const body = await runComparison(await context());
+
+    expect(body).toMatchObject({ model: 'mock-vision', plan: 'basic', reportId: 'r1', rid: 'r1', masks: [] });
+    expect(body.diff.mismatchPercent).toBeGreaterThan(0);
+    expect(body.findings).toHaveLength(1);
+    const [finding] = body.findings;
+    expect(finding.regions.map((r) => r.source)).toEqual(['model', 'diff']);
+    expect(finding.region).toMatchObject({ x: expect.any(Number), width: expect.any(Number) });
+    expect(body.inputs.design).toMatchObject({ fileName: 'design.png', mimetype: 'image/png' });
+
+    const saved = firestore.data('users/u1/reports/r1');
+    expect(saved).toMatchObject({ status: 'succeeded', provider: 'mock', maxSeverity: finding.severity, masks: [] });
+    expect(saved.inputs.dev.path).toBe('u1/r1/dev.png');
+    expect(saved.diff.imagePath).toBe('u1/r1/diff.png');
+    expect(saved.findings).toEqual(body.findings);
+  });
+
+  it('reports nothing inside an ignore mask', async () => {
+    const masks = [{ x: BUG.x - 5, y: BUG.y - 5, width: BUG.width + 10, height: BUG.height + 10, source: 'request' }];
+    const body = await runComparison(await context({ masks }));
+
+    expect(body.diff.mismatchPercent).toBe(0);
+    expect(body.findings).toEqual([]);
+    expect(firestore.data('users/u1/reports/r1').masks).toEqual(masks);
+  });
+
+  it('scales a 2x screenshot onto the design before comparing', async () => {
+    const body = await runComparison(await context({ dev: await page({ scale: 2, bug: true }) }));
+
+    expect(body.normalization).toMatchObject({ applied: true, method: 'width-scale+translation', scale: 0.5, pixelRatio: 2, offset: { x: 0, y: 0 } });
+    expect(body.findings).toHaveLength(1);
+    const diffBox = body.findings[0].regions.find((r) => r.source === 'diff');
+    expect(diffBox.x).toBeLessThanOrEqual(BUG.x);
+    expect(diffBox.x + diffBox.width).toBeGreaterThanOrEqual(BUG.x + BUG.width);
+  });
+
+  it('compares the images as uploaded when alignment fails', async () => {
+    vi.mocked(normalizeImages).mockRejectedValueOnce(new Error('alignment search failed'));
+    const lines = [];
+    const body = await runComparison(await context(), (...args) => lines.push(args.join(' ')));
+
+    expect(body.normalization).toBeNull();
+    expect(body.findings).toHaveLength(1);
+    expect(firestore.data('users/u1/reports/r1')).toMatchObject({ status: 'succeeded', normalization: null });
+    expect(lines[0]).toContain('alignment search failed');
+  });
+
+  it('streams the diff and the partial report when onEvent is given', async () => {
+    const events = [];
+    const body = await runComparison(await context({ normalize: false }), () => {}, {
+      onEvent: (name, data) => events.push({ name, data }),
+    });
+
+    expect(body.normalization).toBeNull();
+    expect(events[0].name).toBe('diff');
+    const reports = events.filter((e) => e.name === 'report');
+    expect(reports.length).toBeGreaterThan(0);
+    expect(reports[reports.length - 1].data.findings).toBe(1);
+  });
+
+  it('fails with BAD_IMAGE when an upload is not an image', async () => {
+    const dev = { buffer: Buffer.from('not an image'), mimetype: 'image/png', fileName: 'dev.png' };
+    await expect(runComparison(await context({ dev }))).rejects.toMatchObject({ status: 400, code: 'BAD_IMAGE' });
+    expect(firestore.data('users/u1/reports/r1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,138 @@
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { firestore, idToken, stripe } from './support/fakes';
+import { page } from './support/images';
+import handler from '@/pages/api/compare';
+import { getVisionProvider } from '@/lib/vision';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/stripe/server', async () => ({ stripe: (await import('./support/fakes')).stripe.stripe }));
+vi.mock('@/lib/storage/images', () => ({
+  EXT_BY_MIME: { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' },
+  uploadImage: async (path) => path,
+  downloadImage: async () => null,
+  signedImageUrl: async (path) => `https://storage.test/${path}`,
+}));
+vi.mock('@/lib/vision', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, getVisionProvider: vi.fn(actual.getVisionProvider) };
+});
+
+// POST /api/compare through a real HTTP server, so formidable parses a real multipart body
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    // the parts of Next's API response helpers the route uses
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+      return res;
+    };
+    req.query = Object.fromEntries(new URL(req.url, 'http://test').searchParams);
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  firestore.reset();
+  stripe.reset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  firestore.put('users/u1', { stripeCustomerId: 'cus_u1' });
+  stripe.addSubscription('cus_u1', { plan: 'basic' }); // one comparison per day
+});
+
+async function compare({ uid = 'u1', query = '', design, dev } = {}) {
+  const form = new FormData();
+  const d1 = design || (await page());
+  const d2 = dev || (await page({ bug: true }));
+  form.append('image1', new Blob([d1.buffer], { type: d1.mimetype }), d1.fileName);
+  form.append('image2', new Blob([d2.buffer], { type: d2.mimetype }), d2.fileName);
+  return fetch(`${baseUrl}/api/compare${query}`, {
+    method: 'POST',
+    headers: uid ? { Authorization: `Bearer ${idToken(uid)}` } : {},
+    body: form,
+  });
+}
+
+const ledger = (rid) => firestore.data(`users/u1/usage/${rid}`);
+
+describe('POST /api/compare', () => {
+  it('reserves a unit, saves the report and commits the unit', async () => {
+    const res = await compare();
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(body).toMatchObject({ model: 'mock-vision', plan: 'basic', reportId: body.rid });
+    expect(body.findings).toHaveLength(1);
+    expect(res.headers.get('x-request-id')).toBe(body.rid);
+    expect(ledger(body.rid)).toMatchObject({ outcome: 'succeeded', cost: 1, source: 'allowance' });
+    expect(firestore.data(`users/u1/reports/${body.rid}`)).toMatchObject({ status: 'succeeded', findings: body.findings });
+  });
+
+  it('answers 429 once the plan allowance is used', async () => {
+    await (await compare()).json();
+    const res = await compare();
+
+    expect(res.status).toBe(429);
+    await expect(res.json()).resolves.toMatchObject({ error_code: 'LIMIT_EXCEEDED' });
+  });
+
+  it('gives the unit back when the model fails', async () => {
+    vi.mocked(getVisionProvider).mockReturnValueOnce({
+      name: 'mock',
+      model: 'mock-vision',
+      complete: async () => {
+        throw new Error('upstream unavailable');
+      },
+    });
+    const res = await compare();
+    const body = await res.json();
+
+    expect(res.status).toBe(502);
+    expect(body).toMatchObject({ error_code: 'OPENAI_ERROR' });
+    expect(ledger(body.rid)).toMatchObject({ outcome: 'failed', cost: 0, reason: 'OPENAI_ERROR' });
+    expect(firestore.data(`users/u1/reports/${body.rid}`)).toBeUndefined();
+    expect((await compare()).status).toBe(200);
+  });
+
+  it('rejects an undecodable upload before reserving anything', async () => {
+    const dev = { buffer: Buffer.from('not an image'), mimetype: 'image/png', fileName: 'dev.png' };
+    const res = await compare({ dev });
+    const body = await res.json();
+
+    expect(res.status).toBe(400);
+    expect(body).toMatchObject({ error_code: 'BAD_IMAGE' });
+    expect(ledger(body.rid)).toBeUndefined();
+  });
+
+  it('streams the report and commits the unit when it is saved', async () => {
+    const res = await compare({ query: '?stream=1' });
+    const text = await res.text();
+
+    expect(res.headers.get('content-type')).toContain('text/event-stream');
+    const events = [...text.matchAll(/^event: (\w+)$/gm)].map((m) => m[1]);
+    expect(events[0]).toBe('diff');
+    expect(events).toContain('report');
+    expect(events.at(-1)).toBe('done');
+    const rid = res.headers.get('x-request-id');
+    expect(ledger(rid)).toMatchObject({ outcome: 'succeeded' });
+  });
+
+  it('needs a signed-in user with a plan', async () => {
+    expect((await compare({ uid: null })).status).toBe(401);
+
+    const res = await compare({ uid: 'u9' });
+    expect(res.status).toBe(403);
+    await expect(res.json()).resolves.toMatchObject({ error_code: 'NO_PLAN' });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { reportsToSarif, toDevPixels } from '@/lib/reports/export';
+
+// a 2x screenshot with 100px of browser chrome, mapped onto a 1440px design
+const normalization = {
+  applied: true,
+  scale: 0.5,
+  pixelRatio: 2,
+  offset: { x: 0, y: -50 },
+  source: { design: { width: 1440, height: 900 }, dev: { width: 2880, height: 1900 } },
+};
+
+const report = {
+  id: 'r1',
+  rid: 'r1',
+  fileNames: { design: 'design.png', dev: 'dev.png' },
+  normalization,
+  findings: [
+    {
+      id: 'f1',
+      category: 'layout',
+      severity: 'major',
+      description: 'Button moved',
+      regions: [{ x: 100, y: 200, width: 50, height: 20, source: 'model' }],
+    },
+  ],
+};
+
+describe('toDevPixels', () => {
+  it('maps design-grid boxes back onto the uploaded screenshot', () => {
+    expect(toDevPixels({ x: 100, y: 200, width: 50, height: 20, source: 'diff' }, normalization)).toEqual({
+      x: 200,
+      y: 500,
+      width: 100,
+      height: 40,
+      source: 'diff',
+    });
+  });
+
+  it('clips to the screenshot and drops boxes outside it', () => {
+    expect(toDevPixels({ x: 1400, y: 0, width: 100, height: 10 }, normalization)).toMatchObject({ x: 2800, width: 80, y: 100 });
+    expect(toDevPixels({ x: 0, y: 950, width: 10, height: 10 }, normalization)).toBeNull();
+  });
+
+  it('leaves boxes alone when the screenshot was compared as uploaded', () => {
+    const box = { x: 1, y: 2, width: 3, height: 4 };
+    expect(toDevPixels(box, null)).toBe(box);
+    expect(toDevPixels(box, { ...normalization, applied: false })).toBe(box);
+  });
+});
+
+describe('reportsToSarif', () => {
+  it('puts rectangles in screenshot pixels and keeps the stored boxes in properties', () => {
+    const [result] = JSON.parse(reportsToSarif([report])).runs[0].results;
+
+    expect(result.attachments[0].rectangles[0]).toMatchObject({ left: 200, top: 500, right: 300, bottom: 540 });
+    expect(result.message.text).toBe('Button moved at (200, 500) 100×40px');
+    expect(result.properties.regions).toEqual(report.findings[0].regions);
+  });
+});
@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Timestamp, firestore, stripe } from './support/fakes';
+import { reserveQuota } from '@/lib/billing/quota';
+import { runComparison } from '@/lib/compare/run';
+import { JOB_TIMEOUT_MS, createJob, getJob, markJobSucceeded } from '@/lib/jobs/store';
+import { processCompareJob } from '@/lib/jobs/queue';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/stripe/server', async () => ({ stripe: (await import('./support/fakes')).stripe.stripe }));
+vi.mock('@/lib/compare/run', () => ({ runComparison: vi.fn() }));
+vi.mock('@/lib/jobs/store', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, markJobSucceeded: vi.fn(actual.markJobSucceeded) };
+});
+
+const body = { result: '# Report', findings: [], diff: { mismatchPercent: 0, diffImage: 'data:' }, reportId: 'r1', rid: 'r1' };
+
+async function queuedJob() {
+  firestore.put('users/u1', { stripeCustomerId: 'cus_u1' });
+  stripe.addSubscription('cus_u1', { plan: 'basic' });
+  const reservation = await reserveQuota({ uid: 'u1', rid: 'r1' });
+  await createJob({ id: 'r1', uid: 'u1', reservation });
+  return { id: 'r1', payload: { uid: 'u1', rid: 'r1', reservation } };
+}
+
+beforeEach(() => {
+  firestore.reset();
+  stripe.reset();
+  vi.mocked(runComparison).mockReset().mockResolvedValue(body);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('processCompareJob', () => {
+  it('commits the quota and stores the result', async () => {
+    await processCompareJob(await queuedJob());
+
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'succeeded' });
+    expect(await getJob('u1', 'r1')).toMatchObject({ status: 'succeeded', result: { reportId: 'r1', diff: { mismatchPercent: 0 } } });
+  });
+
+  it('keeps the quota committed when the job status cannot be written', async () => {
+    vi.mocked(markJobSucceeded).mockRejectedValueOnce(new Error('deadline exceeded'));
+    await processCompareJob(await queuedJob());
+
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'succeeded', cost: 1 });
+  });
+
+  it('releases the quota when the comparison fails', async () => {
+    vi.mocked(runComparison).mockRejectedValueOnce(Object.assign(new Error('Model error'), { status: 502, code: 'OPENAI_ERROR' }));
+    await processCompareJob(await queuedJob());
+
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'failed', reason: 'OPENAI_ERROR' });
+    expect(await getJob('u1', 'r1')).toMatchObject({ status: 'failed', error: { code: 'OPENAI_ERROR' } });
+  });
+});
+
+describe('lost jobs', () => {
+  it('expire after JOB_TIMEOUT_MS and give their quota back', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const job = await queuedJob();
+    expect(await getJob('u1', 'r1')).toMatchObject({ status: 'queued' });
+
+    vi.setSystemTime(Date.now() + JOB_TIMEOUT_MS + 1);
+    expect(await getJob('u1', 'r1')).toMatchObject({ status: 'failed', error: { code: 'JOB_EXPIRED' } });
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'failed', reason: 'JOB_EXPIRED', cost: 0 });
+
+    // a worker that picks it up late leaves it alone
+    await processCompareJob(job);
+    expect(runComparison).not.toHaveBeenCalled();
+    expect(firestore.data('jobs/r1').status).toBe('failed');
+  });
+
+  it('are only expired once they are past the timeout', async () => {
+    await queuedJob();
+    firestore.put('jobs/r2', { uid: 'u1', status: 'running', createdAt: Timestamp.fromMillis(Date.now() - 60_000) });
+    expect(await getJob('u1', 'r2')).toMatchObject({ status: 'running' });
+    expect(await getJob('u2', 'r1')).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { nextDayStart, normalizeTimeZone, quotaPolicyForPlan, todayKey } from '@/lib/billing/limit';
+import { PLANS, publicPlan } from '@/lib/billing/plans';
+
+afterEach(() => vi.unstubAllEnvs());
+
+describe('todayKey / nextDayStart', () => {
+  // 18:30 UTC is 23:30 in UTC+5
+  const evening = new Date(Date.UTC(2026, 9, 19, 18, 30));
+
+  it('keys the day by UTC by default', () => {
+    expect(todayKey(evening)).toBe('2026-10-19');
+    expect(nextDayStart(evening)).toBe(Date.UTC(2026, 9, 20));
+  });
+
+  it('resets at local midnight in a UTC+5 zone', () => {
+    expect(todayKey(evening, 'Asia/Karachi')).toBe('2026-10-19');
+    expect(nextDayStart(evening, 'Asia/Karachi')).toBe(Date.UTC(2026, 9, 19, 19));
+    expect(todayKey(new Date(Date.UTC(2026, 9, 19, 19)), 'Asia/Karachi')).toBe('2026-10-20');
+  });
+
+  it('follows daylight saving time', () => {
+    // New York leaves DST on 2026-11-01: midnight is 04:00 UTC before, 05:00 UTC after
+    expect(nextDayStart(new Date(Date.UTC(2026, 9, 20, 12)), 'America/New_York')).toBe(Date.UTC(2026, 9, 21, 4));
+    expect(nextDayStart(new Date(Date.UTC(2026, 10, 5, 12)), 'America/New_York')).toBe(Date.UTC(2026, 10, 6, 5));
+  });
+
+  it('treats unknown zones as UTC', () => {
+    expect(normalizeTimeZone('Mars/Olympus')).toBe('UTC');
+    expect(normalizeTimeZone('')).toBe('UTC');
+    expect(normalizeTimeZone('Asia/Karachi')).toBe('Asia/Karachi');
+  });
+});
+
+describe('quotaPolicyForPlan', () => {
+  it("uses the catalog's mode and limit", () => {
+    expect(quotaPolicyForPlan('basic')).toEqual({ mode: 'daily', limit: 1 });
+    expect(quotaPolicyForPlan('nope')).toEqual({ mode: 'daily', limit: 0 });
+  });
+
+  it('lets QUOTA_MODE_<PLAN> switch the mode', () => {
+    vi.stubEnv('QUOTA_MODE_PRO', 'monthly');
+    vi.stubEnv('QUOTA_MODE_ELITE', 'monthly');
+    vi.stubEnv('QUOTA_MODE_BASIC', 'rolling');
+    expect(quotaPolicyForPlan('pro')).toEqual({ mode: 'monthly', limit: 500 });
+    expect(quotaPolicyForPlan('elite')).toEqual({ mode: 'monthly', limit: Infinity });
+    expect(quotaPolicyForPlan('basic')).toEqual({ mode: 'rolling', limit: 1 });
+  });
+
+  it('ignores an unknown override', () => {
+    vi.stubEnv('QUOTA_MODE_BASIC', 'weekly');
+    expect(quotaPolicyForPlan('basic')).toEqual({ mode: 'daily', limit: 1 });
+  });
+});
+
+describe('publicPlan', () => {
+  const shown = () => PLANS.map((p) => publicPlan(p, quotaPolicyForPlan(p.slug)));
+
+  it('describes the limit that is enforced', () => {
+    expect(shown().map((p) => p.description)).toEqual(['1 comparison / day', '2 comparisons / day', '3 comparisons / day']);
+  });
+
+  it('follows a quota mode override', () => {
+    vi.stubEnv('QUOTA_MODE_PRO', 'monthly');
+    vi.stubEnv('QUOTA_MODE_ELITE', 'monthly');
+    vi.stubEnv('QUOTA_MODE_BASIC', 'rolling');
+
+    const [basic, pro, elite] = shown();
+    expect(basic).toMatchObject({ description: '1 comparison / 24 hours', quota: { mode: 'rolling', limit: 1 } });
+    expect(pro).toMatchObject({ description: '500 comparisons / month', quota: { mode: 'monthly', limit: 500 } });
+    expect(elite).toMatchObject({ description: 'Unlimited comparisons', quota: { mode: 'monthly', limit: null } });
+  });
+});
@@ -0,0 +1,54 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { Timestamp, firestore } from './support/fakes';
+import { createProject, createScreen, getProjectDashboard, updateScreen } from '@/lib/projects/store';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/storage/images', () => ({
+  EXT_BY_MIME: {},
+  uploadImage: async (path) => path,
+  downloadImage: async () => null,
+  signedImageUrl: async (path) => path,
+}));
+
+const actor = { uid: 'u1', orgId: null, role: 'owner' };
+
+beforeEach(() => firestore.reset());
+
+describe('screens', () => {
+  it('only link baselines that exist', async () => {
+    firestore.put('users/u1/baselines/b1', { name: 'Home', approvedVersion: 1 });
+    const { id: projectId } = await createProject(actor, { name: 'Site' });
+
+    await expect(createScreen(actor, projectId, { name: 'Home', baselineId: 'nope' })).rejects.toMatchObject({
+      code: 'BAD_REQUEST',
+    });
+    const { id: screenId } = await createScreen(actor, projectId, { name: 'Home', baselineId: 'b1' });
+    expect(firestore.data(`projects/${projectId}/screens/${screenId}`).baselineId).toBe('b1');
+
+    await expect(updateScreen(actor, projectId, screenId, { baselineId: 'nope' })).rejects.toMatchObject({ code: 'BAD_REQUEST' });
+    await updateScreen(actor, projectId, screenId, { baselineId: '' });
+    expect(firestore.data(`projects/${projectId}/screens/${screenId}`).baselineId).toBeNull();
+  });
+});
+
+describe('getProjectDashboard', () => {
+  it('builds the trend from the latest reports', async () => {
+    const { id: projectId } = await createProject(actor, { name: 'Site' });
+    const { id: screenId } = await createScreen(actor, projectId, { name: 'Home' });
+    // 1010 runs, the newest 10 failing; ids in reverse time order so document order is not time order
+    for (let i = 0; i < 1010; i++) {
+      firestore.put(`users/u1/reports/r${String(9999 - i)}`, {
+        projectId,
+        screenId,
+        maxSeverity: i >= 1000 ? 'critical' : 'info',
+        createdAt: Timestamp.fromMillis(1_000_000 + i * 1000),
+      });
+    }
+
+    const { screens } = await getProjectDashboard(actor, projectId);
+    expect(screens[0]).toMatchObject({ runs: 1000, failed: 10 });
+    expect(screens[0].trend).toHaveLength(20);
+    expect(screens[0].trend.slice(-10).every((r) => !r.passed)).toBe(true);
+    expect(screens[0].trend.at(-1)).toMatchObject({ reportId: 'r8990', createdAt: 1_000_000 + 1009 * 1000 });
+  });
+});
@@ -0,0 +1,262 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { firestore, stripe } from './support/fakes';
+import {
+  RESERVATION_TTL_MS,
+  commitQuota,
+  getUsage,
+  maxImageBytesFor,
+  releaseQuota,
+  reserveQuota,
+  setQuotaTimeZone,
+} from '@/lib/billing/quota';
+import { todayKey } from '@/lib/billing/limit';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/stripe/server', async () => ({ stripe: (await import('./support/fakes')).stripe.stripe }));
+
+const day = () => todayKey(new Date(), 'UTC');
+
+// 'basic' allows one comparison per UTC day (lib/billing/plans.js)
+function subscribe(uid, plan = 'basic') {
+  firestore.put(`users/${uid}`, { stripeCustomerId: `cus_${uid}` });
+  stripe.addSubscription(`cus_${uid}`, { plan });
+}
+
+beforeEach(() => {
+  firestore.reset();
+  stripe.reset();
+});
+
+describe('reserveQuota / commitQuota / releaseQuota', () => {
+  it('holds a unit of the allowance until the comparison is committed', async () => {
+    subscribe('u1');
+    const reservation = await reserveQuota({ uid: 'u1', rid: 'r1' });
+
+    expect(reservation).toMatchObject({ uid: 'u1', rid: 'r1', plan: 'basic', mode: 'daily', max: 1, source: 'allowance' });
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'pending', cost: 1, source: 'allowance' });
+    expect(firestore.data(`users/u1/usageDays/${day()}`)).toMatchObject({ used: 1, attempts: 1 });
+
+    await expect(commitQuota(reservation)).resolves.toBe(true);
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'succeeded', cost: 1 });
+    expect(firestore.data(`users/u1/usageDays/${day()}`)).toMatchObject({ used: 1, succeeded: 1 });
+  });
+
+  it('rejects once the window is used up and there are no credits', async () => {
+    subscribe('u1');
+    await commitQuota(await reserveQuota({ uid: 'u1', rid: 'r1' }));
+
+    await expect(reserveQuota({ uid: 'u1', rid: 'r2' })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    expect(firestore.data('users/u1/usage/r2')).toBeUndefined();
+  });
+
+  it('gives a failed comparison its unit back, once', async () => {
+    subscribe('u1');
+    const reservation = await reserveQuota({ uid: 'u1', rid: 'r1' });
+
+    await expect(releaseQuota(reservation, 'OPENAI_ERROR')).resolves.toBe(true);
+    await expect(releaseQuota(reservation, 'OPENAI_ERROR')).resolves.toBe(false);
+    await expect(commitQuota(reservation)).resolves.toBe(false);
+
+    expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'failed', cost: 0, reason: 'OPENAI_ERROR' });
+    expect(firestore.data(`users/u1/usageDays/${day()}`)).toMatchObject({ used: 0, failed: 1 });
+    await expect(reserveQuota({ uid: 'u1', rid: 'r2' })).resolves.toMatchObject({ source: 'allowance' });
+  });
+
+  it('spends a prepaid credit after the allowance and refunds it on failure', async () => {
+    subscribe('u1');
+    firestore.put('users/u1', { stripeCustomerId: 'cus_u1', creditBalance: 2 });
+    await commitQuota(await reserveQuota({ uid: 'u1', rid: 'r1' }));
+
+    const reservation = await reserveQuota({ uid: 'u1', rid: 'r2' });
+    expect(reservation.source).toBe('credit');
+    expect(firestore.data('users/u1').creditBalance).toBe(1);
+    expect(firestore.data('users/u1/credits/spend_r2')).toMatchObject({ type: 'spend', amount: -1 });
+
+    await releaseQuota(reservation, 'DIFF_ERROR');
+    expect(firestore.data('users/u1').creditBalance).toBe(2);
+    expect(firestore.data('users/u1/credits/refund_r2')).toMatchObject({ type: 'refund', reason: 'DIFF_ERROR' });
+  });
+
+  it('releases a reservation left pending by a lost request', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      vi.setSystemTime(Date.UTC(2026, 9, 19, 9));
+      subscribe('u1');
+      await reserveQuota({ uid: 'u1', rid: 'r1' });
+      await expect(reserveQuota({ uid: 'u1', rid: 'r2' })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+
+      vi.setSystemTime(Date.now() + RESERVATION_TTL_MS + 1);
+      await expect(reserveQuota({ uid: 'u1', rid: 'r3' })).resolves.toMatchObject({ source: 'allowance' });
+      expect(firestore.data('users/u1/usage/r1')).toMatchObject({ outcome: 'failed', reason: 'EXPIRED', cost: 0 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('refuses users without a usable subscription', async () => {
+    firestore.put('users/u1', { stripeCustomerId: 'cus_u1' });
+    stripe.addSubscription('cus_u1', { plan: 'basic', status: 'canceled' });
+
+    await expect(reserveQuota({ uid: 'u1', rid: 'r1' })).rejects.toMatchObject({ code: 'NO_PLAN' });
+  });
+});
+
+describe('quota windows', () => {
+  const HOUR = 60 * 60 * 1000;
+  const at = (ms) => vi.setSystemTime(ms);
+
+  beforeEach(() => vi.useFakeTimers({ toFake: ['Date'] }));
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+  });
+
+  it('resets a daily quota at local midnight in a UTC+5 zone', async () => {
+    at(Date.UTC(2026, 9, 19, 18, 30)); // 23:30 in Karachi
+    subscribe('u1');
+    firestore.put('users/u1', { stripeCustomerId: 'cus_u1', quotaTimezone: 'Asia/Karachi' });
+
+    await expect(reserveQuota({ uid: 'u1', rid: 'r1' })).resolves.toMatchObject({ day: '2026-10-19' });
+    await expect(reserveQuota({ uid: 'u1', rid: 'r2' })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    await expect(getUsage('u1')).resolves.toMatchObject({ timeZone: 'Asia/Karachi', remaining: 0, resetAt: Date.UTC(2026, 9, 19, 19) });
+
+    at(Date.UTC(2026, 9, 19, 19)); // midnight in Karachi, still the 19th in UTC
+    await expect(reserveQuota({ uid: 'u1', rid: 'r3' })).resolves.toMatchObject({ day: '2026-10-20' });
+  });
+
+  it('counts a monthly quota per Stripe billing period', async () => {
+    vi.stubEnv('QUOTA_MODE_BASIC', 'monthly');
+    at(Date.UTC(2026, 9, 19, 12));
+    subscribe('u1');
+    const period = String((Math.floor(Date.now() / 1000) - 86400) * 1000); // the fake's current_period_start
+
+    // more than the daily limit on one day
+    await reserveQuota({ uid: 'u1', rid: 'r1' });
+    const second = await reserveQuota({ uid: 'u1', rid: 'r2' });
+    expect(second).toMatchObject({ mode: 'monthly', max: 100, period, source: 'allowance' });
+    expect(firestore.data(`users/u1/usagePeriods/${period}`)).toMatchObject({ used: 2 });
+
+    await releaseQuota(second, 'OPENAI_ERROR');
+    expect(firestore.data(`users/u1/usagePeriods/${period}`)).toMatchObject({ used: 1 });
+
+    firestore.put(`users/u1/usagePeriods/${period}`, { used: 100 });
+    await expect(reserveQuota({ uid: 'u1', rid: 'r3' })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    await expect(getUsage('u1')).resolves.toMatchObject({ mode: 'monthly', limit: 100, used: 100, remaining: 0 });
+  });
+
+  it('frees a rolling quota 24 hours after the unit was taken, not at midnight', async () => {
+    vi.stubEnv('QUOTA_MODE_BASIC', 'rolling');
+    const start = Date.UTC(2026, 9, 19, 20);
+    at(start);
+    subscribe('u1');
+    await commitQuota(await reserveQuota({ uid: 'u1', rid: 'r1' }));
+
+    at(start + 6 * HOUR); // past UTC midnight
+    await expect(reserveQuota({ uid: 'u1', rid: 'r2' })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    await expect(getUsage('u1')).resolves.toMatchObject({ mode: 'rolling', used: 1, resetAt: start + 24 * HOUR });
+
+    at(start + 24 * HOUR + 1);
+    await expect(reserveQuota({ uid: 'u1', rid: 'r3' })).resolves.toMatchObject({ mode: 'rolling', source: 'allowance' });
+  });
+
+  it('applies a time zone change only from the next reset', async () => {
+    at(Date.UTC(2026, 9, 19, 12)); // the 20th in Kiritimati (UTC+14), the 19th in Etc/GMT+12 (UTC-12)
+    subscribe('u1');
+    firestore.put('users/u1', { stripeCustomerId: 'cus_u1', quotaTimezone: 'Pacific/Kiritimati' });
+    await commitQuota(await reserveQuota({ uid: 'u1', rid: 'r1' }));
+
+    // the later of the two midnights: 10:00 UTC in Kiritimati, 12:00 UTC in Etc/GMT+12
+    const effectiveAt = Date.UTC(2026, 9, 20, 12);
+    await expect(setQuotaTimeZone('u1', 'Etc/GMT+12')).resolves.toEqual({ timeZone: 'Etc/GMT+12', effectiveAt });
+    await expect(reserveQuota({ uid: 'u1', rid: 'r2' })).rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+    await expect(getUsage('u1')).resolves.toMatchObject({
+      timeZone: 'Pacific/Kiritimati',
+      nextTimeZone: { timeZone: 'Etc/GMT+12', effectiveAt },
+    });
+
+    at(effectiveAt);
+    await expect(getUsage('u1')).resolves.toMatchObject({ timeZone: 'Etc/GMT+12', nextTimeZone: null, day: '2026-10-20' });
+  });
+
+  it('cancels a pending change when the zone in use is picked again', async () => {
+    at(Date.UTC(2026, 9, 19, 12));
+    subscribe('u1');
+    await setQuotaTimeZone('u1', 'Asia/Karachi');
+    await expect(setQuotaTimeZone('u1', '')).resolves.toEqual({ timeZone: 'UTC', effectiveAt: Date.now() });
+    expect(firestore.data('users/u1').quotaTimezoneNext).toBeUndefined();
+    await expect(getUsage('u1')).resolves.toMatchObject({ timeZone: 'UTC', nextTimeZone: null });
+  });
+});
+
+describe('team plans', () => {
+  function team() {
+    firestore.put('orgs/o1', { name: 'Acme', stripeCustomerId: 'cus_o1' });
+    stripe.addSubscription('cus_o1', { plan: 'pro', quantity: 3 });
+  }
+
+  it("members draw from the team's pooled quota", async () => {
+    team();
+    firestore.put('orgs/o1/members/u2', { role: 'editor' });
+    firestore.put('users/u2', { orgId: 'o1', stripeCustomerId: 'cus_u2' });
+
+    const reservation = await reserveQuota({ uid: 'u2', rid: 'r1' });
+    expect(reservation).toMatchObject({ orgId: 'o1', plan: 'pro', max: 6 });
+    expect(firestore.data('orgs/o1/usage/r1')).toMatchObject({ uid: 'u2', outcome: 'pending' });
+  });
+
+  it("a stale orgId does not keep the team's plan", async () => {
+    team();
+    firestore.put('users/u2', { orgId: 'o1', stripeCustomerId: 'cus_u2' });
+
+    await expect(reserveQuota({ uid: 'u2', rid: 'r1' })).rejects.toMatchObject({ code: 'NO_PLAN' });
+
+    stripe.addSubscription('cus_u2', { plan: 'basic' });
+    await expect(reserveQuota({ uid: 'u2', rid: 'r2' })).resolves.toMatchObject({ orgId: null, plan: 'basic' });
+  });
+});
+
+describe('Stripe customer lookup', () => {
+  it("does not take a team's customer for the owner's own billing", async () => {
+    firestore.put('users/u1', {});
+    stripe.addCustomer({ id: 'cus_team', email: 'u1@example.com', metadata: { orgId: 'o1' } });
+    stripe.addSubscription('cus_team', { plan: 'elite' });
+
+    await expect(reserveQuota({ uid: 'u1', rid: 'r1' })).rejects.toMatchObject({ code: 'NO_PLAN' });
+    const created = firestore.data('users/u1').stripeCustomerId;
+    expect(created).not.toBe('cus_team');
+    expect(stripe.customers().find((c) => c.id === created).metadata).toEqual({ uid: 'u1' });
+  });
+
+  it('still finds a personal customer by email', async () => {
+    firestore.put('users/u1', {});
+    stripe.addCustomer({ id: 'cus_team', email: 'u1@example.com', metadata: { orgId: 'o1' } });
+    stripe.addCustomer({ id: 'cus_own', email: 'u1@example.com' });
+    stripe.addSubscription('cus_own', { plan: 'pro' });
+
+    await expect(reserveQuota({ uid: 'u1', rid: 'r1' })).resolves.toMatchObject({ plan: 'pro' });
+    expect(firestore.data('users/u1').stripeCustomerId).toBe('cus_own');
+  });
+});
+
+describe('maxImageBytesFor', () => {
+  it("follows the plan's upload limit, and the entry plan's without one", async () => {
+    subscribe('u1', 'elite');
+    firestore.put('users/u2', { stripeCustomerId: 'cus_u2' });
+
+    await expect(maxImageBytesFor('u1')).resolves.toBe(20 * 1024 * 1024);
+    await expect(maxImageBytesFor('u2')).resolves.toBe(10 * 1024 * 1024);
+  });
+});
+
+describe('getUsage', () => {
+  it('reports the window and the day history from the ledger', async () => {
+    subscribe('u1', 'pro');
+    await commitQuota(await reserveQuota({ uid: 'u1', rid: 'r1' }));
+    await releaseQuota(await reserveQuota({ uid: 'u1', rid: 'r2' }), 'BAD_IMAGE');
+
+    const usage = await getUsage('u1', { days: 3 });
+    expect(usage).toMatchObject({ plan: 'pro', mode: 'daily', limit: 2, used: 1, remaining: 1, credits: 0, team: null });
+    expect(usage.history).toHaveLength(3);
+    expect(usage.history[2]).toMatchObject({ day: day(), used: 1, attempts: 2, succeeded: 1, failed: 1 });
+  });
+});
@@ -0,0 +1,65 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { Timestamp, firestore } from './support/fakes';
+import { listReports } from '@/lib/reports/store';
+
+vi.mock('@/lib/firebase/firebaseAdmin', async () => (await import('./support/fakes')).firebaseAdminModule());
+vi.mock('@/lib/storage/images', () => ({
+  EXT_BY_MIME: {},
+  uploadImage: async (path) => path,
+  signedImageUrl: async (path) => path,
+}));
+
+const actor = { uid: 'u1', orgId: null, role: 'owner' };
+
+// `count` reports, newest last; every `every`-th has a critical "checkout" finding
+function seed(count, every) {
+  for (let i = 0; i < count; i++) {
+    const hit = i % every === 0;
+    firestore.put(`users/u1/reports/r${i}`, {
+      rid: `r${i}`,
+      uid: 'u1',
+      summary: hit ? 'Checkout button moved' : 'Header spacing',
+      findings: [{ severity: hit ? 'critical' : 'minor', description: hit ? 'checkout' : 'spacing' }],
+      severities: [hit ? 'critical' : 'minor'],
+      maxSeverity: hit ? 'critical' : 'minor',
+      createdAt: Timestamp.fromMillis(1_000_000 + i * 1000),
+    });
+  }
+}
+
+beforeEach(() => firestore.reset());
+
+describe('listReports', () => {
+  it('keeps searching past the newest page until the limit is filled', async () => {
+    seed(400, 50); // matches: r0, r50, … r350
+
+    const { reports, nextCursor } = await listReports(actor, { q: 'checkout', limit: 5 });
+    expect(reports.map((r) => r.id)).toEqual(['r350', 'r300', 'r250', 'r200', 'r150']);
+    expect(reports[0]).toMatchObject({ maxSeverity: 'critical', createdAt: 1_350_000 });
+
+    const rest = await listReports(actor, { q: 'checkout', limit: 5, cursor: nextCursor });
+    expect(rest.reports.map((r) => r.id)).toEqual(['r100', 'r50', 'r0']);
+    expect(rest.nextCursor).toBeNull();
+  });
+
+  it('filters by severity in the query', async () => {
+    seed(120, 40);
+
+    const { reports, nextCursor } = await listReports(actor, { severity: 'critical' });
+    expect(reports.map((r) => r.id)).toEqual(['r80', 'r40', 'r0']);
+    expect(nextCursor).toBeNull();
+  });
+
+  it('hands back a cursor when the page is full', async () => {
+    seed(3, 1);
+
+    const first = await listReports(actor, { limit: 2 });
+    expect(first.reports.map((r) => r.id)).toEqual(['r2', 'r1']);
+    const second = await listReports(actor, { limit: 2, cursor: first.nextCursor });
+    expect(second).toMatchObject({ reports: [expect.objectContaining({ id: 'r0' })], nextCursor: null });
+  });
+
+  it('rejects a cursor that is not a report', async () => {
+    await expect(listReports(actor, { cursor: 'bm9wZQ' })).rejects.toMatchObject({ code: 'BAD_REQUEST' });
+  });
+});
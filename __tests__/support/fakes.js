@@ -0,0 +1,290 @@
+// __tests__/support/fakes.js
+
+/**
+ * In-memory stand-ins for the backends the server modules talk to, for vi.mock:
+ *   firestore - the part of the Admin SDK the stores use (docs, subcollections, simple
+ *               queries, transactions, FieldValue sentinels, Timestamp)
+ *   stripe    - customers.search/list/create and subscriptions.list
+ * One shared instance per test file; call reset() in beforeEach.
+ */
+
+const SENTINEL = Symbol('fieldValue');
+
+export class Timestamp {
+  constructor(ms) {
+    this.ms = ms;
+  }
+
+  static fromMillis(ms) {
+    return new Timestamp(ms);
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  toMillis() {
+    return this.ms;
+  }
+}
+
+export const FieldValue = {
+  increment: (n) => ({ [SENTINEL]: 'increment', n }),
+  serverTimestamp: () => ({ [SENTINEL]: 'serverTimestamp' }),
+  delete: () => ({ [SENTINEL]: 'delete' }),
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && v.constructor === Object && !v[SENTINEL];
+
+function resolveValue(value, current) {
+  if (value && value[SENTINEL] === 'increment') return (Number(current) || 0) + value.n;
+  if (value && value[SENTINEL] === 'serverTimestamp') return Timestamp.now();
+  return value;
+}
+
+function writeFields(target, data, merge) {
+  const out = merge ? { ...target } : {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value && value[SENTINEL] === 'delete') delete out[key];
+    else if (merge && isPlainObject(value) && isPlainObject(out[key])) out[key] = writeFields(out[key], value, true);
+    else if (isPlainObject(value)) out[key] = writeFields({}, value, true);
+    else out[key] = resolveValue(value, out[key]);
+  }
+  return out;
+}
+
+function fieldOf(data, field) {
+  return String(field)
+    .split('.')
+    .reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), data);
+}
+
+// deep copy that keeps Timestamps (structuredClone would drop their methods)
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Timestamp) return new Timestamp(v.ms);
+  if (Buffer.isBuffer(v)) return Buffer.from(v);
+  if (v !== null && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+}
+
+const comparable = (v) => (v instanceof Timestamp ? v.ms : v);
+
+const OPS = {
+  '==': (a, b) => comparable(a) === comparable(b),
+  '!=': (a, b) => comparable(a) !== comparable(b),
+  '<': (a, b) => comparable(a) < comparable(b),
+  '<=': (a, b) => comparable(a) <= comparable(b),
+  '>': (a, b) => comparable(a) > comparable(b),
+  '>=': (a, b) => comparable(a) >= comparable(b),
+  in: (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+let autoId = 0;
+
+export function createFakeFirestore() {
+  const docs = new Map(); // 'users/u1/reports/r1' -> data
+
+  const snapshot = (ref) => {
+    const data = docs.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (field) => (data === undefined ? undefined : fieldOf(data, field)),
+    };
+  };
+
+  const write = {
+    set(ref, data, { merge = false } = {}) {
+      docs.set(ref.path, writeFields(docs.get(ref.path) || {}, data, merge));
+    },
+    create(ref, data) {
+      if (docs.has(ref.path)) {
+        const e = new Error(`Document already exists: ${ref.path}`);
+        e.code = 6; // ALREADY_EXISTS
+        throw e;
+      }
+      docs.set(ref.path, writeFields({}, data, false));
+    },
+    update(ref, data) {
+      if (!docs.has(ref.path)) {
+        const e = new Error(`No document to update: ${ref.path}`);
+        e.code = 5; // NOT_FOUND
+        throw e;
+      }
+      docs.set(ref.path, writeFields(docs.get(ref.path), data, true));
+    },
+    delete(ref) {
+      docs.delete(ref.path);
+    },
+  };
+
+  function docRef(path) {
+    const parts = path.split('/');
+    const ref = {
+      path,
+      id: parts[parts.length - 1],
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: async () => snapshot(ref),
+      set: async (data, options) => write.set(ref, data, options),
+      create: async (data) => write.create(ref, data),
+      update: async (data) => write.update(ref, data),
+      delete: async () => write.delete(ref),
+    };
+    return ref;
+  }
+
+  // matches(path): whether a document path belongs to the queried collection(s)
+  function query(matches, { filters = [], order = [], max = null, after = null } = {}) {
+    const next = (change) => query(matches, { filters, order, max, after, ...change });
+    return {
+      where: (field, op, value) => next({ filters: [...filters, { field, op, value }] }),
+      orderBy: (field, dir = 'asc') => next({ order: [...order, { field, dir }] }),
+      limit: (n) => next({ max: n }),
+      // cursor from a snapshot of a document in the results
+      startAfter: (snap) => next({ after: snap.ref.path }),
+      async get() {
+        let found = [...docs.keys()]
+          .filter(matches)
+          .map((path) => snapshot(docRef(path)))
+          .filter((s) => filters.every(({ field, op, value }) => OPS[op](s.get(field), value)));
+        for (const { field, dir } of [...order].reverse()) {
+          const sign = dir === 'desc' ? -1 : 1;
+          found = found.sort((a, b) => {
+            const x = comparable(a.get(field));
+            const y = comparable(b.get(field));
+            return x === y ? 0 : x > y ? sign : -sign;
+          });
+        }
+        if (after) found = found.slice(found.findIndex((d) => d.ref.path === after) + 1);
+        if (max !== null) found = found.slice(0, max);
+        return { docs: found, size: found.length, empty: !found.length, forEach: (fn) => found.forEach(fn) };
+      },
+    };
+  }
+
+  function collectionRef(path) {
+    const depth = path.split('/').length;
+    const own = (p) => p.startsWith(`${path}/`) && p.split('/').length === depth + 1;
+    return {
+      path,
+      id: path.split('/').pop(),
+      doc: (id) => docRef(`${path}/${id || `auto${++autoId}`}`),
+      ...query(own),
+    };
+  }
+
+  const db = {
+    collection: (name) => collectionRef(name),
+    doc: (path) => docRef(path),
+    collectionGroup: (name) => query((p) => {
+      const parts = p.split('/');
+      return parts.length >= 2 && parts[parts.length - 2] === name;
+    }),
+    // reads go straight to the store; writes are applied together once `fn` resolves
+    async runTransaction(fn) {
+      const pending = [];
+      const t = {
+        get: (target) => target.get(),
+        set: (ref, data, options) => (pending.push(() => write.set(ref, data, options)), t),
+        create: (ref, data) => (pending.push(() => write.create(ref, data)), t),
+        update: (ref, data) => (pending.push(() => write.update(ref, data)), t),
+        delete: (ref) => (pending.push(() => write.delete(ref)), t),
+      };
+      const result = await fn(t);
+      for (const apply of pending) apply();
+      return result;
+    },
+    settings: () => {},
+  };
+
+  return {
+    db,
+    /** Stored document data (undefined when missing). */
+    data: (path) => (docs.has(path) ? clone(docs.get(path)) : undefined),
+    /** Seed a document. */
+    put: (path, data) => docs.set(path, writeFields({}, data, false)),
+    reset: () => docs.clear(),
+  };
+}
+
+/**
+ * Stripe with customers and subscriptions kept in memory.
+ * addSubscription(customerId, { plan, quantity, status }) — plan is matched by the
+ * price's lookup_key (lib/billing/plans.js planFromPrice).
+ */
+export function createFakeStripe() {
+  let customers = [];
+  let subscriptions = [];
+
+  const byQuery = (query) => {
+    const meta = /^metadata\['(\w+)'\]:'(.*)'$/.exec(query);
+    if (meta) return customers.filter((c) => c.metadata?.[meta[1]] === meta[2]);
+    const email = /^email:'(.*)'$/.exec(query);
+    if (email) return customers.filter((c) => c.email === email[1]);
+    return [];
+  };
+
+  const stripe = {
+    customers: {
+      search: async ({ query }) => ({ data: byQuery(query) }),
+      list: async ({ email }) => ({ data: customers.filter((c) => c.email === email) }),
+      create: async ({ email = null, metadata = {}, ...rest }) => {
+        const customer = { id: `cus_${customers.length + 1}`, email, metadata, created: customers.length + 1, ...rest };
+        customers.push(customer);
+        return customer;
+      },
+    },
+    subscriptions: {
+      list: async ({ customer }) => ({ data: subscriptions.filter((s) => s.customer === customer) }),
+    },
+  };
+
+  return {
+    stripe,
+    addCustomer: (customer) => customers.push({ created: customers.length + 1, metadata: {}, ...customer }),
+    addSubscription(customer, { plan, quantity = 1, status = 'active' }) {
+      const now = Math.floor(Date.now() / 1000);
+      subscriptions.push({
+        customer,
+        status,
+        cancel_at_period_end: false,
+        current_period_start: now - 86400,
+        current_period_end: now + 29 * 86400,
+        items: { data: [{ quantity, price: { id: `price_${plan}`, lookup_key: plan } }] },
+      });
+    },
+    customers: () => customers,
+    reset() {
+      customers = [];
+      subscriptions = [];
+    },
+  };
+}
+
+export const firestore = createFakeFirestore();
+export const stripe = createFakeStripe();
+
+/** A bearer token the fake authAdmin.verifyIdToken accepts for `uid`. */
+export const idToken = (uid) => `token:${uid}`;
+
+/** Module body for vi.mock('@/lib/firebase/firebaseAdmin'). */
+export function firebaseAdminModule() {
+  return {
+    db: firestore.db,
+    FieldValue,
+    Timestamp,
+    authAdmin: {
+      getUser: async (uid) => ({ uid, email: `${uid}@example.com` }),
+      // ID tokens are 'token:<uid>' (see idToken)
+      verifyIdToken: async (token) => {
+        if (!String(token).startsWith('token:')) throw new Error('Decoding Firebase ID token failed');
+        const uid = token.slice('token:'.length);
+        return { uid, email: `${uid}@example.com`, email_verified: true };
+      },
+    },
+  };
+}
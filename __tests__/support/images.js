@@ -0,0 +1,26 @@
+// __tests__/support/images.js
+import sharp from 'sharp';
+
+/** Screenshot size of page() at scale 1. */
+export const PAGE = { width: 600, height: 300 };
+// the dev build moved this block; a red box sits where it should not
+export const BUG = { x: 200, y: 100, width: 80, height: 40 };
+
+/**
+ * A synthetic UI screenshot (header bar, footer button) as an upload:
+ * { buffer, mimetype, fileName }. `bug` adds the BUG box, `scale` renders it at a pixel ratio.
+ */
+export async function page({ scale = 1, bug = false } = {}) {
+  const box = (b, fill) => `<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" fill="${fill}"/>`;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}" height="${PAGE.height}">
+    <rect width="100%" height="100%" fill="#fff"/>
+    ${box({ x: 20, y: 20, width: 560, height: 40 }, '#1e3a8a')}
+    ${box({ x: 20, y: 240, width: 200, height: 30 }, '#64748b')}
+    ${bug ? box(BUG, '#dc2626') : ''}
+  </svg>`;
+  const buffer = await sharp(Buffer.from(svg))
+    .resize(PAGE.width * scale, PAGE.height * scale)
+    .png()
+    .toBuffer();
+  return { buffer, mimetype: 'image/png', fileName: bug ? 'dev.png' : 'design.png' };
+}
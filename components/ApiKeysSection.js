@@ -0,0 +1,182 @@
+// components/ApiKeysSection.js
+import { useCallback, useEffect, useState } from "react";
+import { toast } from "sonner";
+import { API_KEY_SCOPES, API_KEY_SCOPE_LABELS, DEFAULT_API_KEY_SCOPES } from "@/lib/auth/roles";
+
+/**
+ * API keys card for the accounts page: create a named, scoped key (its secret is shown
+ * once), see when each key was last used and how many comparisons it ran, and revoke it.
+ */
+export default function ApiKeysSection({ authUser }) {
+  const [keys, setKeys] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(DEFAULT_API_KEY_SCOPES);
+  const [created, setCreated] = useState(null); // { key, apiKey } right after creation
+
+  const api = useCallback(
+    async (url, { method = "GET", body } = {}) => {
+      const token = await authUser.getIdToken();
+      const res = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || `Request failed (${res.status})`);
+      return json;
+    },
+    [authUser]
+  );
+
+  const load = useCallback(async () => {
+    try {
+      const data = await api("/api/keys");
+      setKeys(data.keys || []);
+    } catch (e) {
+      console.error("Fetch API keys error:", e);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (authUser) load();
+  }, [authUser, load]);
+
+  const toggleScope = (scope) =>
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+
+  async function createKey(e) {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      setCreated(await api("/api/keys", { method: "POST", body: { name, scopes } }));
+      setName("");
+      await load();
+    } catch (err) {
+      toast.error(err?.message || "Could not create the key.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revokeKey(key) {
+    if (!window.confirm(`Revoke "${key.name}"? Anything using it will stop working.`)) return;
+    try {
+      setBusy(true);
+      await api(`/api/keys/${encodeURIComponent(key.id)}`, { method: "DELETE" });
+      if (created?.apiKey?.id === key.id) setCreated(null);
+      toast.success("Key revoked.");
+      await load();
+    } catch (err) {
+      toast.error(err?.message || "Could not revoke the key.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function copyKey() {
+    try {
+      await navigator.clipboard.writeText(created.key);
+      toast.success("Copied to clipboard.");
+    } catch {
+      toast.error("Copy failed. Select the key and copy it manually.");
+    }
+  }
+
+  return (
+    <section className="lg:col-span-3 bg-white dark:bg-slate-800 rounded-2xl shadow-sm ring-1 ring-black/5 dark:ring-white/10 p-6">
+      <h2 className="text-xl font-semibold text-slate-900 dark:text-slate-100 mb-1">API keys</h2>
+      <p className="text-sm text-slate-600 dark:text-slate-300 mb-5">
+        Call the <code>/api/v1</code> endpoints from CI with <code>Authorization: Bearer &lt;key&gt;</code>{" "}
+        (<a href="/api/v1/openapi" className="underline">OpenAPI document</a>). Keys act as you and count against your
+        quota.
+      </p>
+
+      {created && (
+        <div className="mb-5 rounded-xl border border-emerald-200 dark:border-emerald-800 bg-emerald-50 dark:bg-emerald-950/40 px-4 py-3">
+          <div className="text-sm text-slate-800 dark:text-slate-100 mb-2">
+            Copy <strong>{created.apiKey.name}</strong> now. You won&apos;t be able to see it again.
+          </div>
+          <div className="flex gap-3">
+            <input
+              readOnly
+              value={created.key}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 h-10 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-3 font-mono text-xs text-slate-900 dark:text-slate-100"
+            />
+            <button
+              type="button"
+              onClick={copyKey}
+              className="h-10 px-4 rounded-lg bg-[#6c2bd9] text-white text-sm font-medium"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={() => setCreated(null)}
+              className="h-10 px-3 text-sm text-slate-600 dark:text-slate-300 hover:underline"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <ul className="divide-y divide-slate-200 dark:divide-slate-700 text-sm">
+          {keys?.length === 0 && <li className="py-2 text-slate-500 dark:text-slate-400">No keys yet.</li>}
+          {(keys || []).map((k) => (
+            <li key={k.id} className="flex items-center justify-between gap-3 py-2">
+              <div>
+                <div className="text-slate-800 dark:text-slate-100">
+                  {k.name} <span className="ml-1 font-mono text-xs text-slate-500 dark:text-slate-400">{k.prefix}…</span>
+                </div>
+                <div className="text-xs text-slate-500 dark:text-slate-400">
+                  {k.scopes.map((s) => API_KEY_SCOPE_LABELS[s] || s).join(", ")} ·{" "}
+                  {k.lastUsedAt ? `last used ${new Date(k.lastUsedAt).toLocaleString()}` : "never used"} ·{" "}
+                  {k.usage.succeeded} comparison{k.usage.succeeded === 1 ? "" : "s"}
+                  {k.usage.failed ? ` (${k.usage.failed} failed)` : ""}
+                </div>
+              </div>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => revokeKey(k)}
+                className="text-rose-600 dark:text-rose-400 hover:underline disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <form onSubmit={createKey} className="space-y-3">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Key name, e.g. GitHub Actions"
+            className="w-full h-11 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-3 text-slate-900 dark:text-slate-100"
+          />
+          <div className="flex flex-wrap gap-4 text-sm text-slate-700 dark:text-slate-200">
+            {API_KEY_SCOPES.map((scope) => (
+              <label key={scope} className="flex items-center gap-2">
+                <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                {API_KEY_SCOPE_LABELS[scope]}
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={busy || !name.trim() || scopes.length === 0}
+            className="h-11 px-5 rounded-xl bg-[#6c2bd9] text-white font-medium disabled:opacity-50"
+          >
+            Create key
+          </button>
+        </form>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,523 @@
+// components/DiffViewer.js
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { findingRegions } from '../lib/compare/findings';
+import { SEVERITY_BADGE } from './FindingsList';
+
+const MODES = [
+  { id: 'side', label: 'Side by side' },
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'onion', label: 'Onion skin' },
+  { id: 'difference', label: 'Difference' },
+];
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+// Selecting a finding zooms until its region fills about half the view (but no further)
+const FOCUS_FILL = 0.5;
+const FOCUS_MAX_ZOOM = 4;
+// Pointer travel (px) before a press becomes a pan instead of a click
+const DRAG_SLOP = 3;
+// Smaller drawn boxes (canvas px) are taken as stray clicks
+const MIN_BOX = 4;
+
+const REGION_COLORS = { critical: '#e11d48', major: '#d97706', minor: '#2563eb', info: '#64748b' };
+const BORDER_STYLES = { model: 'solid', diff: 'dashed', manual: 'dotted' };
+const MASK_FILL = 'repeating-linear-gradient(45deg, rgba(100, 116, 139, 0.45) 0 6px, rgba(100, 116, 139, 0.15) 6px 12px)';
+
+const FIT = { zoom: 1, x: 0, y: 0 };
+
+const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+const pct = (n) => `${n * 100}%`;
+
+// Pan offsets are fractions of the pane, so one view state fits panes of any size
+function clampView({ zoom, x, y }) {
+  return { zoom, x: clamp(x, 1 - zoom, 0), y: clamp(y, 1 - zoom, 0) };
+}
+
+function boxBetween(a, b) {
+  return {
+    x: Math.round(Math.min(a.x, b.x)),
+    y: Math.round(Math.min(a.y, b.y)),
+    width: Math.round(Math.abs(a.x - b.x)),
+    height: Math.round(Math.abs(a.y - b.y)),
+  };
+}
+
+/** One line on how the dev screenshot was fitted to the design (lib/compare/normalize.js). */
+function describeNormalization({ scale, pixelRatio, offset, crop }) {
+  const parts = [];
+  if (scale !== 1) parts.push(pixelRatio ? `scaled ×${scale} (${pixelRatio}x pixel ratio)` : `scaled ×${scale}`);
+  const cut = [['top', crop.top], ['left', crop.left], ['right', crop.right]].filter(([, px]) => px > 0);
+  if (cut.length) parts.push(`cropped ${cut.map(([side, px]) => `${px}px ${side}`).join(', ')}`);
+  if (offset.x > 0 || offset.y > 0) parts.push(`moved by ${Math.max(0, offset.x)}, ${Math.max(0, offset.y)}px`);
+  return parts.length ? `Development screenshot ${parts.join(', ')} to match the design.` : '';
+}
+
+function boundsOf(boxes) {
+  const x = Math.min(...boxes.map((b) => b.x));
+  const y = Math.min(...boxes.map((b) => b.y));
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map((b) => b.x + b.width)) - x,
+    height: Math.max(...boxes.map((b) => b.y + b.height)) - y,
+  };
+}
+
+/**
+ * Compare the design and development screenshots: side by side, a swipe slider,
+ * onion skin (opacity) or a difference blend. Zoom (wheel, buttons) and pan (drag) are
+ * shared by every pane. Each finding's boxes are drawn on the images with its number
+ * (solid: model, dashed: pixel diff, dotted: drawn by a reviewer); clicking one (in the
+ * list or on the image) highlights it everywhere and zooms to it.
+ *
+ * With onRegionsChange(finding, boxes), a reviewer can draw boxes on the selected finding;
+ * it receives the finding's complete list of drawn boxes ({ x, y, width, height }).
+ *
+ * With a normalization (lib/compare/normalize.js), the uploaded dev image is scaled and
+ * moved onto the design the way it was for the analysis.
+ * Ignore masks (lib/compare/masks.js) are shown as hatched areas that were left out of the analysis.
+ *
+ * Both images are placed top-left on a width × height canvas — the coordinate space of
+ * the pixel diff and of finding regions (lib/compare/pixelDiff.js). Without a size,
+ * the larger of the two loaded images is used.
+ */
+const DiffViewer = ({ design, dev, width, height, findings = [], masks = [], normalization = null, onRegionsChange }) => {
+  const [mode, setMode] = useState('side');
+  const [view, setView] = useState(FIT);
+  const [swipe, setSwipe] = useState(0.5);
+  const [opacity, setOpacity] = useState(0.5);
+  const [selected, setSelected] = useState(null);
+  const [sizes, setSizes] = useState({}); // natural size per image: { design: { w, h }, dev: { w, h } }
+  const [drawing, setDrawing] = useState(false);
+  const [draft, setDraft] = useState(null); // box being drawn, canvas px
+  const [saving, setSaving] = useState(false);
+  const rootRef = useRef(null);
+  const drag = useRef(null);
+  const dragged = useRef(false);
+
+  const canvasW = width || Math.max(sizes.design?.w || 0, sizes.dev?.w || 0);
+  const canvasH = height || Math.max(sizes.design?.h || 0, sizes.dev?.h || 0);
+  // numbers match the order of the findings list (and the PDF)
+  const numbered = findings.map((f, i) => ({ finding: f, n: i + 1, boxes: findingRegions(f) }));
+  const current = numbered.find((e) => e.finding.id === selected) || null;
+  const manualBoxes = current ? current.boxes.filter((b) => b.source === 'manual') : [];
+  const canDraw = !!onRegionsChange && !!current && !!canvasW && !!canvasH;
+
+  // New images, new canvas
+  useEffect(() => {
+    setView(FIT);
+    setSelected(null);
+    setSizes({});
+  }, [design, dev]);
+
+  useEffect(() => {
+    if (!canDraw) setDrawing(false);
+  }, [canDraw]);
+
+  const zoomAt = useCallback(
+    (factor, cx = 0.5, cy = 0.5) =>
+      setView((v) => {
+        const zoom = clamp(v.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+        const k = zoom / v.zoom;
+        // keep the canvas point under (cx, cy) where it is
+        return clampView({ zoom, x: cx - (cx - v.x) * k, y: cy - (cy - v.y) * k });
+      }),
+    []
+  );
+
+  // React registers wheel listeners as passive; zooming needs preventDefault
+  useEffect(() => {
+    const el = rootRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      const pane = e.target.closest?.('[data-pane]');
+      if (!pane) return;
+      e.preventDefault();
+      const rect = pane.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, (e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height);
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, [zoomAt]);
+
+  // Pointer position in canvas pixels
+  const toCanvas = (e, d) => ({
+    x: clamp(((e.clientX - d.left) / d.w - d.start.x) / d.start.zoom, 0, 1) * canvasW,
+    y: clamp(((e.clientY - d.top) / d.h - d.start.y) / d.start.zoom, 0, 1) * canvasH,
+  });
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const d = { id: e.pointerId, px: e.clientX, py: e.clientY, left: rect.left, top: rect.top, w: rect.width, h: rect.height, start: view, panning: false };
+    drag.current = d;
+    dragged.current = false;
+    if (drawing && canDraw) {
+      d.anchor = toCanvas(e, d);
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+  };
+
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d || d.id !== e.pointerId) return;
+    if (d.anchor) {
+      setDraft(boxBetween(d.anchor, toCanvas(e, d)));
+      return;
+    }
+    const dx = e.clientX - d.px;
+    const dy = e.clientY - d.py;
+    if (!d.panning) {
+      if (Math.hypot(dx, dy) < DRAG_SLOP) return;
+      // capture only once it is a drag, so clicks still reach the region boxes
+      d.panning = true;
+      dragged.current = true;
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    setView(clampView({ zoom: d.start.zoom, x: d.start.x + dx / d.w, y: d.start.y + dy / d.h }));
+  };
+
+  const saveManual = async (boxes) => {
+    try {
+      setSaving(true);
+      await onRegionsChange(current.finding, boxes.map(({ x, y, width: w, height: h }) => ({ x, y, width: w, height: h })));
+    } catch (err) {
+      toast.error(err?.message || 'Could not save the boxes.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onPointerUp = (e) => {
+    const d = drag.current;
+    drag.current = null;
+    if (!d?.anchor) return;
+    const box = boxBetween(d.anchor, toCanvas(e, d));
+    setDraft(null);
+    if (box.width >= MIN_BOX && box.height >= MIN_BOX) saveManual([...manualBoxes, box]);
+  };
+
+  const onPointerCancel = () => {
+    drag.current = null;
+    setDraft(null);
+  };
+
+  const select = (finding) => {
+    if (!finding || selected === finding.id) {
+      setSelected(null);
+      return;
+    }
+    setSelected(finding.id);
+    const boxes = findingRegions(finding);
+    if (!boxes.length || !canvasW || !canvasH) return;
+    const r = boundsOf(boxes);
+    const zoom = clamp(FOCUS_FILL / Math.max(r.width / canvasW, r.height / canvasH), MIN_ZOOM, FOCUS_MAX_ZOOM);
+    setView(
+      clampView({
+        zoom,
+        x: 0.5 - ((r.x + r.width / 2) / canvasW) * zoom,
+        y: 0.5 - ((r.y + r.height / 2) / canvasH) * zoom,
+      })
+    );
+  };
+
+  if (!design && !dev) return null;
+
+  const content = { transform: `translate(${pct(view.x)}, ${pct(view.y)}) scale(${view.zoom})`, transformOrigin: '0 0' };
+
+  // Where an image sits on the canvas: top-left at natural size, or the dev image's normalization
+  const placement = (key) => {
+    const size = sizes[key];
+    if (!size || !canvasW || !canvasH) return { width: '100%' };
+    if (key === 'dev' && normalization?.applied) {
+      const { scale, offset } = normalization;
+      return { width: pct((size.w * scale) / canvasW), left: pct(offset.x / canvasW), top: pct(offset.y / canvasH) };
+    }
+    return { width: pct(size.w / canvasW) };
+  };
+
+  const image = (key, src, alt, style) =>
+    src ? (
+      <img
+        src={src}
+        alt={alt}
+        draggable={false}
+        onLoad={(e) => {
+          const { naturalWidth: w, naturalHeight: h } = e.currentTarget;
+          setSizes((prev) => (prev[key]?.w === w && prev[key]?.h === h ? prev : { ...prev, [key]: { w, h } }));
+        }}
+        className="absolute left-0 top-0 max-w-none select-none"
+        style={{ ...placement(key), ...style }}
+      />
+    ) : null;
+
+  // One transformed layer of the canvas
+  const layer = (children, style) => (
+    <div className="absolute inset-0" style={{ ...content, ...style }}>
+      {children}
+    </div>
+  );
+
+  const outline = (box, color, style, weight) => ({
+    left: pct(box.x / canvasW),
+    top: pct(box.y / canvasH),
+    width: pct(box.width / canvasW),
+    height: pct(box.height / canvasH),
+    border: `${weight / view.zoom}px ${style} ${color}`,
+  });
+
+  const regions = () =>
+    canvasW && canvasH
+      ? layer(
+          <>
+            {masks.map((m, i) => (
+              <div
+                key={`mask-${i}`}
+                title={`Ignored${m.label ? `: ${m.label}` : ''}${m.source ? ` (${m.source})` : ''}`}
+                className="absolute"
+                style={{ ...outline(m, '#64748b', 'solid', 1), background: MASK_FILL }}
+              />
+            ))}
+            {numbered.map(({ finding: f, n, boxes }) => {
+              const active = selected === f.id;
+              const color = REGION_COLORS[f.severity] || REGION_COLORS.info;
+              return boxes.map((box, i) => (
+                <button
+                  key={`${f.id}-${i}`}
+                  type="button"
+                  title={`#${n} ${f.severity} · ${f.category}: ${f.description} (${box.source})`}
+                  onClick={() => !dragged.current && !drawing && select(f)}
+                  className={`absolute ${drawing ? 'pointer-events-none' : ''}`}
+                  style={{
+                    ...outline(box, color, BORDER_STYLES[box.source] || 'solid', active ? 3 : 1.5),
+                    background: active ? 'rgba(250, 204, 21, 0.25)' : 'transparent',
+                    opacity: selected && !active ? 0.35 : 1,
+                  }}
+                >
+                  {/* the badge keeps its size at any zoom */}
+                  <span
+                    className="absolute left-0 bottom-full px-1 rounded-sm text-[10px] leading-4 font-semibold text-white"
+                    style={{ background: color, transform: `scale(${1 / view.zoom})`, transformOrigin: '0 100%' }}
+                  >
+                    {n}
+                  </span>
+                </button>
+              ));
+            })}
+            {draft && <div className="absolute pointer-events-none" style={outline(draft, '#6c2bd9', 'dotted', 2)} />}
+          </>
+        )
+      : null;
+
+  const label = (text, side = 'left') => (
+    <span
+      className={`absolute top-2 ${side === 'left' ? 'left-2' : 'right-2'} px-2 py-0.5 rounded bg-black/60 text-white text-xs pointer-events-none`}
+    >
+      {text}
+    </span>
+  );
+
+  const pane = (children, key) => (
+    <div
+      key={key}
+      data-pane
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerCancel}
+      className={`relative overflow-hidden rounded border border-gray-300 dark:border-gray-600 bg-white touch-none ${
+        drawing ? 'cursor-crosshair' : view.zoom > 1 ? 'cursor-grab active:cursor-grabbing' : ''
+      }`}
+      style={{ aspectRatio: canvasW && canvasH ? `${canvasW} / ${canvasH}` : '16 / 10' }}
+    >
+      {children}
+    </div>
+  );
+
+  let stage;
+  if (mode === 'side') {
+    stage = (
+      <div className="grid md:grid-cols-2 gap-4">
+        {pane(
+          <>
+            {layer(image('design', design, 'Design'))}
+            {regions()}
+            {label('Design')}
+          </>,
+          'design'
+        )}
+        {pane(
+          <>
+            {layer(image('dev', dev, 'Development'))}
+            {regions()}
+            {label('Development')}
+          </>,
+          'dev'
+        )}
+      </div>
+    );
+  } else if (mode === 'swipe') {
+    stage = pane(
+      <>
+        {layer(image('design', design, 'Design'))}
+        {/* the clip is in pane space, so the divider stays put while zooming and panning */}
+        <div className="absolute inset-0" style={{ clipPath: `inset(0 0 0 ${pct(swipe)})` }}>
+          {layer(image('dev', dev, 'Development'))}
+        </div>
+        {regions()}
+        <div className="absolute inset-y-0 w-0.5 bg-purple-600 pointer-events-none" style={{ left: pct(swipe) }} />
+        {label('Design')}
+        {label('Development', 'right')}
+      </>
+    );
+  } else if (mode === 'onion') {
+    stage = pane(
+      <>
+        {layer(image('design', design, 'Design'))}
+        {layer(image('dev', dev, 'Development'), { opacity })}
+        {regions()}
+        {label(`Development at ${Math.round(opacity * 100)}%`)}
+      </>
+    );
+  } else {
+    stage = pane(
+      <>
+        {/* identical pixels cancel to black; anything else lights up */}
+        <div className="absolute inset-0 bg-white" style={{ isolation: 'isolate' }}>
+          {layer(image('design', design, 'Design'))}
+          {layer(image('dev', dev, 'Development'), { mixBlendMode: 'difference' })}
+        </div>
+        {regions()}
+        {label('Difference')}
+      </>
+    );
+  }
+
+  const needsBoth = mode !== 'side' && !(design && dev);
+
+  return (
+    <div ref={rootRef} className="mb-6">
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <div className="inline-flex rounded border border-gray-300 dark:border-gray-600 overflow-hidden">
+          {MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              onClick={() => setMode(m.id)}
+              className={`px-3 py-1 ${
+                mode === m.id ? 'bg-purple-800 text-white' : 'bg-white dark:bg-gray-700 hover:bg-purple-50 dark:hover:bg-gray-600'
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="inline-flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => zoomAt(1 / ZOOM_STEP)}
+            disabled={view.zoom <= MIN_ZOOM}
+            aria-label="Zoom out"
+            className="w-8 h-8 rounded border border-gray-300 dark:border-gray-600 disabled:opacity-40"
+          >
+            −
+          </button>
+          <span className="w-14 text-center tabular-nums">{Math.round(view.zoom * 100)}%</span>
+          <button
+            type="button"
+            onClick={() => zoomAt(ZOOM_STEP)}
+            disabled={view.zoom >= MAX_ZOOM}
+            aria-label="Zoom in"
+            className="w-8 h-8 rounded border border-gray-300 dark:border-gray-600 disabled:opacity-40"
+          >
+            +
+          </button>
+          <button type="button" onClick={() => setView(FIT)} className="ml-1 px-2 h-8 rounded border border-gray-300 dark:border-gray-600">
+            Fit
+          </button>
+        </div>
+
+        {mode === 'swipe' && (
+          <label className="flex items-center gap-2">
+            Swipe
+            <input type="range" min="0" max="1" step="0.005" value={swipe} onChange={(e) => setSwipe(Number(e.target.value))} className="accent-purple-700" />
+          </label>
+        )}
+        {mode === 'onion' && (
+          <label className="flex items-center gap-2">
+            Opacity
+            <input type="range" min="0" max="1" step="0.01" value={opacity} onChange={(e) => setOpacity(Number(e.target.value))} className="accent-purple-700" />
+          </label>
+        )}
+
+        {onRegionsChange && (
+          <div className="inline-flex items-center gap-2 ml-auto">
+            <button
+              type="button"
+              onClick={() => setDrawing((d) => !d)}
+              disabled={!canDraw || saving}
+              title={canDraw ? undefined : 'Select a finding first'}
+              className={`px-3 h-8 rounded border disabled:opacity-40 ${
+                drawing ? 'bg-purple-800 border-purple-800 text-white' : 'border-gray-300 dark:border-gray-600'
+              }`}
+            >
+              {drawing ? 'Done drawing' : 'Draw box'}
+            </button>
+            {manualBoxes.length > 0 && (
+              <button
+                type="button"
+                onClick={() => saveManual([])}
+                disabled={saving}
+                className="px-3 h-8 rounded border border-gray-300 dark:border-gray-600 disabled:opacity-40"
+              >
+                Clear drawn boxes ({manualBoxes.length})
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {needsBoth ? (
+        <div className="h-32 grid place-items-center rounded border border-dashed text-xs text-gray-500">
+          This mode needs both images.
+        </div>
+      ) : (
+        stage
+      )}
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        {drawing && current
+          ? `Drag on the image to add a box to #${current.n}.`
+          : 'Scroll to zoom, drag to pan. Click a finding to find it on the images.'}
+        {masks.length > 0 && ` Hatched areas (${masks.length}) were ignored.`}
+        {normalization?.applied && ` ${describeNormalization(normalization)}`}
+      </p>
+
+      {findings.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2 text-xs">
+          {numbered.map(({ finding: f, n, boxes }) => (
+            <li key={f.id}>
+              <button
+                type="button"
+                onClick={() => select(f)}
+                // without boxes there is nothing to show, unless the reviewer is about to draw some
+                disabled={!boxes.length && !onRegionsChange}
+                title={boxes.length ? f.description : `${f.description} (no location given)`}
+                className={`max-w-xs truncate px-2.5 py-1 rounded-full font-medium ${SEVERITY_BADGE[f.severity] || SEVERITY_BADGE.info} ${
+                  selected === f.id ? 'ring-2 ring-purple-600' : ''
+                } ${boxes.length ? '' : 'opacity-60'} disabled:cursor-default`}
+              >
+                #{n} · {f.category}: {f.description}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DiffViewer;
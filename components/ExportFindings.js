@@ -0,0 +1,35 @@
+// components/ExportFindings.js
+import React from 'react';
+import { EXPORT_FORMATS, exportReports } from '@/lib/reports/export';
+
+// Download a saved report as JUnit XML / SARIF (same files as GET /api/v1/reports/{id}/export)
+const ExportFindings = ({ report }) => {
+  const download = (format) => {
+    const file = exportReports(format, [report], { baseName: `pixelproof-${report.rid || report.id}` });
+    const url = URL.createObjectURL(new Blob([file.body], { type: file.contentType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-4 flex flex-wrap gap-3">
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => download(format)}
+          className="border border-purple-800 text-purple-800 dark:border-purple-300 dark:text-purple-300 hover:bg-purple-50 dark:hover:bg-purple-900/30 font-semibold py-2 px-4 rounded"
+        >
+          Download {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportFindings;
@@ -1,23 +1,57 @@
 // components/ExportPDF.js
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
 import { useReactToPrint } from 'react-to-print';
 import ReactMarkdown from 'react-markdown';
+import { toast } from 'sonner';
+import { auth } from '@/lib/firebase/config';
 
-const ExportPDF = ({ result }) => {
+// Saved reports download the server-rendered PDF (GET /api/v1/reports/{id}/pdf);
+// unsaved results fall back to printing the markdown.
+const ExportPDF = ({ result, reportId }) => {
   const componentRef = useRef();
+  const [downloading, setDownloading] = useState(false);
 
   const handlePrint = useReactToPrint({
     content: () => componentRef.current,
     documentTitle: 'PixelProof Visual Bug Report',
   });
 
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/v1/reports/${encodeURIComponent(reportId)}/pdf`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body?.error || `Request failed (${res.status})`);
+      }
+      const disposition = res.headers.get('content-disposition') || '';
+      const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || `pixelproof-${reportId}.pdf`;
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      toast.error(e?.message || 'Could not generate the PDF.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   return (
     <div className="mt-4">
       <button
-        onClick={handlePrint}
-        className="bg-purple-800 hover:bg-blue-900 text-white font-semibold py-2 px-4 rounded"
+        onClick={reportId ? handleDownload : handlePrint}
+        disabled={downloading}
+        className="bg-purple-800 hover:bg-blue-900 text-white font-semibold py-2 px-4 rounded disabled:opacity-50"
       >
-        Export as PDF
+        {downloading ? 'Generating PDF…' : 'Export as PDF'}
       </button>
       <div ref={componentRef} className="hidden print:block text-black mt-4">
         <h2 className="text-xl font-bold mb-2">Visual Bug Report</h2>
@@ -0,0 +1,78 @@
+// components/FindingsList.js
+import React, { useMemo, useState } from 'react';
+import { FINDING_CATEGORIES, FINDING_SEVERITIES, countBySeverity } from '../lib/compare/findings';
+
+export const SEVERITY_BADGE = {
+  critical: 'bg-rose-100 text-rose-700 dark:bg-rose-900/40 dark:text-rose-300',
+  major: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+  minor: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300',
+  info: 'bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300',
+};
+
+const FindingsList = ({ findings = [] }) => {
+  const [severity, setSeverity] = useState('all');
+  const [category, setCategory] = useState('all');
+
+  const counts = useMemo(() => countBySeverity(findings), [findings]);
+  const visible = useMemo(
+    () =>
+      findings.filter(
+        (f) => (severity === 'all' || f.severity === severity) && (category === 'all' || f.category === category)
+      ),
+    [findings, severity, category]
+  );
+
+  if (!findings.length) {
+    return <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">No findings reported.</p>;
+  }
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+        {FINDING_SEVERITIES.map((s) => (
+          <span key={s} className={`px-2.5 py-1 rounded-full font-medium ${SEVERITY_BADGE[s]}`}>
+            {s}: {counts[s]}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-3 text-sm">
+        <select
+          value={severity}
+          onChange={(e) => setSeverity(e.target.value)}
+          className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1"
+        >
+          <option value="all">All severities</option>
+          {FINDING_SEVERITIES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1"
+        >
+          <option value="all">All categories</option>
+          {FINDING_CATEGORIES.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+        {visible.map((f) => (
+          <li key={f.id} className="py-2 flex items-start gap-3">
+            {/* same numbers as the overlays in the diff viewer and the PDF */}
+            <span className="shrink-0 w-6 text-right text-xs text-gray-500 dark:text-gray-400 pt-0.5">#{findings.indexOf(f) + 1}</span>
+            <span className={`shrink-0 px-2 py-0.5 rounded text-xs font-medium ${SEVERITY_BADGE[f.severity] || SEVERITY_BADGE.info}`}>
+              {f.severity}
+            </span>
+            <span className="shrink-0 text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 pt-0.5 w-20">
+              {f.category}
+            </span>
+            <span>{f.description}</span>
+          </li>
+        ))}
+        {!visible.length && <li className="py-2 text-gray-500">No findings match these filters.</li>}
+      </ul>
+    </div>
+  );
+};
+
+export default FindingsList;
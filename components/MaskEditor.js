@@ -0,0 +1,142 @@
+// components/MaskEditor.js
+import React, { useRef, useState } from 'react';
+import { MAX_MASKS } from '../lib/compare/masks';
+
+// Smaller drawn rectangles (image px) are taken as stray clicks
+const MIN_MASK = 4;
+
+const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+const pct = (n) => `${n * 100}%`;
+
+/**
+ * Draw ignore masks over an image: rectangles (in the image's own pixels) around dynamic
+ * content — timestamps, avatars, ads — that comparisons should leave out.
+ * Controlled: `masks` is the current list ({ x, y, width, height, label? }) and
+ * onChange(masks) receives the complete new list.
+ */
+const MaskEditor = ({ src, masks = [], onChange, disabled = false }) => {
+  const [size, setSize] = useState(null); // natural size: { w, h }
+  const [draft, setDraft] = useState(null);
+  const drag = useRef(null);
+
+  if (!src) return null;
+
+  const full = masks.length >= MAX_MASKS;
+  const canDraw = !disabled && !full && !!size;
+
+  // Pointer position in image pixels
+  const toImage = (e, rect) => ({
+    x: clamp((e.clientX - rect.left) / rect.width, 0, 1) * size.w,
+    y: clamp((e.clientY - rect.top) / rect.height, 0, 1) * size.h,
+  });
+
+  const boxFrom = (a, b) => ({
+    x: Math.round(Math.min(a.x, b.x)),
+    y: Math.round(Math.min(a.y, b.y)),
+    width: Math.round(Math.abs(a.x - b.x)),
+    height: Math.round(Math.abs(a.y - b.y)),
+  });
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0 || !canDraw) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    drag.current = { id: e.pointerId, rect, anchor: toImage(e, rect) };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d || d.id !== e.pointerId) return;
+    setDraft(boxFrom(d.anchor, toImage(e, d.rect)));
+  };
+
+  const onPointerUp = (e) => {
+    const d = drag.current;
+    drag.current = null;
+    setDraft(null);
+    if (!d || d.id !== e.pointerId) return;
+    const box = boxFrom(d.anchor, toImage(e, d.rect));
+    if (box.width >= MIN_MASK && box.height >= MIN_MASK) onChange([...masks, box]);
+  };
+
+  const onPointerCancel = () => {
+    drag.current = null;
+    setDraft(null);
+  };
+
+  const rect = (m) =>
+    size ? { left: pct(m.x / size.w), top: pct(m.y / size.h), width: pct(m.width / size.w), height: pct(m.height / size.h) } : { display: 'none' };
+
+  const setLabel = (i, label) => onChange(masks.map((m, j) => (j === i ? { ...m, label } : m)));
+  const remove = (i) => onChange(masks.filter((_, j) => j !== i));
+
+  return (
+    <div className="text-sm">
+      <div
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerCancel}
+        className={`relative rounded border border-gray-300 dark:border-gray-600 bg-white overflow-hidden touch-none select-none ${
+          canDraw ? 'cursor-crosshair' : ''
+        }`}
+      >
+        <img
+          src={src}
+          alt="Image to mask"
+          draggable={false}
+          onLoad={(e) => setSize({ w: e.currentTarget.naturalWidth, h: e.currentTarget.naturalHeight })}
+          className="block w-full"
+        />
+        {masks.map((m, i) => (
+          <div
+            key={i}
+            className="absolute border border-slate-600 bg-slate-500/50 pointer-events-none"
+            style={rect(m)}
+          >
+            <span className="absolute left-0 top-0 px-1 text-[10px] leading-4 font-semibold text-white bg-slate-700">{i + 1}</span>
+          </div>
+        ))}
+        {draft && <div className="absolute border-2 border-dotted border-purple-700 pointer-events-none" style={rect(draft)} />}
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        {full
+          ? `At most ${MAX_MASKS} masks.`
+          : 'Drag on the image to mask an area. Masked areas are blanked on both images before comparing.'}
+      </p>
+
+      {masks.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {masks.map((m, i) => (
+            <li key={i} className="flex items-center gap-2">
+              <span className="w-6 text-right font-semibold">{i + 1}</span>
+              <span className="tabular-nums text-gray-600 dark:text-gray-300">
+                {m.x}, {m.y} · {m.width}×{m.height}
+              </span>
+              <input
+                type="text"
+                value={m.label || ''}
+                onChange={(e) => setLabel(i, e.target.value)}
+                placeholder="Label (optional)"
+                maxLength={60}
+                disabled={disabled}
+                className="flex-1 min-w-0 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-0.5"
+              />
+              <button
+                type="button"
+                onClick={() => remove(i)}
+                disabled={disabled}
+                className="px-2 py-0.5 rounded border border-gray-300 dark:border-gray-600 disabled:opacity-40"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MaskEditor;
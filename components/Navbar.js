@@ -6,6 +6,7 @@ import { auth, db } from "@/lib/firebase/config";
 import { onAuthStateChanged, signOut as fbSignOut } from "firebase/auth";
 import { doc, onSnapshot } from "firebase/firestore";
 import { toast } from "sonner";
+import { ROLE_LABELS, can } from "@/lib/auth/roles";
 
 export default function Navbar({ user: userProp, onSignOut }) {
   const [open, setOpen] = useState(false);
@@ -75,6 +76,10 @@ export default function Navbar({ user: userProp, onSignOut }) {
     return fromFirestore || user?.photoURL || null;
   }, [profileDoc, user]);
 
+  // Team role from the user doc (a copy kept for the UI; the API enforces the real one)
+  const role = profileDoc?.orgId ? profileDoc.orgRole || "viewer" : "owner";
+  const canManageBilling = can(role, "billing:manage");
+
   const handleLogout = async () => {
     try {
       if (onSignOut) {
@@ -221,6 +226,9 @@ export default function Navbar({ user: userProp, onSignOut }) {
                     {user.displayName || user.email}
                   </p>
                   <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{user.email}</p>
+                  {profileDoc?.orgId && (
+                    <p className="text-xs text-purple-700 dark:text-purple-300">Team {ROLE_LABELS[role] || role}</p>
+                  )}
                 </div>
               </div>
 
@@ -255,6 +263,33 @@ export default function Navbar({ user: userProp, onSignOut }) {
                 <span className="text-sm font-medium">Home</span>
               </Link>
 
+              <Link
+                href="/history"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-800 dark:text-gray-200"
+                onClick={() => setOpen(false)}
+              >
+                <span className="inline-block h-2 w-2 rounded-full bg-purple-600" />
+                <span className="text-sm font-medium">History</span>
+              </Link>
+
+              <Link
+                href="/projects"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-800 dark:text-gray-200"
+                onClick={() => setOpen(false)}
+              >
+                <span className="inline-block h-2 w-2 rounded-full bg-purple-600" />
+                <span className="text-sm font-medium">Projects</span>
+              </Link>
+
+              <Link
+                href="/baselines"
+                className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-800 dark:text-gray-200"
+                onClick={() => setOpen(false)}
+              >
+                <span className="inline-block h-2 w-2 rounded-full bg-fuchsia-600" />
+                <span className="text-sm font-medium">Baselines</span>
+              </Link>
+
               <Link
                 href="/profile"
                 className="flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-800 dark:text-gray-200"
@@ -300,17 +335,19 @@ export default function Navbar({ user: userProp, onSignOut }) {
                 <span className="text-sm font-medium">Plans</span>
               </Link>
 
-              {/* NEW: Upgrade plan (opens Stripe Customer Portal with "update" intent) */}
-              <button
-                type="button"
-                onClick={() => openPortal("update")}
-                disabled={busy}
-                aria-disabled={busy}
-                className="mt-1 w-full text-left flex items-center gap-3 px-3 py-2 rounded-lg border border-purple-300/60 dark:border-purple-700/60 bg-purple-50 dark:bg-purple-900/20 hover:bg-purple-100 dark:hover:bg-purple-900/30 text-purple-900 dark:text-purple-200 disabled:opacity-60"
-              >
-                <span className="inline-block h-2 w-2 rounded-full bg-purple-600" />
-                <span className="text-sm font-semibold">Upgrade plan</span>
-              </button>
+              {/* NEW: Upgrade plan (opens Stripe Customer Portal with "update" intent); billing roles only */}
+              {canManageBilling && (
+                <button
+                  type="button"
+                  onClick={() => openPortal("update")}
+                  disabled={busy}
+                  aria-disabled={busy}
+                  className="mt-1 w-full text-left flex items-center gap-3 px-3 py-2 rounded-lg border border-purple-300/60 dark:border-purple-700/60 bg-purple-50 dark:bg-purple-900/20 hover:bg-purple-100 dark:hover:bg-purple-900/30 text-purple-900 dark:text-purple-200 disabled:opacity-60"
+                >
+                  <span className="inline-block h-2 w-2 rounded-full bg-purple-600" />
+                  <span className="text-sm font-semibold">Upgrade plan</span>
+                </button>
+              )}
 
               <button
                 onClick={async () => {
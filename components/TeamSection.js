@@ -0,0 +1,306 @@
+// components/TeamSection.js
+import { useCallback, useState } from "react";
+import { toast } from "sonner";
+import { ROLE_LABELS, can } from "@/lib/auth/roles";
+
+/**
+ * Team workspace card for the accounts page: create a team, accept invites, and,
+ * depending on the caller's role, invite/remove members, change roles and buy a
+ * plan with seats. Members' comparisons draw from the team's pooled quota.
+ *
+ * `team` is the GET /api/orgs response ({ org, invites, me }); `onChange` reloads it.
+ */
+export default function TeamSection({ authUser, plans = [], team: data, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [teamName, setTeamName] = useState("");
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [plan, setPlan] = useState("pro");
+  const [seats, setSeats] = useState(2);
+
+  const api = useCallback(
+    async (url, { method = "GET", body } = {}) => {
+      const token = await authUser.getIdToken();
+      const res = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || `Request failed (${res.status})`);
+      return json;
+    },
+    [authUser]
+  );
+
+  const org = data?.org || null;
+  const role = data?.me?.role;
+  const canManageMembers = can(role, "members:manage");
+  const canManageBilling = can(role, "billing:manage");
+  const assignable = data?.me?.assignableRoles || [];
+  const seatsTaken = org ? org.members.length + org.invites.length : 0;
+  const hasPlan = ["active", "trialing"].includes(org?.subscriptionStatus);
+
+  // Run an action, toast the outcome, then refresh the team
+  async function run(action, success) {
+    try {
+      setBusy(true);
+      await action();
+      if (success) toast.success(success);
+      await onChange?.();
+    } catch (e) {
+      toast.error(e?.message || "Something went wrong.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const createTeam = (e) => {
+    e.preventDefault();
+    run(() => api("/api/orgs", { method: "POST", body: { name: teamName } }), "Team created.");
+  };
+
+  const invite = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api(`/api/orgs/${org.id}/invites`, { method: "POST", body: { email: inviteEmail, role: inviteRole } });
+      setInviteEmail("");
+    }, "Invite sent.");
+  };
+
+  const acceptInvite = (inv) =>
+    run(
+      () => api(`/api/orgs/${inv.orgId}/invites`, { method: "POST", body: { inviteId: inv.id, accept: true } }),
+      `You joined ${inv.orgName}.`
+    );
+
+  const revokeInvite = (inv) =>
+    run(() => api(`/api/orgs/${org.id}/invites?inviteId=${encodeURIComponent(inv.id)}`, { method: "DELETE" }), "Invite revoked.");
+
+  const removeMember = (m) => {
+    const self = m.uid === authUser.uid;
+    if (!window.confirm(self ? `Leave ${org.name}?` : `Remove ${m.email || "this member"} from the team?`)) return;
+    run(
+      () => api(`/api/orgs/${org.id}/members?uid=${encodeURIComponent(m.uid)}`, { method: "DELETE" }),
+      self ? "You left the team." : "Member removed."
+    );
+  };
+
+  const changeRole = (m, nextRole) =>
+    run(
+      () => api(`/api/orgs/${org.id}/members`, { method: "PATCH", body: { uid: m.uid, role: nextRole } }),
+      `${m.email || "Member"} is now ${ROLE_LABELS[nextRole] || nextRole}.`
+    );
+
+  // Team checkout / portal redirect to Stripe
+  const redirectTo = (url, body) =>
+    run(async () => {
+      const { url: next } = await api(url, { method: "POST", body: { ...body, orgId: org.id } });
+      if (!next) throw new Error("Could not reach Stripe.");
+      window.location.href = next;
+    });
+
+  return (
+    <section className="lg:col-span-3 bg-white dark:bg-slate-800 rounded-2xl shadow-sm ring-1 ring-black/5 dark:ring-white/10 p-6">
+      <h2 className="text-xl font-semibold text-slate-900 dark:text-slate-100 mb-1">Team</h2>
+      <p className="text-sm text-slate-600 dark:text-slate-300 mb-5">
+        Share one subscription: every seat adds the plan&apos;s allowance to a pool all members draw from.
+      </p>
+
+      {data?.invites?.length > 0 && (
+        <div className="mb-5 space-y-2">
+          {data.invites.map((inv) => (
+            <div
+              key={inv.id}
+              className="flex items-center justify-between rounded-xl border border-violet-200 dark:border-violet-800 bg-violet-50 dark:bg-violet-950/40 px-4 py-3"
+            >
+              <span className="text-sm text-slate-800 dark:text-slate-100">
+                You&apos;re invited to <strong>{inv.orgName}</strong>
+              </span>
+              <button
+                type="button"
+                disabled={busy || !!org}
+                title={org ? "Leave your current team first" : undefined}
+                onClick={() => acceptInvite(inv)}
+                className="h-9 px-4 rounded-lg bg-[#6c2bd9] text-white text-sm font-medium disabled:opacity-50"
+              >
+                Accept
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!org && (
+        <form onSubmit={createTeam} className="flex flex-col sm:flex-row gap-3">
+          <input
+            value={teamName}
+            onChange={(e) => setTeamName(e.target.value)}
+            placeholder="Team name"
+            className="flex-1 h-11 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-3 text-slate-900 dark:text-slate-100"
+          />
+          <button
+            type="submit"
+            disabled={busy || !teamName.trim()}
+            className="h-11 px-5 rounded-xl bg-[#6c2bd9] text-white font-medium disabled:opacity-50"
+          >
+            Create team
+          </button>
+        </form>
+      )}
+
+      {org && (
+        <div className="grid md:grid-cols-2 gap-6">
+          <div>
+            <div className="text-slate-900 dark:text-slate-100 font-semibold text-lg">{org.name}</div>
+            <div className="text-sm text-slate-600 dark:text-slate-300 mb-4">
+              {hasPlan ? `${org.plan} plan` : "No team plan yet"} · {seatsTaken}/{org.seats} seats used
+              {org.cancelAtPeriodEnd && org.currentPeriodEnd
+                ? ` · ends ${new Date(org.currentPeriodEnd).toLocaleDateString()}`
+                : ""}
+            </div>
+
+            <ul className="divide-y divide-slate-200 dark:divide-slate-700 text-sm">
+              {org.members.map((m) => (
+                <li key={m.uid} className="flex items-center justify-between py-2">
+                  <span className="text-slate-800 dark:text-slate-100">
+                    {m.email || m.uid}
+                    {(m.role === "owner" || !canManageMembers || m.uid === authUser.uid) && (
+                      <span className="ml-2 text-xs text-violet-700 dark:text-violet-300">{ROLE_LABELS[m.role] || m.role}</span>
+                    )}
+                  </span>
+                  <span className="flex items-center gap-3">
+                    {m.role !== "owner" && canManageMembers && m.uid !== authUser.uid && (
+                      <select
+                        value={m.role}
+                        disabled={busy}
+                        onChange={(e) => changeRole(m, e.target.value)}
+                        aria-label={`Role of ${m.email || m.uid}`}
+                        className="h-8 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-2 text-xs text-slate-900 dark:text-slate-100"
+                      >
+                        {assignable.map((r) => (
+                          <option key={r} value={r}>
+                            {ROLE_LABELS[r]}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    {m.role !== "owner" && (canManageMembers || m.uid === authUser.uid) && (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => removeMember(m)}
+                        className="text-rose-600 dark:text-rose-400 hover:underline disabled:opacity-50"
+                      >
+                        {m.uid === authUser.uid ? "Leave" : "Remove"}
+                      </button>
+                    )}
+                  </span>
+                </li>
+              ))}
+              {org.invites.map((inv) => (
+                <li key={inv.id} className="flex items-center justify-between py-2">
+                  <span className="text-slate-500 dark:text-slate-400">
+                    {inv.email} (invited as {ROLE_LABELS[inv.role] || inv.role})
+                  </span>
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => revokeInvite(inv)}
+                    className="text-slate-600 dark:text-slate-300 hover:underline disabled:opacity-50"
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {canManageMembers && (
+            <div className="space-y-5">
+              <form onSubmit={invite} className="flex gap-3">
+                <input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="teammate@company.com"
+                  className="flex-1 h-11 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-3 text-slate-900 dark:text-slate-100"
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  aria-label="Role"
+                  className="h-11 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-2 text-slate-900 dark:text-slate-100"
+                >
+                  {assignable.map((r) => (
+                    <option key={r} value={r}>
+                      {ROLE_LABELS[r]}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={busy || !inviteEmail.trim() || seatsTaken >= org.seats}
+                  title={seatsTaken >= org.seats ? "All seats are taken" : undefined}
+                  className="h-11 px-5 rounded-xl bg-[#6c2bd9] text-white font-medium disabled:opacity-50"
+                >
+                  Invite
+                </button>
+              </form>
+
+              {!canManageBilling ? null : hasPlan ? (
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => redirectTo("/api/billing/portal", { intent: "update" })}
+                  className="w-full h-11 rounded-xl border border-violet-300 dark:border-violet-700 text-violet-800 dark:text-violet-200 font-medium hover:bg-violet-50 dark:hover:bg-violet-900/30 disabled:opacity-50 transition"
+                >
+                  Manage team plan &amp; seats
+                </button>
+              ) : (
+                <div className="flex flex-wrap gap-3 items-end">
+                  <label className="text-sm text-slate-600 dark:text-slate-300">
+                    Plan
+                    <select
+                      value={plan}
+                      onChange={(e) => setPlan(e.target.value)}
+                      className="block mt-1 h-11 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-3 text-slate-900 dark:text-slate-100"
+                    >
+                      {plans.map((p) => (
+                        <option key={p.slug} value={p.slug}>
+                          {p.name} · ${(p.price.amount / 100).toFixed(2)}/seat
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="text-sm text-slate-600 dark:text-slate-300">
+                    Seats
+                    <input
+                      type="number"
+                      min={Math.max(org.members.length, 1)}
+                      max={100}
+                      value={seats}
+                      onChange={(e) => setSeats(Number(e.target.value))}
+                      className="block mt-1 w-24 h-11 rounded-xl border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 px-3 text-slate-900 dark:text-slate-100"
+                    />
+                  </label>
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => redirectTo("/api/checkout", { plan, seats })}
+                    className="h-11 px-5 rounded-xl bg-[#6c2bd9] text-white font-medium disabled:opacity-50"
+                  >
+                    Buy team plan
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
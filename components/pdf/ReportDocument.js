@@ -0,0 +1,249 @@
+// components/pdf/ReportDocument.js
+import React from 'react';
+import { Document, Image, Page, StyleSheet, Text, View } from '@react-pdf/renderer';
+import { FINDING_SEVERITIES, findingRegions } from '../../lib/compare/findings';
+import { formatImageInfo } from '../../lib/compare/imageInfo';
+
+// Rendered on the server by lib/reports/pdf.js (@react-pdf/renderer primitives, not DOM)
+
+const BRAND = '#6c2bd9';
+
+// A4 width minus the page padding, in points
+const CONTENT_WIDTH = 595.28 - 72;
+const FIGURE_WIDTH = CONTENT_WIDTH * 0.49;
+const IMAGE_MAX_HEIGHT = 300;
+const WIDE_IMAGE_MAX_HEIGHT = 420;
+
+// Outline colors of finding boxes (the web viewer uses the same)
+const REGION_COLORS = { critical: '#e11d48', major: '#d97706', minor: '#2563eb', info: '#64748b' };
+
+const SEVERITY_COLORS = {
+  critical: { color: '#be123c', backgroundColor: '#ffe4e6' },
+  major: { color: '#92400e', backgroundColor: '#fef3c7' },
+  minor: { color: '#1d4ed8', backgroundColor: '#dbeafe' },
+  info: { color: '#334155', backgroundColor: '#e2e8f0' },
+};
+
+const styles = StyleSheet.create({
+  page: { paddingTop: 64, paddingBottom: 48, paddingHorizontal: 36, fontSize: 9, color: '#0f172a', fontFamily: 'Helvetica' },
+  header: {
+    position: 'absolute', top: 0, left: 0, right: 0, height: 40, paddingHorizontal: 36,
+    flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: BRAND, color: '#ffffff',
+  },
+  brand: { fontSize: 14, fontFamily: 'Helvetica-Bold' },
+  footer: {
+    position: 'absolute', bottom: 20, left: 36, right: 36,
+    flexDirection: 'row', justifyContent: 'space-between', fontSize: 8, color: '#64748b',
+  },
+  title: { fontSize: 18, fontFamily: 'Helvetica-Bold', color: BRAND, marginBottom: 6 },
+  summary: { fontSize: 10, lineHeight: 1.4, marginBottom: 12 },
+  sectionTitle: { fontSize: 12, fontFamily: 'Helvetica-Bold', marginTop: 14, marginBottom: 6 },
+  meta: { borderWidth: 1, borderColor: '#e2e8f0', borderRadius: 4 },
+  metaRow: { flexDirection: 'row', borderBottomWidth: 1, borderBottomColor: '#e2e8f0' },
+  metaKey: { width: 110, padding: 4, backgroundColor: '#f8fafc', fontFamily: 'Helvetica-Bold' },
+  metaValue: { flex: 1, padding: 4 },
+  counts: { flexDirection: 'row', marginTop: 8 },
+  pill: { paddingVertical: 2, paddingHorizontal: 6, borderRadius: 8, marginRight: 6, fontSize: 8, fontFamily: 'Helvetica-Bold' },
+  images: { flexDirection: 'row', justifyContent: 'space-between' },
+  figure: { width: '49%' },
+  figureWide: { width: '100%', marginTop: 10 },
+  caption: { fontFamily: 'Helvetica-Bold', marginBottom: 4 },
+  frame: { position: 'relative', borderWidth: 1, borderColor: '#cbd5e1', overflow: 'hidden' },
+  box: { position: 'absolute', borderWidth: 1.2 },
+  mask: { position: 'absolute', borderWidth: 0.6, borderColor: '#475569', backgroundColor: '#94a3b8', opacity: 0.6 },
+  boxLabel: { position: 'absolute', top: 0, left: 0, paddingHorizontal: 2, fontSize: 6, fontFamily: 'Helvetica-Bold', color: '#ffffff' },
+  missing: { height: 80, borderWidth: 1, borderColor: '#cbd5e1', borderStyle: 'dashed', justifyContent: 'center', alignItems: 'center', color: '#64748b' },
+  table: { borderWidth: 1, borderColor: '#e2e8f0' },
+  row: { flexDirection: 'row', borderBottomWidth: 1, borderBottomColor: '#e2e8f0' },
+  headRow: { flexDirection: 'row', backgroundColor: '#f1f5f9', fontFamily: 'Helvetica-Bold' },
+  cellId: { width: 24, padding: 4 },
+  cellSeverity: { width: 62, padding: 4 },
+  cellCategory: { width: 62, padding: 4 },
+  cellDescription: { flex: 1, padding: 4 },
+  cellRegion: { width: 96, padding: 4 },
+});
+
+const formatBytes = (n) => (typeof n === 'number' ? `${(n / 1024).toFixed(n < 1024 * 100 ? 1 : 0)} KB` : null);
+const formatDate = (ms) => (ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '—');
+
+function fileMeta(input) {
+  if (!input) return '—';
+  return [input.fileName, input.mimetype, formatBytes(input.size), formatImageInfo(input)].filter(Boolean).join(' · ') || '—';
+}
+
+function describeNormalization(n) {
+  if (!n) return '—';
+  if (!n.applied) return 'Not needed';
+  const parts = [n.scale !== 1 ? `×${n.scale}${n.pixelRatio ? ` (${n.pixelRatio}x pixel ratio)` : ''}` : null];
+  const cut = ['top', 'left', 'right'].filter((side) => n.crop[side] > 0);
+  if (cut.length) parts.push(`cropped ${cut.map((side) => `${n.crop[side]}px ${side}`).join(', ')}`);
+  return parts.filter(Boolean).join(' · ') || `offset ${n.offset.x}, ${n.offset.y}px`;
+}
+
+function describeBoxes(finding) {
+  const [box, ...more] = findingRegions(finding);
+  if (!box) return '—';
+  return `${box.x}, ${box.y} · ${box.width}×${box.height}${more.length ? ` (+${more.length})` : ''}`;
+}
+
+/** Numbered finding boxes over an image drawn at `scale` points per image pixel. */
+function Overlays({ findings, scale }) {
+  return findings.flatMap((f, i) =>
+    findingRegions(f).map((box, j) => {
+      const color = REGION_COLORS[f.severity] || REGION_COLORS.info;
+      return (
+        <View
+          key={`${f.id || i}-${j}`}
+          style={[
+            styles.box,
+            {
+              left: box.x * scale,
+              top: box.y * scale,
+              width: box.width * scale,
+              height: box.height * scale,
+              borderColor: color,
+              borderStyle: box.source === 'manual' ? 'dotted' : box.source === 'diff' ? 'dashed' : 'solid',
+            },
+          ]}
+        >
+          <Text style={[styles.boxLabel, { backgroundColor: color }]}>{i + 1}</Text>
+        </View>
+      );
+    })
+  );
+}
+
+/** Ignore masks (left out of the analysis) over an image drawn at `scale` points per image pixel. */
+function Masks({ masks, scale }) {
+  return masks.map((m, i) => (
+    <View
+      key={`mask-${i}`}
+      style={[styles.mask, { left: m.x * scale, top: m.y * scale, width: m.width * scale, height: m.height * scale }]}
+    />
+  ));
+}
+
+function Figure({ label, image, findings = [], masks = [], wide = false }) {
+  // explicit size, so the overlays line up with the image
+  let width = wide ? CONTENT_WIDTH : FIGURE_WIDTH;
+  let height = 0;
+  if (image) {
+    height = (width * image.height) / image.width;
+    const maxHeight = wide ? WIDE_IMAGE_MAX_HEIGHT : IMAGE_MAX_HEIGHT;
+    if (height > maxHeight) {
+      width = (width * maxHeight) / height;
+      height = maxHeight;
+    }
+  }
+  return (
+    <View style={wide ? styles.figureWide : styles.figure} wrap={false}>
+      <Text style={styles.caption}>{label}</Text>
+      {image ? (
+        <View style={[styles.frame, { width: width + 2, height: height + 2 }]}>
+          <Image src={image} style={{ width, height }} />
+          <Masks masks={masks} scale={width / image.width} />
+          <Overlays findings={findings} scale={width / image.width} />
+        </View>
+      ) : (
+        <View style={styles.missing}>
+          <Text>Not available</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+/**
+ * The PDF version of a saved report.
+ * report: full serialized report (lib/reports/store.js); images: { design, dev, diff }
+ * as { data: Buffer, format: 'png' | 'jpg', width, height } (source pixels) or null.
+ * Finding boxes are drawn on every image, numbered like the findings table; ignore masks
+ * are shaded gray.
+ */
+export default function ReportDocument({ report, images = {} }) {
+  const findings = report.findings || [];
+  const counts = report.severityCounts || {};
+  const masks = report.masks || [];
+  const meta = [
+    ['Report ID', report.rid],
+    ['Created', formatDate(report.createdAt)],
+    ['Plan', report.plan || '—'],
+    ['Model', report.model || '—'],
+    ['Design', report.baseline ? `${fileMeta(report.inputs?.design)} (baseline ${report.baseline.name} v${report.baseline.version})` : fileMeta(report.inputs?.design)],
+    ['Development', fileMeta(report.inputs?.dev)],
+    ['Normalization', describeNormalization(report.normalization)],
+    ['Ignored areas', masks.length ? String(masks.length) : 'None'],
+    ['Pixel mismatch', typeof report.mismatchPercent === 'number' ? `${report.mismatchPercent}%` : '—'],
+    ['Result', report.passed ? 'Passed' : `Failed (worst finding: ${report.maxSeverity})`],
+  ];
+
+  return (
+    <Document title={`PixelProof report ${report.rid}`} author="PixelProof" subject="Visual QA report">
+      <Page size="A4" style={styles.page}>
+        <View style={styles.header} fixed>
+          <Text style={styles.brand}>PixelProof</Text>
+          <Text>Visual QA report</Text>
+        </View>
+
+        <Text style={styles.title}>Visual Bug Report</Text>
+        {report.summary ? <Text style={styles.summary}>{report.summary}</Text> : null}
+
+        <View style={styles.meta}>
+          {meta.map(([key, value]) => (
+            <View key={key} style={styles.metaRow}>
+              <Text style={styles.metaKey}>{key}</Text>
+              <Text style={styles.metaValue}>{value}</Text>
+            </View>
+          ))}
+        </View>
+        <View style={styles.counts}>
+          {FINDING_SEVERITIES.map((s) => (
+            <Text key={s} style={[styles.pill, SEVERITY_COLORS[s]]}>
+              {s}: {counts[s] || 0}
+            </Text>
+          ))}
+        </View>
+
+        <Text style={styles.sectionTitle}>Screenshots</Text>
+        <View style={styles.images}>
+          <Figure label="Design" image={images.design} findings={findings} masks={masks} />
+          <Figure label="Development" image={images.dev} findings={findings} masks={masks} />
+        </View>
+        <Figure label="Diff overlay" image={images.diff} findings={findings} masks={masks} wide />
+
+        <Text style={styles.sectionTitle} break={findings.length > 0}>
+          Findings ({findings.length})
+        </Text>
+        {findings.length ? (
+          <View style={styles.table}>
+            <View style={styles.headRow} fixed>
+              <Text style={styles.cellId}>#</Text>
+              <Text style={styles.cellSeverity}>Severity</Text>
+              <Text style={styles.cellCategory}>Category</Text>
+              <Text style={styles.cellDescription}>Description</Text>
+              <Text style={styles.cellRegion}>Region (px)</Text>
+            </View>
+            {findings.map((f, i) => (
+              <View key={f.id || i} style={styles.row} wrap={false}>
+                <Text style={styles.cellId}>{i + 1}</Text>
+                <View style={styles.cellSeverity}>
+                  <Text style={[styles.pill, SEVERITY_COLORS[f.severity] || SEVERITY_COLORS.info]}>{f.severity}</Text>
+                </View>
+                <Text style={styles.cellCategory}>{f.category}</Text>
+                <Text style={styles.cellDescription}>{f.description}</Text>
+                <Text style={styles.cellRegion}>{describeBoxes(f)}</Text>
+              </View>
+            ))}
+          </View>
+        ) : (
+          <Text>No findings reported.</Text>
+        )}
+
+        <View style={styles.footer} fixed>
+          <Text>PixelProof · {report.rid}</Text>
+          <Text render={({ pageNumber, totalPages }) => `Page ${pageNumber} of ${totalPages}`} />
+        </View>
+      </Page>
+    </Document>
+  );
+}
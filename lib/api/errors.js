@@ -0,0 +1,67 @@
+// lib/api/errors.js
+
+/**
+ * Error codes of the public API (/api/v1) and the HTTP status each is sent with.
+ * Every error response is the envelope /api/compare has always used:
+ *   { error: 'Human readable message', error_code: 'NOT_FOUND', rid: 'req_…' }
+ * The OpenAPI document (lib/api/openapi.js) is generated from this table, so a new
+ * code only needs to be added here.
+ */
+export const ERROR_STATUS = Object.freeze({
+  BAD_REQUEST: 400,
+  BAD_MULTIPART: 400,
+  BAD_IMAGE: 400,
+  IMAGE_TOO_SMALL: 400,
+  IMAGE_TOO_LARGE: 400,
+  MISSING_IMAGES: 400,
+  NO_AUTH: 401,
+  BAD_TOKEN: 401,
+  FORBIDDEN: 403,
+  NO_PLAN: 403,
+  NOT_FOUND: 404,
+  SCREEN_NOT_FOUND: 404,
+  BASELINE_NOT_FOUND: 404,
+  BAD_METHOD: 405,
+  CONFLICT: 409,
+  NO_APPROVED_BASELINE: 409,
+  NO_APPROVED_VERSION: 409,
+  LIMIT_EXCEEDED: 429,
+  SERVER_ERROR: 500,
+  CONFIG: 500,
+  FILE_READ_ERROR: 500,
+  JOB_ERROR: 500,
+  DIFF_ERROR: 500,
+  OPENAI_ERROR: 502,
+  OPENAI_EMPTY: 502,
+  OPENAI_BAD_SCHEMA: 502,
+});
+
+export const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+/** Correlation id for one request; also sent back as X-Request-Id. */
+export function newRid(prefix = 'req') {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Error with an API code; its status comes from ERROR_STATUS. */
+export function apiError(code, message, details) {
+  const e = new Error(message);
+  e.code = code;
+  if (details) e.details = details;
+  return e;
+}
+
+/** Status for an error thrown by a store or helper (unknown codes are server errors). */
+export function statusForError(e) {
+  return ERROR_STATUS[e?.code] || 500;
+}
+
+/** Send the error envelope. */
+export function sendError(res, rid, code, message, details) {
+  return res.status(ERROR_STATUS[code] || 500).json({
+    error: message,
+    error_code: code,
+    ...(details ? { details } : {}),
+    rid,
+  });
+}
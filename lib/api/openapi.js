@@ -0,0 +1,588 @@
+// lib/api/openapi.js
+import { ERROR_CODES, ERROR_STATUS } from '@/lib/api/errors';
+import { API_KEY_SCOPES } from '@/lib/auth/roles';
+import { FINDING_CATEGORIES, FINDING_SEVERITIES, REGION_SOURCES } from '@/lib/compare/findings';
+import { MAX_MASKS } from '@/lib/compare/masks';
+import { QUOTA_MODES } from '@/lib/billing/limit';
+import { DEFAULT_FAIL_ON, EXPORT_FORMATS } from '@/lib/reports/export';
+
+/**
+ * OpenAPI 3 document of /api/v1, served by GET /api/v1/openapi.
+ * Operations are listed once below; their error responses, the error envelope and the
+ * list of codes are generated from lib/api/errors.js so the document can't drift from
+ * what the routes send.
+ */
+
+export const API_VERSION = '1.0.0';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const millis = { type: 'integer', format: 'int64', description: 'Unix time in milliseconds' };
+const idParam = (description) => ({ name: 'id', in: 'path', required: true, description, schema: { type: 'string' } });
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'error_code', 'rid'],
+    properties: {
+      error: { type: 'string', description: 'Human readable message' },
+      error_code: { type: 'string', enum: ERROR_CODES },
+      details: { description: 'Extra context for some codes (e.g. validation errors)' },
+      rid: { type: 'string', description: 'Request id, also sent as the X-Request-Id header' },
+    },
+  },
+  Region: nullable({
+    type: 'object',
+    properties: { x: { type: 'integer' }, y: { type: 'integer' }, width: { type: 'integer' }, height: { type: 'integer' } },
+  }),
+  Mask: {
+    type: 'object',
+    description: 'Area blanked on both images before analysis, in design image pixels',
+    required: ['x', 'y', 'width', 'height'],
+    properties: {
+      x: { type: 'integer', minimum: 0 },
+      y: { type: 'integer', minimum: 0 },
+      width: { type: 'integer', minimum: 1 },
+      height: { type: 'integer', minimum: 1 },
+      label: { type: 'string', maxLength: 60 },
+      source: { type: 'string', enum: ['baseline', 'screen', 'request'], readOnly: true },
+    },
+  },
+  Finding: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'f1' },
+      category: { type: 'string', enum: FINDING_CATEGORIES },
+      severity: { type: 'string', enum: FINDING_SEVERITIES },
+      description: { type: 'string' },
+      region: { allOf: [ref('Region')], description: 'First of `regions` (kept for older clients)' },
+      regions: {
+        type: 'array',
+        description: 'Boxes in design image pixels (the development screenshot is normalized onto them)',
+        items: {
+          type: 'object',
+          properties: {
+            x: { type: 'integer' },
+            y: { type: 'integer' },
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            source: { type: 'string', enum: REGION_SOURCES, description: 'Vision model, pixel diff or a reviewer' },
+          },
+        },
+      },
+    },
+  },
+  SeverityCounts: {
+    type: 'object',
+    properties: Object.fromEntries(FINDING_SEVERITIES.map((s) => [s, { type: 'integer' }])),
+  },
+  Diff: nullable({
+    type: 'object',
+    properties: {
+      mismatchPercent: { type: 'number' },
+      mismatchedPixels: { type: 'integer' },
+      totalPixels: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      sizeMismatch: { type: 'boolean' },
+      diffImage: nullable({ type: 'string', description: 'PNG heatmap (data URL or signed URL)' }),
+    },
+  }),
+  InputImage: {
+    type: 'object',
+    description: 'An input image as uploaded, from its decoded header',
+    properties: {
+      fileName: nullable({ type: 'string' }),
+      mimetype: { type: 'string' },
+      size: { type: 'integer', description: 'Bytes' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      format: nullable({ type: 'string' }),
+      pixelRatio: nullable({ type: 'number', description: 'From the embedded density (144 DPI is 2)' }),
+      density: nullable({ type: 'number', description: 'DPI' }),
+      space: nullable({ type: 'string', description: 'Color space, e.g. srgb' }),
+      colorProfile: nullable({ type: 'string', description: 'Embedded ICC profile description' }),
+      hasAlpha: { type: 'boolean' },
+    },
+  },
+  Normalization: nullable({
+    type: 'object',
+    description: 'How the development screenshot was mapped onto the design: x = u * scale + offset.x, y = v * scale + offset.y',
+    properties: {
+      applied: { type: 'boolean', description: 'False when the screenshot already matched the design' },
+      method: {
+        type: 'string',
+        enum: ['width-scale+translation'],
+        description:
+          'One scale from the image widths and one translation for the whole page, not feature matching: reflowed layouts or independently moved sections stay unaligned',
+      },
+      scale: { type: 'number', description: 'Development to design pixels' },
+      pixelRatio: nullable({ type: 'number', description: 'Device pixel ratio (development / design) the widths matched' }),
+      offset: { type: 'object', properties: { x: { type: 'integer' }, y: { type: 'integer' } }, description: 'Design pixels' },
+      crop: {
+        type: 'object',
+        description: 'Development pixels cut away, e.g. browser chrome',
+        properties: { top: { type: 'integer' }, left: { type: 'integer' }, right: { type: 'integer' } },
+      },
+      meanDifference: {
+        type: 'object',
+        description: 'Mean grayscale difference (0-255) before and after alignment',
+        properties: { unaligned: nullable({ type: 'number' }), aligned: nullable({ type: 'number' }) },
+      },
+      source: { type: 'object', description: 'Uploaded sizes: { design: { width, height }, dev: { width, height } }' },
+    },
+  }),
+  Comparison: {
+    type: 'object',
+    properties: {
+      rid: { type: 'string' },
+      reportId: nullable({ type: 'string' }),
+      summary: { type: 'string' },
+      findings: { type: 'array', items: ref('Finding') },
+      result: { type: 'string', description: 'Markdown QA report' },
+      diff: ref('Diff'),
+      masks: { type: 'array', items: ref('Mask'), description: 'Masks blanked before the analysis, from the baseline, screen and request' },
+      normalization: ref('Normalization'),
+      inputs: { type: 'object', properties: { design: ref('InputImage'), dev: ref('InputImage') } },
+      model: { type: 'string' },
+      plan: { type: 'string' },
+      baseline: nullable({ type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, version: { type: 'integer' } } }),
+    },
+  },
+  ComparisonQueued: {
+    type: 'object',
+    properties: { jobId: { type: 'string' }, status: { type: 'string', enum: ['queued'] }, rid: { type: 'string' } },
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      kind: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+      meta: { type: 'object' },
+      error: nullable({ type: 'object', properties: { error: { type: 'string' }, error_code: { type: 'string' } } }),
+      result: nullable({ allOf: [ref('Comparison')] }),
+      createdAt: nullable(millis),
+      startedAt: nullable(millis),
+      finishedAt: nullable(millis),
+    },
+  },
+  Report: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      rid: { type: 'string' },
+      uid: nullable({ type: 'string' }),
+      plan: nullable({ type: 'string' }),
+      model: nullable({ type: 'string' }),
+      status: { type: 'string' },
+      fileNames: { type: 'object', properties: { design: nullable({ type: 'string' }), dev: nullable({ type: 'string' }) } },
+      summary: { type: 'string' },
+      severityCounts: ref('SeverityCounts'),
+      maxSeverity: nullable({ type: 'string', enum: FINDING_SEVERITIES }),
+      passed: { type: 'boolean' },
+      projectId: nullable({ type: 'string' }),
+      screenId: nullable({ type: 'string' }),
+      findingsCount: { type: 'integer' },
+      mismatchPercent: nullable({ type: 'number' }),
+      createdAt: nullable(millis),
+      completedAt: nullable(millis),
+    },
+  },
+  ReportDetail: {
+    allOf: [
+      ref('Report'),
+      {
+        type: 'object',
+        properties: {
+          inputs: { type: 'object', properties: { design: ref('InputImage'), dev: ref('InputImage') } },
+          findings: { type: 'array', items: ref('Finding') },
+          result: { type: 'string' },
+          diff: ref('Diff'),
+          masks: { type: 'array', items: ref('Mask') },
+          normalization: ref('Normalization'),
+          baseline: nullable({ type: 'object' }),
+          imageUrls: { type: 'object', additionalProperties: nullable({ type: 'string' }) },
+        },
+      },
+    ],
+  },
+  Baseline: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      orgId: nullable({ type: 'string', description: "Team the baseline is shared with (null: the caller's own)" }),
+      latestVersion: { type: 'integer' },
+      approvedVersion: nullable({ type: 'integer' }),
+      masks: { type: 'array', items: ref('Mask') },
+      createdAt: nullable(millis),
+      updatedAt: nullable(millis),
+    },
+  },
+  BaselineVersion: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer' },
+      status: { type: 'string' },
+      source: { type: 'string' },
+      sourceReportId: nullable({ type: 'string' }),
+      fileName: nullable({ type: 'string' }),
+      createdAt: nullable(millis),
+      approvedAt: nullable(millis),
+      imageUrl: nullable({ type: 'string' }),
+    },
+  },
+  BaselineDetail: {
+    allOf: [ref('Baseline'), { type: 'object', properties: { versions: { type: 'array', items: ref('BaselineVersion') } } }],
+  },
+  BaselineVersionRef: {
+    type: 'object',
+    properties: { id: { type: 'string' }, version: { type: 'integer' } },
+  },
+  Usage: {
+    type: 'object',
+    properties: {
+      plan: nullable({ type: 'string' }),
+      mode: { type: 'string', enum: QUOTA_MODES },
+      limit: nullable({ type: 'integer', description: 'null when the plan has no cap' }),
+      used: { type: 'integer' },
+      remaining: nullable({ type: 'integer' }),
+      resetAt: nullable(millis),
+      timeZone: { type: 'string' },
+      day: { type: 'string', format: 'date' },
+      credits: { type: 'integer', description: 'Prepaid credits, spent once remaining reaches 0' },
+      team: nullable({ type: 'object', properties: { orgId: { type: 'string' }, seats: { type: 'integer' } } }),
+      history: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: Object.fromEntries(
+            ['used', 'creditsUsed', 'attempts', 'succeeded', 'failed'].map((k) => [k, { type: 'integer' }]).concat([['day', { type: 'string', format: 'date' }]])
+          ),
+        },
+      },
+    },
+  },
+};
+
+const multipart = (properties, required = []) => ({
+  required: true,
+  content: { 'multipart/form-data': { schema: { type: 'object', required, properties } } },
+});
+const json = (properties, required = []) => ({
+  required: true,
+  content: { 'application/json': { schema: { type: 'object', required, properties } } },
+});
+const binary = { type: 'string', format: 'binary' };
+
+/**
+ * Every v1 operation. `permission` is what the caller's role (and an API key's scopes)
+ * must allow; `errors` are the codes the route itself can answer with (auth, method and
+ * server errors are added to every operation).
+ */
+const OPERATIONS = [
+  {
+    method: 'post',
+    path: '/comparisons',
+    operationId: 'createComparison',
+    tag: 'Comparisons',
+    summary: 'Compare a design (or an approved baseline) with a development screenshot',
+    permission: 'comparisons:run',
+    parameters: [
+      queryParam('async', 'Queue the comparison and answer 202 with a job id', { type: 'boolean' }),
+      queryParam('stream', 'Stream the report as server-sent events', { type: 'boolean' }),
+    ],
+    requestBody: multipart(
+      {
+        image1: { ...binary, description: 'Design image (omit when using baselineId)' },
+        image2: { ...binary, description: 'Development screenshot' },
+        baselineId: { type: 'string' },
+        projectId: { type: 'string' },
+        screenId: { type: 'string' },
+        masks: {
+          type: 'string',
+          description: `JSON array of up to ${MAX_MASKS} Mask objects to blank on both images, on top of the baseline's and screen's`,
+        },
+        saveMasks: {
+          type: 'string',
+          enum: ['true', 'false'],
+          default: 'false',
+          description: "With projectId/screenId: store `masks` as the screen's masks for future runs",
+        },
+        normalize: {
+          type: 'string',
+          enum: ['true', 'false'],
+          default: 'true',
+          description: 'Scale the development screenshot to the design (device pixel ratio) and align it (browser chrome, offsets)',
+        },
+      },
+      ['image2']
+    ),
+    responses: {
+      200: { description: 'Finished comparison', schema: ref('Comparison') },
+      202: { description: 'Queued (async=1)', schema: ref('ComparisonQueued') },
+    },
+    errors: [
+      'BAD_REQUEST', 'BAD_MULTIPART', 'BAD_IMAGE', 'IMAGE_TOO_SMALL', 'IMAGE_TOO_LARGE', 'MISSING_IMAGES', 'NO_PLAN',
+      'SCREEN_NOT_FOUND', 'BASELINE_NOT_FOUND', 'NO_APPROVED_BASELINE', 'LIMIT_EXCEEDED', 'CONFIG', 'FILE_READ_ERROR',
+      'JOB_ERROR', 'DIFF_ERROR', 'OPENAI_ERROR', 'OPENAI_EMPTY', 'OPENAI_BAD_SCHEMA',
+    ],
+  },
+  {
+    method: 'get',
+    path: '/comparisons/{id}',
+    operationId: 'getComparison',
+    tag: 'Comparisons',
+    summary: 'Status and result of a queued comparison',
+    permission: 'comparisons:run',
+    parameters: [idParam('Job id returned by createComparison')],
+    responses: { 200: { description: 'The job', schema: { type: 'object', properties: { job: ref('Job') } } } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/reports',
+    operationId: 'listReports',
+    tag: 'Reports',
+    summary: 'Saved reports, newest first',
+    permission: 'reports:read',
+    parameters: [
+      queryParam('q', 'Search in request ids, summaries, file names and findings'),
+      queryParam('from', 'Created at or after (Unix ms)', millis),
+      queryParam('to', 'Created at or before (Unix ms)', millis),
+      queryParam('severity', 'Only reports with at least one finding of this severity', { type: 'string', enum: FINDING_SEVERITIES }),
+      queryParam('projectId', 'Reports of one project (team projects include every member\'s)'),
+      queryParam('screenId', 'Reports of one screen'),
+      queryParam('limit', 'Maximum number of reports', { type: 'integer', minimum: 1, maximum: 200, default: 50 }),
+      queryParam('cursor', 'nextCursor of the previous page'),
+    ],
+    responses: {
+      200: {
+        description: 'Reports; nextCursor is set when more may match (search reads a bounded number of reports per call)',
+        schema: {
+          type: 'object',
+          properties: { reports: { type: 'array', items: ref('Report') }, nextCursor: nullable({ type: 'string' }) },
+        },
+      },
+    },
+    errors: ['BAD_REQUEST', 'FORBIDDEN', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/reports/{id}',
+    operationId: 'getReport',
+    tag: 'Reports',
+    summary: 'One report with its findings and signed image URLs',
+    permission: 'reports:read',
+    parameters: [idParam('Report id')],
+    responses: { 200: { description: 'The report', schema: { type: 'object', properties: { report: ref('ReportDetail') } } } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/reports/{id}/export',
+    operationId: 'exportReport',
+    tag: 'Reports',
+    summary: 'Download a report as JUnit XML (one testcase, a failure per finding) or SARIF (a result per finding)',
+    permission: 'reports:read',
+    parameters: [
+      idParam('Report id'),
+      { name: 'format', in: 'query', required: true, schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS) } },
+      queryParam('failOn', 'JUnit: findings this severe or worse are failures', { type: 'string', enum: FINDING_SEVERITIES, default: DEFAULT_FAIL_ON }),
+    ],
+    responses: {
+      200: {
+        description: 'The export, as an attachment',
+        content: Object.fromEntries(
+          Object.values(EXPORT_FORMATS).map((f) => [f.contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } }])
+        ),
+      },
+    },
+    errors: ['BAD_REQUEST', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/reports/{id}/pdf',
+    operationId: 'getReportPdf',
+    tag: 'Reports',
+    summary: 'Download a report as a PDF with its screenshots, diff overlay and findings',
+    permission: 'reports:read',
+    parameters: [idParam('Report id')],
+    responses: { 200: { description: 'The PDF, as an attachment', content: { 'application/pdf': { schema: binary } } } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/baselines',
+    operationId: 'listBaselines',
+    tag: 'Baselines',
+    summary: 'Your baselines, most recently updated first',
+    permission: 'reports:read',
+    responses: { 200: { description: 'Baselines', schema: { type: 'object', properties: { baselines: { type: 'array', items: ref('Baseline') } } } } },
+    errors: [],
+  },
+  {
+    method: 'post',
+    path: '/baselines',
+    operationId: 'createBaseline',
+    tag: 'Baselines',
+    summary: 'Create a baseline from a design image',
+    permission: 'baselines:manage',
+    requestBody: multipart(
+      { name: { type: 'string' }, image: binary, approve: { type: 'string', enum: ['true', 'false'], default: 'true' } },
+      ['name', 'image']
+    ),
+    responses: { 201: { description: 'Created', schema: ref('BaselineVersionRef') } },
+    errors: ['BAD_REQUEST', 'BAD_MULTIPART', 'BAD_IMAGE', 'MISSING_IMAGES'],
+  },
+  {
+    method: 'get',
+    path: '/baselines/{id}',
+    operationId: 'getBaseline',
+    tag: 'Baselines',
+    summary: 'A baseline with all its versions',
+    permission: 'reports:read',
+    parameters: [idParam('Baseline id')],
+    responses: { 200: { description: 'The baseline', schema: { type: 'object', properties: { baseline: ref('BaselineDetail') } } } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'post',
+    path: '/baselines/{id}',
+    operationId: 'addBaselineVersion',
+    tag: 'Baselines',
+    summary: 'Upload a new design version',
+    permission: 'baselines:manage',
+    parameters: [idParam('Baseline id')],
+    requestBody: multipart({ image: binary, approve: { type: 'string', enum: ['true', 'false'], default: 'false' } }, ['image']),
+    responses: { 201: { description: 'Added', schema: ref('BaselineVersionRef') } },
+    errors: ['NOT_FOUND', 'BAD_MULTIPART', 'BAD_IMAGE', 'MISSING_IMAGES'],
+  },
+  {
+    method: 'post',
+    path: '/baselines/{id}/approve',
+    operationId: 'approveBaselineVersion',
+    tag: 'Baselines',
+    summary: 'Approve a version; comparisons against the baseline use it from now on',
+    permission: 'baselines:manage',
+    parameters: [idParam('Baseline id')],
+    requestBody: json({ version: { type: 'integer', minimum: 1 } }, ['version']),
+    responses: { 200: { description: 'Approved', schema: ref('BaselineVersionRef') } },
+    errors: ['BAD_REQUEST', 'NOT_FOUND'],
+  },
+  {
+    method: 'put',
+    path: '/baselines/{id}/masks',
+    operationId: 'setBaselineMasks',
+    tag: 'Baselines',
+    summary: 'Replace the ignore masks applied to every comparison against this baseline',
+    permission: 'baselines:manage',
+    parameters: [idParam('Baseline id')],
+    requestBody: json({ masks: { type: 'array', maxItems: MAX_MASKS, items: ref('Mask') } }, ['masks']),
+    responses: {
+      200: {
+        description: 'Saved',
+        schema: { type: 'object', properties: { id: { type: 'string' }, masks: { type: 'array', items: ref('Mask') } } },
+      },
+    },
+    errors: ['BAD_REQUEST', 'NOT_FOUND'],
+  },
+  {
+    method: 'post',
+    path: '/baselines/{id}/promote',
+    operationId: 'promoteReportToBaseline',
+    tag: 'Baselines',
+    summary: "Accept an intentional change: a report's development screenshot becomes the approved version",
+    permission: 'baselines:manage',
+    parameters: [idParam('Baseline id')],
+    requestBody: json({ reportId: { type: 'string' } }, ['reportId']),
+    responses: { 200: { description: 'Promoted', schema: ref('BaselineVersionRef') } },
+    errors: ['BAD_REQUEST', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/usage',
+    operationId: 'getUsage',
+    tag: 'Usage',
+    summary: 'Quota used in the current window, prepaid credits and 30 days of history',
+    permission: 'reports:read',
+    responses: { 200: { description: 'Usage', schema: ref('Usage') } },
+    errors: [],
+  },
+];
+
+// Added to every operation
+const COMMON_ERRORS = ['NO_AUTH', 'BAD_TOKEN', 'FORBIDDEN', 'BAD_METHOD', 'SERVER_ERROR'];
+
+/** Error responses of an operation, one per status, listing the codes sent with it. */
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of new Set([...codes, ...COMMON_ERRORS])) {
+    const status = ERROR_STATUS[code];
+    (byStatus[status] = byStatus[status] || []).push(code);
+  }
+  return Object.fromEntries(
+    Object.entries(byStatus).map(([status, list]) => [
+      status,
+      { description: `Error: ${list.join(', ')}`, content: { 'application/json': { schema: ref('Error') } } },
+    ])
+  );
+}
+
+function operation(op) {
+  const responses = Object.fromEntries(
+    Object.entries(op.responses).map(([status, r]) => [
+      status,
+      {
+        description: r.description,
+        headers: { 'X-Request-Id': { $ref: '#/components/headers/RequestId' } },
+        content: r.content || { 'application/json': { schema: r.schema } },
+      },
+    ])
+  );
+  return {
+    operationId: op.operationId,
+    tags: [op.tag],
+    summary: op.summary,
+    description: `Requires the \`${op.permission}\` permission (role and, for API keys, scope).`,
+    ...(op.parameters ? { parameters: op.parameters } : {}),
+    ...(op.requestBody ? { requestBody: op.requestBody } : {}),
+    responses: { ...responses, ...errorResponses(op.errors) },
+    'x-permission': op.permission,
+  };
+}
+
+/** The OpenAPI 3.0 document; `serverUrl` is the origin the API is served from. */
+export function buildOpenApiDocument({ serverUrl = '' } = {}) {
+  const paths = {};
+  for (const op of OPERATIONS) {
+    paths[op.path] = { ...paths[op.path], [op.method]: operation(op) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Pixel Proof API',
+      version: API_VERSION,
+      description:
+        'Design QA comparisons, reports, baselines and usage. Authenticate with a Firebase ID token or a ' +
+        `personal API key (scopes: ${API_KEY_SCOPES.join(', ')}) as a bearer token. ` +
+        'Errors always have the shape { error, error_code, rid }.',
+    },
+    servers: [{ url: `${serverUrl}/api/v1` }],
+    security: [{ bearerAuth: [] }],
+    tags: ['Comparisons', 'Reports', 'Baselines', 'Usage'].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Firebase ID token or API key (ppk_…)' },
+      },
+      headers: {
+        RequestId: { description: 'Request id, also in error bodies as rid', schema: { type: 'string' } },
+      },
+      schemas: SCHEMAS,
+    },
+  };
+}
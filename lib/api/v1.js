@@ -0,0 +1,90 @@
+// lib/api/v1.js
+import formidable from 'formidable';
+import fs from 'fs/promises';
+import { authenticate, authorize } from '@/lib/auth/access';
+import { ERROR_STATUS, apiError, newRid, sendError } from '@/lib/api/errors';
+import { maxImageBytesFor } from '@/lib/billing/quota';
+
+/**
+ * Plumbing shared by the versioned public API (pages/api/v1):
+ *   - a request id per call, sent as X-Request-Id and in every error body
+ *   - Firebase ID token or API key auth, and the permission each method needs
+ *   - errors thrown with a known .code (lib/api/errors.js) become the error envelope;
+ *     anything else is logged and answered as 500 SERVER_ERROR
+ */
+
+const ACCEPTED_IMAGES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+/**
+ * Wrap a v1 route. Every method names its permission, so API keys work on all of them:
+ *
+ *   export default withApiV1({ permissions: { GET: 'reports:read' } }, handler);
+ *
+ * `handler(req, res, { actor, rid })` sends the success response itself and throws
+ * (apiError or a store error) for anything else.
+ */
+export function withApiV1({ permissions }, handler) {
+  const methods = Object.keys(permissions);
+
+  return async function apiV1Handler(req, res) {
+    const rid = newRid();
+    res.setHeader('X-Request-Id', rid);
+
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return sendError(res, rid, 'BAD_METHOD', `Use ${methods.join(' or ')}.`);
+    }
+
+    try {
+      let actor;
+      try {
+        actor = await authenticate(req, { apiKeys: true });
+      } catch (e) {
+        if (e?.code === 'NO_AUTH') throw apiError('NO_AUTH', 'Send an ID token or API key as "Authorization: Bearer …".');
+        throw e;
+      }
+      authorize(actor, permissions[req.method]);
+      return await handler(req, res, { actor, rid });
+    } catch (e) {
+      if (ERROR_STATUS[e?.code]) return sendError(res, rid, e.code, e.message, e.details);
+      console.error(`[api/v1 ${rid}]`, req.method, req.url, e);
+      return sendError(res, rid, 'SERVER_ERROR', 'Internal error');
+    }
+  };
+}
+
+/** Single-valued form field ('' when missing). */
+export function formField(fields, name) {
+  const v = fields?.[name];
+  return String((Array.isArray(v) ? v[0] : v) || '').trim();
+}
+
+/**
+ * Parse a multipart body with one image in `field`, up to the actor's plan limit per file
+ * (the same limit /api/compare applies). Resolves to { fields, image: { buffer, mimetype, fileName } } (image null when absent).
+ * Throws BAD_MULTIPART | BAD_IMAGE.
+ */
+export async function readImageUpload(req, actor, { field = 'image' } = {}) {
+  const maxFileSize = await maxImageBytesFor(actor.uid);
+  const form = formidable({ multiples: false, maxFileSize });
+  let fields, files;
+  try {
+    ({ fields, files } = await new Promise((resolve, reject) => {
+      form.parse(req, (err, flds, fls) => (err ? reject(err) : resolve({ fields: flds, files: fls })));
+    }));
+  } catch (e) {
+    if (/maxFileSize/i.test(String(e?.message))) {
+      throw apiError('BAD_IMAGE', `Image too large. Max ${Math.round(maxFileSize / (1024 * 1024))}MB per file on your plan.`);
+    }
+    throw apiError('BAD_MULTIPART', 'Invalid multipart upload.');
+  }
+
+  const file = Array.isArray(files[field]) ? files[field][0] : files[field];
+  if (!file) return { fields, image: null };
+  if (!ACCEPTED_IMAGES.has(file.mimetype)) throw apiError('BAD_IMAGE', 'Only JPG, PNG, and WEBP formats are supported.');
+
+  return {
+    fields,
+    image: { buffer: await fs.readFile(file.filepath), mimetype: file.mimetype, fileName: file.originalFilename },
+  };
+}
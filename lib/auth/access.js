@@ -0,0 +1,127 @@
+// lib/auth/access.js
+import { authAdmin, db } from '@/lib/firebase/firebaseAdmin';
+import { can, memberRole } from '@/lib/auth/roles';
+import { isApiKey, verifyApiKey } from '@/lib/auth/apiKeys';
+
+/**
+ * Central auth for API routes: verify the Firebase ID token, then resolve the caller's
+ * team and role. The role comes from orgs/{orgId}/members/{uid} (users/{uid}.orgRole is
+ * only a copy for the UI); users outside a team are the owner of their own workspace.
+ *
+ * Routes that opt in also accept a personal API key (lib/auth/apiKeys.js) as the bearer
+ * token. A key acts as its creator, limited to its scopes.
+ *
+ * Actor: { uid, email, emailVerified, orgId, role, keyId, scopes }   (keyId/scopes null for ID tokens)
+ * Errors carry .code = 'NO_AUTH' | 'BAD_TOKEN' (401) | 'FORBIDDEN' (403).
+ */
+
+function fail(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function bearerToken(req) {
+  const auth = req.headers.authorization || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7) : null;
+}
+
+/** The user's team and role in it: { orgId, role }. */
+async function resolveRole(uid) {
+  const userSnap = await db.collection('users').doc(uid).get();
+  const orgId = (userSnap.exists && userSnap.get('orgId')) || null;
+  if (!orgId) return { orgId, role: 'owner' };
+  const member = await db.collection('orgs').doc(orgId).collection('members').doc(uid).get();
+  // a dangling orgId (no member doc) gets the lowest role, not the owner's
+  return { orgId, role: member.exists ? memberRole(member.data()) : 'viewer' };
+}
+
+/**
+ * Caller of the request as an actor; `checkRevoked` also rejects revoked sessions,
+ * `apiKeys` accepts an API key in place of the ID token.
+ */
+export async function authenticate(req, { checkRevoked = false, apiKeys = false } = {}) {
+  const token = bearerToken(req);
+  if (!token) throw fail('NO_AUTH', 'Missing ID token');
+
+  if (isApiKey(token)) {
+    if (!apiKeys) throw fail('BAD_TOKEN', 'API keys are not accepted here; sign in instead');
+    const key = await verifyApiKey(token);
+    const user = await authAdmin.getUser(key.uid).catch(() => null);
+    if (!user || user.disabled) throw fail('BAD_TOKEN', 'Invalid or revoked API key');
+    return {
+      uid: key.uid,
+      email: user.email || null,
+      emailVerified: !!user.emailVerified,
+      ...(await resolveRole(key.uid)),
+      keyId: key.keyId,
+      scopes: key.scopes,
+    };
+  }
+
+  let decoded;
+  try {
+    decoded = await authAdmin.verifyIdToken(token, checkRevoked);
+  } catch {
+    throw fail('BAD_TOKEN', 'Invalid or expired token');
+  }
+
+  return {
+    uid: decoded.uid,
+    email: decoded.email || null,
+    emailVerified: !!decoded.email_verified,
+    ...(await resolveRole(decoded.uid)),
+    keyId: null,
+    scopes: null,
+  };
+}
+
+/** Whether the actor may do `permission`: their role allows it and, for an API key, so does its scope. */
+export function actorCan(actor, permission) {
+  if (!can(actor?.role, permission)) return false;
+  return !actor.keyId || (actor.scopes || []).includes(permission);
+}
+
+function deniedMessage(actor, permission) {
+  return can(actor?.role, permission)
+    ? `This API key is not scoped for ${permission}.`
+    : `Your role (${actor?.role || 'none'}) does not allow this action.`;
+}
+
+/** Throw FORBIDDEN unless the actor may do `permission` (see actorCan). */
+export function authorize(actor, permission) {
+  if (!actorCan(actor, permission)) throw fail('FORBIDDEN', deniedMessage(actor, permission));
+  return actor;
+}
+
+/**
+ * Wrap an API route: method check (405), authentication (401) and the permission the
+ * method needs (403), then `handler(req, res, actor)`.
+ * With `apiKeys: true` the route also takes API keys, for methods that name a permission.
+ *
+ *   export default withAuth({ methods: ['GET', 'POST'], permissions: { POST: 'projects:manage' } }, handler);
+ */
+export function withAuth({ methods = ['GET'], permissions = {}, apiKeys = false } = {}, handler) {
+  return async function authenticatedHandler(req, res) {
+    if (!methods.includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+    let actor;
+    try {
+      actor = await authenticate(req, { apiKeys });
+    } catch (e) {
+      if (e?.code === 'NO_AUTH' || e?.code === 'BAD_TOKEN') return res.status(401).json({ error: e.message });
+      console.error('auth error', e);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+
+    const permission = permissions[req.method];
+    if (actor.keyId && !permission) {
+      return res.status(403).json({ error: 'API keys cannot be used for this action.' });
+    }
+    if (permission && !actorCan(actor, permission)) {
+      return res.status(403).json({ error: deniedMessage(actor, permission) });
+    }
+
+    return handler(req, res, actor);
+  };
+}
@@ -0,0 +1,146 @@
+// lib/auth/apiKeys.js
+import crypto from 'crypto';
+import { db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { API_KEY_SCOPES, DEFAULT_API_KEY_SCOPES } from '@/lib/auth/roles';
+
+/**
+ * Personal API keys for CI and scripts (sent as `Authorization: Bearer ppk_...`):
+ *   apiKeys/{keyId}   { uid, name, scopes, prefix, hash, createdAt, lastUsedAt, revokedAt,
+ *                       usage: { attempts, succeeded, failed } }
+ * A key is `ppk_<keyId>_<secret>`; only the SHA-256 of the secret is stored, so the full
+ * key is shown once, at creation. Revoked keys are kept for the usage they are attributed.
+ *
+ * Errors carry .code = 'NOT_FOUND' | 'BAD_REQUEST' | 'CONFLICT' | 'BAD_TOKEN'.
+ */
+
+export const API_KEY_PREFIX = 'ppk_';
+
+const MAX_NAME_LENGTH = 80;
+const MAX_ACTIVE_KEYS = 10;
+// lastUsedAt is refreshed at most this often, so busy CI keys don't write on every call
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const keysCol = () => db.collection('apiKeys');
+
+function fail(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function toMillis(ts) {
+  return ts && typeof ts.toMillis === 'function' ? ts.toMillis() : null;
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/** Whether a bearer token looks like an API key rather than a Firebase ID token. */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function serializeKey(doc) {
+  const d = doc.data();
+  return {
+    id: doc.id,
+    name: d.name,
+    scopes: d.scopes || [],
+    prefix: d.prefix,
+    createdAt: toMillis(d.createdAt),
+    lastUsedAt: toMillis(d.lastUsedAt),
+    usage: {
+      attempts: Number(d.usage?.attempts || 0),
+      succeeded: Number(d.usage?.succeeded || 0),
+      failed: Number(d.usage?.failed || 0),
+    },
+  };
+}
+
+/** Active (not revoked) keys of a user, newest first. */
+export async function listApiKeys(uid) {
+  const snap = await keysCol().where('uid', '==', uid).get();
+  return snap.docs
+    .filter((d) => !d.get('revokedAt'))
+    .map(serializeKey)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/**
+ * Create a key. Resolves to { key, apiKey } — `key` is the only time the secret is
+ * available; `apiKey` is what listApiKeys returns for it.
+ */
+export async function createApiKey(uid, { name, scopes } = {}) {
+  const cleanName = String(name || '').trim();
+  if (!cleanName) throw fail('BAD_REQUEST', 'Give the key a name.');
+  if (cleanName.length > MAX_NAME_LENGTH) throw fail('BAD_REQUEST', `Key names are at most ${MAX_NAME_LENGTH} characters.`);
+
+  const wanted = Array.isArray(scopes) && scopes.length ? [...new Set(scopes)] : DEFAULT_API_KEY_SCOPES;
+  const unknown = wanted.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) throw fail('BAD_REQUEST', `Unknown scope: ${unknown.join(', ')}.`);
+
+  const active = await listApiKeys(uid);
+  if (active.length >= MAX_ACTIVE_KEYS) {
+    throw fail('CONFLICT', `You can have at most ${MAX_ACTIVE_KEYS} active keys. Revoke one first.`);
+  }
+
+  const ref = keysCol().doc();
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${API_KEY_PREFIX}${ref.id}_${secret}`;
+  await ref.set({
+    uid,
+    name: cleanName,
+    scopes: wanted,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    hash: hashSecret(secret),
+    createdAt: FieldValue.serverTimestamp(),
+    lastUsedAt: null,
+    revokedAt: null,
+    usage: { attempts: 0, succeeded: 0, failed: 0 },
+  });
+
+  return { key, apiKey: serializeKey(await ref.get()) };
+}
+
+/** Revoke one of the user's keys; it stops working immediately. */
+export async function revokeApiKey(uid, keyId) {
+  const ref = keysCol().doc(String(keyId || ''));
+  const snap = keyId ? await ref.get() : null;
+  if (!snap?.exists || snap.get('uid') !== uid || snap.get('revokedAt')) throw fail('NOT_FOUND', 'Key not found');
+  await ref.update({ revokedAt: FieldValue.serverTimestamp() });
+}
+
+/**
+ * Resolve a presented key to { keyId, uid, scopes }, and note that it was used.
+ * Throws BAD_TOKEN for malformed, unknown or revoked keys.
+ */
+export async function verifyApiKey(token) {
+  const match = /^ppk_([A-Za-z0-9]+)_([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+  if (!match) throw fail('BAD_TOKEN', 'Invalid API key');
+  const [, keyId, secret] = match;
+
+  const ref = keysCol().doc(keyId);
+  const snap = await ref.get();
+  if (!snap.exists || snap.get('revokedAt')) throw fail('BAD_TOKEN', 'Invalid or revoked API key');
+
+  const expected = Buffer.from(String(snap.get('hash') || ''), 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw fail('BAD_TOKEN', 'Invalid or revoked API key');
+  }
+
+  const lastUsed = toMillis(snap.get('lastUsedAt'));
+  if (!lastUsed || Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+    ref.update({ lastUsedAt: FieldValue.serverTimestamp() }).catch((e) => console.warn('[apiKeys] lastUsedAt:', e?.message || e));
+  }
+
+  return { keyId, uid: snap.get('uid'), scopes: snap.get('scopes') || [] };
+}
+
+/**
+ * Count a comparison against the key that ran it, inside the quota transaction `t`
+ * (lib/billing/quota.js). `field` is 'attempts' | 'succeeded' | 'failed'.
+ */
+export function recordKeyUsage(t, keyId, field) {
+  if (!keyId) return;
+  t.set(keysCol().doc(keyId), { usage: { [field]: FieldValue.increment(1) } }, { merge: true });
+}
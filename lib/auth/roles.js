@@ -0,0 +1,69 @@
+// lib/auth/roles.js
+
+/**
+ * Team roles and what each may do. Used by the API routes (lib/auth/access.js) to
+ * enforce access and by the UI to hide actions a role cannot perform.
+ *
+ *   owner   billing, plus everything an admin can do
+ *   admin   manage members and projects
+ *   editor  run comparisons, manage baselines, triage findings
+ *   viewer  read projects and reports
+ *
+ * Users outside a team act as the owner of their own workspace.
+ */
+
+export const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+export const ROLE_LABELS = { owner: 'Owner', admin: 'Admin', editor: 'Editor', viewer: 'Viewer' };
+
+// Role an invite grants when none is given
+export const DEFAULT_MEMBER_ROLE = 'editor';
+
+export const PERMISSIONS = Object.freeze({
+  'billing:manage': ['owner'],
+  'members:manage': ['owner', 'admin'],
+  'projects:manage': ['owner', 'admin'],
+  'comparisons:run': ['owner', 'admin', 'editor'],
+  'baselines:manage': ['owner', 'admin', 'editor'],
+  'findings:triage': ['owner', 'admin', 'editor'],
+  'reports:read': ['owner', 'admin', 'editor', 'viewer'],
+});
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+/** Role stored on a member doc; members added before roles existed are editors. */
+export function memberRole(member) {
+  return isRole(member?.role) ? member.role : DEFAULT_MEMBER_ROLE;
+}
+
+/** Whether `role` grants `permission` (unknown roles/permissions grant nothing). */
+export function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/** Every permission a role holds. */
+export function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((p) => can(role, p));
+}
+
+/** Roles someone with `role` may give to other members (ownership is never handed out). */
+export function assignableRoles(role) {
+  return can(role, 'members:manage') ? ROLES.filter((r) => r !== 'owner') : [];
+}
+
+/**
+ * Permissions an API key can be scoped to (lib/auth/apiKeys.js). A key acts as its
+ * creator, so it needs both the scope and the creator's current role to allow an action.
+ */
+export const API_KEY_SCOPES = ['comparisons:run', 'reports:read', 'baselines:manage'];
+
+// Scopes a new key gets when none are picked
+export const DEFAULT_API_KEY_SCOPES = ['comparisons:run', 'reports:read'];
+
+export const API_KEY_SCOPE_LABELS = {
+  'comparisons:run': 'Run comparisons',
+  'reports:read': 'Read reports',
+  'baselines:manage': 'Manage baselines',
+};
@@ -0,0 +1,237 @@
+// lib/baselines/store.js
+import { db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { EXT_BY_MIME, downloadImage, signedImageUrl, uploadImage } from '@/lib/storage/images';
+import { getReportData } from '@/lib/reports/store';
+
+/**
+ * Baselines are named design references stored once and compared against repeatedly:
+ *   {account}/baselines/{id}                 { name, orgId, createdBy, latestVersion, approvedVersion, masks, ... }
+ *   {account}/baselines/{id}/versions/{n}    { version, path, status: 'pending'|'approved'|'superseded', source, ... }
+ * {account} is orgs/{orgId} for members of a team, so the team's screens and comparisons
+ * share them (as with team projects and reports), users/{uid} otherwise. A member keeps
+ * access to the personal baselines they made before joining.
+ * Functions take the actor from lib/auth/access.js ({ uid, orgId }).
+ * Comparisons by baseline id use the approved version, with the baseline's ignore masks
+ * (lib/compare/masks.js) applied.
+ *
+ * Errors carry .code = 'NOT_FOUND' | 'NO_APPROVED_VERSION' | 'BAD_REQUEST'.
+ */
+
+const MAX_NAME_LENGTH = 120;
+
+function baselinesCol({ uid, orgId }) {
+  return (orgId ? db.collection('orgs').doc(orgId) : db.collection('users').doc(uid)).collection('baselines');
+}
+
+// Where an actor's baselines live: their team's first, then their own
+const accountsOf = (actor) => (actor.orgId ? [{ orgId: actor.orgId }, { uid: actor.uid }] : [{ uid: actor.uid }]);
+
+function fail(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function toMillis(ts) {
+  return ts && typeof ts.toMillis === 'function' ? ts.toMillis() : null;
+}
+
+function cleanName(name) {
+  const n = String(name || '').trim();
+  if (!n) throw fail('BAD_REQUEST', 'Baseline name is required.');
+  return n.slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Load a baseline of the actor's team, else one of their personal baselines.
+ * Resolves to { ref, snap, data, orgId } (orgId null for a personal baseline); NOT_FOUND otherwise.
+ */
+export async function requireBaseline(actor, id) {
+  for (const account of accountsOf(actor)) {
+    const ref = baselinesCol(account).doc(String(id));
+    const snap = await ref.get();
+    if (snap.exists) return { ref, snap, data: snap.data(), orgId: account.orgId || null };
+  }
+  throw fail('NOT_FOUND', 'Baseline not found.');
+}
+
+/**
+ * Append a version to a baseline of `account` ({ uid, orgId }, orgId set for a team's). Either uploads `image`
+ * ({ buffer, mimetype, fileName }) or references an existing storage `path`. When approve is true the new version becomes the approved one.
+ */
+async function appendVersion(account, ref, { image, path, mimetype, fileName, size, source, sourceReportId = null, approve }) {
+  const version = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const next = Number(snap.get('latestVersion') || 0) + 1;
+    t.set(ref, { latestVersion: next, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    return next;
+  });
+
+  const owner = account.orgId ? `orgs/${account.orgId}` : account.uid;
+  const storedPath =
+    path || (await uploadImage(`${owner}/baselines/${ref.id}/v${version}.${EXT_BY_MIME[image.mimetype] || 'bin'}`, image.buffer, image.mimetype));
+
+  await ref.collection('versions').doc(String(version)).set({
+    version,
+    path: storedPath,
+    mimetype: image?.mimetype || mimetype || null,
+    fileName: image?.fileName || fileName || null,
+    size: image?.buffer?.length ?? size ?? null,
+    source,
+    sourceReportId,
+    status: 'pending',
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  if (approve) await approveVersion(ref, version);
+  return version;
+}
+
+/** Create a baseline from its first design image (the team's when the actor is in one). */
+export async function createBaseline(actor, { name, image, approve = true }) {
+  const account = { uid: actor.uid, orgId: actor.orgId || null };
+  const ref = baselinesCol(account).doc();
+  await ref.set({
+    name: cleanName(name),
+    orgId: account.orgId,
+    createdBy: actor.uid,
+    latestVersion: 0,
+    approvedVersion: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  const version = await appendVersion(account, ref, { image, source: 'upload', approve });
+  return { id: ref.id, version };
+}
+
+/** Upload a new design version (pending until approved unless approve is true). */
+export async function addBaselineVersion(actor, id, { image, approve = false }) {
+  const { ref, orgId } = await requireBaseline(actor, id);
+  const version = await appendVersion({ uid: actor.uid, orgId }, ref, { image, source: 'upload', approve });
+  return { id: ref.id, version };
+}
+
+/** Mark a version as the approved baseline; the previously approved one is superseded. */
+export async function approveBaselineVersion(actor, id, version) {
+  const { ref } = await requireBaseline(actor, id);
+  return approveVersion(ref, version);
+}
+
+async function approveVersion(ref, version) {
+  const vRef = ref.collection('versions').doc(String(version));
+
+  await db.runTransaction(async (t) => {
+    const [base, v] = await Promise.all([t.get(ref), t.get(vRef)]);
+    if (!v.exists) throw fail('NOT_FOUND', `Version ${version} not found.`);
+
+    const previous = base.get('approvedVersion');
+    if (previous && String(previous) !== String(version)) {
+      t.set(ref.collection('versions').doc(String(previous)), { status: 'superseded' }, { merge: true });
+    }
+    t.set(vRef, { status: 'approved', approvedAt: FieldValue.serverTimestamp() }, { merge: true });
+    t.set(ref, { approvedVersion: Number(version), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  });
+
+  return { id: ref.id, version: Number(version) };
+}
+
+/** Promote the development screenshot of a report to the new approved baseline version. */
+export async function promoteReportToBaseline(actor, id, reportId) {
+  const { ref, orgId } = await requireBaseline(actor, id);
+  const report = await getReportData(actor, reportId);
+  const dev = report?.inputs?.dev;
+  if (!dev?.path) throw fail('NOT_FOUND', 'Report (or its development screenshot) not found.');
+
+  const version = await appendVersion({ uid: actor.uid, orgId }, ref, {
+    path: dev.path,
+    mimetype: dev.mimetype,
+    fileName: dev.fileName,
+    size: dev.size,
+    source: 'promoted',
+    sourceReportId: String(reportId),
+    approve: true,
+  });
+  return { id: ref.id, version };
+}
+
+function serializeBaseline(snap) {
+  const d = snap.data() || {};
+  return {
+    id: snap.id,
+    name: d.name || '',
+    orgId: d.orgId || null,
+    latestVersion: d.latestVersion || 0,
+    approvedVersion: d.approvedVersion ?? null,
+    masks: d.masks || [],
+    createdAt: toMillis(d.createdAt),
+    updatedAt: toMillis(d.updatedAt),
+  };
+}
+
+/** The team's baselines and the actor's personal ones, most recently updated first. */
+export async function listBaselines(actor) {
+  const snaps = await Promise.all(accountsOf(actor).map((a) => baselinesCol(a).orderBy('updatedAt', 'desc').limit(200).get()));
+  return snaps
+    .flatMap((snap) => snap.docs.map(serializeBaseline))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(0, 200);
+}
+
+/** Baseline with all versions (newest first) and signed image URLs. */
+export async function getBaseline(actor, id) {
+  let snap;
+  try {
+    ({ snap } = await requireBaseline(actor, id));
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') return null;
+    throw e;
+  }
+
+  const versionsSnap = await snap.ref.collection('versions').orderBy('version', 'desc').get();
+  const versions = await Promise.all(
+    versionsSnap.docs.map(async (v) => {
+      const d = v.data();
+      return {
+        version: d.version,
+        status: d.status,
+        source: d.source,
+        sourceReportId: d.sourceReportId || null,
+        fileName: d.fileName || null,
+        createdAt: toMillis(d.createdAt),
+        approvedAt: toMillis(d.approvedAt),
+        imageUrl: await signedImageUrl(d.path),
+      };
+    })
+  );
+
+  return { ...serializeBaseline(snap), versions };
+}
+
+/**
+ * Load the approved design image of a baseline for comparison.
+ * Returns { buffer, mimetype, fileName, path, masks, baseline: { id, name, version } }.
+ */
+export async function loadApprovedBaselineImage(actor, id) {
+  const { ref, data } = await requireBaseline(actor, id);
+  if (!data.approvedVersion) throw fail('NO_APPROVED_VERSION', 'This baseline has no approved version yet.');
+
+  const vSnap = await ref.collection('versions').doc(String(data.approvedVersion)).get();
+  if (!vSnap.exists) throw fail('NO_APPROVED_VERSION', 'Approved baseline version is missing.');
+  const v = vSnap.data();
+
+  return {
+    buffer: await downloadImage(v.path),
+    mimetype: v.mimetype,
+    fileName: v.fileName || `${data.name} v${v.version}`,
+    path: v.path,
+    masks: data.masks || [],
+    baseline: { id: ref.id, name: data.name, version: v.version },
+  };
+}
+
+/** Replace the ignore masks of a baseline (validated with validateMasks); they apply to every version. */
+export async function setBaselineMasks(actor, id, masks) {
+  const { ref } = await requireBaseline(actor, id);
+  await ref.set({ masks, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  return { id: ref.id, masks };
+}
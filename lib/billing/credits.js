@@ -0,0 +1,87 @@
+// lib/billing/credits.js
+import { db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+
+/**
+ * Prepaid comparison credits:
+ *   users/{uid}.creditBalance            current balance (number)
+ *   users/{uid}/credits/{entryId}        { type: 'purchase'|'spend'|'refund', amount, ... }
+ * Entry ids are derived from the Stripe session / comparison rid, so crediting the same
+ * checkout twice (webhook retries) or refunding the same comparison twice is a no-op.
+ */
+
+const userDoc = (uid) => db.collection('users').doc(uid);
+const creditsCol = (uid) => userDoc(uid).collection('credits');
+
+function toMillis(ts) {
+  return ts && typeof ts.toMillis === 'function' ? ts.toMillis() : null;
+}
+
+/** Balance from a users/{uid} snapshot. */
+export function creditBalanceOf(userSnap) {
+  return userSnap?.exists ? Math.max(Number(userSnap.get('creditBalance') || 0), 0) : 0;
+}
+
+/**
+ * Add purchased credits for a completed Checkout session.
+ * Resolves to true when credited, false when this session was already credited.
+ */
+export async function grantCredits({ uid, credits, sessionId, pack, amountTotal = null, currency = null }) {
+  const entryRef = creditsCol(uid).doc(`purchase_${sessionId}`);
+  return db.runTransaction(async (t) => {
+    const existing = await t.get(entryRef);
+    if (existing.exists) return false;
+
+    t.set(userDoc(uid), { creditBalance: FieldValue.increment(credits), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    t.create(entryRef, {
+      type: 'purchase',
+      amount: credits,
+      pack: pack || null,
+      checkoutSessionId: sessionId,
+      amountTotal,
+      currency,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+}
+
+/** Inside a transaction: spend one credit for comparison `rid` (caller checked the balance). */
+export function spendCredit(t, uid, rid) {
+  t.set(userDoc(uid), { creditBalance: FieldValue.increment(-1) }, { merge: true });
+  t.create(creditsCol(uid).doc(`spend_${rid}`), { type: 'spend', amount: -1, rid, createdAt: FieldValue.serverTimestamp() });
+}
+
+/** Inside a transaction: give back the credit of a failed comparison `rid`. */
+export function refundCredit(t, uid, rid, reason) {
+  t.set(userDoc(uid), { creditBalance: FieldValue.increment(1) }, { merge: true });
+  t.create(creditsCol(uid).doc(`refund_${rid}`), {
+    type: 'refund',
+    amount: 1,
+    rid,
+    reason: reason || null,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+}
+
+/** { balance, entries: [{ id, type, amount, pack, rid, reason, createdAt }] } newest first. */
+export async function getCredits(uid, { limit = 20 } = {}) {
+  const [userSnap, snap] = await Promise.all([
+    userDoc(uid).get(),
+    creditsCol(uid).orderBy('createdAt', 'desc').limit(limit).get(),
+  ]);
+  return {
+    balance: creditBalanceOf(userSnap),
+    entries: snap.docs.map((d) => {
+      const e = d.data();
+      return {
+        id: d.id,
+        type: e.type,
+        amount: e.amount,
+        pack: e.pack || null,
+        rid: e.rid || null,
+        reason: e.reason || null,
+        createdAt: toMillis(e.createdAt),
+      };
+    }),
+  };
+}
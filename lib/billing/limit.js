@@ -1,13 +1,72 @@
 // lib/billing/limit.js
+import { getPlan } from '@/lib/billing/plans';
 
-// Per-day limits by plan
-export const DAILY_LIMITS = { basic: 1, pro: 2, elite: 3 };
+export const QUOTA_MODES = ['daily', 'monthly', 'rolling'];
+export const ROLLING_WINDOW_MS = 24 * 60 * 60 * 1000;
 
-export function limitForPlan(plan) {
-  return DAILY_LIMITS[String(plan || '').toLowerCase()] ?? 0; // 0 => no access
+/**
+ * Quota policy of a plan from the catalog: { mode, limit }.
+ *   daily   - limits.daily per calendar day (UTC, or the user's time zone)
+ *   monthly - limits.monthly per Stripe billing period (null = no cap → Infinity)
+ *   rolling - limits.daily within any 24h window
+ * limit 0 => no access. Env QUOTA_MODE_<PLAN> overrides the catalog mode.
+ */
+export function quotaPolicyForPlan(plan) {
+  const p = getPlan(plan);
+  if (!p) return { mode: 'daily', limit: 0 };
+  const configured = String(process.env[`QUOTA_MODE_${p.slug.toUpperCase()}`] || p.quota?.mode || '').toLowerCase();
+  const mode = QUOTA_MODES.includes(configured) ? configured : 'daily';
+  const raw = mode === 'monthly' ? p.limits.monthly : p.limits.daily;
+  return { mode, limit: raw === null ? Infinity : Number(raw) || 0 };
 }
 
-// UTC day key; daily reset
-export function todayKey() {
-  return new Date().toISOString().slice(0, 10); // 'YYYY-MM-DD'
+/** IANA zone when valid, else 'UTC'. */
+export function normalizeTimeZone(timeZone) {
+  if (!timeZone) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(0);
+    return timeZone;
+  } catch {
+    return 'UTC';
+  }
+}
+
+// Day key in a time zone; daily reset at local midnight
+export function todayKey(date = new Date(), timeZone = 'UTC') {
+  if (timeZone === 'UTC') return date.toISOString().slice(0, 10); // 'YYYY-MM-DD'
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/** Offset of a time zone from UTC at `date`, in ms (UTC+5 → 18000000). */
+function zoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** When the current day ends in a time zone (ms epoch). */
+export function nextDayStart(date = new Date(), timeZone = 'UTC') {
+  const day = 24 * 60 * 60 * 1000;
+  const offset = zoneOffsetMs(date, timeZone);
+  const localMidnight = Math.floor((date.getTime() + offset) / day) * day + day;
+  return localMidnight - offset;
 }
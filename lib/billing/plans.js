@@ -0,0 +1,166 @@
+// lib/billing/plans.js
+
+const MB = 1024 * 1024;
+const MEGAPIXEL = 1000 * 1000;
+
+/**
+ * Plan catalog — the one place plans are defined. Everything else (quota, checkout,
+ * Stripe webhook/status, vision model selection, pricing and utility pages) reads it.
+ *
+ *   slug      internal id stored on users and reports ('basic' | 'pro' | 'elite')
+ *   name      shown on the pricing page; the line under it is derived from the enforced quota
+ *   priceEnv  env var holding the Stripe price id (resolved server-side only)
+ *   limits    comparisons per day / per month (null = no cap)
+ *   quota     which limit is enforced: 'daily' (calendar day, UTC or the user's zone),
+ *             'monthly' (Stripe billing period) or 'rolling' (any 24h, daily limit)
+ *   features  per-plan switches: upload size, image dimensions (checked on the decoded
+ *             header, see lib/compare/imageInfo.js) and the vision model settings
+ *
+ * Pages get the public view through GET /api/plans.
+ */
+export const PLANS = Object.freeze([
+  {
+    slug: 'basic',
+    name: 'Starter',
+    price: { amount: 1999, currency: 'usd', interval: 'month' },
+    priceEnv: 'STRIPE_PRICE_BASIC',
+    limits: { daily: 1, monthly: 100 },
+    quota: { mode: 'daily' },
+    features: {
+      maxImageBytes: 10 * MB,
+      minImageWidth: 500,
+      minImageHeight: 200,
+      maxImagePixels: 25 * MEGAPIXEL,
+      vision: { model: 'gpt-4o', temperature: 0.2, maxTokens: 1500 },
+    },
+  },
+  {
+    slug: 'pro',
+    name: 'Pro',
+    price: { amount: 4999, currency: 'usd', interval: 'month' },
+    priceEnv: 'STRIPE_PRICE_PRO',
+    limits: { daily: 2, monthly: 500 },
+    quota: { mode: 'daily' },
+    features: {
+      maxImageBytes: 15 * MB,
+      minImageWidth: 500,
+      minImageHeight: 200,
+      maxImagePixels: 40 * MEGAPIXEL,
+      vision: { model: 'gpt-4o', temperature: 0.2, maxTokens: 2500 },
+    },
+    highlighted: true,
+  },
+  {
+    slug: 'elite',
+    name: 'Elite',
+    price: { amount: 9999, currency: 'usd', interval: 'month' },
+    priceEnv: 'STRIPE_PRICE_ELITE',
+    limits: { daily: 3, monthly: null },
+    quota: { mode: 'daily' },
+    features: {
+      maxImageBytes: 20 * MB,
+      minImageWidth: 500,
+      minImageHeight: 200,
+      maxImagePixels: 60 * MEGAPIXEL,
+      vision: { model: 'gpt-4o', temperature: 0.2, maxTokens: 4000 },
+    },
+  },
+]);
+
+export const DEFAULT_PLAN = PLANS[0];
+
+/**
+ * One-off credit packs (Stripe Checkout in `payment` mode). A credit pays for one
+ * comparison once the plan allowance for the current window is used up.
+ */
+export const CREDIT_PACKS = Object.freeze([
+  {
+    slug: 'credits-10',
+    name: '10 extra comparisons',
+    credits: 10,
+    price: { amount: 999, currency: 'usd' },
+    priceEnv: 'STRIPE_PRICE_CREDITS_10',
+  },
+  {
+    slug: 'credits-50',
+    name: '50 extra comparisons',
+    credits: 50,
+    price: { amount: 3999, currency: 'usd' },
+    priceEnv: 'STRIPE_PRICE_CREDITS_50',
+  },
+]);
+
+/** Catalog entry for a slug (case-insensitive); null when unknown. */
+export function getPlan(slug) {
+  const s = String(slug || '').toLowerCase();
+  return PLANS.find((p) => p.slug === s) || null;
+}
+
+/** Stripe price id configured for a plan slug; null when unknown or not configured. */
+export function stripePriceId(slug) {
+  const plan = getPlan(slug);
+  return (plan && process.env[plan.priceEnv]) || null;
+}
+
+/** Plan slug for a Stripe price id; null when it is not one of ours. */
+export function planFromPriceId(priceId) {
+  if (!priceId) return null;
+  return PLANS.find((p) => process.env[p.priceEnv] === priceId)?.slug || null;
+}
+
+/** Plan slug for a Stripe price object: configured id first, then lookup_key/nickname. */
+export function planFromPrice(price) {
+  const byId = planFromPriceId(price?.id);
+  if (byId) return byId;
+
+  const nickname = price?.nickname?.toLowerCase?.() || '';
+  const lookupKey = price?.lookup_key?.toLowerCase?.() || '';
+  return PLANS.find((p) => lookupKey.includes(p.slug) || nickname.includes(p.slug))?.slug || null;
+}
+
+const QUOTA_WINDOWS = { daily: 'day', monthly: 'month', rolling: '24 hours' };
+
+/** What a quota policy ({ mode, limit } from quotaPolicyForPlan) allows, e.g. '2 comparisons / day'. */
+export function describeQuota({ mode, limit }) {
+  if (limit === Infinity) return 'Unlimited comparisons';
+  return `${limit} comparison${limit === 1 ? '' : 's'} / ${QUOTA_WINDOWS[mode] || QUOTA_WINDOWS.daily}`;
+}
+
+/**
+ * What clients may see: no env names, model ids only as a label. `policy` is the quota
+ * actually enforced (quotaPolicyForPlan), so the description and quota match the limit.
+ */
+export function publicPlan(plan, policy) {
+  return {
+    slug: plan.slug,
+    name: plan.name,
+    description: describeQuota(policy),
+    price: plan.price,
+    limits: plan.limits,
+    quota: { mode: policy.mode, limit: policy.limit === Infinity ? null : policy.limit },
+    features: {
+      maxImageBytes: plan.features.maxImageBytes,
+      minImageWidth: plan.features.minImageWidth,
+      minImageHeight: plan.features.minImageHeight,
+      maxImagePixels: plan.features.maxImagePixels,
+      model: plan.features.vision.model,
+    },
+    highlighted: !!plan.highlighted,
+  };
+}
+
+/** Credit pack for a slug; null when unknown. */
+export function getCreditPack(slug) {
+  const s = String(slug || '').toLowerCase();
+  return CREDIT_PACKS.find((p) => p.slug === s) || null;
+}
+
+/** Stripe price id configured for a credit pack; null when unknown or not configured. */
+export function creditPackPriceId(slug) {
+  const pack = getCreditPack(slug);
+  return (pack && process.env[pack.priceEnv]) || null;
+}
+
+export function publicCreditPack(pack) {
+  return { slug: pack.slug, name: pack.name, credits: pack.credits, price: pack.price };
+}
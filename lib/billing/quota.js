@@ -1,26 +1,10 @@
 // lib/billing/quota.js
-import { authAdmin, db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { authAdmin, db, FieldValue, Timestamp } from '@/lib/firebase/firebaseAdmin';
 import { stripe } from '@/lib/stripe/server';
-import { limitForPlan, todayKey } from '@/lib/billing/limit';
-
-/** Map Stripe price -> plan label used in your app. */
-function planFromPrice(price) {
-  const priceId = price?.id;
-  const nickname = price?.nickname?.toLowerCase?.() || '';
-  const lookupKey = price?.lookup_key?.toLowerCase?.() || '';
-
-  const envMap = {
-    [process.env.STRIPE_PRICE_BASIC]: 'basic',
-    [process.env.STRIPE_PRICE_PRO]: 'pro',
-    [process.env.STRIPE_PRICE_ELITE]: 'elite',
-  };
-  if (priceId && envMap[priceId]) return envMap[priceId];
-
-  if (lookupKey.includes('basic') || nickname.includes('basic')) return 'basic';
-  if (lookupKey.includes('pro')   || nickname.includes('pro'))   return 'pro';
-  if (lookupKey.includes('elite') || nickname.includes('elite')) return 'elite';
-  return null;
-}
+import { ROLLING_WINDOW_MS, nextDayStart, normalizeTimeZone, quotaPolicyForPlan, todayKey } from '@/lib/billing/limit';
+import { DEFAULT_PLAN, getPlan, planFromPrice } from '@/lib/billing/plans';
+import { creditBalanceOf, refundCredit, spendCredit } from '@/lib/billing/credits';
+import { recordKeyUsage } from '@/lib/auth/apiKeys';
 
 /** A subscription counts if it's active/trialing (and not past period end if cancel_at_period_end). */
 function isUsable(sub) {
@@ -30,7 +14,10 @@ function isUsable(sub) {
   return true;
 }
 
-/** Get current plan ('basic'|'pro'|'elite') from Stripe for a given customerId. */
+/**
+ * Current plan ('basic'|'pro'|'elite'), billing period (ms) and seat quantity from Stripe
+ * for a customerId; null when there is no usable subscription.
+ */
 async function getPlanFromStripeCustomer(stripeCustomerId) {
   const subs = await stripe.subscriptions.list({
     customer: stripeCustomerId,
@@ -40,8 +27,15 @@ async function getPlanFromStripeCustomer(stripeCustomerId) {
   });
   const active = subs.data.find(isUsable);
   if (!active) return null;
-  const price = active.items?.data?.[0]?.price || null;
-  return planFromPrice(price);
+  const item = active.items?.data?.[0] || null;
+  const plan = planFromPrice(item?.price || null);
+  if (!plan) return null;
+  return {
+    plan,
+    seats: Math.max(Number(item?.quantity) || 1, 1),
+    periodStart: active.current_period_start ? active.current_period_start * 1000 : null,
+    periodEnd: active.current_period_end ? active.current_period_end * 1000 : null,
+  };
 }
 
 /**
@@ -50,6 +44,7 @@ async function getPlanFromStripeCustomer(stripeCustomerId) {
  * 2) Customers Search by metadata['uid']
  * 3) Customers Search by email (exact)
  * 4) customers.list({ email }) fallback
+ *    (3 and 4 skip team customers, metadata.orgId: the owner's email may be on them)
  * 5) AUTO-CREATE a customer if still not found, cache it on user doc
  */
 async function resolveStripeCustomerId({ uid, userRef }) {
@@ -84,16 +79,18 @@ async function resolveStripeCustomerId({ uid, userRef }) {
         query: `email:'${email.replace(/'/g, "\\'")}'`,
         limit: 10,
       });
-      if (byEmail.data.length) {
-        const customerId = byEmail.data.sort((a, b) => b.created - a.created)[0].id;
+      const own = byEmail.data.filter((c) => !c.metadata?.orgId);
+      if (own.length) {
+        const customerId = own.sort((a, b) => b.created - a.created)[0].id;
         await userRef.set({ stripeCustomerId: customerId }, { merge: true });
         return customerId;
       }
     } catch {
       // 4) Legacy fallback list
       const list = await stripe.customers.list({ email, limit: 10 });
-      if (list.data.length) {
-        const customerId = list.data.sort((a, b) => b.created - a.created)[0].id;
+      const own = list.data.filter((c) => !c.metadata?.orgId);
+      if (own.length) {
+        const customerId = own.sort((a, b) => b.created - a.created)[0].id;
         await userRef.set({ stripeCustomerId: customerId }, { merge: true });
         return customerId;
       }
@@ -111,14 +108,52 @@ async function resolveStripeCustomerId({ uid, userRef }) {
 }
 
 /**
- * Stripe-first daily quota:
- *  - Resolve stripeCustomerId (and cache on user doc)
- *  - Read active sub from Stripe → map price → plan
- *  - Enforce per-day counter in Firestore
- *
- * Throws Error with .code = 'NO_PLAN' | 'LIMIT_EXCEEDED'
+ * Reset time zone of an account doc ({account}.quotaTimezone). A change waits in
+ * quotaTimezoneNext { timeZone, effectiveAtMs } until the day it was made in has ended
+ * (setQuotaTimeZone), so switching zones never opens a fresh day early.
+ * Returns { timeZone, next: { timeZone, effectiveAt } | null }.
+ */
+function accountTimeZone(snap, now = Date.now()) {
+  const next = snap.get('quotaTimezoneNext') || null;
+  if (next && now >= Number(next.effectiveAtMs)) return { timeZone: normalizeTimeZone(next.timeZone), next: null };
+  return {
+    timeZone: normalizeTimeZone(snap.get('quotaTimezone')),
+    next: next ? { timeZone: normalizeTimeZone(next.timeZone), effectiveAt: Number(next.effectiveAtMs) } : null,
+  };
+}
+
+/** Quota policy for a usable subscription; a team plan pools `limit × seats`. */
+function policyFromSubscription(sub, { orgId = null, seats = 1, zone = { timeZone: null, next: null } } = {}) {
+  const { mode, limit } = quotaPolicyForPlan(sub.plan);
+  if (limit <= 0) {
+    const e = new Error('No active plan. Please buy a plan first.');
+    e.code = 'NO_PLAN';
+    throw e;
+  }
+  return {
+    plan: sub.plan,
+    mode,
+    max: limit * seats,
+    timeZone: normalizeTimeZone(zone.timeZone),
+    nextTimeZone: zone.next,
+    periodStart: sub.periodStart,
+    periodEnd: sub.periodEnd,
+    orgId,
+    seats,
+  };
+}
+
+/**
+ * Resolve the user's plan, quota policy and reset preferences:
+ *   { plan, mode, max, timeZone, nextTimeZone, periodStart, periodEnd, orgId, seats }
+ * nextTimeZone is a pending reset zone change ({ timeZone, effectiveAt }) or null.
+ * Members of a team (users/{uid}.orgId, with a doc in orgs/{orgId}/members as in
+ * lib/auth/access.js) whose subscription is usable draw from the team's pooled quota
+ * (orgId set); otherwise the user's own subscription applies.
+ * Routes use it to apply the plan's upload limits before reserving (pass it on to reserveQuota).
+ * Throws .code = 'NO_PLAN'.
  */
-export async function checkAndConsumeQuota({ uid }) {
+export async function resolvePlanLimit(uid) {
   if (!uid) {
     const e = new Error('Missing uid');
     e.code = 'NO_PLAN';
@@ -126,42 +161,394 @@ export async function checkAndConsumeQuota({ uid }) {
   }
 
   const userRef = db.collection('users').doc(uid);
+  const userSnap = await userRef.get();
+
+  const orgId = (userSnap.exists && userSnap.get('orgId')) || null;
+  if (orgId) {
+    // only current members share the team's plan (a stale orgId falls back to the user's own)
+    const orgRef = db.collection('orgs').doc(orgId);
+    const [orgSnap, memberSnap] = await Promise.all([orgRef.get(), orgRef.collection('members').doc(uid).get()]);
+    const orgCustomerId = orgSnap.exists && memberSnap.exists ? orgSnap.get('stripeCustomerId') : null;
+    const teamSub = orgCustomerId ? await getPlanFromStripeCustomer(orgCustomerId) : null;
+    if (teamSub) {
+      return policyFromSubscription(teamSub, { orgId, seats: teamSub.seats, zone: accountTimeZone(orgSnap) });
+    }
+  }
+
   const stripeCustomerId = await resolveStripeCustomerId({ uid, userRef });
 
-  const plan = await getPlanFromStripeCustomer(stripeCustomerId);
-  if (!plan) {
+  const sub = await getPlanFromStripeCustomer(stripeCustomerId);
+  if (!sub) {
     const e = new Error('No active subscription found on Stripe.');
     e.code = 'NO_PLAN';
     throw e;
   }
 
-  const max = limitForPlan(plan);
-  if (max <= 0) {
-    const e = new Error('No active plan. Please buy a plan first.');
-    e.code = 'NO_PLAN';
-    throw e;
+  return policyFromSubscription(sub, { zone: accountTimeZone(userSnap) });
+}
+
+/**
+ * Largest image upload (bytes) the user's plan allows per file, as /api/compare enforces it;
+ * the entry plan's limit for users without a usable subscription.
+ */
+export async function maxImageBytesFor(uid) {
+  const policy = await resolvePlanLimit(uid).catch((e) => {
+    if (e?.code !== 'NO_PLAN') throw e;
+    return null;
+  });
+  return (getPlan(policy?.plan) || DEFAULT_PLAN).features.maxImageBytes;
+}
+
+const WINDOW_LABELS = { daily: 'Daily', monthly: 'Monthly', rolling: '24-hour' };
+
+function limitExceeded({ plan, mode, max, orgId }) {
+  const per = mode === 'monthly' ? 'billing period' : mode === 'rolling' ? '24h' : 'day';
+  const whose = orgId ? "your team's" : 'your';
+  const e = new Error(`${WINDOW_LABELS[mode]} limit reached for ${whose} ${plan} plan (${max}/${per}).`);
+  e.code = 'LIMIT_EXCEEDED';
+  return e;
+}
+
+/*
+ * Usage ledger: reserve → commit | release
+ *
+ * A comparison holds one unit of the allowance from the moment the request is
+ * accepted; failures give it back. Every attempt is appended to the ledger and settled once:
+ *   {account}/usage/{rid}             { rid, uid, keyId, day, period, plan, mode, outcome: 'pending'|'succeeded'|'failed', cost, reason, reservedAtMs, ... }
+ *   {account}/usageDays/{day}         { day, plan, max, used, attempts, succeeded, failed }
+ *   {account}/usagePeriods/{period}   { periodStart, periodEnd, used }   (monthly plans)
+ * {account} is orgs/{orgId} for a pooled team plan, users/{uid} otherwise.
+ * `used` counts pending + succeeded attempts (cost 1); a failed attempt costs 0. Entries left
+ * pending past RESERVATION_TTL_MS are released before the account's usage is counted.
+ * Once the window is used up, a prepaid credit is held instead (source 'credit', cost 0, credits 1).
+ * keyId is the API key that ran the comparison (null for the web app); the key's own
+ * usage counters (apiKeys/{keyId}.usage) are kept in the same transactions.
+ * Days are keyed in the account's time zone ({account}.quotaTimezone, UTC by default;
+ * a change applies from the next reset, see accountTimeZone).
+ *
+ * The quota window depends on the plan's policy (see quotaPolicyForPlan):
+ *   daily   → usageDays/{day}.used
+ *   monthly → usagePeriods/{Stripe current_period_start}.used
+ *   rolling → sum of ledger costs reserved in the last 24h
+ * Entries are never deleted, so the day documents double as the usage history.
+ */
+
+const HISTORY_DAYS = 30;
+// A reservation still pending this long after it was made belongs to a request whose
+// instance was frozen or recycled before settling it (serverless); it is released as 'EXPIRED'.
+// Well above any function time limit or job timeout (lib/jobs/store.js JOB_TIMEOUT_MS).
+export const RESERVATION_TTL_MS = 20 * 60 * 1000;
+const accountDoc = ({ uid, orgId }) => (orgId ? db.collection('orgs').doc(orgId) : db.collection('users').doc(uid));
+const usageCol = (account) => accountDoc(account).collection('usage');
+const usageDoc = (account, rid) => usageCol(account).doc(rid);
+const usageDaysCol = (account) => accountDoc(account).collection('usageDays');
+const usagePeriodsCol = (account) => accountDoc(account).collection('usagePeriods');
+// single counter used before the ledger; still read for the day it was written
+const legacyQuotaDoc = (uid) => db.collection('users').doc(uid).collection('quota').doc('daily');
+
+/** Quota window for a policy at `now`: { key, resetAt } (key null for rolling). */
+function currentWindow(policy, now) {
+  if (policy.mode === 'monthly' && policy.periodStart) {
+    return { key: String(policy.periodStart), resetAt: policy.periodEnd };
+  }
+  if (policy.mode === 'rolling') return { key: null, resetAt: null };
+  return { key: todayKey(new Date(now), policy.timeZone), resetAt: nextDayStart(new Date(now), policy.timeZone) };
+}
+
+/**
+ * Release the account's reservations pending for longer than RESERVATION_TTL_MS
+ * (index on usage (outcome, reservedAtMs): firestore.indexes.json). Best-effort:
+ * a failed sweep is logged and retried on the next call.
+ */
+async function releaseExpiredReservations(account, now) {
+  try {
+    const snap = await usageCol(account)
+      .where('outcome', '==', 'pending')
+      .where('reservedAtMs', '<', now - RESERVATION_TTL_MS)
+      .limit(20)
+      .get();
+    for (const d of snap.docs) await settle({ uid: d.get('uid'), orgId: account.orgId, rid: d.id }, 'failed', 'EXPIRED');
+  } catch (e) {
+    console.warn('[quota] releasing expired reservations failed:', e?.message || e);
+  }
+}
+
+/**
+ * Units used in the current window (inside transaction `t` when given).
+ * Returns { used, oldestAt } — oldestAt: earliest counted reservation (rolling mode).
+ */
+async function usedInWindow(account, policy, quotaWindow, now, t = null) {
+  const get = (ref) => (t ? t.get(ref) : ref.get());
+
+  if (policy.mode === 'rolling') {
+    const snap = await get(usageCol(account).where('reservedAtMs', '>', now - ROLLING_WINDOW_MS));
+    const counted = snap.docs.filter((d) => Number(d.get('cost') || 0) > 0);
+    const oldestAt = counted.reduce((min, d) => Math.min(min, Number(d.get('reservedAtMs'))), Infinity);
+    return { used: counted.length, oldestAt: Number.isFinite(oldestAt) ? oldestAt : null };
   }
 
-  const quotaRef = userRef.collection('quota').doc('daily');
-  const today = todayKey();
+  if (policy.mode === 'monthly' && policy.periodStart) {
+    const s = await get(usagePeriodsCol(account).doc(quotaWindow.key));
+    return { used: s.exists ? Number(s.get('used') || 0) : 0, oldestAt: null };
+  }
 
-  await db.runTransaction(async (t) => {
-    const s = await t.get(quotaRef);
-    const sameDay = s.exists && s.get('day') === today;
-    const used = sameDay ? Number(s.get('count') || 0) : 0;
+  const s = await get(usageDaysCol(account).doc(quotaWindow.key));
+  if (s.exists || account.orgId) return { used: s.exists ? Number(s.get('used') || 0) : 0, oldestAt: null };
+  const legacy = await get(legacyQuotaDoc(account.uid));
+  const used = legacy.exists && legacy.get('day') === quotaWindow.key ? Number(legacy.get('count') || 0) : 0;
+  return { used, oldestAt: null };
+}
 
-    if (used >= max) {
-      const e = new Error(`Daily limit reached for your ${plan} plan (${max}/day).`);
-      e.code = 'LIMIT_EXCEEDED';
-      throw e;
+/**
+ * Reserve one comparison for request `rid`.
+ * Uses the plan allowance first (the team's pool for members of a team plan), then one
+ * of the user's prepaid credits (lib/billing/credits.js).
+ * `keyId` attributes the attempt to the API key that made the request; `policy` is a
+ * resolvePlanLimit result the caller already has (resolved here when omitted).
+ * Returns the reservation { uid, orgId, keyId, rid, plan, mode, max, day, period, source: 'allowance'|'credit' }
+ * to pass to commitQuota/releaseQuota.
+ *
+ * Throws Error with .code = 'NO_PLAN' | 'LIMIT_EXCEEDED'
+ */
+export async function reserveQuota({ uid, rid, keyId = null, policy: resolved = null }) {
+  const policy = resolved || (await resolvePlanLimit(uid));
+  const { plan, mode, max, timeZone } = policy;
+  const now = Date.now();
+  const day = todayKey(new Date(now), timeZone);
+  const quotaWindow = currentWindow(policy, now);
+  const usesPeriod = mode === 'monthly' && !!policy.periodStart;
+  const account = { uid, orgId: policy.orgId || null };
+  await releaseExpiredReservations(account, now);
+
+  const source = await db.runTransaction(async (t) => {
+    // reads first (Firestore transactions), then writes
+    const [{ used }, daySnap, userSnap] = await Promise.all([
+      usedInWindow(account, policy, quotaWindow, now, t),
+      mode === 'daily' ? null : t.get(usageDaysCol(account).doc(day)),
+      t.get(db.collection('users').doc(uid)),
+    ]);
+    const fromCredit = used >= max;
+    if (fromCredit && creditBalanceOf(userSnap) < 1) throw limitExceeded(policy);
+
+    const dayUsed = mode === 'daily' ? used : Number(daySnap?.get('used') || 0);
+    t.set(
+      usageDaysCol(account).doc(day),
+      {
+        day,
+        plan,
+        max: Number.isFinite(max) ? max : null,
+        ...(fromCredit ? { creditsUsed: FieldValue.increment(1) } : { used: dayUsed + 1 }),
+        attempts: FieldValue.increment(1),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    if (fromCredit) spendCredit(t, uid, rid);
+    recordKeyUsage(t, keyId, 'attempts');
+    if (usesPeriod && !fromCredit) {
+      t.set(
+        usagePeriodsCol(account).doc(quotaWindow.key),
+        {
+          periodStart: Timestamp.fromMillis(policy.periodStart),
+          periodEnd: policy.periodEnd ? Timestamp.fromMillis(policy.periodEnd) : null,
+          plan,
+          used: used + 1,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
     }
+    t.create(usageDoc(account, rid), {
+      rid,
+      uid,
+      keyId,
+      day,
+      period: usesPeriod ? quotaWindow.key : null,
+      plan,
+      mode,
+      source: fromCredit ? 'credit' : 'allowance',
+      outcome: 'pending',
+      // cost: allowance units held; credits: prepaid credits held
+      cost: fromCredit ? 0 : 1,
+      credits: fromCredit ? 1 : 0,
+      reason: null,
+      reservedAtMs: now,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return fromCredit ? 'credit' : 'allowance';
+  });
+
+  return {
+    uid,
+    orgId: account.orgId,
+    keyId,
+    rid,
+    plan,
+    mode,
+    max,
+    day,
+    period: usesPeriod && source === 'allowance' ? quotaWindow.key : null,
+    source,
+  };
+}
+
+/** Settle a pending ledger entry once; repeat calls are no-ops. */
+async function settle({ uid, orgId = null, rid }, outcome, reason) {
+  const account = { uid, orgId };
+  return db.runTransaction(async (t) => {
+    const entry = await t.get(usageDoc(account, rid));
+    if (!entry.exists || entry.get('outcome') !== 'pending') return false;
 
+    const failed = outcome === 'failed';
+    const fromCredit = entry.get('source') === 'credit';
+    // a failed attempt gives its unit back to the day/period (or the credit balance) it was taken from
     t.set(
-      quotaRef,
-      { day: today, count: used + 1, max, plan, updatedAt: FieldValue.serverTimestamp() },
+      usageDaysCol(account).doc(entry.get('day')),
+      {
+        [outcome]: FieldValue.increment(1),
+        ...(failed ? { [fromCredit ? 'creditsUsed' : 'used']: FieldValue.increment(-1) } : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
       { merge: true }
     );
+    if (failed && fromCredit) refundCredit(t, uid, rid, reason);
+    recordKeyUsage(t, entry.get('keyId'), outcome);
+    if (failed && entry.get('period')) {
+      t.set(
+        usagePeriodsCol(account).doc(entry.get('period')),
+        { used: FieldValue.increment(-1), updatedAt: FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+    }
+    t.set(
+      usageDoc(account, rid),
+      {
+        outcome,
+        cost: failed || fromCredit ? 0 : 1,
+        credits: !failed && fromCredit ? 1 : 0,
+        reason: reason || null,
+        settledAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return true;
   });
+}
 
-  return { uid, plan, max };
+/** The comparison succeeded: the reserved unit is used for good. */
+export async function commitQuota(reservation) {
+  return settle(reservation, 'succeeded', null);
+}
+
+/**
+ * The comparison failed: give the unit back. `reason` is recorded on the ledger
+ * entry (normally the error_code of the response, e.g. 'BAD_IMAGE', 'OPENAI_ERROR').
+ * Resolves to true when the unit was released, false when it was already settled.
+ */
+export async function releaseQuota(reservation, reason) {
+  return settle(reservation, 'failed', reason || 'UNKNOWN');
+}
+
+/**
+ * Store the time zone for daily resets (IANA name; '' → UTC).
+ * The zone in use stays until the current day ends there and the new zone's day has
+ * started (the later of the two midnights); until then the change is pending, and a
+ * later call replaces it. Picking the zone in use cancels a pending change.
+ * On a pooled team plan the zone belongs to the team, and only its owner may change it.
+ * Returns { timeZone, effectiveAt } (ms epoch; now when nothing changes).
+ * Throws .code = 'BAD_REQUEST' | 'FORBIDDEN'.
+ */
+export async function setQuotaTimeZone(uid, timeZone) {
+  const zone = timeZone ? normalizeTimeZone(timeZone) : 'UTC';
+  if (timeZone && zone !== timeZone) {
+    const e = new Error(`Unknown time zone "${timeZone}".`);
+    e.code = 'BAD_REQUEST';
+    throw e;
+  }
+
+  const policy = await resolvePlanLimit(uid).catch(() => null);
+  const orgId = policy?.orgId || null;
+  const ref = accountDoc({ uid, orgId });
+  const snap = await ref.get();
+  if (orgId && snap.get('ownerId') !== uid) {
+    const e = new Error("Only the team owner can change the team's reset time zone.");
+    e.code = 'FORBIDDEN';
+    throw e;
+  }
+
+  const now = Date.now();
+  const current = accountTimeZone(snap, now).timeZone;
+  const effectiveAt =
+    zone === current ? now : Math.max(nextDayStart(new Date(now), current), nextDayStart(new Date(now), zone));
+  await ref.set(
+    {
+      quotaTimezone: current === 'UTC' ? null : current,
+      quotaTimezoneNext: zone === current ? FieldValue.delete() : { timeZone: zone, effectiveAtMs: effectiveAt },
+    },
+    { merge: true }
+  );
+  return { timeZone: zone, effectiveAt };
+}
+
+/**
+ * Current allowance and the last `days` days of usage (oldest first, gaps filled with zeros).
+ * plan/limit are null/0 when the user has no usable subscription; limit null means no cap.
+ *
+ * Returns { plan, mode, limit, used, remaining, resetAt, timeZone, nextTimeZone, day, credits, team,
+ *           history: [{ day, used, creditsUsed, attempts, succeeded, failed }] }
+ * nextTimeZone is a pending change of the reset zone ({ timeZone, effectiveAt }) or null.
+ * credits is the prepaid balance that is spent once `remaining` reaches 0.
+ * team is { orgId, seats } when the numbers are the team's pooled quota, else null.
+ */
+export async function getUsage(uid, { days = HISTORY_DAYS } = {}) {
+  const policy = await resolvePlanLimit(uid).catch(async (e) => {
+    if (e?.code !== 'NO_PLAN') throw e;
+    const userSnap = await db.collection('users').doc(uid).get();
+    const zone = accountTimeZone(userSnap);
+    return { plan: null, mode: 'daily', max: 0, orgId: null, timeZone: zone.timeZone, nextTimeZone: zone.next };
+  });
+  const account = { uid, orgId: policy.orgId || null };
+
+  const now = Date.now();
+  await releaseExpiredReservations(account, now);
+  const { timeZone } = policy;
+  const day = todayKey(new Date(now), timeZone);
+  const keys = Array.from({ length: days }, (_, i) => todayKey(new Date(now - (days - 1 - i) * 86400000), timeZone));
+  const quotaWindow = currentWindow(policy, now);
+
+  const [snap, { used, oldestAt }, userSnap] = await Promise.all([
+    usageDaysCol(account).where('day', '>=', keys[0]).get(),
+    usedInWindow(account, policy, quotaWindow, now),
+    db.collection('users').doc(uid).get(),
+  ]);
+
+  const byDay = new Map(snap.docs.map((d) => [d.id, d.data()]));
+  const history = keys.map((key) => {
+    const d = byDay.get(key) || {};
+    return {
+      day: key,
+      used: Number(d.used || 0),
+      creditsUsed: Number(d.creditsUsed || 0),
+      attempts: Number(d.attempts || 0),
+      succeeded: Number(d.succeeded || 0),
+      failed: Number(d.failed || 0),
+    };
+  });
+
+  const unlimited = !Number.isFinite(policy.max);
+  return {
+    plan: policy.plan,
+    mode: policy.mode,
+    limit: unlimited ? null : policy.max,
+    used,
+    remaining: unlimited ? null : Math.max(policy.max - used, 0),
+    // rolling: the next unit frees up 24h after the oldest one counted
+    resetAt: policy.mode === 'rolling' ? (oldestAt ? oldestAt + ROLLING_WINDOW_MS : null) : quotaWindow.resetAt || null,
+    timeZone,
+    nextTimeZone: policy.nextTimeZone || null,
+    day,
+    credits: creditBalanceOf(userSnap),
+    team: account.orgId ? { orgId: account.orgId, seats: policy.seats } : null,
+    history,
+  };
 }
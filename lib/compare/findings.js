@@ -0,0 +1,289 @@
+// lib/compare/findings.js
+
+// Shared vocabulary for QA findings (server validation + UI filters)
+export const FINDING_CATEGORIES = ['layout', 'spacing', 'font', 'color', 'missing', 'alignment', 'content', 'other'];
+
+// Ordered most → least severe
+export const FINDING_SEVERITIES = ['critical', 'major', 'minor', 'info'];
+
+// Where a finding's box came from: the vision model, the pixel diff, or a reviewer
+export const REGION_SOURCES = ['model', 'diff', 'manual'];
+
+// Boxes kept per finding and source
+export const MAX_REGIONS_PER_FINDING = 10;
+
+/** Lower rank = more severe; unknown severities sort last. */
+export function severityRank(severity) {
+  const i = FINDING_SEVERITIES.indexOf(String(severity || '').toLowerCase());
+  return i === -1 ? FINDING_SEVERITIES.length : i;
+}
+
+/** JSON shape the model is asked to produce (kept in the prompt verbatim). */
+export const FINDINGS_JSON_SHAPE = `{
+  "summary": string,
+  "findings": [
+    {
+      "category": ${FINDING_CATEGORIES.map((c) => `"${c}"`).join(' | ')},
+      "severity": ${FINDING_SEVERITIES.map((s) => `"${s}"`).join(' | ')},
+      "description": string,
+      "regions": [{ "x": number, "y": number, "width": number, "height": number }]
+    }
+  ]
+}`;
+
+function isNonNegNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n >= 0;
+}
+
+function validateRegion(region, path, errors) {
+  if (region === undefined || region === null) return null;
+  if (typeof region !== 'object') {
+    errors.push(`${path} must be an object or null`);
+    return null;
+  }
+  const out = {};
+  for (const key of ['x', 'y', 'width', 'height']) {
+    if (!isNonNegNumber(region[key])) {
+      errors.push(`${path}.${key} must be a non-negative number`);
+      return null;
+    }
+    out[key] = Math.round(region[key]);
+  }
+  return out;
+}
+
+function validateRegionList(list, path, errors) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`${path} must be an array`);
+    return [];
+  }
+  return list.map((r, i) => validateRegion(r, `${path}[${i}]`, errors)).filter(Boolean);
+}
+
+const boxOf = ({ x, y, width, height }) => ({ x, y, width, height });
+
+/**
+ * Boxes of a finding, in the pixel space shared by the design and dev images
+ * (both are anchored top-left, see lib/compare/pixelDiff.js):
+ * [{ x, y, width, height, source }]. Findings saved before boxes had a source only carry `region`.
+ */
+export function findingRegions(finding) {
+  if (Array.isArray(finding?.regions)) return finding.regions;
+  return finding?.region ? [{ ...boxOf(finding.region), source: 'model' }] : [];
+}
+
+/** Set a finding's boxes; `region` stays the first box for older API consumers. */
+export function withRegions(finding, regions) {
+  return { ...finding, regions, region: regions[0] ? boxOf(regions[0]) : null };
+}
+
+const intersects = (a, b) =>
+  a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+/**
+ * Add the pixel diff's changed areas that overlap a finding's model boxes as tighter
+ * 'diff' boxes of the same finding. Findings the model could not locate are left alone.
+ */
+export function attachDiffRegions(findings, diffRegions = []) {
+  if (!diffRegions.length) return findings;
+  return findings.map((f) => {
+    const own = findingRegions(f).filter((r) => r.source !== 'diff');
+    const model = own.filter((r) => r.source === 'model');
+    const matched = diffRegions
+      .filter((d) => model.some((m) => intersects(m, d)))
+      .slice(0, MAX_REGIONS_PER_FINDING)
+      .map((d) => ({ ...boxOf(d), source: 'diff' }));
+    return matched.length ? withRegions(f, [...own, ...matched]) : f;
+  });
+}
+
+/**
+ * Validate reviewer-drawn boxes for a finding (request bodies).
+ * Returns { ok: true, value: [{ x, y, width, height, source: 'manual' }] } or { ok: false, errors }.
+ */
+export function validateManualRegions(input) {
+  if (!Array.isArray(input)) return { ok: false, errors: ['regions must be an array'] };
+  const errors = [];
+  const boxes = validateRegionList(input, 'regions', errors);
+  if (boxes.length > MAX_REGIONS_PER_FINDING) errors.push(`At most ${MAX_REGIONS_PER_FINDING} boxes per finding`);
+  if (boxes.some((b) => !b.width || !b.height)) errors.push('Boxes need a width and a height');
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: boxes.map((b) => ({ ...b, source: 'manual' })) };
+}
+
+/**
+ * Validate model output against the findings schema.
+ * Accepts a JSON string or an already parsed object.
+ *
+ * Returns { ok: true, value: { summary, findings } } or { ok: false, errors: string[] }.
+ * Findings are normalized (lower-cased enums, trimmed text, ids f1..fn) and sorted by severity.
+ */
+export function validateFindingsReport(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return { ok: false, errors: ['Output is not valid JSON'] };
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { ok: false, errors: ['Output must be a JSON object'] };
+  }
+
+  const errors = [];
+  const summary = typeof data.summary === 'string' ? data.summary.trim() : '';
+  if (data.summary !== undefined && typeof data.summary !== 'string') {
+    errors.push('summary must be a string');
+  }
+
+  if (!Array.isArray(data.findings)) {
+    errors.push('findings must be an array');
+    return { ok: false, errors };
+  }
+
+  const findings = [];
+  data.findings.forEach((f, i) => {
+    const path = `findings[${i}]`;
+    if (!f || typeof f !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    const category = String(f.category || '').toLowerCase();
+    const severity = String(f.severity || '').toLowerCase();
+    const description = typeof f.description === 'string' ? f.description.trim() : '';
+
+    if (!FINDING_CATEGORIES.includes(category)) errors.push(`${path}.category "${f.category}" is not allowed`);
+    if (!FINDING_SEVERITIES.includes(severity)) errors.push(`${path}.severity "${f.severity}" is not allowed`);
+    if (!description) errors.push(`${path}.description is required`);
+
+    // `region` (a single box) is what the model was asked for before `regions`
+    const regions = [
+      ...validateRegionList(f.regions, `${path}.regions`, errors),
+      validateRegion(f.region, `${path}.region`, errors),
+    ]
+      .filter(Boolean)
+      .slice(0, MAX_REGIONS_PER_FINDING)
+      .map((r) => ({ ...r, source: 'model' }));
+    findings.push(withRegions({ category, severity, description }, regions));
+  });
+
+  if (errors.length) return { ok: false, errors };
+
+  findings.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+  findings.forEach((f, i) => { f.id = `f${i + 1}`; });
+
+  return { ok: true, value: { summary, findings } };
+}
+
+/** Count findings per severity ({ critical, major, minor, info }). */
+export function countBySeverity(findings = []) {
+  const counts = Object.fromEntries(FINDING_SEVERITIES.map((s) => [s, 0]));
+  for (const f of findings) if (f.severity in counts) counts[f.severity] += 1;
+  return counts;
+}
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Render a findings report as the markdown QA report shown in the UI and exports.
+ * partial: the report is still streaming, so an empty list is not "no differences" yet.
+ */
+export function findingsToMarkdown({ summary, findings = [] }, { partial = false } = {}) {
+  const lines = ['# Visual QA Report', ''];
+  if (summary) lines.push('## Summary', '', summary, '');
+
+  if (!findings.length) {
+    if (!partial) lines.push('No visual differences found.');
+    return lines.join('\n').trimEnd();
+  }
+
+  for (const category of FINDING_CATEGORIES) {
+    const items = findings.filter((f) => f.category === category);
+    if (!items.length) continue;
+    lines.push(`## ${capitalize(category)}`, '');
+    for (const f of items) {
+      const [box, ...more] = findingRegions(f);
+      const where = box ? ` _(x ${box.x}, y ${box.y}, ${box.width}×${box.height}${more.length ? `, +${more.length} more` : ''})_` : '';
+      lines.push(`- **${capitalize(f.severity)}:** ${f.description}${where}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/** Decode a JSON string body starting at `start`, tolerating a missing closing quote. */
+function readPartialString(src, start) {
+  let end = start;
+  let escaped = false;
+  for (; end < src.length; end++) {
+    const ch = src[end];
+    if (escaped) escaped = false;
+    else if (ch === '\\') escaped = true;
+    else if (ch === '"') break;
+  }
+  // drop a dangling escape sequence (e.g. `\` or `\u00`) at the cut
+  const raw = src.slice(start, end).replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Best-effort view of a findings report that is still being streamed.
+ * Returns the (possibly partial) summary and every finding object that is already complete,
+ * loosely normalized for display. The final output still goes through validateFindingsReport.
+ */
+export function parsePartialFindings(text) {
+  const src = String(text || '');
+  const out = { summary: '', findings: [] };
+
+  const summary = /"summary"\s*:\s*"/.exec(src);
+  if (summary) out.summary = readPartialString(src, summary.index + summary[0].length).trim();
+
+  const list = /"findings"\s*:\s*\[/.exec(src);
+  if (!list) return out;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+  for (let i = list.index + list[0].length; i < src.length; i++) {
+    const ch = src[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') {
+      if (depth === 0) objectStart = i;
+      depth += 1;
+    } else if (ch === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        try {
+          const f = JSON.parse(src.slice(objectStart, i + 1));
+          if (f && typeof f.description === 'string' && f.description.trim()) {
+            out.findings.push({
+              category: FINDING_CATEGORIES.includes(String(f.category).toLowerCase()) ? String(f.category).toLowerCase() : 'other',
+              severity: FINDING_SEVERITIES.includes(String(f.severity).toLowerCase()) ? String(f.severity).toLowerCase() : 'info',
+              description: f.description.trim(),
+              region: null,
+            });
+          }
+        } catch {
+          // incomplete or malformed object: skipped until the final validation
+        }
+      }
+    } else if (ch === ']' && depth === 0) break;
+  }
+
+  return out;
+}
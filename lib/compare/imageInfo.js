@@ -0,0 +1,83 @@
+// lib/compare/imageInfo.js
+
+/**
+ * Comparison input metadata, read from the decoded image header by inspectImage
+ * (lib/compare/pixelDiff.js; this module is also used in the browser):
+ *   { width, height, format, pixelRatio, density, space, colorProfile, hasAlpha }
+ * pixelRatio comes from the embedded density (a 144 DPI retina screenshot is 2); null without one.
+ * Dimensions are checked against the plan's limits (lib/billing/plans.js).
+ */
+
+// CSS reference resolution: 72 DPI in image metadata is a 1x capture
+export const BASE_DENSITY = 72;
+
+/** Description of an ICC profile ('Display P3', 'sRGB IEC61966-2.1', …); null when unreadable. */
+export function iccDescription(icc) {
+  if (!Buffer.isBuffer(icc) || icc.length < 132) return null;
+  try {
+    const count = icc.readUInt32BE(128);
+    for (let i = 0; i < count; i++) {
+      const entry = 132 + i * 12;
+      if (entry + 12 > icc.length) break;
+      if (icc.toString('ascii', entry, entry + 4) !== 'desc') continue;
+      const offset = icc.readUInt32BE(entry + 4);
+      const type = icc.toString('ascii', offset, offset + 4);
+      let text = '';
+      if (type === 'desc') {
+        // ICC v2: ASCII length (with the trailing NUL), then the string
+        const length = icc.readUInt32BE(offset + 8);
+        text = icc.toString('ascii', offset + 12, offset + 12 + length);
+      } else if (type === 'mluc') {
+        // ICC v4: first localized record, UTF-16BE
+        const length = icc.readUInt32BE(offset + 20);
+        const start = offset + icc.readUInt32BE(offset + 24);
+        text = Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le');
+      }
+      return text.replace(/\0+$/, '').trim() || null;
+    }
+  } catch {
+    // malformed profile: reported as unknown
+  }
+  return null;
+}
+
+const IMAGE_LABELS = { design: 'design image', dev: 'development screenshot' };
+
+/**
+ * First input outside the plan's dimension limits, as an error body for the response
+ * ({ error, error_code: 'IMAGE_TOO_SMALL' | 'IMAGE_TOO_LARGE', details }); null when all fit.
+ * infos: { design, dev } from inspectImage; features: the plan's features.
+ */
+export function checkImageDimensions(infos, { minImageWidth, minImageHeight, maxImagePixels }) {
+  for (const [key, info] of Object.entries(infos)) {
+    const label = IMAGE_LABELS[key] || key;
+    const details = { image: key, width: info.width, height: info.height };
+    if (info.width < minImageWidth || info.height < minImageHeight) {
+      return {
+        error: `The ${label} is ${info.width}×${info.height}px; your plan needs at least ${minImageWidth}×${minImageHeight}px.`,
+        error_code: 'IMAGE_TOO_SMALL',
+        details: { ...details, minWidth: minImageWidth, minHeight: minImageHeight },
+      };
+    }
+    if (info.width * info.height > maxImagePixels) {
+      return {
+        error: `The ${label} is ${info.width}×${info.height}px; your plan allows up to ${(maxImagePixels / 1e6).toFixed(0)} megapixels.`,
+        error_code: 'IMAGE_TOO_LARGE',
+        details: { ...details, maxPixels: maxImagePixels },
+      };
+    }
+  }
+  return null;
+}
+
+/** Short description for report headers: '1440×900px · 2x · Display P3'. */
+export function formatImageInfo(info) {
+  if (!info?.width) return '';
+  return [
+    `${info.width}×${info.height}px`,
+    info.pixelRatio && info.pixelRatio !== 1 ? `${info.pixelRatio}x` : null,
+    info.colorProfile || (info.space && info.space !== 'srgb' ? info.space : null),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
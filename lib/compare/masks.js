@@ -0,0 +1,80 @@
+// lib/compare/masks.js
+
+/**
+ * Ignore masks: rectangles over dynamic content (timestamps, avatars, ads) that are blanked
+ * on both images before the pixel diff and the model see them, so they never differ.
+ * Coordinates are design image pixels, which the dev image is normalized onto
+ * (lib/compare/normalize.js):
+ *   { x, y, width, height, label? }
+ *
+ * A comparison combines the masks of its baseline, its project screen and the request;
+ * the report keeps them with their `source` ('baseline' | 'screen' | 'request').
+ * The blanking itself is maskImage in lib/compare/pixelDiff.js; this module is also
+ * used in the browser.
+ */
+
+export const MAX_MASKS = 50;
+const MAX_LABEL_LENGTH = 60;
+
+const isNonNegNumber = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+
+/**
+ * Validate masks from a request body or a multipart field (a JSON string).
+ * Returns { ok: true, value: [{ x, y, width, height, label? }] } or { ok: false, errors }.
+ */
+export function validateMasks(input) {
+  let list = input;
+  if (typeof input === 'string') {
+    if (!input.trim()) return { ok: true, value: [] };
+    try {
+      list = JSON.parse(input);
+    } catch {
+      return { ok: false, errors: ['masks must be a JSON array'] };
+    }
+  }
+  if (list === undefined || list === null) return { ok: true, value: [] };
+  if (!Array.isArray(list)) return { ok: false, errors: ['masks must be an array'] };
+  if (list.length > MAX_MASKS) return { ok: false, errors: [`At most ${MAX_MASKS} masks`] };
+
+  const errors = [];
+  const value = [];
+  list.forEach((m, i) => {
+    const path = `masks[${i}]`;
+    if (!m || typeof m !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    const bad = ['x', 'y', 'width', 'height'].find((key) => !isNonNegNumber(m[key]));
+    if (bad) {
+      errors.push(`${path}.${bad} must be a non-negative number`);
+      return;
+    }
+    const mask = { x: Math.round(m.x), y: Math.round(m.y), width: Math.round(m.width), height: Math.round(m.height) };
+    if (!mask.width || !mask.height) {
+      errors.push(`${path} needs a width and a height`);
+      return;
+    }
+    const label = typeof m.label === 'string' ? m.label.trim().slice(0, MAX_LABEL_LENGTH) : '';
+    value.push(label ? { ...mask, label } : mask);
+  });
+
+  return errors.length ? { ok: false, errors } : { ok: true, value };
+}
+
+/**
+ * Masks of a comparison: `sources` maps a source name to its list, in order of precedence.
+ * The same rectangle from several sources is kept once.
+ */
+export function combineMasks(sources) {
+  const seen = new Set();
+  const out = [];
+  for (const [source, masks] of Object.entries(sources)) {
+    for (const m of masks || []) {
+      const key = `${m.x},${m.y},${m.width},${m.height}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push({ ...m, source });
+    }
+  }
+  return out.slice(0, MAX_MASKS);
+}
@@ -0,0 +1,246 @@
+// lib/compare/normalize.js
+import sharp from 'sharp';
+import { readMeta } from '@/lib/compare/pixelDiff';
+
+/**
+ * Scale and alignment normalization: the development screenshot is mapped onto the design's
+ * pixel grid before masking, the pixel diff and the model, so a 2x retina capture, a window
+ * with browser chrome or a slightly shifted crop still compares element by element.
+ *
+ *   1. scale   - dev is resized to the design's width. A ratio close to a common device
+ *                pixel ratio (2880 vs 1440 → 2) is snapped to it; a width within a few
+ *                percent (scrollbar, window border) is treated as a crop, not a scale.
+ *   2. align   - the offset of the scaled dev is searched on downscaled grayscale copies,
+ *                coarse to fine, minimizing the mean difference where they overlap.
+ *                Browser chrome or extra margins above or left of the page end up at a
+ *                negative offset and are cropped.
+ *
+ * The design is the reference: its coordinates are the report's (finding regions, masks,
+ * the diff canvas). Transform of a dev pixel (u, v): x = u * scale + offset.x, y = v * scale + offset.y
+ *
+ * This is not feature matching: the transform is one uniform scale (from the widths) and one
+ * translation for the whole page (reported as normalization.method = 'width-scale+translation').
+ * Layouts that reflow, content that moved independently (a taller header pushing the page
+ * down) or a capture scaled differently from its width are compared unaligned below that point.
+ */
+
+// What normalizeImages estimates; reported so clients don't read more into the transform
+export const NORMALIZATION_METHOD = 'width-scale+translation';
+
+// Known device pixel ratios; a width ratio within DPR_TOLERANCE of one (or its inverse) snaps to it
+const KNOWN_DPRS = [1.25, 1.5, 1.75, 2, 2.25, 2.5, 3, 4];
+const DPR_TOLERANCE = 0.02;
+// Width differences up to this share are crops (scrollbars, borders), not scaling
+const CROP_TOLERANCE = 0.03;
+
+// Alignment search: a coarse pass over the whole window, then finer passes around the best
+// offset so far. `width` is the analysis width (capped at the design's), `rows` the most
+// rows compared per candidate.
+const SEARCH_LEVELS = [
+  { width: 128, rows: 384 },
+  { width: 512, rows: 1024 },
+  { width: Infinity, rows: 512 },
+];
+// Largest shift searched, as a share of the image (vertical: browser chrome, horizontal: borders)
+const MAX_SHIFT_Y = 0.25;
+const MAX_SHIFT_X = 0.05;
+// …and at most this many rows of the coarse level
+const MAX_COARSE_SHIFT_ROWS = 48;
+// A shift must overlap this share of the smaller image…
+const MIN_OVERLAP = 0.5;
+// …and lower the mean difference by this share to be applied (a shifted page drops it to
+// near zero; lining up one misplaced element helps far less)
+const MIN_GAIN = 0.7;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Scale from dev to design pixels, and the device pixel ratio it matches (or null). */
+export function detectScale(designWidth, devWidth) {
+  const ratio = devWidth / designWidth;
+  if (Math.abs(ratio - 1) <= CROP_TOLERANCE) return { scale: 1, pixelRatio: null };
+  for (const dpr of KNOWN_DPRS) {
+    for (const known of [dpr, 1 / dpr]) {
+      if (Math.abs(ratio / known - 1) <= DPR_TOLERANCE) return { scale: 1 / known, pixelRatio: round2(known) };
+    }
+  }
+  return { scale: designWidth / devWidth, pixelRatio: null };
+}
+
+/** Grayscale pixels of an image resized to `width` (height keeps the aspect ratio). */
+async function grayAt(buffer, width) {
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: WHITE })
+    .resize({ width: Math.max(1, Math.round(width)) })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Mean absolute difference of `a` and `b` with b's pixel (u, v) over a's (u + dx, v + dy),
+ * or null when they overlap too little. Only the first `maxRows` rows of `a` are compared.
+ */
+function meanDifference(a, b, dx, dy, maxRows) {
+  const x0 = Math.max(0, dx);
+  const x1 = Math.min(a.width, b.width + dx);
+  const y0 = Math.max(0, dy);
+  const y1 = Math.min(a.height, b.height + dy, maxRows);
+  if (x1 <= x0 || y1 <= y0) return null;
+  const minArea = Math.min(a.width * Math.min(a.height, maxRows), b.width * Math.min(b.height, maxRows));
+  if ((x1 - x0) * (y1 - y0) < minArea * MIN_OVERLAP) return null;
+
+  let sum = 0;
+  for (let y = y0; y < y1; y++) {
+    const ra = y * a.width;
+    const rb = (y - dy) * b.width - dx;
+    for (let x = x0; x < x1; x++) sum += Math.abs(a.data[ra + x] - b.data[rb + x]);
+  }
+  return sum / ((x1 - x0) * (y1 - y0));
+}
+
+function bestShift(a, b, { xs, ys, maxRows }) {
+  let best = null;
+  for (const dy of ys) {
+    for (const dx of xs) {
+      const cost = meanDifference(a, b, dx, dy, maxRows);
+      if (cost !== null && (!best || cost < best.cost)) best = { dx, dy, cost };
+    }
+  }
+  return best;
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+/**
+ * Offset (design px) of the scaled dev image on the design, with the mean grayscale
+ * difference (0-255) before and after. The offset is { 0, 0 } unless a shift clearly helps.
+ */
+async function findOffset(designBuffer, designWidth, devBuffer, scaledDevWidth) {
+  let best = null;
+  let prevK = null;
+  let last = null;
+  for (const { width, rows } of SEARCH_LEVELS) {
+    const k = Math.min(width, designWidth) / designWidth;
+    if (k === prevK) continue;
+    const [a, b] = await Promise.all([grayAt(designBuffer, designWidth * k), grayAt(devBuffer, scaledDevWidth * k)]);
+
+    let xs;
+    let ys;
+    if (!prevK) {
+      const maxY = Math.min(Math.round(Math.min(a.height, b.height) * MAX_SHIFT_Y), MAX_COARSE_SHIFT_ROWS);
+      const maxX = Math.round(a.width * MAX_SHIFT_X);
+      xs = range(-maxX, maxX);
+      ys = range(-maxY, maxY);
+    } else {
+      // one step of the previous level around its best offset
+      const r = k / prevK;
+      const step = Math.ceil(r);
+      const cx = Math.round(best.dx * r);
+      const cy = Math.round(best.dy * r);
+      xs = range(cx - step, cx + step);
+      ys = range(cy - step, cy + step);
+    }
+    best = bestShift(a, b, { xs, ys, maxRows: rows });
+    last = { a, b, k, rows };
+    prevK = k;
+    if (!best) break;
+  }
+
+  const { a, b, k, rows } = last;
+  const unaligned = meanDifference(a, b, 0, 0, rows);
+  if (!best) return { offset: { x: 0, y: 0 }, unaligned, aligned: unaligned };
+
+  // each axis keeps its shift only if that clearly helps on its own
+  const helps = (cost, without) => without === null || cost < without * (1 - MIN_GAIN);
+  let { dx, dy, cost } = best;
+  if (dx !== 0) {
+    const without = meanDifference(a, b, 0, dy, rows);
+    if (!helps(cost, without)) {
+      dx = 0;
+      cost = without;
+    }
+  }
+  if (dy !== 0) {
+    const without = meanDifference(a, b, dx, 0, rows);
+    if (!helps(cost, without)) {
+      dy = 0;
+      cost = without;
+    }
+  }
+  if (dx === 0 && dy === 0) return { offset: { x: 0, y: 0 }, unaligned, aligned: unaligned };
+  return { offset: { x: Math.round(dx / k), y: Math.round(dy / k) }, unaligned, aligned: cost };
+}
+
+/**
+ * Map an encoded dev image onto the design's grid with a transform from normalizeImages:
+ * scaled, shifted by the offset and cut to `width` (the design's width); parts moved
+ * off the top or left are cropped, uncovered areas are white. Resolves to a PNG buffer.
+ */
+export async function alignImage(buffer, { scale, offset }, width) {
+  const meta = await readMeta(buffer);
+  const w = Math.max(1, Math.round(meta.width * scale));
+  const h = Math.max(1, Math.round(meta.height * scale));
+
+  const left = Math.max(0, -offset.x);
+  const top = Math.max(0, -offset.y);
+  const keepW = Math.min(w, width - offset.x) - left;
+  const keepH = h - top;
+  if (keepW <= 0 || keepH <= 0) throw new Error('Alignment leaves nothing of the image.');
+
+  const padLeft = Math.max(0, offset.x);
+  const padTop = Math.max(0, offset.y);
+  return sharp(buffer)
+    .resize(w, h, { fit: 'fill' })
+    .extract({ left, top, width: keepW, height: keepH })
+    .extend({ left: padLeft, top: padTop, right: width - padLeft - keepW, bottom: 0, background: WHITE })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Normalize the dev image of a comparison to the design. Resolves to
+ * { dev, normalization } where dev is { buffer, mimetype } (the input when nothing changed) and
+ *   normalization: {
+ *     applied,                         // false: dev already matched the design's grid
+ *     method,                          // NORMALIZATION_METHOD: what was estimated (no feature matching)
+ *     scale, pixelRatio,               // dev → design; pixelRatio: matched DPR ratio (dev / design) or null
+ *     offset: { x, y },                // design px where the scaled dev's top-left lands
+ *     crop: { top, left, right },      // dev px cut away (browser chrome, borders)
+ *     meanDifference: { unaligned, aligned }, // grayscale, 0-255, on the finest search level
+ *     source: { design: { width, height }, dev: { width, height } },
+ *   }
+ */
+export async function normalizeImages({ design, dev }) {
+  const [dm, vm] = await Promise.all([readMeta(design.buffer), readMeta(dev.buffer)]);
+  const { scale, pixelRatio } = detectScale(dm.width, vm.width);
+  const scaledWidth = vm.width * scale;
+
+  const { offset, unaligned, aligned } = await findOffset(design.buffer, dm.width, dev.buffer, scaledWidth);
+
+  const crop = {
+    top: Math.round(Math.max(0, -offset.y) / scale),
+    left: Math.round(Math.max(0, -offset.x) / scale),
+    right: Math.round(Math.max(0, Math.round(scaledWidth) + offset.x - dm.width) / scale),
+  };
+  const applied = scale !== 1 || offset.x !== 0 || offset.y !== 0 || crop.right > 0;
+  const normalization = {
+    applied,
+    method: NORMALIZATION_METHOD,
+    scale: Number(scale.toFixed(4)),
+    pixelRatio,
+    offset,
+    crop,
+    meanDifference: {
+      unaligned: unaligned === null ? null : round2(unaligned),
+      aligned: aligned === null ? null : round2(aligned),
+    },
+    source: { design: { width: dm.width, height: dm.height }, dev: { width: vm.width, height: vm.height } },
+  };
+  if (!applied) return { dev: { buffer: dev.buffer, mimetype: dev.mimetype }, normalization };
+
+  const buffer = await alignImage(dev.buffer, { scale, offset }, dm.width);
+  return { dev: { buffer, mimetype: 'image/png' }, normalization };
+}
@@ -0,0 +1,188 @@
+// lib/compare/pixelDiff.js
+import sharp from 'sharp';
+import pixelmatch from 'pixelmatch';
+import { BASE_DENSITY, iccDescription } from '@/lib/compare/imageInfo';
+
+// pixelmatch sensitivity (0..1); smaller is stricter
+const DEFAULT_THRESHOLD = 0.1;
+// Changed pixels are bucketed into square cells before grouping into regions
+const CELL_SIZE = 16;
+const MAX_REGIONS = 50;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+// Ignore masks are filled with the same flat color on both images
+const MASK_FILL = { r: 128, g: 128, b: 128, alpha: 1 };
+
+/** Decode an image buffer to RGBA, padded (right/bottom) onto a width x height canvas. */
+async function toRgbaCanvas(buffer, width, height, meta) {
+  const { data } = await sharp(buffer)
+    .ensureAlpha()
+    .extend({
+      top: 0,
+      left: 0,
+      right: width - meta.width,
+      bottom: height - meta.height,
+      background: WHITE,
+    })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  // copy into a fresh, aligned array (pixelmatch reads it as Uint32)
+  return new Uint8Array(data);
+}
+
+/** Width, height and format of an encoded image; undecodable input throws with code BAD_IMAGE. */
+export async function readMeta(buffer) {
+  try {
+    const meta = await sharp(buffer).metadata();
+    if (!meta?.width || !meta?.height) throw new Error('Missing dimensions');
+    return meta;
+  } catch (err) {
+    const e = new Error('Could not decode image.');
+    e.code = 'BAD_IMAGE';
+    e.cause = err;
+    throw e;
+  }
+}
+
+/**
+ * Group changed pixels (red in the diff mask) into bounding boxes.
+ * Cells containing a change are joined with their 8 neighbours, largest first.
+ */
+function findRegions(mask, width, height) {
+  const cols = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const cells = new Uint8Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (mask[i] === 255 && mask[i + 1] === 0 && mask[i + 2] === 0 && mask[i + 3] === 255) {
+        cells[Math.floor(y / CELL_SIZE) * cols + Math.floor(x / CELL_SIZE)] = 1;
+      }
+    }
+  }
+
+  const regions = [];
+  const seen = new Uint8Array(cols * rows);
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+
+    let minC = cols, minR = rows, maxC = -1, maxR = -1;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const cell = stack.pop();
+      const c = cell % cols;
+      const r = (cell - c) / cols;
+      minC = Math.min(minC, c); maxC = Math.max(maxC, c);
+      minR = Math.min(minR, r); maxR = Math.max(maxR, r);
+
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nr = r + dr, nc = c + dc;
+          if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+          const n = nr * cols + nc;
+          if (cells[n] && !seen[n]) { seen[n] = 1; stack.push(n); }
+        }
+      }
+    }
+
+    const x = minC * CELL_SIZE;
+    const y = minR * CELL_SIZE;
+    regions.push({
+      x,
+      y,
+      width: Math.min((maxC + 1) * CELL_SIZE, width) - x,
+      height: Math.min((maxR + 1) * CELL_SIZE, height) - y,
+    });
+  }
+
+  return regions
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, MAX_REGIONS);
+}
+
+/**
+ * Deterministic pixel comparison of two encoded images (PNG/JPEG/WEBP buffers).
+ * Images of different sizes are compared on a shared canvas anchored top-left;
+ * the uncovered area counts as changed.
+ *
+ * Returns { mismatchPercent, mismatchedPixels, totalPixels, width, height,
+ *           sizeMismatch, regions, diffImage } where diffImage is a PNG data URL
+ * with changed pixels in red over a transparent background.
+ *
+ * Throws Error with .code = 'BAD_IMAGE' when an input cannot be decoded.
+ */
+export async function computePixelDiff(buffer1, buffer2, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const [meta1, meta2] = await Promise.all([readMeta(buffer1), readMeta(buffer2)]);
+
+  const width = Math.max(meta1.width, meta2.width);
+  const height = Math.max(meta1.height, meta2.height);
+
+  const [img1, img2] = await Promise.all([
+    toRgbaCanvas(buffer1, width, height, meta1),
+    toRgbaCanvas(buffer2, width, height, meta2),
+  ]);
+
+  const mask = new Uint8Array(width * height * 4);
+  const mismatchedPixels = pixelmatch(img1, img2, mask, width, height, { threshold, diffMask: true });
+  const totalPixels = width * height;
+
+  const png = await sharp(Buffer.from(mask.buffer), { raw: { width, height, channels: 4 } })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+
+  return {
+    mismatchPercent: Number(((mismatchedPixels / totalPixels) * 100).toFixed(2)),
+    mismatchedPixels,
+    totalPixels,
+    width,
+    height,
+    sizeMismatch: meta1.width !== meta2.width || meta1.height !== meta2.height,
+    regions: findRegions(mask, width, height),
+    diffImage: `data:image/png;base64,${png.toString('base64')}`,
+  };
+}
+
+/**
+ * Blank ignore masks (lib/compare/masks.js) on an encoded image. Resolves to
+ * { buffer, mimetype } (PNG, so the flat fill survives exactly); without masks the
+ * image is returned untouched.
+ * Parts of a mask outside this image are ignored.
+ */
+export async function maskImage({ buffer, mimetype }, masks = []) {
+  if (!masks.length) return { buffer, mimetype };
+
+  const { width, height } = await readMeta(buffer);
+  const overlays = masks
+    .map((m) => {
+      const left = Math.min(m.x, width);
+      const top = Math.min(m.y, height);
+      return { left, top, w: Math.min(m.x + m.width, width) - left, h: Math.min(m.y + m.height, height) - top };
+    })
+    .filter((r) => r.w > 0 && r.h > 0)
+    .map((r) => ({
+      input: { create: { width: r.w, height: r.h, channels: 4, background: MASK_FILL } },
+      left: r.left,
+      top: r.top,
+    }));
+  if (!overlays.length) return { buffer, mimetype };
+
+  return { buffer: await sharp(buffer).composite(overlays).png().toBuffer(), mimetype: 'image/png' };
+}
+
+/** Header metadata of an encoded image (lib/compare/imageInfo.js); undecodable input throws with code BAD_IMAGE. */
+export async function inspectImage(buffer) {
+  const meta = await readMeta(buffer);
+  const density = meta.density || null;
+  return {
+    width: meta.width,
+    height: meta.height,
+    format: meta.format || null,
+    pixelRatio: density ? Math.round((density / BASE_DENSITY) * 100) / 100 : null,
+    density,
+    space: meta.space || null,
+    colorProfile: meta.hasProfile ? iccDescription(meta.icc) || 'embedded' : null,
+    hasAlpha: !!meta.hasAlpha,
+  };
+}
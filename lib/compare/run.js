@@ -0,0 +1,208 @@
+// lib/compare/run.js
+import { computePixelDiff, maskImage } from '@/lib/compare/pixelDiff';
+import { normalizeImages } from '@/lib/compare/normalize';
+import { FINDINGS_JSON_SHAPE, attachDiffRegions, findingsToMarkdown, parsePartialFindings, validateFindingsReport } from '@/lib/compare/findings';
+import { getVisionProvider } from '@/lib/vision';
+import { saveReport } from '@/lib/reports/store';
+import { comparisonPassed, recordScreenRun } from '@/lib/projects/store';
+
+function fail(status, code, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  Object.assign(e, extra);
+  return e;
+}
+
+/** Prompt sent with both screenshots; diff gives the shared coordinate space. */
+export function comparePrompt(diff, { masked = false } = {}) {
+  return (
+    'Compare these two UI screenshots (first: design, second: development build) and produce a QA report.\n' +
+    'Focus on layout shifts, missing or misaligned elements, spacing, font, color, and visual consistency issues.\n' +
+    `Both images share a ${diff.width}x${diff.height}px coordinate space; give a box per affected element when you can locate it (else an empty list).\n` +
+    (masked ? 'Flat gray rectangles cover dynamic content on purpose; do not report anything about them.\n' : '') +
+    'Respond with JSON only, matching exactly this shape:\n' +
+    FINDINGS_JSON_SHAPE
+  );
+}
+
+/**
+ * Scale and align the dev image onto the design's grid (lib/compare/normalize.js).
+ * Resolves to { images, normalization }; normalization is null when disabled, or when
+ * alignment fails on decodable images (logged; the images are compared as uploaded).
+ */
+export async function normalizeStep({ design, dev }, enabled = true, log = () => {}) {
+  if (!enabled) return { images: { design, dev }, normalization: null };
+  try {
+    const { dev: aligned, normalization } = await normalizeImages({ design, dev });
+    return { images: { design, dev: { ...dev, ...aligned } }, normalization };
+  } catch (e) {
+    if (e?.code === 'BAD_IMAGE') throw fail(400, 'BAD_IMAGE', 'One of the images could not be decoded.', { cause: e });
+    log('normalization failed, comparing as uploaded:', e?.message || e);
+    return { images: { design, dev }, normalization: null };
+  }
+}
+
+/** Blank the ignore masks on both images; the originals are what gets saved. */
+export async function maskStep({ design, dev }, masks = []) {
+  if (!masks.length) return { design, dev };
+  try {
+    const [d1, d2] = await Promise.all([maskImage(design, masks), maskImage(dev, masks)]);
+    return { design: { ...design, ...d1 }, dev: { ...dev, ...d2 } };
+  } catch (e) {
+    throw fail(400, 'BAD_IMAGE', 'One of the images could not be decoded.', { cause: e });
+  }
+}
+
+/** Pixel diff step. Throws with .status/.code ready for the HTTP response. */
+export async function diffStep({ design, dev }) {
+  try {
+    return await computePixelDiff(design.buffer, dev.buffer);
+  } catch (e) {
+    if (e?.code === 'BAD_IMAGE') throw fail(400, 'BAD_IMAGE', 'One of the images could not be decoded.', { cause: e });
+    throw fail(500, 'DIFF_ERROR', 'Pixel comparison failed.', { cause: e });
+  }
+}
+
+/**
+ * Turn raw model output into { summary, findings, result } or throw OPENAI_EMPTY / OPENAI_BAD_SCHEMA.
+ * With the pixel diff, changed areas inside a finding's boxes are added to it.
+ */
+export function parseModelOutput(content, diff = null) {
+  if (!content) throw fail(502, 'OPENAI_EMPTY', 'The model did not return a result.');
+
+  const checked = validateFindingsReport(content);
+  if (!checked.ok) {
+    throw fail(502, 'OPENAI_BAD_SCHEMA', 'The AI report did not match the expected format.', {
+      details: checked.errors.slice(0, 10),
+    });
+  }
+
+  const { summary } = checked.value;
+  const findings = attachDiffRegions(checked.value.findings, diff?.regions);
+  return { summary, findings, result: findingsToMarkdown({ summary, findings }) };
+}
+
+/** An input image for the response: file details and its decoded header (inspectImage). */
+function describeInput({ fileName, mimetype, buffer, info }) {
+  return { fileName: fileName || null, mimetype, size: buffer.length, ...info };
+}
+
+/** Message of a provider/SDK error. */
+export function modelErrorMessage(e) {
+  return e?.response?.data?.error?.message || e?.error?.message || e?.message || 'Model request failed.';
+}
+
+/**
+ * Persist the report and update its project screen (best-effort: a failed save
+ * does not fail a comparison the model already answered). Returns the report id or null.
+ */
+export async function persistStep(ctx, { provider, summary, findings, result, diff, normalization }, log = () => {}) {
+  const { uid, rid, plan, startedAt, design, dev, baseline, projectId, screenId, orgId, masks } = ctx;
+  try {
+    const reportId = await saveReport({
+      uid,
+      orgId: orgId || null,
+      rid,
+      plan,
+      model: provider.model,
+      provider: provider.name,
+      startedAt,
+      images: { design, dev },
+      baseline,
+      projectId: projectId || null,
+      screenId: screenId || null,
+      summary,
+      findings,
+      result,
+      diff,
+      masks: masks || [],
+      normalization: normalization || null,
+    });
+    log('report saved', { reportId });
+    if (projectId) {
+      // findings are sorted most severe first
+      await recordScreenRun(projectId, screenId, { reportId, passed: comparisonPassed(findings[0]?.severity) });
+    }
+    return reportId;
+  } catch (e) {
+    log('report save failed:', e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Model step. With onDelta the provider streams and onDelta(text) receives each chunk.
+ * Resolves to the raw content; provider failures become OPENAI_ERROR (502).
+ */
+async function modelStep(provider, { design, dev, diff, masked }, onDelta, log) {
+  const input = {
+    prompt: comparePrompt(diff, { masked }),
+    images: [
+      { mimetype: design.mimetype, base64: design.buffer.toString('base64') },
+      { mimetype: dev.mimetype, base64: dev.buffer.toString('base64') },
+    ],
+    context: { diff },
+  };
+  try {
+    log(`model call -> ${provider.name}/${provider.model}${onDelta ? ' (stream)' : ''}`);
+    return onDelta ? await provider.stream({ ...input, onDelta }) : await provider.complete(input);
+  } catch (e) {
+    throw fail(502, 'OPENAI_ERROR', `Model error: ${modelErrorMessage(e)}`, { cause: e });
+  }
+}
+
+/**
+ * Full comparison after auth, quota and upload handling:
+ * scale/alignment normalization → ignore masks → pixel diff → vision model → schema
+ * validation → persisted report.
+ *
+ * ctx: { uid, rid, plan, startedAt, design, dev, baseline, projectId, screenId, orgId, masks, normalize }
+ *      design/dev: { buffer, mimetype, fileName, path?, info? } (info: inspectImage header metadata)
+ *      masks: combined ignore masks ([{ x, y, width, height, label?, source }], may be empty)
+ *      normalize: false to compare the images as uploaded (default true)
+ *
+ * options.onEvent(name, data) - when set the model output is streamed and reported as
+ *   'diff' (pixel diff incl. heatmap) then 'report' ({ markdown, findings }) each time
+ *   the partial report changes
+ *
+ * Resolves to the response body; throws Error with .status, .code (and .details) on failure.
+ */
+export async function runComparison(ctx, log = () => {}, { onEvent = null } = {}) {
+  const { plan, rid, design, dev, baseline } = ctx;
+  const masks = ctx.masks || [];
+
+  const { images, normalization } = await normalizeStep({ design, dev }, ctx.normalize !== false, log);
+  if (normalization?.applied) {
+    log('normalized', { scale: normalization.scale, pixelRatio: normalization.pixelRatio, offset: normalization.offset });
+  }
+  const analyzed = await maskStep(images, masks);
+  if (masks.length) log('masks applied', { masks: masks.length });
+  const diff = await diffStep(analyzed);
+  log('pixel diff ok', { mismatchPercent: diff.mismatchPercent, regions: diff.regions.length });
+  if (onEvent) onEvent('diff', diff);
+
+  const provider = getVisionProvider({ plan });
+
+  let onDelta = null;
+  if (onEvent) {
+    let streamed = '';
+    let lastMarkdown = '';
+    onDelta = (delta) => {
+      streamed += delta;
+      const partial = parsePartialFindings(streamed);
+      const markdown = findingsToMarkdown(partial, { partial: true });
+      if (markdown === lastMarkdown) return;
+      lastMarkdown = markdown;
+      onEvent('report', { markdown, findings: partial.findings.length });
+    };
+  }
+
+  const content = await modelStep(provider, { ...analyzed, diff, masked: masks.length > 0 }, onDelta, log);
+  const { summary, findings, result } = parseModelOutput(content, diff);
+  const reportId = await persistStep(ctx, { provider, summary, findings, result, diff, normalization }, log);
+
+  log('success', { findings: findings.length });
+  const inputs = { design: describeInput(design), dev: describeInput(dev) };
+  return { result, summary, findings, diff, masks, normalization, inputs, model: provider.model, plan, baseline: baseline || null, reportId, rid };
+}
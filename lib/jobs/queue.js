@@ -0,0 +1,99 @@
+// lib/jobs/queue.js
+import { runComparison } from '@/lib/compare/run';
+import { claimJob, markJobFailed, markJobSucceeded } from '@/lib/jobs/store';
+import { commitQuota, releaseQuota } from '@/lib/billing/quota';
+
+/**
+ * In-process job queue (development and tests).
+ * Work runs in the same Node process after the HTTP response is sent, so it
+ * needs a long-lived server (`next dev` / `next start`); serverless deployments
+ * should plug a durable queue in behind the same enqueue() interface. Until then a
+ * job lost with its instance expires after JOB_TIMEOUT_MS (lib/jobs/store.js) and its
+ * quota reservation is released (as are stale reservations, lib/billing/quota.js).
+ */
+function createLocalQueue(handler, { concurrency = 1 } = {}) {
+  const pending = [];
+  let active = 0;
+
+  function drain() {
+    while (active < concurrency && pending.length) {
+      const job = pending.shift();
+      active += 1;
+      Promise.resolve()
+        .then(() => handler(job))
+        .catch((e) => console.error('[jobs] handler crashed:', e?.message || e))
+        .finally(() => {
+          active -= 1;
+          drain();
+        });
+    }
+  }
+
+  return {
+    enqueue(job) {
+      pending.push(job);
+      drain();
+    },
+    size: () => pending.length + active,
+  };
+}
+
+/** Settle the job's quota reservation without failing the job over it. */
+async function settleQuota(reservation, reason, log) {
+  if (!reservation) return;
+  try {
+    if (reason) await releaseQuota(reservation, reason);
+    else await commitQuota(reservation);
+    log(reason ? `quota released (${reason})` : 'quota committed');
+  } catch (e) {
+    log('quota settle failed:', e?.message || e);
+  }
+}
+
+/**
+ * Worker for comparison jobs; the payload is the runComparison context plus the
+ * quota reservation taken by the request, committed or released here. A job that is
+ * no longer queued (expired while it waited) is skipped; its reservation was released.
+ */
+export async function processCompareJob({ id, payload }) {
+  const { reservation, ...ctx } = payload;
+  const log = (...args) => console.log(`[COMPARE ${ctx.rid}] (job)`, ...args);
+  let body;
+  try {
+    if (!(await claimJob(id))) {
+      log('job is no longer queued; skipped');
+      return;
+    }
+    body = await runComparison(ctx, log);
+  } catch (e) {
+    log(`${e?.status || 500} ${e?.code || 'SERVER_ERROR'}:`, e?.message || e);
+    await settleQuota(reservation, e?.code || 'SERVER_ERROR', log);
+    await markJobFailed(id, {
+      code: e?.code || 'SERVER_ERROR',
+      status: e?.status || 500,
+      message: e?.status ? e.message : 'Comparison failed.',
+      ...(e?.details ? { details: e.details } : {}),
+    });
+    return;
+  }
+
+  // The report is saved: the unit is used, whatever happens to the job's status
+  await settleQuota(reservation, null, log);
+  try {
+    // the heatmap is served from the saved report, not stored twice
+    const { diffImage, ...diffMeta } = body.diff || {};
+    await markJobSucceeded(id, { ...body, diff: body.diff ? diffMeta : null });
+  } catch (e) {
+    log('job status write failed:', e?.message || e);
+  }
+}
+
+// Keep one queue per process (survives Next dev hot reloads)
+export function getCompareQueue() {
+  if (!globalThis.__pixelProofCompareQueue) {
+    globalThis.__pixelProofCompareQueue = createLocalQueue(processCompareJob, {
+      concurrency: Number(process.env.JOBS_CONCURRENCY) || 1,
+    });
+  }
+  return globalThis.__pixelProofCompareQueue;
+}
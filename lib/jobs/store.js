@@ -0,0 +1,109 @@
+// lib/jobs/store.js
+import { db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { releaseQuota } from '@/lib/billing/quota';
+
+/**
+ * Comparison jobs: jobs/{jobId} { uid, kind, status, reservation, error, result, timestamps }
+ * status: 'queued' → 'running' → 'succeeded' | 'failed'
+ * reservation: { uid, orgId, rid } of the quota unit the job holds (lib/billing/quota.js)
+ *
+ * A job still queued or running JOB_TIMEOUT_MS after it was created is lost (on serverless
+ * hosts the instance running it may be frozen or recycled): reading it fails it with
+ * JOB_EXPIRED and gives its quota back.
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+// Well above any function time limit, so a job that is really still running is not cut off
+export const JOB_TIMEOUT_MS = 15 * 60 * 1000;
+
+const jobsCol = () => db.collection('jobs');
+
+function toMillis(ts) {
+  return ts && typeof ts.toMillis === 'function' ? ts.toMillis() : null;
+}
+
+export async function createJob({ id, uid, kind = 'compare', meta = {}, reservation = null }) {
+  await jobsCol().doc(id).set({
+    uid,
+    kind,
+    status: 'queued',
+    meta,
+    reservation: reservation ? { uid: reservation.uid, orgId: reservation.orgId || null, rid: reservation.rid } : null,
+    error: null,
+    result: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  return id;
+}
+
+/** Move a queued job to running; false when it is no longer queued (e.g. it expired while waiting). */
+export async function claimJob(id) {
+  const ref = jobsCol().doc(id);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || snap.get('status') !== 'queued') return false;
+    t.set(ref, { status: 'running', startedAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    return true;
+  });
+}
+
+export async function markJobSucceeded(id, result) {
+  await jobsCol().doc(id).set(
+    { status: 'succeeded', result, finishedAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/** error: { code, message, status?, details? } */
+export async function markJobFailed(id, error) {
+  await jobsCol().doc(id).set(
+    { status: 'failed', error, finishedAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+}
+
+const isLost = (d, now) => (d.status === 'queued' || d.status === 'running') && now - (toMillis(d.createdAt) ?? now) > JOB_TIMEOUT_MS;
+
+/** Fail a lost job and release its quota reservation (no-op once the job has settled). */
+async function expireJob(ref) {
+  const expired = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || !isLost(snap.data(), Date.now())) return null;
+    t.set(
+      ref,
+      {
+        status: 'failed',
+        error: { code: 'JOB_EXPIRED', status: 504, message: 'The comparison did not finish in time. No comparison was used.' },
+        finishedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return snap.data();
+  });
+  if (expired?.reservation) await releaseQuota(expired.reservation, 'JOB_EXPIRED');
+}
+
+/** Job visible to its owner only; null when missing or owned by someone else. */
+export async function getJob(uid, id) {
+  let snap = await jobsCol().doc(String(id)).get();
+  if (!snap.exists) return null;
+  if (snap.get('uid') !== uid) return null;
+  if (isLost(snap.data(), Date.now())) {
+    await expireJob(snap.ref);
+    snap = await snap.ref.get();
+  }
+  const d = snap.data();
+  return {
+    id: snap.id,
+    kind: d.kind,
+    status: d.status,
+    meta: d.meta || {},
+    error: d.error || null,
+    result: d.result || null,
+    createdAt: toMillis(d.createdAt),
+    startedAt: toMillis(d.startedAt),
+    finishedAt: toMillis(d.finishedAt),
+  };
+}
@@ -0,0 +1,296 @@
+// lib/orgs/store.js
+import { db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { DEFAULT_MEMBER_ROLE, assignableRoles, can, memberRole, permissionsFor } from '@/lib/auth/roles';
+
+/**
+ * Team workspaces. An owner buys a plan with a seat quantity; members' comparisons
+ * draw from the team's pooled quota (see lib/billing/quota.js):
+ *   orgs/{orgId}                     { name, ownerId, seats, memberCount, stripeCustomerId, activePlan, ... }
+ *   orgs/{orgId}/members/{uid}       { uid, email, role: 'owner'|'admin'|'editor'|'viewer', joinedAt }
+ *   orgs/{orgId}/invites/{inviteId}  { email, role, status: 'pending'|'accepted'|'revoked', invitedBy, ... }
+ *   users/{uid}.orgId / .orgRole     the one team a user belongs to, and a copy of their role for the UI
+ *
+ * What each role may do is defined in lib/auth/roles.js.
+ * Invites are addressed to an email and accepted by the signed-in user with that
+ * (verified) email. Members plus pending invites may not exceed the paid seats.
+ *
+ * Errors carry .code = 'NOT_FOUND' | 'FORBIDDEN' | 'BAD_REQUEST' | 'CONFLICT'.
+ */
+
+const MAX_NAME_LENGTH = 120;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const orgsCol = () => db.collection('orgs');
+const membersCol = (orgId) => orgsCol().doc(orgId).collection('members');
+const invitesCol = (orgId) => orgsCol().doc(orgId).collection('invites');
+const userDoc = (uid) => db.collection('users').doc(uid);
+
+function fail(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function toMillis(ts) {
+  return ts && typeof ts.toMillis === 'function' ? ts.toMillis() : null;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function cleanName(value) {
+  const v = String(value ?? '').trim();
+  if (!v) throw fail('BAD_REQUEST', 'Team name is required.');
+  return v.slice(0, MAX_NAME_LENGTH);
+}
+
+/** Seats paid for; a team without a subscription still has its owner's seat. */
+export function seatsOf(org) {
+  return Math.max(Number(org?.seats || 0), 1);
+}
+
+/** The org id a user belongs to (null when none). */
+export async function orgIdForUser(uid) {
+  if (!uid) return null;
+  const snap = await userDoc(uid).get();
+  return (snap.exists && snap.get('orgId')) || null;
+}
+
+/** Load an org and check the caller is a member. Returns { ref, data, member, role }. */
+export async function requireOrgMember(uid, orgId) {
+  const ref = orgsCol().doc(String(orgId || ''));
+  const [snap, member] = await Promise.all([ref.get(), membersCol(ref.id).doc(uid).get()]);
+  if (!snap.exists) throw fail('NOT_FOUND', 'Team not found.');
+  if (!member.exists) throw fail('FORBIDDEN', 'You are not a member of this team.');
+  return { ref, data: snap.data(), member: member.data(), role: memberRole(member.data()) };
+}
+
+/** Same as requireOrgMember, but the caller's role must grant `permission`. */
+export async function requireOrgPermission(uid, orgId, permission) {
+  const org = await requireOrgMember(uid, orgId);
+  if (!can(org.role, permission)) throw fail('FORBIDDEN', `Your role (${org.role}) does not allow this action.`);
+  return org;
+}
+
+function serializeOrg(snap) {
+  const d = snap.data() || {};
+  return {
+    id: snap.id,
+    name: d.name || '',
+    ownerId: d.ownerId || null,
+    seats: seatsOf(d),
+    memberCount: d.memberCount || 0,
+    plan: d.activePlan || null,
+    subscriptionStatus: d.subscriptionStatus || null,
+    currentPeriodEnd: toMillis(d.currentPeriodEnd),
+    cancelAtPeriodEnd: !!d.cancelAtPeriodEnd,
+    createdAt: toMillis(d.createdAt),
+  };
+}
+
+function serializeMember(snap) {
+  const d = snap.data() || {};
+  return { uid: snap.id, email: d.email || null, role: memberRole(d), joinedAt: toMillis(d.joinedAt) };
+}
+
+function serializeInvite(snap, org = null) {
+  const d = snap.data() || {};
+  return {
+    id: snap.id,
+    email: d.email,
+    role: memberRole(d),
+    status: d.status,
+    invitedBy: d.invitedBy || null,
+    createdAt: toMillis(d.createdAt),
+    ...(org ? { orgId: org.id, orgName: org.name } : {}),
+  };
+}
+
+/* ---------- Orgs ---------- */
+
+export async function createOrg(uid, { name, email }) {
+  if (await orgIdForUser(uid)) throw fail('CONFLICT', 'You already belong to a team. Leave it first.');
+
+  const ref = orgsCol().doc();
+  const batch = db.batch();
+  batch.set(ref, {
+    name: cleanName(name),
+    ownerId: uid,
+    seats: 1,
+    memberCount: 1,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  batch.set(membersCol(ref.id).doc(uid), {
+    uid,
+    email: normalizeEmail(email) || null,
+    role: 'owner',
+    joinedAt: FieldValue.serverTimestamp(),
+  });
+  batch.set(userDoc(uid), { orgId: ref.id, orgRole: 'owner' }, { merge: true });
+  await batch.commit();
+  return { id: ref.id };
+}
+
+/**
+ * The caller's team with members (and pending invites for those who manage members),
+ * the invites addressed to `email` they can accept, and what the caller may do:
+ *   { org, invites, me: { role, permissions, assignableRoles } }
+ */
+export async function getMyOrg(uid, email) {
+  const [orgId, invites] = await Promise.all([orgIdForUser(uid), listInvitesForEmail(email)]);
+  const access = (role) => ({ role, permissions: permissionsFor(role), assignableRoles: assignableRoles(role) });
+  if (!orgId) return { org: null, invites, me: access('owner') };
+
+  const { ref, role } = await requireOrgMember(uid, orgId);
+  const [snap, members, pending] = await Promise.all([
+    ref.get(),
+    membersCol(orgId).get(),
+    can(role, 'members:manage') ? invitesCol(orgId).where('status', '==', 'pending').get() : null,
+  ]);
+
+  return {
+    org: {
+      ...serializeOrg(snap),
+      members: members.docs.map(serializeMember).sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0)),
+      invites: pending ? pending.docs.map((d) => serializeInvite(d)) : [],
+    },
+    invites,
+    me: access(role),
+  };
+}
+
+export async function updateOrg(uid, orgId, { name }) {
+  const { ref } = await requireOrgPermission(uid, orgId, 'members:manage');
+  await ref.set({ name: cleanName(name), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  return { id: ref.id };
+}
+
+/* ---------- Invites ---------- */
+
+/** Pending invites addressed to an email, across teams. */
+export async function listInvitesForEmail(email) {
+  const address = normalizeEmail(email);
+  if (!address) return [];
+  // collection group index on (email, status): firestore.indexes.json
+  const snap = await db.collectionGroup('invites').where('email', '==', address).where('status', '==', 'pending').get();
+  const orgs = await Promise.all(snap.docs.map((d) => d.ref.parent.parent.get()));
+  return snap.docs
+    .map((d, i) => (orgs[i].exists ? serializeInvite(d, { id: orgs[i].id, name: orgs[i].get('name') }) : null))
+    .filter(Boolean);
+}
+
+export async function inviteMember(uid, orgId, { email, role = DEFAULT_MEMBER_ROLE }) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_RE.test(address)) throw fail('BAD_REQUEST', 'A valid email is required.');
+
+  const { ref, data, role: callerRole } = await requireOrgPermission(uid, orgId, 'members:manage');
+  if (!assignableRoles(callerRole).includes(role)) throw fail('BAD_REQUEST', `Invalid role "${role}".`);
+  const [members, pending] = await Promise.all([
+    membersCol(ref.id).get(),
+    invitesCol(ref.id).where('status', '==', 'pending').get(),
+  ]);
+  if (members.docs.some((m) => m.get('email') === address)) throw fail('CONFLICT', 'That person is already in the team.');
+  const existing = pending.docs.find((d) => d.get('email') === address);
+  if (existing) return { id: existing.id };
+  if (members.size + pending.size >= seatsOf(data)) {
+    throw fail('CONFLICT', `All ${seatsOf(data)} seats are taken. Add seats to your subscription first.`);
+  }
+
+  const inviteRef = invitesCol(ref.id).doc();
+  await inviteRef.set({
+    email: address,
+    role,
+    status: 'pending',
+    invitedBy: uid,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { id: inviteRef.id };
+}
+
+export async function revokeInvite(uid, orgId, inviteId) {
+  const { ref } = await requireOrgPermission(uid, orgId, 'members:manage');
+  const inviteRef = invitesCol(ref.id).doc(String(inviteId || ''));
+  const snap = await inviteRef.get();
+  if (!snap.exists || snap.get('status') !== 'pending') throw fail('NOT_FOUND', 'Invite not found.');
+  await inviteRef.set({ status: 'revoked', revokedAt: FieldValue.serverTimestamp() }, { merge: true });
+  return { id: inviteRef.id, revoked: true };
+}
+
+/** Join a team through an invite addressed to the caller's email. */
+export async function acceptInvite(uid, email, orgId, inviteId) {
+  const address = normalizeEmail(email);
+  const orgRef = orgsCol().doc(String(orgId || ''));
+  const inviteRef = invitesCol(orgRef.id).doc(String(inviteId || ''));
+
+  await db.runTransaction(async (t) => {
+    const [orgSnap, inviteSnap, userSnap, memberSnap] = await Promise.all([
+      t.get(orgRef),
+      t.get(inviteRef),
+      t.get(userDoc(uid)),
+      t.get(membersCol(orgRef.id).doc(uid)),
+    ]);
+    if (!orgSnap.exists || !inviteSnap.exists || inviteSnap.get('status') !== 'pending') {
+      throw fail('NOT_FOUND', 'Invite not found.');
+    }
+    if (!address || inviteSnap.get('email') !== address) throw fail('FORBIDDEN', 'This invite is for a different email.');
+    const currentOrg = userSnap.exists ? userSnap.get('orgId') : null;
+    if (currentOrg && currentOrg !== orgRef.id) throw fail('CONFLICT', 'You already belong to a team. Leave it first.');
+
+    t.set(inviteRef, { status: 'accepted', acceptedBy: uid, acceptedAt: FieldValue.serverTimestamp() }, { merge: true });
+    if (memberSnap.exists) return;
+    const role = memberRole(inviteSnap.data());
+    t.set(membersCol(orgRef.id).doc(uid), { uid, email: address, role, joinedAt: FieldValue.serverTimestamp() });
+    t.set(orgRef, { memberCount: FieldValue.increment(1), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    t.set(userDoc(uid), { orgId: orgRef.id, orgRole: role }, { merge: true });
+  });
+  return { id: orgRef.id };
+}
+
+/* ---------- Members ---------- */
+
+/** An owner/admin removes a member, or a member removes themselves (leave). The owner cannot leave. */
+export async function removeMember(uid, orgId, memberUid) {
+  const target = String(memberUid || uid);
+  const { ref, data } =
+    target === uid ? await requireOrgMember(uid, orgId) : await requireOrgPermission(uid, orgId, 'members:manage');
+  if (target === data.ownerId) throw fail('BAD_REQUEST', 'The owner cannot leave the team.');
+
+  const memberRef = membersCol(ref.id).doc(target);
+  if (!(await memberRef.get()).exists) throw fail('NOT_FOUND', 'Member not found.');
+
+  const batch = db.batch();
+  batch.delete(memberRef);
+  batch.set(ref, { memberCount: FieldValue.increment(-1), updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  batch.set(userDoc(target), { orgId: null, orgRole: null }, { merge: true });
+  await batch.commit();
+  return { uid: target, removed: true };
+}
+
+/** Change a member's role (owner/admin). The owner's role is fixed. */
+export async function setMemberRole(uid, orgId, memberUid, role) {
+  const { ref, data, role: callerRole } = await requireOrgPermission(uid, orgId, 'members:manage');
+  if (!assignableRoles(callerRole).includes(role)) throw fail('BAD_REQUEST', `Invalid role "${role}".`);
+
+  const target = String(memberUid || '');
+  if (target === data.ownerId) throw fail('BAD_REQUEST', "The owner's role cannot be changed.");
+  const memberRef = membersCol(ref.id).doc(target);
+  if (!target || !(await memberRef.get()).exists) throw fail('NOT_FOUND', 'Member not found.');
+
+  const batch = db.batch();
+  batch.set(memberRef, { role, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  batch.set(userDoc(target), { orgRole: role }, { merge: true });
+  await batch.commit();
+  return { uid: target, role };
+}
+
+/* ---------- Billing ---------- */
+
+/** Attach the team's Stripe customer (set by checkout / the webhook). */
+export async function setOrgCustomer(orgId, stripeCustomerId) {
+  await orgsCol().doc(String(orgId)).set(
+    { stripeCustomerId, updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+}
@@ -0,0 +1,297 @@
+// lib/projects/store.js
+import { db, FieldValue } from '@/lib/firebase/firebaseAdmin';
+import { can } from '@/lib/auth/roles';
+import { requireBaseline } from '@/lib/baselines/store';
+
+/**
+ * Projects group screens (pages/components), and screens group comparisons:
+ *   projects/{projectId}                    { name, description, ownerId, orgId, ... }
+ *   projects/{projectId}/screens/{screenId} { name, description, baselineId, masks, ... }
+ *   users/{uid}/reports/{rid}               { projectId, screenId, orgId, passed, ... }
+ *
+ * A project created inside a team (orgId set) is shared with every member, and what
+ * they may do depends on their role; a personal project belongs to its owner alone.
+ * Functions take the actor from lib/auth/access.js ({ uid, orgId, role }).
+ *
+ * Every read/write goes through requireProject(), which enforces access;
+ * clients never touch these collections directly.
+ *
+ * Errors carry .code = 'NOT_FOUND' | 'FORBIDDEN' | 'BAD_REQUEST'.
+ */
+
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const TREND_LENGTH = 20;
+// Dashboards count the latest this many reports of a project
+const DASHBOARD_REPORTS = 1000;
+
+// A comparison fails when it has findings at or above this severity
+const FAILING_SEVERITIES = new Set(['critical', 'major']);
+
+const projectsCol = () => db.collection('projects');
+
+function fail(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function toMillis(ts) {
+  return ts && typeof ts.toMillis === 'function' ? ts.toMillis() : null;
+}
+
+function cleanText(value, { required = false, max, label }) {
+  const v = String(value ?? '').trim();
+  if (required && !v) throw fail('BAD_REQUEST', `${label} is required.`);
+  return v.slice(0, max);
+}
+
+/**
+ * A screen's baseline id: null to clear it, else a baseline the caller can compare against.
+ * Every member compares a team project's screens, so its baselines must be the team's.
+ */
+async function checkedBaselineId(actor, project, baselineId) {
+  if (!baselineId) return null;
+  let baseline;
+  try {
+    baseline = await requireBaseline(actor, baselineId);
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') throw fail('BAD_REQUEST', `Baseline "${baselineId}" not found.`);
+    throw e;
+  }
+  if (project.orgId && baseline.orgId !== project.orgId) {
+    throw fail('BAD_REQUEST', `Baseline "${baselineId}" is a personal one; a team screen needs one of the team's.`);
+  }
+  return String(baselineId);
+}
+
+/** Pass/fail verdict for a comparison from its most severe finding. */
+export function comparisonPassed(maxSeverity) {
+  return !FAILING_SEVERITIES.has(String(maxSeverity || ''));
+}
+
+/**
+ * Load a project and check the caller may `permission` on it: the owner of a personal
+ * project may do anything; in a team project the caller's role decides.
+ */
+export async function requireProject(actor, projectId, permission = 'reports:read') {
+  const ref = projectsCol().doc(String(projectId || ''));
+  const snap = await ref.get();
+  if (!snap.exists) throw fail('NOT_FOUND', 'Project not found.');
+  const data = snap.data();
+  if (!data.orgId) {
+    if (data.ownerId !== actor.uid) throw fail('FORBIDDEN', 'You do not have access to this project.');
+  } else {
+    if (data.orgId !== actor.orgId) throw fail('FORBIDDEN', 'You do not have access to this project.');
+    if (!can(actor.role, permission)) throw fail('FORBIDDEN', `Your role (${actor.role}) does not allow this action.`);
+  }
+  return { ref, data };
+}
+
+/** Load a screen inside a project the caller may `permission` on. */
+export async function requireScreen(actor, projectId, screenId, permission = 'reports:read') {
+  const { ref: projectRef, data: project } = await requireProject(actor, projectId, permission);
+  const ref = projectRef.collection('screens').doc(String(screenId || ''));
+  const snap = await ref.get();
+  if (!snap.exists) throw fail('NOT_FOUND', 'Screen not found.');
+  return { ref, data: snap.data(), project };
+}
+
+function serializeProject(snap) {
+  const d = snap.data() || {};
+  return {
+    id: snap.id,
+    name: d.name || '',
+    description: d.description || '',
+    orgId: d.orgId || null,
+    screenCount: d.screenCount || 0,
+    createdAt: toMillis(d.createdAt),
+    updatedAt: toMillis(d.updatedAt),
+  };
+}
+
+function serializeScreen(snap) {
+  const d = snap.data() || {};
+  return {
+    id: snap.id,
+    name: d.name || '',
+    description: d.description || '',
+    baselineId: d.baselineId || null,
+    masks: d.masks || [],
+    lastReportId: d.lastReportId || null,
+    lastPassed: typeof d.lastPassed === 'boolean' ? d.lastPassed : null,
+    lastRunAt: toMillis(d.lastRunAt),
+    createdAt: toMillis(d.createdAt),
+  };
+}
+
+/* ---------- Projects ---------- */
+
+/** The caller's personal projects plus their team's projects. */
+export async function listProjects(actor) {
+  const [own, team] = await Promise.all([
+    projectsCol().where('ownerId', '==', actor.uid).get(),
+    actor.orgId ? projectsCol().where('orgId', '==', actor.orgId).get() : null,
+  ]);
+  return [...own.docs.filter((d) => !d.get('orgId')), ...(team ? team.docs : [])]
+    .map(serializeProject)
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/** New projects of a team member belong to the team. */
+export async function createProject(actor, { name, description }) {
+  const ref = projectsCol().doc();
+  await ref.set({
+    name: cleanText(name, { required: true, max: MAX_NAME_LENGTH, label: 'Project name' }),
+    description: cleanText(description, { max: MAX_DESCRIPTION_LENGTH }),
+    ownerId: actor.uid,
+    orgId: actor.orgId || null,
+    screenCount: 0,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  return { id: ref.id };
+}
+
+export async function getProject(actor, projectId) {
+  const { ref } = await requireProject(actor, projectId);
+  const [snap, screens] = await Promise.all([ref.get(), ref.collection('screens').orderBy('createdAt', 'asc').get()]);
+  return { ...serializeProject(snap), screens: screens.docs.map(serializeScreen) };
+}
+
+export async function updateProject(actor, projectId, { name, description }) {
+  const { ref } = await requireProject(actor, projectId, 'projects:manage');
+  const patch = { updatedAt: FieldValue.serverTimestamp() };
+  if (name !== undefined) patch.name = cleanText(name, { required: true, max: MAX_NAME_LENGTH, label: 'Project name' });
+  if (description !== undefined) patch.description = cleanText(description, { max: MAX_DESCRIPTION_LENGTH });
+  await ref.set(patch, { merge: true });
+  return { id: ref.id };
+}
+
+/** Delete a project and its screens. Reports are kept (they still carry projectId for the record). */
+export async function deleteProject(actor, projectId) {
+  const { ref } = await requireProject(actor, projectId, 'projects:manage');
+  const screens = await ref.collection('screens').get();
+  const batch = db.batch();
+  screens.docs.forEach((s) => batch.delete(s.ref));
+  batch.delete(ref);
+  await batch.commit();
+  return { id: ref.id, deleted: true };
+}
+
+/* ---------- Screens ---------- */
+
+export async function createScreen(actor, projectId, { name, description, baselineId }) {
+  const { ref: projectRef, data: project } = await requireProject(actor, projectId, 'projects:manage');
+  const screen = {
+    name: cleanText(name, { required: true, max: MAX_NAME_LENGTH, label: 'Screen name' }),
+    description: cleanText(description, { max: MAX_DESCRIPTION_LENGTH }),
+    baselineId: await checkedBaselineId(actor, project, baselineId),
+  };
+  const ref = projectRef.collection('screens').doc();
+  await ref.set({
+    ...screen,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  await projectRef.set(
+    { screenCount: FieldValue.increment(1), updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  return { id: ref.id };
+}
+
+export async function getScreen(actor, projectId, screenId) {
+  const { ref } = await requireScreen(actor, projectId, screenId);
+  return serializeScreen(await ref.get());
+}
+
+export async function updateScreen(actor, projectId, screenId, { name, description, baselineId }) {
+  const { ref, project } = await requireScreen(actor, projectId, screenId, 'projects:manage');
+  const patch = {};
+  if (name !== undefined) patch.name = cleanText(name, { required: true, max: MAX_NAME_LENGTH, label: 'Screen name' });
+  if (description !== undefined) patch.description = cleanText(description, { max: MAX_DESCRIPTION_LENGTH });
+  if (baselineId !== undefined) patch.baselineId = await checkedBaselineId(actor, project, baselineId);
+  await ref.set(patch, { merge: true });
+  return { id: ref.id };
+}
+
+/**
+ * Replace a screen's ignore masks (validated with validateMasks); every later comparison
+ * filed under the screen blanks them. Part of running comparisons, so editors may do it.
+ */
+export async function setScreenMasks(actor, projectId, screenId, masks) {
+  const { ref } = await requireScreen(actor, projectId, screenId, 'comparisons:run');
+  await ref.set({ masks }, { merge: true });
+  return { id: ref.id, masks };
+}
+
+export async function deleteScreen(actor, projectId, screenId) {
+  const { ref } = await requireScreen(actor, projectId, screenId, 'projects:manage');
+  await ref.delete();
+  await projectsCol().doc(String(projectId)).set(
+    { screenCount: FieldValue.increment(-1), updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  return { id: ref.id, deleted: true };
+}
+
+/** Record the latest comparison on its screen (called after a report is saved). */
+export async function recordScreenRun(projectId, screenId, { reportId, passed }) {
+  const projectRef = projectsCol().doc(String(projectId));
+  await projectRef.collection('screens').doc(String(screenId)).set(
+    { lastReportId: reportId, lastPassed: passed, lastRunAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  await projectRef.set({ updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+}
+
+/* ---------- Dashboard ---------- */
+
+/**
+ * Pass/fail trends per screen, from the latest DASHBOARD_REPORTS reports tagged with this
+ * project (the owner's, or every member's for a team project).
+ * Returns { project, screens: [{ ...screen, runs, passed, failed, passRate, trend: [...] }] }.
+ */
+export async function getProjectDashboard(actor, projectId) {
+  const project = await getProject(actor, projectId);
+
+  // team projects read every member's reports (indexes on projectId + createdAt: firestore.indexes.json)
+  const reports = project.orgId
+    ? db.collectionGroup('reports').where('orgId', '==', project.orgId)
+    : db.collection('users').doc(actor.uid).collection('reports');
+  const snap = await reports
+    .where('projectId', '==', project.id)
+    .orderBy('createdAt', 'desc')
+    .limit(DASHBOARD_REPORTS)
+    .get();
+
+  // oldest first, so each screen's runs end with the latest
+  const byScreen = new Map();
+  for (const doc of [...snap.docs].reverse()) {
+    const d = doc.data();
+    const list = byScreen.get(d.screenId) || [];
+    list.push({
+      reportId: doc.id,
+      createdAt: toMillis(d.createdAt),
+      passed: typeof d.passed === 'boolean' ? d.passed : comparisonPassed(d.maxSeverity),
+      maxSeverity: d.maxSeverity || null,
+      mismatchPercent: d.diff?.mismatchPercent ?? null,
+    });
+    byScreen.set(d.screenId, list);
+  }
+
+  const screens = project.screens.map((screen) => {
+    const runs = byScreen.get(screen.id) || [];
+    const passed = runs.filter((r) => r.passed).length;
+    return {
+      ...screen,
+      runs: runs.length,
+      passed,
+      failed: runs.length - passed,
+      passRate: runs.length ? Math.round((passed / runs.length) * 100) : null,
+      trend: runs.slice(-TREND_LENGTH),
+    };
+  });
+
+  return { project: { id: project.id, name: project.name, description: project.description }, screens };
+}
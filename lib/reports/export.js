@@ -0,0 +1,206 @@
+// lib/reports/export.js
+import { FINDING_SEVERITIES, findingRegions, severityRank } from '@/lib/compare/findings';
+
+/**
+ * Machine-readable exports of saved reports, for CI dashboards (JUnit XML) and
+ * code-scanning tools (SARIF 2.1.0). Pure functions over serialized reports
+ * (lib/reports/store.js, full view), so the report page can build the same files
+ * in the browser that GET /api/v1/reports/{id}/export serves.
+ *
+ *   JUnit  one <testcase> per report (screen); one <failure> per finding at or above `failOn`,
+ *          less severe findings go to <system-out>
+ *   SARIF  one result per finding; each of the finding's pixel boxes is a rectangle on the
+ *          development screenshot as uploaded. Boxes are stored in the design's pixel grid
+ *          (lib/compare/normalize.js), so a scaled or shifted screenshot's rectangles are mapped
+ *          back with the report's normalization; result.properties.regions keeps the stored boxes.
+ */
+
+export const EXPORT_FORMATS = Object.freeze({
+  junit: { label: 'JUnit XML', contentType: 'application/xml; charset=utf-8', extension: 'xml' },
+  sarif: { label: 'SARIF', contentType: 'application/sarif+json; charset=utf-8', extension: 'sarif' },
+});
+
+// Findings this severe or worse fail the JUnit testcase unless the caller says otherwise
+export const DEFAULT_FAIL_ON = 'minor';
+
+const TOOL_NAME = 'PixelProof';
+const TOOL_URI = 'https://pixel-proof-2-renu.vercel.app';
+const SARIF_LEVELS = { critical: 'error', major: 'error', minor: 'warning', info: 'note' };
+
+const xmlEscape = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // characters XML 1.0 cannot carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+function testcaseName(report) {
+  return report.fileNames?.dev || report.fileNames?.design || report.rid || report.id;
+}
+
+// ' at (x, y) w×hpx and n more areas' for a finding's boxes (findingRegions by default)
+function describeRegions(finding, boxes = findingRegions(finding)) {
+  const [box, ...more] = boxes;
+  if (!box) return '';
+  return ` at (${box.x}, ${box.y}) ${box.width}×${box.height}px${more.length ? ` and ${more.length} more area${more.length === 1 ? '' : 's'}` : ''}`;
+}
+
+/**
+ * A box in the design's grid as pixels of the uploaded development screenshot, clipped to it:
+ * u = (x - offset.x) / scale. Null when nothing of it lies on the screenshot.
+ */
+export function toDevPixels(box, normalization) {
+  if (!normalization?.applied) return box;
+  const { scale, offset, source } = normalization;
+  const clip = (n, max) => Math.min(Math.max(Math.round(n), 0), max ?? Infinity);
+  const left = clip((box.x - offset.x) / scale, source?.dev?.width);
+  const top = clip((box.y - offset.y) / scale, source?.dev?.height);
+  const right = clip((box.x + box.width - offset.x) / scale, source?.dev?.width);
+  const bottom = clip((box.y + box.height - offset.y) / scale, source?.dev?.height);
+  if (right <= left || bottom <= top) return null;
+  return { ...box, x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/** Whether `severity` is at least as severe as `failOn`. */
+export function meetsSeverity(severity, failOn = DEFAULT_FAIL_ON) {
+  return FINDING_SEVERITIES.includes(severity) && severityRank(severity) <= severityRank(failOn);
+}
+
+/** JUnit XML for one or more reports. */
+export function reportsToJUnit(reports, { failOn = DEFAULT_FAIL_ON } = {}) {
+  let failures = 0;
+  const cases = reports.map((report) => {
+    const findings = report.findings || [];
+    const failing = findings.filter((f) => meetsSeverity(f.severity, failOn));
+    const passing = findings.filter((f) => !meetsSeverity(f.severity, failOn));
+    const duration = report.completedAt && report.createdAt ? Math.max(report.completedAt - report.createdAt, 0) / 1000 : 0;
+    failures += failing.length ? 1 : 0;
+
+    const lines = [
+      `    <testcase name="${xmlEscape(testcaseName(report))}" classname="${xmlEscape(
+        report.projectId ? `pixelproof.${report.projectId}.${report.screenId || 'screen'}` : 'pixelproof'
+      )}" time="${duration.toFixed(3)}">`,
+    ];
+    for (const f of failing) {
+      lines.push(
+        `      <failure message="${xmlEscape(`[${f.severity}] ${f.description}`)}" type="${xmlEscape(f.category)}">${xmlEscape(
+          `${f.id || ''} ${f.severity} ${f.category}: ${f.description}${describeRegions(f)}`.trim()
+        )}</failure>`
+      );
+    }
+    const out = [
+      report.summary,
+      typeof report.mismatchPercent === 'number' ? `Pixel mismatch: ${report.mismatchPercent}%` : null,
+      `Report: ${report.id} (request ${report.rid})`,
+      ...passing.map((f) => `${f.severity} ${f.category}: ${f.description}${describeRegions(f)}`),
+    ].filter(Boolean);
+    lines.push(`      <system-out>${xmlEscape(out.join('\n'))}</system-out>`);
+    lines.push('    </testcase>');
+    return lines.join('\n');
+  });
+
+  const timestamp = iso(reports[0]?.createdAt) || new Date().toISOString();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${reports.length}" failures="${failures}">`,
+    `  <testsuite name="${TOOL_NAME} visual QA" tests="${reports.length}" failures="${failures}" errors="0" skipped="0" timestamp="${timestamp}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/** SARIF 2.1.0 log for one or more reports (one run, one result per finding). */
+export function reportsToSarif(reports) {
+  const categories = [...new Set(reports.flatMap((r) => (r.findings || []).map((f) => f.category)))].sort();
+  const rules = categories.map((category) => ({
+    id: `pixelproof/${category}`,
+    name: category,
+    shortDescription: { text: `Visual ${category} difference between design and implementation` },
+  }));
+
+  const artifacts = [];
+  const artifactIndex = (uri) => {
+    let i = artifacts.findIndex((a) => a.location.uri === uri);
+    if (i === -1) i = artifacts.push({ location: { uri }, roles: ['analysisTarget'] }) - 1;
+    return i;
+  };
+
+  const results = reports.flatMap((report) =>
+    (report.findings || []).map((f) => {
+      const uri = report.fileNames?.dev || `${report.id}/dev`;
+      const artifactLocation = { uri, index: artifactIndex(uri) };
+      const boxes = findingRegions(f);
+      const devBoxes = boxes.map((r) => toDevPixels(r, report.normalization)).filter(Boolean);
+      return {
+        ruleId: `pixelproof/${f.category}`,
+        ruleIndex: categories.indexOf(f.category),
+        level: SARIF_LEVELS[f.severity] || 'note',
+        message: { text: `${f.description}${describeRegions(f, devBoxes)}` },
+        locations: [{ physicalLocation: { artifactLocation } }],
+        ...(devBoxes.length
+          ? {
+              attachments: [
+                {
+                  description: { text: 'Affected areas of the development screenshot (pixels of the uploaded image)' },
+                  artifactLocation,
+                  rectangles: devBoxes.map((r) => ({
+                    top: r.y,
+                    left: r.x,
+                    bottom: r.y + r.height,
+                    right: r.x + r.width,
+                    message: { text: `${f.description} (${r.source})` },
+                  })),
+                },
+              ],
+            }
+          : {}),
+        partialFingerprints: { pixelproofFinding: `${report.id}/${f.id}` },
+        properties: {
+          severity: f.severity,
+          category: f.category,
+          // stored boxes, in the design's pixel grid
+          region: f.region || null,
+          regions: boxes,
+          reportId: report.id,
+          rid: report.rid,
+          projectId: report.projectId || null,
+          screenId: report.screenId || null,
+        },
+      };
+    })
+  );
+
+  return `${JSON.stringify(
+    {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: { driver: { name: TOOL_NAME, informationUri: TOOL_URI, rules } },
+          artifacts,
+          results,
+          invocations: [{ executionSuccessful: true, endTimeUtc: iso(reports[0]?.completedAt || reports[0]?.createdAt) || undefined }],
+        },
+      ],
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Export reports as `format` ('junit' | 'sarif').
+ * Returns { body, contentType, fileName }, or null for an unknown format.
+ */
+export function exportReports(format, reports, { failOn = DEFAULT_FAIL_ON, baseName = 'pixelproof-report' } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) return null;
+  const body = format === 'junit' ? reportsToJUnit(reports, { failOn }) : reportsToSarif(reports);
+  return { body, contentType: spec.contentType, fileName: `${baseName}.${spec.extension}` };
+}
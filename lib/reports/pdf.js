@@ -0,0 +1,51 @@
+// lib/reports/pdf.js
+import React from 'react';
+import sharp from 'sharp';
+import { renderToBuffer } from '@react-pdf/renderer';
+import ReportDocument from '@/components/pdf/ReportDocument';
+import { downloadImage } from '@/lib/storage/images';
+import { alignImage } from '@/lib/compare/normalize';
+
+/**
+ * Branded PDF of a saved report (components/pdf/ReportDocument.js): design, development
+ * and diff images, the findings table and the report metadata, with page numbers.
+ * Images are fetched from storage and re-encoded (react-pdf reads only PNG/JPEG, and
+ * full-size screenshots would bloat the file); a missing image is left out, not fatal.
+ * Their source size is kept so finding boxes can be drawn over them in image pixels; a
+ * normalized dev screenshot is first mapped onto the design like it was for the analysis.
+ */
+
+const MAX_IMAGE_WIDTH = 1400;
+
+async function pdfImage(path, { lossless = false, normalization = null } = {}) {
+  if (!path) return null;
+  try {
+    let source = await downloadImage(path);
+    if (normalization?.applied) source = await alignImage(source, normalization, normalization.source.design.width);
+    const { width, height } = await sharp(source).metadata();
+    const pipeline = sharp(source).resize({ width: MAX_IMAGE_WIDTH, withoutEnlargement: true });
+    const encoded = lossless
+      ? { data: await pipeline.png().toBuffer(), format: 'png' }
+      : { data: await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 82 }).toBuffer(), format: 'jpg' };
+    return { ...encoded, width, height };
+  } catch (e) {
+    console.warn('[reports/pdf] image left out:', path, e?.message || e);
+    return null;
+  }
+}
+
+/** PDF bytes for a full report from getReport (lib/reports/store.js). */
+export async function renderReportPdf(report) {
+  const [design, dev, diff] = await Promise.all([
+    pdfImage(report.inputs?.design?.path),
+    pdfImage(report.inputs?.dev?.path, { normalization: report.normalization }),
+    // the diff's red pixels must stay crisp
+    pdfImage(report.diff?.imagePath, { lossless: true }),
+  ]);
+  return renderToBuffer(React.createElement(ReportDocument, { report, images: { design, dev, diff } }));
+}
+
+/** Download name for a report's PDF. */
+export function reportPdfFileName(report) {
+  return `pixelproof-${String(report.rid || report.id).replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`;
+}
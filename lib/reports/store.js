@@ -0,0 +1,279 @@
+// lib/reports/store.js
+import { db, FieldValue, Timestamp } from '@/lib/firebase/firebaseAdmin';
+import { EXT_BY_MIME, signedImageUrl, uploadImage } from '@/lib/storage/images';
+import { FINDING_SEVERITIES, countBySeverity, findingRegions, findingsToMarkdown, severityRank, withRegions } from '@/lib/compare/findings';
+import { comparisonPassed, requireProject } from '@/lib/projects/store';
+
+function reportsCol(uid) {
+  return db.collection('users').doc(uid).collection('reports');
+}
+
+function fail(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function toMillis(ts) {
+  if (!ts) return null;
+  if (typeof ts.toMillis === 'function') return ts.toMillis();
+  return typeof ts === 'number' ? ts : null;
+}
+
+/** Highest severity present in a findings list (null when empty). */
+function maxSeverity(findings = []) {
+  let best = null;
+  for (const f of findings) {
+    if (best === null || severityRank(f.severity) < severityRank(best)) best = f.severity;
+  }
+  return best;
+}
+
+/**
+ * Persist a successful comparison under users/{uid}/reports/{rid}.
+ * Images (design, dev, diff heatmap) go to storage at {uid}/{rid}/…; the document keeps paths only.
+ *
+ * images: { design: { buffer, mimetype, fileName, path?, info? }, dev: { ... } }
+ *         info (dimensions, pixel ratio, color profile; lib/compare/imageInfo.js) is kept in inputs
+ *         an image that already has a storage path (e.g. a baseline) is referenced, not re-uploaded
+ * diff:   result of computePixelDiff (diffImage data URL is stored as a file)
+ * projectId/screenId file the report under a project screen (access checked by the caller)
+ * orgId shares the report with a team (set when the project belongs to one)
+ * masks:  ignore masks that were blanked before the analysis (lib/compare/masks.js)
+ * normalization: how the dev image was scaled and aligned onto the design (lib/compare/normalize.js);
+ *         the uploaded images are stored as they came
+ */
+export async function saveReport({ uid, orgId, rid, plan, model, provider, startedAt, images, baseline, projectId, screenId, summary, findings, result, diff, masks, normalization }) {
+  const base = `${uid}/${rid}`;
+  const inputs = {};
+  for (const key of ['design', 'dev']) {
+    const img = images[key];
+    const path = img.path || (await uploadImage(`${base}/${key}.${EXT_BY_MIME[img.mimetype] || 'bin'}`, img.buffer, img.mimetype));
+    inputs[key] = { fileName: img.fileName || null, mimetype: img.mimetype, size: img.buffer.length, path, ...img.info };
+  }
+
+  const { diffImage, ...diffMeta } = diff || {};
+  let diffPath = null;
+  if (diffImage) {
+    diffPath = `${base}/diff.png`;
+    const png = Buffer.from(diffImage.slice(diffImage.indexOf(',') + 1), 'base64');
+    await uploadImage(diffPath, png, 'image/png');
+  }
+
+  const worst = maxSeverity(findings);
+  const doc = {
+    rid,
+    uid,
+    orgId: orgId || null,
+    plan: plan || null,
+    model: model || null,
+    provider: provider || null,
+    status: 'succeeded',
+    inputs,
+    baseline: baseline || null,
+    projectId: projectId || null,
+    screenId: screenId || null,
+    summary: summary || '',
+    findings: findings || [],
+    result: result || '',
+    severityCounts: countBySeverity(findings),
+    severities: FINDING_SEVERITIES.filter((s) => (findings || []).some((f) => f.severity === s)),
+    maxSeverity: worst,
+    passed: comparisonPassed(worst),
+    diff: diff ? { ...diffMeta, imagePath: diffPath } : null,
+    masks: masks || [],
+    normalization: normalization || null,
+    createdAt: startedAt ? Timestamp.fromMillis(startedAt) : FieldValue.serverTimestamp(),
+    completedAt: FieldValue.serverTimestamp(),
+  };
+
+  await reportsCol(uid).doc(rid).set(doc);
+  return rid;
+}
+
+/** Shape a report document for API responses (timestamps as ms, no heavy fields unless asked). */
+function serialize(snap, { full = false } = {}) {
+  const d = snap.data() || {};
+  const out = {
+    id: snap.id,
+    rid: d.rid || snap.id,
+    uid: d.uid || null,
+    plan: d.plan || null,
+    model: d.model || null,
+    status: d.status || 'succeeded',
+    fileNames: { design: d.inputs?.design?.fileName || null, dev: d.inputs?.dev?.fileName || null },
+    summary: d.summary || '',
+    severityCounts: d.severityCounts || countBySeverity(d.findings),
+    maxSeverity: d.maxSeverity || null,
+    passed: typeof d.passed === 'boolean' ? d.passed : comparisonPassed(d.maxSeverity),
+    projectId: d.projectId || null,
+    screenId: d.screenId || null,
+    findingsCount: (d.findings || []).length,
+    mismatchPercent: d.diff?.mismatchPercent ?? null,
+    createdAt: toMillis(d.createdAt),
+    completedAt: toMillis(d.completedAt),
+  };
+  if (full) {
+    out.inputs = d.inputs || {};
+    out.findings = d.findings || [];
+    out.result = d.result || '';
+    out.diff = d.diff || null;
+    out.baseline = d.baseline || null;
+    out.masks = d.masks || [];
+    out.normalization = d.normalization || null;
+  }
+  return out;
+}
+
+// Reports read per Firestore page while the in-memory filters (search, screen) run,
+// and the most one listReports call looks at before handing back a cursor
+const SCAN_PAGE = 100;
+const MAX_SCANNED = 1000;
+
+/** Opaque list cursor: the path of the last report looked at. */
+const encodeCursor = (snap) => Buffer.from(snap.ref.path).toString('base64url');
+
+async function cursorSnapshot(cursor) {
+  const path = Buffer.from(String(cursor), 'base64url').toString();
+  if (!/^users\/[^/]+\/reports\/[^/]+$/.test(path)) throw fail('BAD_REQUEST', 'Invalid cursor.');
+  const snap = await db.doc(path).get();
+  if (!snap.exists) throw fail('BAD_REQUEST', 'Invalid cursor.');
+  return snap;
+}
+
+/**
+ * List the actor's reports, newest first; filtering by a team project lists every
+ * member's reports in it (access checked against the actor's role).
+ * Date range and severity are applied in Firestore (see firestore.indexes.json); free-text
+ * search and the screen filter in memory, reading further pages until `limit` reports
+ * match or MAX_SCANNED were looked at.
+ *
+ * filters: { q, from, to (ms), severity, projectId, screenId, limit, cursor }
+ * Resolves to { reports, nextCursor }; pass nextCursor back to continue (null at the end).
+ * Throws .code = 'NOT_FOUND' | 'FORBIDDEN' for a project the actor cannot read, 'BAD_REQUEST' for a bad cursor.
+ */
+export async function listReports(actor, { q = '', from, to, severity, projectId, screenId, limit = 50, cursor } = {}) {
+  const max = Math.min(Number(limit) || 50, 200);
+  const project = projectId ? (await requireProject(actor, projectId, 'reports:read')).data : null;
+  const needle = String(q || '').trim().toLowerCase();
+  const sev = String(severity || '').toLowerCase();
+
+  let query = project?.orgId
+    ? db.collectionGroup('reports').where('orgId', '==', project.orgId).where('projectId', '==', projectId)
+    : reportsCol(actor.uid);
+  if (sev) query = query.where('severities', 'array-contains', sev);
+  if (from) query = query.where('createdAt', '>=', Timestamp.fromMillis(Number(from)));
+  if (to) query = query.where('createdAt', '<=', Timestamp.fromMillis(Number(to)));
+  query = query.orderBy('createdAt', 'desc');
+
+  const matches = (doc) => {
+    const d = doc.data();
+    if (projectId && d.projectId !== projectId) return false;
+    if (screenId && d.screenId !== screenId) return false;
+    if (!needle) return true;
+    const haystack = [
+      d.rid,
+      d.summary,
+      d.inputs?.design?.fileName,
+      d.inputs?.dev?.fileName,
+      ...(d.findings || []).map((f) => f.description),
+    ]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(needle);
+  };
+  const filtered = !!(needle || screenId || (projectId && !project?.orgId));
+  const pageSize = filtered ? SCAN_PAGE : max;
+
+  const reports = [];
+  let last = cursor ? await cursorSnapshot(cursor) : null;
+  let scanned = 0;
+  let done = false;
+  while (!done && reports.length < max && scanned < MAX_SCANNED) {
+    const { docs } = await (last ? query.startAfter(last) : query).limit(pageSize).get();
+    for (const doc of docs) {
+      last = doc;
+      scanned += 1;
+      if (matches(doc)) reports.push(serialize(doc));
+      if (reports.length === max) break;
+    }
+    done = docs.length < pageSize && (!docs.length || last === docs[docs.length - 1]);
+  }
+
+  return { reports, nextCursor: done || !last ? null : encodeCursor(last) };
+}
+
+/** The actor's own report, else a report shared with their team; null when neither. */
+async function findReport(actor, id) {
+  const own = await reportsCol(actor.uid).doc(String(id)).get();
+  if (own.exists || !actor.orgId) return own.exists ? own : null;
+  // collection group index on (orgId, rid): firestore.indexes.json
+  const shared = await db
+    .collectionGroup('reports')
+    .where('orgId', '==', actor.orgId)
+    .where('rid', '==', String(id))
+    .limit(1)
+    .get();
+  return shared.empty ? null : shared.docs[0];
+}
+
+/** Full report with short-lived signed URLs for the stored images; null when missing. */
+export async function getReport(actor, id) {
+  const snap = await findReport(actor, id);
+  if (!snap) return null;
+
+  const report = serialize(snap, { full: true });
+  const paths = {
+    design: report.inputs?.design?.path,
+    dev: report.inputs?.dev?.path,
+    diff: report.diff?.imagePath,
+  };
+
+  report.imageUrls = {};
+  for (const [key, path] of Object.entries(paths)) {
+    if (path) report.imageUrls[key] = await signedImageUrl(path);
+  }
+  return report;
+}
+
+/**
+ * Replace the reviewer-drawn boxes of one finding (model and pixel diff boxes are kept) and
+ * re-render the markdown report. `boxes` come from validateManualRegions. Resolves to the finding.
+ * Errors carry .code = 'NOT_FOUND' | 'BAD_REQUEST'.
+ */
+export async function setManualRegions(actor, id, findingId, boxes) {
+  const snap = await findReport(actor, id);
+  if (!snap) throw fail('NOT_FOUND', 'Report not found');
+
+  return db.runTransaction(async (t) => {
+    const fresh = await t.get(snap.ref);
+    const d = fresh.data() || {};
+    const findings = d.findings || [];
+    const i = findings.findIndex((f) => f.id === String(findingId));
+    if (i === -1) throw fail('NOT_FOUND', 'Finding not found');
+
+    const { width, height } = d.diff || {};
+    if (width && height && boxes.some((b) => b.x + b.width > width || b.y + b.height > height)) {
+      throw fail('BAD_REQUEST', `Boxes must lie within the ${width}×${height}px images.`);
+    }
+
+    const kept = findingRegions(findings[i]).filter((r) => r.source !== 'manual');
+    const next = findings.map((f, j) => (j === i ? withRegions(f, [...kept, ...boxes]) : f));
+    t.update(fresh.ref, {
+      findings: next,
+      result: findingsToMarkdown({ summary: d.summary, findings: next }),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return next[i];
+  });
+}
+
+/**
+ * Raw report document the actor can see (own or shared with their team), for server-side
+ * use such as promoting its dev image; null when missing.
+ */
+export async function getReportData(actor, id) {
+  const snap = await findReport(actor, id);
+  return snap ? snap.data() : null;
+}
@@ -0,0 +1,40 @@
+// lib/storage/images.js
+import { getSupabaseAdmin, ensureBucket } from '@/lib/supabase/server';
+
+// Comparison inputs, diffs and baselines live in one private bucket, keyed by uid first
+export const IMAGES_BUCKET = (process.env.SUPABASE_REPORTS_BUCKET || 'comparisons').trim();
+const SIGNED_URL_TTL = 60 * 60; // 1 hour
+
+export const EXT_BY_MIME = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+let _bucketReady = false;
+
+/** Upload an image buffer (upsert) and return its storage path. */
+export async function uploadImage(path, buffer, contentType) {
+  const { supabaseAdmin } = getSupabaseAdmin();
+  if (!_bucketReady) {
+    await ensureBucket(IMAGES_BUCKET);
+    _bucketReady = true;
+  }
+  const { error } = await supabaseAdmin.storage
+    .from(IMAGES_BUCKET)
+    .upload(path, buffer, { contentType, upsert: true });
+  if (error) throw new Error(`Upload ${path} failed: ${error.message || error}`);
+  return path;
+}
+
+/** Download a stored image as a Buffer. */
+export async function downloadImage(path) {
+  const { supabaseAdmin } = getSupabaseAdmin();
+  const { data, error } = await supabaseAdmin.storage.from(IMAGES_BUCKET).download(path);
+  if (error || !data) throw new Error(`Download ${path} failed: ${error?.message || 'empty'}`);
+  return Buffer.from(await data.arrayBuffer());
+}
+
+/** Short-lived signed URL for a stored image; null when it cannot be created. */
+export async function signedImageUrl(path) {
+  if (!path) return null;
+  const { supabaseAdmin } = getSupabaseAdmin();
+  const { data, error } = await supabaseAdmin.storage.from(IMAGES_BUCKET).createSignedUrl(path, SIGNED_URL_TTL);
+  return error ? null : data?.signedUrl || null;
+}
@@ -0,0 +1,64 @@
+// lib/vision/index.js
+import { createMockProvider, createOpenAIProvider } from '@/lib/vision/providers';
+import { DEFAULT_PLAN, getPlan } from '@/lib/billing/plans';
+
+// Which backend runs comparisons: 'openai' | 'openai-compatible' | 'mock'
+const PROVIDER = String(process.env.VISION_PROVIDER || 'openai').toLowerCase();
+
+/**
+ * Resolve { model, temperature, maxTokens } for a plan slug from the plan catalog;
+ * env VISION_MODEL / VISION_MODEL_<PLAN> override the model id.
+ */
+export function modelSettingsForPlan(plan) {
+  const slug = String(plan || '').toLowerCase();
+  const base = (getPlan(slug) || DEFAULT_PLAN).features.vision;
+  const model =
+    process.env[`VISION_MODEL_${slug.toUpperCase()}`] ||
+    process.env.VISION_MODEL ||
+    base.model;
+  return { ...base, model };
+}
+
+/** Returns a human-readable configuration problem, or null when the provider can run. */
+export function visionConfigError() {
+  if (PROVIDER === 'mock') return null;
+  if (PROVIDER === 'openai') {
+    return process.env.OPENAI_API_KEY ? null : 'OPENAI_API_KEY is missing.';
+  }
+  if (PROVIDER === 'openai-compatible') {
+    return process.env.VISION_BASE_URL ? null : 'VISION_BASE_URL is missing.';
+  }
+  return `Unknown VISION_PROVIDER "${PROVIDER}".`;
+}
+
+/**
+ * Build the vision provider for a plan.
+ * Throws Error with .code = 'CONFIG' when the selected provider is not configured.
+ */
+export function getVisionProvider({ plan } = {}) {
+  const problem = visionConfigError();
+  if (problem) {
+    const e = new Error(problem);
+    e.code = 'CONFIG';
+    throw e;
+  }
+
+  const settings = modelSettingsForPlan(plan);
+
+  if (PROVIDER === 'mock') {
+    return createMockProvider({ model: process.env.VISION_MODEL || 'mock-vision' });
+  }
+
+  if (PROVIDER === 'openai-compatible') {
+    return createOpenAIProvider({
+      name: 'openai-compatible',
+      baseURL: process.env.VISION_BASE_URL,
+      // local servers usually ignore the key, but the SDK requires one
+      apiKey: process.env.VISION_API_KEY || 'not-needed',
+      jsonMode: process.env.VISION_JSON_MODE !== 'false',
+      ...settings,
+    });
+  }
+
+  return createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY, ...settings });
+}
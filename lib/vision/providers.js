@@ -0,0 +1,109 @@
+// lib/vision/providers.js
+import { OpenAI } from 'openai';
+
+/**
+ * A vision provider compares images from a prompt:
+ *   provider.name      - 'openai' | 'openai-compatible' | 'mock'
+ *   provider.model     - model id sent to the backend
+ *   provider.complete({ prompt, images, context }) -> Promise<string>
+ *     images:  [{ mimetype, base64 }]
+ *     context: extra data the mock may use (e.g. the pixel diff)
+ *   provider.stream({ prompt, images, context, onDelta }) -> Promise<string>
+ *     same as complete(), but calls onDelta(text) for each chunk as it arrives
+ *
+ * complete()/stream() resolve to the raw text content (JSON for comparisons) or ''
+ * when the backend returned nothing; backend failures reject.
+ */
+
+/** OpenAI Chat Completions, also used for OpenAI-compatible servers via baseURL. */
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model, temperature, maxTokens, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  const request = ({ prompt, images = [] }) => ({
+    model,
+    ...(typeof temperature === 'number' ? { temperature } : {}),
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map((img) => ({
+            type: 'image_url',
+            image_url: { url: `data:${img.mimetype};base64,${img.base64}` },
+          })),
+        ],
+      },
+    ],
+  });
+
+  return {
+    name,
+    model,
+    async complete(input) {
+      const completion = await client.chat.completions.create(request(input));
+      return completion?.choices?.[0]?.message?.content || '';
+    },
+    async stream({ onDelta = () => {}, ...input }) {
+      const chunks = await client.chat.completions.create({ ...request(input), stream: true });
+      let content = '';
+      for await (const chunk of chunks) {
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (!delta) continue;
+        content += delta;
+        onDelta(delta);
+      }
+      return content;
+    },
+  };
+}
+
+const MOCK_CHUNK_SIZE = 24;
+const MOCK_CHUNK_DELAY_MS = 15;
+
+const MOCK_SEVERITY = (area, total) => {
+  const share = total ? area / total : 0;
+  if (share > 0.05) return 'major';
+  if (share > 0.005) return 'minor';
+  return 'info';
+};
+
+/**
+ * Offline provider: no network, deterministic output.
+ * Turns pixel-diff regions (context.diff) into findings so the whole
+ * upload → quota → report path can run without a model.
+ */
+export function createMockProvider({ model = 'mock-vision' } = {}) {
+  const provider = {
+    name: 'mock',
+    model,
+    async complete({ context = {} } = {}) {
+      const diff = context.diff || null;
+      const regions = diff?.regions || [];
+      const total = diff?.totalPixels || 0;
+
+      return JSON.stringify({
+        summary: regions.length
+          ? `Mock report: ${regions.length} changed region(s), ${diff.mismatchPercent}% of pixels differ.`
+          : 'Mock report: no visual differences detected.',
+        findings: regions.map((region, i) => ({
+          category: 'layout',
+          severity: MOCK_SEVERITY(region.width * region.height, total),
+          description: `Changed region #${i + 1} at (${region.x}, ${region.y}), ${region.width}×${region.height}px.`,
+          regions: [{ x: region.x, y: region.y, width: region.width, height: region.height }],
+        })),
+      });
+    },
+    // Replays complete() in small chunks so the streaming UI can be exercised offline
+    async stream({ onDelta = () => {}, ...input } = {}) {
+      const content = await provider.complete(input);
+      for (let i = 0; i < content.length; i += MOCK_CHUNK_SIZE) {
+        onDelta(content.slice(i, i + MOCK_CHUNK_SIZE));
+        await new Promise((resolve) => setTimeout(resolve, MOCK_CHUNK_DELAY_MS));
+      }
+      return content;
+    },
+  };
+  return provider;
+}
@@ -1,9 +1,12 @@
 import Head from "next/head";
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import { useRouter } from "next/router";
 import { onAuthStateChanged, signOut } from "firebase/auth";
 import { auth } from "@/lib/firebase/config";
 import Navbar from "@/components/Navbar";
+import TeamSection from "@/components/TeamSection";
+import ApiKeysSection from "@/components/ApiKeysSection";
+import { can } from "@/lib/auth/roles";
 import { Toaster, toast } from "sonner";
 
 export default function Accounts() {
@@ -15,6 +18,14 @@ export default function Accounts() {
   // Stripe live subscription data (not from Firestore)
   const [sub, setSub] = useState(null);
 
+  // Prepaid comparison credits + packs on sale, and the plan catalog (team checkout)
+  const [credits, setCredits] = useState(null);
+  const [creditPacks, setCreditPacks] = useState([]);
+  const [plans, setPlans] = useState([]);
+
+  // Team workspace + the caller's role in it ({ org, invites, me })
+  const [team, setTeam] = useState(null);
+
   // sign out (same behavior) + toast
   const handleSignOut = async () => {
     try {
@@ -66,6 +77,60 @@ export default function Accounts() {
     })();
   }, [authUser]);
 
+  // Credit balance / recent activity, and the packs from the plan catalog
+  useEffect(() => {
+    if (!authUser) return;
+
+    (async () => {
+      try {
+        const token = await authUser.getIdToken();
+        const [creditsRes, plansRes] = await Promise.all([
+          fetch("/api/credits", { headers: { Authorization: `Bearer ${token}` } }),
+          fetch("/api/plans"),
+        ]);
+        const creditsData = await creditsRes.json();
+        const plansData = await plansRes.json();
+        if (!creditsRes.ok) throw new Error(creditsData?.error || "Failed to fetch credits");
+
+        setCredits(creditsData);
+        setCreditPacks(Array.isArray(plansData?.creditPacks) ? plansData.creditPacks : []);
+        setPlans(Array.isArray(plansData?.plans) ? plansData.plans : []);
+      } catch (e) {
+        console.error("Fetch credits error:", e);
+      }
+    })();
+  }, [authUser]);
+
+  // Team and role: drives the team card and which billing actions are shown
+  const loadTeam = useCallback(async () => {
+    if (!authUser) return;
+    try {
+      const token = await authUser.getIdToken();
+      const res = await fetch("/api/orgs", { headers: { Authorization: `Bearer ${token}` } });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to fetch team");
+      setTeam(data);
+    } catch (e) {
+      console.error("Fetch team error:", e);
+    }
+  }, [authUser]);
+
+  useEffect(() => {
+    loadTeam();
+  }, [loadTeam]);
+
+  // Billing actions are the owner's inside a team (the API enforces it too)
+  const canManageBilling = !team?.me || can(team.me.role, "billing:manage");
+
+  // Back from a credit pack / team plan checkout
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (router.query.credits === "success") toast.success("Payment received. Your credits will appear shortly.");
+    if (router.query.credits === "cancelled") toast.info("Credit purchase cancelled.");
+    if (router.query.team === "success") toast.success("Team plan active. Invite your teammates below.");
+    if (router.query.team === "cancelled") toast.info("Team checkout cancelled.");
+  }, [router.isReady, router.query.credits, router.query.team]);
+
   // Derived values for UI (from auth + Stripe response)
   const view = useMemo(() => {
     const name =
@@ -130,6 +195,26 @@ export default function Accounts() {
     }
   }
 
+  // One-off Stripe Checkout for a credit pack
+  async function buyCredits(pack) {
+    try {
+      setBusy(true);
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/checkout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ pack }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data?.url) throw new Error(data?.error || "Could not start checkout");
+      window.location.href = data.url;
+    } catch (e) {
+      console.error("buyCredits error:", e);
+      toast.error(e?.message || "Could not start checkout.");
+      setBusy(false);
+    }
+  }
+
   if (loading) {
     return (
       <main className="min-h-screen grid place-items-center text-slate-600 dark:text-slate-300">
@@ -246,26 +331,75 @@ export default function Accounts() {
               <div className="text-slate-600 dark:text-slate-300 text-sm mt-2">{planSubline}</div>
             </div>
 
-            <div className="space-y-3">
-              <button
-                type="button"
-                disabled={busy}
-                onClick={() => openPortal("update")}
-                className="w-full h-11 rounded-xl bg-[#6c2bd9] text-white font-medium shadow-sm hover:brightness-95 disabled:opacity-50 transition"
-              >
-                Update plan
-              </button>
-
-              <button
-                type="button"
-                disabled={busy}
-                onClick={() => openPortal("cancel")}
-                className="w-full h-11 rounded-xl border border-amber-300 dark:border-amber-600 text-amber-800 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30 font-medium hover:bg-amber-100 dark:hover:bg-amber-900/50 disabled:opacity-50 transition"
-              >
-                Cancel subscription
-              </button>
+            {canManageBilling ? (
+              <div className="space-y-3">
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => openPortal("update")}
+                  className="w-full h-11 rounded-xl bg-[#6c2bd9] text-white font-medium shadow-sm hover:brightness-95 disabled:opacity-50 transition"
+                >
+                  Update plan
+                </button>
+
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => openPortal("cancel")}
+                  className="w-full h-11 rounded-xl border border-amber-300 dark:border-amber-600 text-amber-800 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30 font-medium hover:bg-amber-100 dark:hover:bg-amber-900/50 disabled:opacity-50 transition"
+                >
+                  Cancel subscription
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-slate-600 dark:text-slate-300">
+                Billing is managed by your team&apos;s owner.
+              </p>
+            )}
+
+            {/* Prepaid credits */}
+            <div className="mt-6 pt-6 border-t border-slate-200 dark:border-slate-700">
+              <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100 mb-1">Comparison credits</h3>
+              <p className="text-sm text-slate-600 dark:text-slate-300 mb-3">
+                Used when your plan&apos;s allowance runs out. Failed comparisons are refunded.
+              </p>
+              <div className="text-3xl font-extrabold text-slate-900 dark:text-white mb-4">
+                {credits ? credits.balance : "—"}
+                <span className="text-base font-medium text-slate-600 dark:text-slate-300"> credits</span>
+              </div>
+
+              <div className="space-y-2">
+                {creditPacks.map((pack) => (
+                  <button
+                    key={pack.slug}
+                    type="button"
+                    disabled={busy}
+                    onClick={() => buyCredits(pack.slug)}
+                    className="w-full h-11 rounded-xl border border-violet-300 dark:border-violet-700 text-violet-800 dark:text-violet-200 font-medium hover:bg-violet-50 dark:hover:bg-violet-900/30 disabled:opacity-50 transition"
+                  >
+                    {pack.name} · ${(pack.price.amount / 100).toFixed(2)}
+                  </button>
+                ))}
+              </div>
+
+              {credits?.entries?.length > 0 && (
+                <ul className="mt-4 space-y-1 text-xs text-slate-600 dark:text-slate-300">
+                  {credits.entries.slice(0, 5).map((e) => (
+                    <li key={e.id} className="flex justify-between">
+                      <span>{CREDIT_ENTRY_LABELS[e.type] || e.type}</span>
+                      <span>
+                        {e.amount > 0 ? `+${e.amount}` : e.amount} · {formatDate(e.createdAt)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </aside>
+
+          <TeamSection authUser={authUser} plans={plans} team={team} onChange={loadTeam} />
+
+          <ApiKeysSection authUser={authUser} />
         </div>
       </main>
     </>
@@ -273,6 +407,8 @@ export default function Accounts() {
 }
 
 /* ---------- helpers ---------- */
+const CREDIT_ENTRY_LABELS = { purchase: "Purchased", spend: "Comparison", refund: "Refund (failed comparison)" };
+
 function initials(name = "") {
   const parts = name.trim().split(/\s+/).slice(0, 2);
   return parts.map((p) => p[0]?.toUpperCase() || "").join("") || "PP";
@@ -0,0 +1,21 @@
+// pages/api/baselines/[id]/approve.js
+import { withAuth } from '@/lib/auth/access';
+import { approveBaselineVersion } from '@/lib/baselines/store';
+
+async function handler(req, res, actor) {
+  try {
+    const version = Number(req.body?.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'A positive integer "version" is required.' });
+    }
+
+    const approved = await approveBaselineVersion(actor, req.query.id, version);
+    return res.status(200).json(approved);
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+    console.error('baseline approve error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['POST'], permissions: { POST: 'baselines:manage' } }, handler);
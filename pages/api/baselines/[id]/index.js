@@ -0,0 +1,53 @@
+// pages/api/baselines/[id]/index.js
+export const config = { api: { bodyParser: false } };
+
+import formidable from 'formidable';
+import fs from 'fs/promises';
+import { withAuth } from '@/lib/auth/access';
+import { maxImageBytesFor } from '@/lib/billing/quota';
+import { addBaselineVersion, getBaseline } from '@/lib/baselines/store';
+
+const ACCEPTED = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+function parseForm(req, maxFileSize) {
+  const form = formidable({ multiples: false, maxFileSize });
+  return new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => (err ? reject(err) : resolve({ fields, files })));
+  });
+}
+
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+
+async function handler(req, res, actor) {
+  try {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+      const baseline = await getBaseline(actor, id);
+      if (!baseline) return res.status(404).json({ error: 'Baseline not found' });
+      return res.status(200).json({ baseline });
+    }
+
+    // POST multipart: new design version (image, approve)
+    const { fields, files } = await parseForm(req, await maxImageBytesFor(actor.uid));
+    const file = first(files.image);
+    if (!file) return res.status(400).json({ error: 'No image uploaded (field name must be "image")' });
+    if (!ACCEPTED.has(file.mimetype)) {
+      return res.status(400).json({ error: 'Only JPG, PNG, and WEBP formats are supported.' });
+    }
+
+    const buffer = await fs.readFile(file.filepath);
+    const added = await addBaselineVersion(actor, id, {
+      image: { buffer, mimetype: file.mimetype, fileName: file.originalFilename },
+      approve: first(fields.approve) === 'true',
+    });
+
+    return res.status(201).json(added);
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+    console.error('baseline error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'POST'], permissions: { POST: 'baselines:manage' } }, handler);
@@ -0,0 +1,21 @@
+// pages/api/baselines/[id]/masks.js
+import { withAuth } from '@/lib/auth/access';
+import { validateMasks } from '@/lib/compare/masks';
+import { setBaselineMasks } from '@/lib/baselines/store';
+
+// PUT { masks: [{ x, y, width, height, label? }] } → replaces the baseline's ignore masks
+async function handler(req, res, actor) {
+  try {
+    if (!Array.isArray(req.body?.masks)) return res.status(400).json({ error: 'A "masks" array is required ([] clears them).' });
+    const checked = validateMasks(req.body.masks);
+    if (!checked.ok) return res.status(400).json({ error: checked.errors[0], details: checked.errors });
+
+    return res.status(200).json(await setBaselineMasks(actor, req.query.id, checked.value));
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+    console.error('baseline masks error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['PUT'], permissions: { PUT: 'baselines:manage' } }, handler);
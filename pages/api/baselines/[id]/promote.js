@@ -0,0 +1,20 @@
+// pages/api/baselines/[id]/promote.js
+import { withAuth } from '@/lib/auth/access';
+import { promoteReportToBaseline } from '@/lib/baselines/store';
+
+// Intentional change: the dev screenshot of a report becomes the new approved baseline version
+async function handler(req, res, actor) {
+  try {
+    const { reportId } = req.body || {};
+    if (!reportId) return res.status(400).json({ error: '"reportId" is required.' });
+
+    const promoted = await promoteReportToBaseline(actor, req.query.id, reportId);
+    return res.status(200).json(promoted);
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+    console.error('baseline promote error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['POST'], permissions: { POST: 'baselines:manage' } }, handler);
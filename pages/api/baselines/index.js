@@ -0,0 +1,50 @@
+// pages/api/baselines/index.js
+export const config = { api: { bodyParser: false } };
+
+import formidable from 'formidable';
+import fs from 'fs/promises';
+import { withAuth } from '@/lib/auth/access';
+import { maxImageBytesFor } from '@/lib/billing/quota';
+import { createBaseline, listBaselines } from '@/lib/baselines/store';
+
+const ACCEPTED = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+function parseForm(req, maxFileSize) {
+  const form = formidable({ multiples: false, maxFileSize });
+  return new Promise((resolve, reject) => {
+    form.parse(req, (err, fields, files) => (err ? reject(err) : resolve({ fields, files })));
+  });
+}
+
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+
+async function handler(req, res, actor) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ baselines: await listBaselines(actor) });
+    }
+
+    // POST multipart: name, image, approve ("false" keeps the first version pending)
+    const { fields, files } = await parseForm(req, await maxImageBytesFor(actor.uid));
+    const file = first(files.image);
+    if (!file) return res.status(400).json({ error: 'No image uploaded (field name must be "image")' });
+    if (!ACCEPTED.has(file.mimetype)) {
+      return res.status(400).json({ error: 'Only JPG, PNG, and WEBP formats are supported.' });
+    }
+
+    const buffer = await fs.readFile(file.filepath);
+    const created = await createBaseline(actor, {
+      name: first(fields.name),
+      image: { buffer, mimetype: file.mimetype, fileName: file.originalFilename },
+      approve: first(fields.approve) !== 'false',
+    });
+
+    return res.status(201).json(created);
+  } catch (e) {
+    if (e?.code === 'BAD_REQUEST') return res.status(400).json({ error: e.message });
+    console.error('baselines error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'POST'], permissions: { POST: 'baselines:manage' } }, handler);
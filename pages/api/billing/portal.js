@@ -1,6 +1,7 @@
 // pages/api/billing/portal.js
 import { stripe } from '@/lib/stripe/stripe';
-import { authAdmin } from '@/lib/firebase/firebaseAdmin';
+import { withAuth } from '@/lib/auth/access';
+import { requireOrgPermission } from '@/lib/orgs/store';
 
 // ✅ Force production redirect. No env, no headers, no surprises.
 const RETURN_URL = 'https://pixel-proof-2-renu.vercel.app/utility';
@@ -9,64 +10,76 @@ const PICKABLE_SUB_STATUSES = [
   'active', 'trialing', 'past_due', 'unpaid', 'incomplete', 'canceled'
 ];
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-
+// 1) Firebase ID token + billing rights are checked by withAuth
+async function handler(req, res, { uid, email }) {
   try {
-    // 1) Verify Firebase ID token
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-    if (!token) return res.status(401).json({ error: 'Missing ID token' });
 
-    const { uid, email } = await authAdmin.verifyIdToken(token);
+    // Read intent from body: "update" | "cancel" | undefined; orgId → the team's billing
+    const { intent, orgId } = (req.body || {});
 
-    // 2) Resolve Stripe customer for this user
+    // 2) Resolve Stripe customer for this user (or the team)
     let customerId = null;
 
-    // (a) by metadata.uid (best)
-    try {
-      const srch = await stripe.customers.search({
-        query: `metadata['uid']:'${uid}'`,
-        limit: 1,
-      });
-      if (srch.data[0]) customerId = srch.data[0].id;
-    } catch {}
-
-    // (b) by email
-    if (!customerId && email) {
-      const list = await stripe.customers.list({ email, limit: 1 });
-      if (list.data[0]) customerId = list.data[0].id;
+    if (orgId) {
+      let org;
+      try {
+        org = await requireOrgPermission(uid, orgId, 'billing:manage');
+      } catch (e) {
+        if (e?.code === 'FORBIDDEN') return res.status(403).json({ error: e.message });
+        if (e?.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+        throw e;
+      }
+      customerId = org.data.stripeCustomerId || null;
+      if (!customerId) return res.status(400).json({ error: 'Your team has no billing account yet.' });
     }
 
-    // (c) by recent completed checkout session that carried metadata.uid
-    if (!customerId) {
+    if (!orgId) {
+      // (a) by metadata.uid (best)
       try {
-        const sessions = await stripe.checkout.sessions.search({
-          query: `metadata['uid']:'${uid}' AND status:'complete'`,
+        const srch = await stripe.customers.search({
+          query: `metadata['uid']:'${uid}'`,
           limit: 1,
         });
-        const cust = sessions.data[0]?.customer;
-        if (typeof cust === 'string') customerId = cust;
-        else if (cust?.id) customerId = cust.id;
+        if (srch.data[0]) customerId = srch.data[0].id;
       } catch {}
-    }
 
-    // (d) if still none, create a customer and stamp uid
-    if (!customerId) {
-      const cust = await stripe.customers.create({
-        email: email || undefined,
-        metadata: { uid },
-      });
-      customerId = cust.id;
-    } else {
-      // ensure metadata.uid is present for future webhook mapping
-      try {
-        const current = await stripe.customers.retrieve(customerId);
-        const meta = current?.metadata || {};
-        if (!meta.uid) {
-          await stripe.customers.update(customerId, { metadata: { ...meta, uid } });
-        }
-      } catch {}
+      // (b) by email, skipping team customers (metadata.orgId)
+      if (!customerId && email) {
+        const list = await stripe.customers.list({ email, limit: 10 });
+        const own = list.data.find((c) => !c.metadata?.orgId);
+        if (own) customerId = own.id;
+      }
+
+      // (c) by recent completed checkout session that carried metadata.uid (not a team's)
+      if (!customerId) {
+        try {
+          const sessions = await stripe.checkout.sessions.search({
+            query: `metadata['uid']:'${uid}' AND status:'complete'`,
+            limit: 10,
+          });
+          const cust = sessions.data.find((s) => !s.metadata?.orgId)?.customer;
+          if (typeof cust === 'string') customerId = cust;
+          else if (cust?.id) customerId = cust.id;
+        } catch {}
+      }
+
+      // (d) if still none, create a customer and stamp uid
+      if (!customerId) {
+        const cust = await stripe.customers.create({
+          email: email || undefined,
+          metadata: { uid },
+        });
+        customerId = cust.id;
+      } else {
+        // ensure metadata.uid is present for future webhook mapping
+        try {
+          const current = await stripe.customers.retrieve(customerId);
+          const meta = current?.metadata || {};
+          if (!meta.uid) {
+            await stripe.customers.update(customerId, { metadata: { ...meta, uid } });
+          }
+        } catch {}
+      }
     }
 
     // 3) Try to get a subscription id for guided flows
@@ -84,9 +97,6 @@ export default async function handler(req, res) {
       if (chosen) subId = chosen.id;
     } catch {}
 
-    // 4) Read intent from body: "update" | "cancel" | undefined
-    const { intent } = (req.body || {});
-
     // Base params (always include the forced production return url)
     const baseParams = {
       customer: customerId,
@@ -116,7 +126,7 @@ export default async function handler(req, res) {
       };
     }
 
-    // 5) Create session; if flow_data not supported, fall back to generic session
+    // 4) Create session; if flow_data not supported, fall back to generic session
     let session;
     try {
       session = await stripe.billingPortal.sessions.create(params);
@@ -130,3 +140,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Internal error' });
   }
 }
+
+export default withAuth({ methods: ['POST'], permissions: { POST: 'billing:manage' } }, handler);
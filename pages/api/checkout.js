@@ -1,27 +1,81 @@
 // pages/api/checkout.js
 import { stripe } from '@/lib/stripe/stripe';
-import { authAdmin } from '@/lib/firebase/firebaseAdmin';
-
-const PRICE_MAP = {
-  basic: process.env.STRIPE_PRICE_BASIC,
-  pro:   process.env.STRIPE_PRICE_PRO,
-  elite: process.env.STRIPE_PRICE_ELITE,
-};
+import { withAuth } from '@/lib/auth/access';
+import { creditPackPriceId, getCreditPack, stripePriceId } from '@/lib/billing/plans';
+import { requireOrgPermission, setOrgCustomer } from '@/lib/orgs/store';
 
 // Always send users back to your live domain
 const BASE_URL = 'https://pixel-proof-2-renu.vercel.app';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+const MAX_SEATS = 100;
+const STATUS_BY_CODE = { FORBIDDEN: 403, NOT_FOUND: 404 };
 
+// Credit packs and personal plans are the signed-in user's own; a team plan needs the
+// team's billing rights (checked below)
+async function handler(req, res, actor) {
   try {
-    const auth = req.headers.authorization || '';
-    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
-    if (!token) return res.status(401).json({ error: 'Missing ID token' });
+    const { plan, priceId, pack, orgId, seats } = req.body || {};
+
+    // One-off credit pack: `payment` mode, credited by the webhook on checkout.session.completed
+    if (pack) {
+      const creditPack = getCreditPack(pack);
+      const packPrice = creditPackPriceId(pack);
+      if (!creditPack || !packPrice) return res.status(400).json({ error: 'Invalid or missing credit pack.' });
+
+      const session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        customer_email: actor.email || undefined,
+        line_items: [{ price: packPrice, quantity: 1 }],
+        success_url: `${BASE_URL}/accounts?credits=success`,
+        cancel_url:  `${BASE_URL}/accounts?credits=cancelled`,
+        metadata: { uid: actor.uid, kind: 'credits', pack: creditPack.slug, credits: String(creditPack.credits) },
+      });
+      return res.status(200).json({ url: session.url });
+    }
+
+    // Team plan: the subscription (quantity = seats) belongs to the org's own Stripe customer
+    if (orgId) {
+      let org;
+      try {
+        org = await requireOrgPermission(actor.uid, orgId, 'billing:manage');
+      } catch (e) {
+        if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+        throw e;
+      }
+
+      const teamPrice = plan ? stripePriceId(plan) : null;
+      if (!teamPrice) return res.status(400).json({ error: 'Invalid or missing plan.' });
+      if (['active', 'trialing'].includes(org.data.subscriptionStatus)) {
+        return res.status(409).json({ error: 'Your team already has a subscription. Change seats from the billing portal.' });
+      }
 
-    const decoded = await authAdmin.verifyIdToken(token);
-    const { plan, priceId } = req.body || {};
-    const resolvedPrice = priceId || (plan ? PRICE_MAP[plan] : null);
+      const quantity = Math.min(Math.max(parseInt(seats, 10) || 0, org.data.memberCount || 1), MAX_SEATS);
+
+      let customerId = org.data.stripeCustomerId || null;
+      if (!customerId) {
+        // no owner email here: personal billing finds customers by email (team ones are skipped by metadata.orgId)
+        const customer = await stripe.customers.create({
+          name: org.data.name || undefined,
+          metadata: { orgId: org.ref.id },
+          description: `Team ${org.ref.id}`,
+        });
+        customerId = customer.id;
+        await setOrgCustomer(org.ref.id, customerId);
+      }
+
+      const session = await stripe.checkout.sessions.create({
+        mode: 'subscription',
+        customer: customerId,
+        line_items: [{ price: teamPrice, quantity }],
+        subscription_data: { metadata: { orgId: org.ref.id } },
+        success_url: `${BASE_URL}/accounts?team=success`,
+        cancel_url:  `${BASE_URL}/accounts?team=cancelled`,
+        metadata: { uid: actor.uid, orgId: org.ref.id, kind: 'team', plan, seats: String(quantity) },
+      });
+      return res.status(200).json({ url: session.url });
+    }
+
+    const resolvedPrice = priceId || (plan ? stripePriceId(plan) : null);
 
     if (!resolvedPrice || !/^price_/.test(resolvedPrice)) {
       return res.status(400).json({ error: 'Invalid or missing price.' });
@@ -29,11 +83,11 @@ export default async function handler(req, res) {
 
     const session = await stripe.checkout.sessions.create({
       mode: 'subscription',
-      customer_email: decoded.email || undefined,
+      customer_email: actor.email || undefined,
       line_items: [{ price: resolvedPrice, quantity: 1 }],
       success_url: `${BASE_URL}?payment=success&session_id={CHECKOUT_SESSION_ID}`,
       cancel_url:  `${BASE_URL}?payment=cancelled`,
-      metadata: { uid: decoded.uid, plan: plan || 'custom' },
+      metadata: { uid: actor.uid, plan: plan || 'custom' },
     });
 
     return res.status(200).json({ url: session.url });
@@ -43,6 +97,8 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth({ methods: ['POST'] }, handler);
+
 // pages/api/checkout.js
 // import { stripe } from "@/lib/stripe/stripe";
 // import { authAdmin } from "@/lib/firebase/firebaseAdmin";
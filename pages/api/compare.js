@@ -5,13 +5,21 @@ export const config = { api: { bodyParser: false, sizeLimit: "25mb" } };
 
 import formidable from "formidable";
 import fs from "fs/promises";
-import { OpenAI } from "openai";
-import { authAdmin } from "@/lib/firebase/firebaseAdmin";
-import { checkAndConsumeQuota } from "@/lib/billing/quota";
-
-// Allowed file types / sizes
+import { actorCan, authenticate } from "@/lib/auth/access";
+import { commitQuota, releaseQuota, reserveQuota, resolvePlanLimit } from "@/lib/billing/quota";
+import { visionConfigError } from "@/lib/vision";
+import { DEFAULT_PLAN, getPlan } from "@/lib/billing/plans";
+import { runComparison } from "@/lib/compare/run";
+import { loadApprovedBaselineImage } from "@/lib/baselines/store";
+import { requireScreen, setScreenMasks } from "@/lib/projects/store";
+import { combineMasks, validateMasks } from "@/lib/compare/masks";
+import { checkImageDimensions } from "@/lib/compare/imageInfo";
+import { inspectImage } from "@/lib/compare/pixelDiff";
+import { createJob } from "@/lib/jobs/store";
+import { getCompareQueue } from "@/lib/jobs/queue";
+
+// Allowed file types (the size limit comes from the plan catalog)
 const ACCEPTED = new Set(["image/png", "image/jpeg", "image/webp"]);
-const MAX_FILE_BYTES = 10 * 1024 * 1024; // 10 MB
 
 function rid() {
   // simple correlation id for logs
@@ -22,14 +30,26 @@ function log(rid, ...args) {
   console.log(`[COMPARE ${rid}]`, ...args);
 }
 
-const openaiKey = process.env.OPENAI_API_KEY;
-const openai = openaiKey ? new OpenAI({ apiKey: openaiKey }) : null;
+// Server-sent events: one `event:`/`data:` frame per write, flushed right away
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "Content-Encoding": "none", // keep Next's gzip from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.();
+  };
+}
 
-function parseMultipart(req, r) {
+function parseMultipart(req, r, maxFileSize) {
   return new Promise((resolve, reject) => {
     const form = formidable({
       multiples: false,
-      maxFileSize: MAX_FILE_BYTES,
+      maxFileSize,
       filter: ({ mimetype }) => ACCEPTED.has(mimetype || ""),
     });
     form.parse(req, (err, fields, files) => {
@@ -44,44 +64,56 @@ function parseMultipart(req, r) {
 
 export default async function handler(req, res) {
   const r = rid();
-  log(r, "incoming", { method: req.method });
+  const startedAt = Date.now();
+  res.setHeader("X-Request-Id", r);
+  // ?async=1 → job mode (202 + jobId) instead of holding the request open
+  const isAsync = ["1", "true"].includes(String(req.query?.async || "").toLowerCase());
+  // ?stream=1 → server-sent events with the report as it is generated (quota committed once the report is saved)
+  const isStream = ["1", "true"].includes(String(req.query?.stream || "").toLowerCase());
+  log(r, "incoming", { method: req.method, async: isAsync, stream: isStream });
 
   if (req.method !== "POST") {
     log(r, "405 BAD_METHOD");
     return res.status(405).json({ error: "Method Not Allowed", error_code: "BAD_METHOD", rid: r });
   }
+  if (isAsync && isStream) {
+    log(r, "400 BAD_REQUEST: async and stream");
+    return res.status(400).json({ error: "Choose either async or stream mode.", error_code: "BAD_REQUEST", rid: r });
+  }
 
-  if (!openaiKey) {
-    log(r, "500 CONFIG: OPENAI_API_KEY missing");
+  const configProblem = visionConfigError();
+  if (configProblem) {
+    log(r, "500 CONFIG:", configProblem);
     return res.status(500).json({
-      error: "Server configuration error: OPENAI_API_KEY is missing.",
+      error: `Server configuration error: ${configProblem}`,
       error_code: "CONFIG",
       rid: r,
     });
   }
 
-  // 1) Firebase auth
-  const authHeader = req.headers.authorization || "";
-  const idToken = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
-  if (!idToken) {
-    log(r, "401 NO_AUTH");
-    return res.status(401).json({ error: "Unauthorized. Token missing.", error_code: "NO_AUTH", rid: r });
-  }
-
-  let decoded;
+  // 1) Firebase ID token or API key + role (viewers can read reports but not run comparisons)
+  let actor;
   try {
-    decoded = await authAdmin.verifyIdToken(idToken, true);
-    log(r, "auth ok", { uid: decoded.uid });
+    actor = await authenticate(req, { checkRevoked: true, apiKeys: true });
+    log(r, "auth ok", { uid: actor.uid, role: actor.role, keyId: actor.keyId });
   } catch (e) {
+    if (e?.code === "NO_AUTH") {
+      log(r, "401 NO_AUTH");
+      return res.status(401).json({ error: "Unauthorized. Token missing.", error_code: "NO_AUTH", rid: r });
+    }
     log(r, "401 BAD_TOKEN:", e?.message || e);
     return res.status(401).json({ error: "Invalid or expired token.", error_code: "BAD_TOKEN", rid: r });
   }
+  if (!actorCan(actor, "comparisons:run")) {
+    log(r, "403 FORBIDDEN:", actor.keyId ? "key scope" : "role", actor.role);
+    const error = actor.keyId && actorCan({ ...actor, keyId: null }, "comparisons:run")
+      ? "This API key is not scoped to run comparisons."
+      : `Your role (${actor.role}) cannot run comparisons.`;
+    return res.status(403).json({ error, error_code: "FORBIDDEN", rid: r });
+  }
 
-  // 2) Quota (Stripe-first)
-  try {
-    const q = await checkAndConsumeQuota({ uid: decoded.uid });
-    log(r, "quota ok", q);
-  } catch (err) {
+  // Quota errors (plan lookup or reservation) as responses
+  const quotaError = (err) => {
     const code = err?.code || "";
     const msg = err?.message || "Access denied.";
     log(r, "quota fail", { code, msg });
@@ -92,90 +124,268 @@ export default async function handler(req, res) {
       return res.status(429).json({ error: msg, error_code: "LIMIT_EXCEEDED", rid: r });
     }
     return res.status(403).json({ error: msg, error_code: "FORBIDDEN", rid: r });
+  };
+
+  // 2) Plan (Stripe-first): its upload and dimension limits apply before any quota is reserved
+  let policy;
+  try {
+    policy = await resolvePlanLimit(actor.uid);
+    log(r, "plan ok", { plan: policy.plan, mode: policy.mode, max: policy.max });
+  } catch (err) {
+    return quotaError(err);
   }
 
-  // 3) Parse images
-  let files;
+  // The slot reserved in step 5; until then an error has nothing to give back
+  let reservation = null;
+
+  // Give the reserved slot back; the usage entry records why (never fails the response)
+  const release = async (reason) => {
+    try {
+      const released = await releaseQuota(reservation, reason);
+      log(r, released ? `quota released (${reason})` : "quota already settled");
+    } catch (e) {
+      log(r, "quota release failed:", e?.message || e);
+    }
+  };
+  const commit = async () => {
+    try {
+      await commitQuota(reservation);
+      log(r, "quota committed");
+    } catch (e) {
+      log(r, "quota commit failed:", e?.message || e);
+    }
+  };
+  // Error response: release the reservation (if one was made) first, then answer
+  const reject = async (status, body) => {
+    if (reservation) await release(body.error_code);
+    return res.status(status).json({ ...body, rid: r });
+  };
+
+  // 3) Parse images (image1 may be replaced by the approved version of a baseline)
+  const planFeatures = (getPlan(policy.plan) || DEFAULT_PLAN).features;
+  const { maxImageBytes } = planFeatures;
+  let fields, files;
   try {
-    ({ files } = await parseMultipart(req, r));
+    ({ fields, files } = await parseMultipart(req, r, maxImageBytes));
   } catch (e) {
     const m = String(e?.message || e);
     const code = /maxFileSize/i.test(m) ? "BAD_IMAGE" : "BAD_MULTIPART";
     log(r, "400 parse fail", { code, m });
-    return res.status(400).json({
-      error: /maxFileSize/i.test(m) ? "Image too large. Max 10MB per file." : "Invalid upload. Only JPG, PNG and WEBP are supported.",
+    return reject(400, {
+      error: /maxFileSize/i.test(m) ? `Image too large. Max ${Math.round(maxImageBytes / (1024 * 1024))}MB per file on your plan.` : "Invalid upload. Only JPG, PNG and WEBP are supported.",
       error_code: code,
-      rid: r,
     });
   }
 
-  const image1 = Array.isArray(files.image1) ? files.image1[0] : files.image1;
+  let image1 = Array.isArray(files.image1) ? files.image1[0] : files.image1;
   const image2 = Array.isArray(files.image2) ? files.image2[0] : files.image2;
+  const field = (name) => String((Array.isArray(fields[name]) ? fields[name][0] : fields[name]) || "").trim();
+  let baselineId = field("baselineId");
+  const projectId = field("projectId");
+  const screenId = field("screenId");
+  let orgId = null;
+
+  // Ignore masks: the request's, plus those saved on the screen and the baseline (below)
+  const requestMasks = validateMasks(field("masks"));
+  if (!requestMasks.ok) {
+    log(r, "400 BAD_REQUEST: masks", requestMasks.errors);
+    return reject(400, { error: requestMasks.errors[0], error_code: "BAD_REQUEST", details: requestMasks.errors });
+  }
+  const saveMasks = ["1", "true"].includes(field("saveMasks").toLowerCase());
+  if (saveMasks && !screenId) {
+    log(r, "400 BAD_REQUEST: saveMasks without a screen");
+    return reject(400, { error: "saveMasks needs projectId and screenId.", error_code: "BAD_REQUEST" });
+  }
+  let screenMasks = [];
+  let baselineMasks = [];
+  // Scale/alignment normalization is on unless turned off ("false" / "0")
+  const normalize = !["0", "false"].includes(field("normalize").toLowerCase());
+
+  // Optional project/screen scope (access enforced); a screen's baseline is the default design.
+  // Reports filed under a team project are shared with the team.
+  if (projectId || screenId) {
+    if (!projectId || !screenId) {
+      log(r, "400 BAD_REQUEST: projectId/screenId");
+      return reject(400, { error: "projectId and screenId must be sent together.", error_code: "BAD_REQUEST" });
+    }
+    try {
+      const { data: screen, project } = await requireScreen(actor, projectId, screenId, "comparisons:run");
+      if (!image1 && !baselineId && screen.baselineId) baselineId = screen.baselineId;
+      screenMasks = screen.masks || [];
+      orgId = project.orgId || null;
+      log(r, "screen ok", { projectId, screenId });
+    } catch (e) {
+      const status = e?.code === "FORBIDDEN" ? 403 : e?.code === "NOT_FOUND" ? 404 : 500;
+      log(r, `${status} screen check:`, e?.message || e);
+      return reject(status, {
+        error: status === 500 ? "Failed to load project screen." : e.message,
+        error_code: status === 403 ? "FORBIDDEN" : status === 404 ? "SCREEN_NOT_FOUND" : "SERVER_ERROR",
+      });
+    }
+  }
 
-  if (!image1 || !image2) {
+  if (baselineId && image1) {
+    log(r, "400 BAD_REQUEST: image1 and baselineId");
+    return reject(400, { error: "Send either a design image or a baselineId, not both.", error_code: "BAD_REQUEST" });
+  }
+  if ((!image1 && !baselineId) || !image2) {
     log(r, "400 MISSING_IMAGES");
-    return res.status(400).json({ error: "Both images are required.", error_code: "MISSING_IMAGES", rid: r });
+    return reject(400, { error: "Both images are required.", error_code: "MISSING_IMAGES" });
   }
-  if (!ACCEPTED.has(image1.mimetype) || !ACCEPTED.has(image2.mimetype)) {
-    log(r, "400 BAD_IMAGE", { m1: image1.mimetype, m2: image2.mimetype });
-    return res.status(400).json({ error: "Only JPG, PNG, and WEBP formats are supported.", error_code: "BAD_IMAGE", rid: r });
+  if ((image1 && !ACCEPTED.has(image1.mimetype)) || !ACCEPTED.has(image2.mimetype)) {
+    log(r, "400 BAD_IMAGE", { m1: image1?.mimetype, m2: image2.mimetype });
+    return reject(400, { error: "Only JPG, PNG, and WEBP formats are supported.", error_code: "BAD_IMAGE" });
   }
 
-  log(r, "files ok", { i1: image1.originalFilename, i2: image2.originalFilename });
-
-  // 4) Read files
-  let b64_1, b64_2;
+  log(r, "files ok", { i1: image1?.originalFilename || `baseline:${baselineId}`, i2: image2.originalFilename });
+
+  // 4) Read files (design from the baseline when one was given)
+  let buf1, buf2;
+  let baseline = null;
+  let designPath = null;
+  if (baselineId) {
+    try {
+      const b = await loadApprovedBaselineImage(actor, baselineId);
+      buf1 = b.buffer;
+      image1 = { mimetype: b.mimetype, originalFilename: b.fileName };
+      baseline = b.baseline;
+      baselineMasks = b.masks || [];
+      designPath = b.path;
+      log(r, "baseline ok", baseline);
+    } catch (e) {
+      if (e?.code === "NOT_FOUND") {
+        log(r, "404 BASELINE_NOT_FOUND", { baselineId });
+        return reject(404, { error: "Baseline not found.", error_code: "BASELINE_NOT_FOUND" });
+      }
+      if (e?.code === "NO_APPROVED_VERSION") {
+        log(r, "409 NO_APPROVED_BASELINE", { baselineId });
+        return reject(409, { error: e.message, error_code: "NO_APPROVED_BASELINE" });
+      }
+      log(r, "500 FILE_READ_ERROR (baseline):", e?.message || e);
+      return reject(500, { error: "Failed to load the baseline image.", error_code: "FILE_READ_ERROR" });
+    }
+  }
   try {
-    const [b1, b2] = await Promise.all([
-      fs.readFile(image1.filepath, { encoding: "base64" }),
-      fs.readFile(image2.filepath, { encoding: "base64" }),
-    ]);
-    b64_1 = b1; b64_2 = b2;
+    [buf1, buf2] = await Promise.all([buf1 || fs.readFile(image1.filepath), fs.readFile(image2.filepath)]);
     log(r, "files read ok");
   } catch (e) {
     log(r, "500 FILE_READ_ERROR:", e?.message || e);
-    return res.status(500).json({ error: "Failed to read uploaded images.", error_code: "FILE_READ_ERROR", rid: r });
+    return reject(500, { error: "Failed to read uploaded images.", error_code: "FILE_READ_ERROR" });
   }
 
-  // 5) OpenAI
+  // 4b) Decode the image headers: dimensions within the plan's limits (nothing is reserved yet)
+  let info1, info2;
   try {
-    log(r, "openai call -> gpt-4o");
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text:
-                "Compare these two UI screenshots and generate a markdown-based QA report.\n" +
-                "Focus on layout shifts, missing or misaligned elements, spacing, font, color, and visual consistency issues.\n" +
-                "Organize output with bullet points under clear headings.",
-            },
-            { type: "image_url", image_url: { url: `data:${image1.mimetype};base64,${b64_1}` } },
-            { type: "image_url", image_url: { url: `data:${image2.mimetype};base64,${b64_2}` } },
-          ],
-        },
-      ],
-    });
+    [info1, info2] = await Promise.all([inspectImage(buf1), inspectImage(buf2)]);
+  } catch (e) {
+    log(r, "400 BAD_IMAGE (header):", e?.message || e);
+    return reject(400, { error: "One of the images could not be decoded.", error_code: "BAD_IMAGE" });
+  }
+  const sizeError = checkImageDimensions({ design: info1, dev: info2 }, planFeatures);
+  if (sizeError) {
+    log(r, `400 ${sizeError.error_code}`, sizeError.details);
+    return reject(400, sizeError);
+  }
+  log(r, "dimensions ok", { i1: `${info1.width}x${info1.height}`, i2: `${info2.width}x${info2.height}` });
+
+  // 5) Quota: reserve a slot now; it is committed on success and released on any failure
+  try {
+    reservation = await reserveQuota({ uid: actor.uid, rid: r, keyId: actor.keyId, policy });
+    log(r, "quota reserved", { plan: reservation.plan, mode: reservation.mode, max: reservation.max, day: reservation.day });
+  } catch (err) {
+    return quotaError(err);
+  }
 
-    const result = completion?.choices?.[0]?.message?.content;
-    if (!result) {
-      log(r, "502 OPENAI_EMPTY");
-      return res.status(502).json({ error: "OpenAI did not return a result.", error_code: "OPENAI_EMPTY", rid: r });
+  // The request's masks become the screen's (and replace the saved ones for this run too)
+  if (saveMasks) {
+    try {
+      await setScreenMasks(actor, projectId, screenId, requestMasks.value);
+      screenMasks = [];
+      log(r, "screen masks saved", { masks: requestMasks.value.length });
+    } catch (e) {
+      log(r, "500 screen masks:", e?.message || e);
+      return reject(500, { error: "Failed to save the screen's masks.", error_code: "SERVER_ERROR" });
     }
+  }
+
+  const ctx = {
+    uid: actor.uid,
+    orgId,
+    rid: r,
+    plan: reservation.plan,
+    startedAt,
+    design: { buffer: buf1, mimetype: image1.mimetype, fileName: image1.originalFilename, path: designPath, info: info1 },
+    dev: { buffer: buf2, mimetype: image2.mimetype, fileName: image2.originalFilename, info: info2 },
+    baseline,
+    projectId: projectId || null,
+    screenId: screenId || null,
+    masks: combineMasks({ baseline: baselineMasks, screen: screenMasks, request: requestMasks.value }),
+    normalize,
+  };
+
+  // 6a) Async mode: queue a job and answer right away (poll GET /api/jobs/{jobId});
+  //     the worker commits or releases the reservation when the job settles (a job lost with
+  //     its instance expires and gives it back, lib/jobs/store.js)
+  if (isAsync) {
+    try {
+      await createJob({
+        id: r,
+        uid: actor.uid,
+        reservation,
+        meta: { design: ctx.design.fileName, dev: ctx.dev.fileName, plan: ctx.plan },
+      });
+      getCompareQueue().enqueue({ id: r, payload: { ...ctx, reservation } });
+      log(r, "202 job queued");
+      return res.status(202).json({ jobId: r, status: "queued", rid: r });
+    } catch (e) {
+      log(r, "500 JOB_ERROR:", e?.message || e);
+      return reject(500, { error: "Could not queue the comparison.", error_code: "JOB_ERROR" });
+    }
+  }
 
-    log(r, "success");
-    return res.status(200).json({ result, rid: r });
+  // 6b) Stream mode: `diff`, then `report` events with the markdown so far, then `done` (full body) or `error`.
+  //     The slot is committed once the report is saved, whether or not the client is still listening.
+  if (isStream) {
+    const send = openEventStream(res);
+    let disconnected = false;
+    res.on("close", () => {
+      if (!res.writableEnded) disconnected = true;
+    });
+    try {
+      const body = await runComparison(ctx, (...args) => log(r, ...args), { onEvent: send });
+      await commit();
+      if (disconnected) log(r, "client disconnected before done; report kept", { reportId: body.reportId });
+      else send("done", body);
+    } catch (e) {
+      const status = e?.status || 500;
+      const code = e?.code || "SERVER_ERROR";
+      log(r, `stream ${status} ${code}:`, e?.cause?.message || e?.message || e);
+      await release(code);
+      send("error", {
+        error: e?.status ? e.message : "Comparison failed.",
+        error_code: code,
+        status,
+        ...(e?.details ? { details: e.details } : {}),
+        rid: r,
+      });
+    }
+    return res.end();
+  }
+
+  // 6c) Sync mode: pixel diff → model → validated findings → saved report
+  try {
+    const body = await runComparison(ctx, (...args) => log(r, ...args));
+    await commit();
+    return res.status(200).json(body);
   } catch (e) {
-    const msg =
-      e?.response?.data?.error?.message ||
-      e?.error?.message ||
-      e?.message ||
-      "OpenAI request failed.";
-    log(r, "502 OPENAI_ERROR:", msg);
-    return res.status(502).json({ error: `OpenAI error: ${msg}`, error_code: "OPENAI_ERROR", rid: r });
+    const status = e?.status || 500;
+    const code = e?.code || "SERVER_ERROR";
+    log(r, `${status} ${code}:`, e?.cause?.message || e?.message || e);
+    return reject(status, {
+      error: e?.status ? e.message : "Comparison failed.",
+      error_code: code,
+      ...(e?.details ? { details: e.details } : {}),
+    });
   }
 }
 
@@ -0,0 +1,20 @@
+// pages/api/credits.js
+import { withAuth } from '@/lib/auth/access';
+import { getCredits } from '@/lib/billing/credits';
+
+/**
+ * GET /api/credits
+ * → { balance, entries: [{ id, type: 'purchase'|'spend'|'refund', amount, pack, rid, reason, createdAt }] }
+ * Packs are bought through POST /api/checkout { pack }.
+ */
+async function handler(req, res, { uid }) {
+  try {
+    const credits = await getCredits(uid);
+    return res.status(200).json(credits);
+  } catch (e) {
+    console.error('credits error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET'] }, handler);
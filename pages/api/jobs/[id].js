@@ -0,0 +1,30 @@
+// pages/api/jobs/[id].js
+import { withAuth } from '@/lib/auth/access';
+import { getJob } from '@/lib/jobs/store';
+import { getReport } from '@/lib/reports/store';
+
+// Status of an async comparison job: queued | running | succeeded | failed
+// (polling is part of running a comparison, so API keys need the comparisons:run scope)
+async function handler(req, res, actor) {
+  try {
+    const job = await getJob(actor.uid, req.query.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    // Finished jobs point the heatmap at the saved report's image
+    if (job.status === 'succeeded' && job.result?.reportId && job.result.diff) {
+      try {
+        const report = await getReport(actor, job.result.reportId);
+        job.result.diff.diffImage = report?.imageUrls?.diff || null;
+      } catch (e) {
+        console.warn('[jobs] could not sign diff image:', e?.message || e);
+      }
+    }
+
+    return res.status(200).json({ job });
+  } catch (e) {
+    console.error('job status error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET'], permissions: { GET: 'comparisons:run' }, apiKeys: true }, handler);
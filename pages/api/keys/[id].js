@@ -0,0 +1,17 @@
+// pages/api/keys/[id].js
+import { withAuth } from '@/lib/auth/access';
+import { revokeApiKey } from '@/lib/auth/apiKeys';
+
+// DELETE /api/keys/:id → { id, revoked: true }
+async function handler(req, res, { uid }) {
+  try {
+    await revokeApiKey(uid, req.query.id);
+    return res.status(200).json({ id: req.query.id, revoked: true });
+  } catch (e) {
+    if (e?.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+    console.error('api key revoke error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['DELETE'] }, handler);
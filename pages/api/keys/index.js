@@ -0,0 +1,26 @@
+// pages/api/keys/index.js
+import { withAuth } from '@/lib/auth/access';
+import { createApiKey, listApiKeys } from '@/lib/auth/apiKeys';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, CONFLICT: 409 };
+
+/**
+ * GET  /api/keys                            → { keys: [{ id, name, scopes, prefix, createdAt, lastUsedAt, usage }] }
+ * POST /api/keys { name, scopes? }          → { key, apiKey }   (201; `key` is shown only this once)
+ * Keys are managed from a signed-in session only, never with another key.
+ */
+async function handler(req, res, { uid }) {
+  try {
+    if (req.method === 'POST') {
+      const { name, scopes } = req.body || {};
+      return res.status(201).json(await createApiKey(uid, { name, scopes }));
+    }
+    return res.status(200).json({ keys: await listApiKeys(uid) });
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('api keys error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'POST'] }, handler);
@@ -0,0 +1,19 @@
+// pages/api/orgs/[id]/index.js
+import { withAuth } from '@/lib/auth/access';
+import { updateOrg } from '@/lib/orgs/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404 };
+
+/** PATCH /api/orgs/:id { name } (owner/admin) */
+async function handler(req, res, actor) {
+  try {
+    const { name } = req.body || {};
+    return res.status(200).json(await updateOrg(actor.uid, req.query.id, { name }));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('org error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['PATCH'] }, handler);
@@ -0,0 +1,34 @@
+// pages/api/orgs/[id]/invites.js
+import { withAuth } from '@/lib/auth/access';
+import { acceptInvite, inviteMember, revokeInvite } from '@/lib/orgs/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404, CONFLICT: 409 };
+
+/**
+ * POST   /api/orgs/:id/invites { email, role? }     → { id }   invite by email (owner/admin; needs a free seat)
+ * POST   /api/orgs/:id/invites { inviteId, accept } → { id }   join the team (invitee, verified email)
+ * DELETE /api/orgs/:id/invites?inviteId=…          → { id, revoked } (owner/admin)
+ * Team permissions are checked against the caller's role in this team (lib/orgs/store.js).
+ */
+async function handler(req, res, actor) {
+  try {
+    const { id } = req.query;
+
+    if (req.method === 'DELETE') {
+      return res.status(200).json(await revokeInvite(actor.uid, id, req.query.inviteId));
+    }
+
+    const { email, role, inviteId, accept } = req.body || {};
+    if (accept) {
+      if (!actor.emailVerified) return res.status(403).json({ error: 'Verify your email to join a team.' });
+      return res.status(200).json(await acceptInvite(actor.uid, actor.email, id, inviteId));
+    }
+    return res.status(201).json(await inviteMember(actor.uid, id, { email, role: role || undefined }));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('org invites error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['POST', 'DELETE'] }, handler);
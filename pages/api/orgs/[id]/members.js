@@ -0,0 +1,26 @@
+// pages/api/orgs/[id]/members.js
+import { withAuth } from '@/lib/auth/access';
+import { removeMember, setMemberRole } from '@/lib/orgs/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404 };
+
+/**
+ * PATCH  /api/orgs/:id/members { uid, role } → { uid, role }   (owner/admin)
+ * DELETE /api/orgs/:id/members?uid=…        → { uid, removed }
+ * An owner/admin removes a member; without ?uid (or with your own) you leave the team.
+ */
+async function handler(req, res, actor) {
+  try {
+    if (req.method === 'PATCH') {
+      const { uid, role } = req.body || {};
+      return res.status(200).json(await setMemberRole(actor.uid, req.query.id, uid, role));
+    }
+    return res.status(200).json(await removeMember(actor.uid, req.query.id, req.query.uid));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('org members error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['PATCH', 'DELETE'] }, handler);
@@ -0,0 +1,30 @@
+// pages/api/orgs/index.js
+import { withAuth } from '@/lib/auth/access';
+import { createOrg, getMyOrg } from '@/lib/orgs/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404, CONFLICT: 409 };
+
+/**
+ * GET  /api/orgs → { org: { ...team, members, invites } | null, invites: [invites addressed to me],
+ *                    me: { role, permissions, assignableRoles } }
+ * POST /api/orgs { name } → { id }   (caller becomes the owner)
+ */
+async function handler(req, res, actor) {
+  try {
+    // invites are matched on verified emails only
+    const email = actor.emailVerified ? actor.email : null;
+
+    if (req.method === 'GET') {
+      return res.status(200).json(await getMyOrg(actor.uid, email));
+    }
+
+    const { name } = req.body || {};
+    return res.status(201).json(await createOrg(actor.uid, { name, email: actor.email }));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('orgs error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'POST'] }, handler);
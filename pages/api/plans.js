@@ -0,0 +1,16 @@
+// pages/api/plans.js
+import { CREDIT_PACKS, PLANS, publicCreditPack, publicPlan } from '@/lib/billing/plans';
+import { quotaPolicyForPlan } from '@/lib/billing/limit';
+
+/**
+ * GET /api/plans (public)
+ * → { plans: [{ slug, name, description, price, limits, quota: { mode, limit }, features, highlighted }],
+ *     creditPacks: [{ slug, name, credits, price }] }
+ */
+export default function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=3600');
+  const plans = PLANS.map((plan) => publicPlan(plan, quotaPolicyForPlan(plan.slug)));
+  return res.status(200).json({ plans, creditPacks: CREDIT_PACKS.map(publicCreditPack) });
+}
@@ -46,13 +46,16 @@
 import { stripe } from '@/lib/stripe/stripe';
 import { authAdmin } from '@/lib/firebase/firebaseAdmin';
 
+// Team customers (metadata.orgId) are never a person's own billing account
 async function findOrCreateCustomerByEmail(email, uid) {
   try {
     const result = await stripe.customers.search({ query: `email:'${email}'` });
-    if (result.data[0]) return result.data[0].id;
+    const own = result.data.find((c) => !c.metadata?.orgId);
+    if (own) return own.id;
   } catch {}
-  const list = await stripe.customers.list({ email, limit: 1 });
-  if (list.data[0]) return list.data[0].id;
+  const list = await stripe.customers.list({ email, limit: 10 });
+  const own = list.data.find((c) => !c.metadata?.orgId);
+  if (own) return own.id;
   const created = await stripe.customers.create({ email, metadata: { uid } });
   return created.id;
 }
@@ -0,0 +1,17 @@
+// pages/api/projects/[id]/dashboard.js
+import { withAuth } from '@/lib/auth/access';
+import { getProjectDashboard } from '@/lib/projects/store';
+
+const STATUS_BY_CODE = { FORBIDDEN: 403, NOT_FOUND: 404 };
+
+async function handler(req, res, actor) {
+  try {
+    return res.status(200).json(await getProjectDashboard(actor, req.query.id));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('project dashboard error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET'], permissions: { GET: 'reports:read' } }, handler);
@@ -0,0 +1,26 @@
+// pages/api/projects/[id]/index.js
+import { withAuth } from '@/lib/auth/access';
+import { deleteProject, getProject, updateProject } from '@/lib/projects/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404 };
+
+async function handler(req, res, actor) {
+  try {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ project: await getProject(actor, id) });
+    }
+    if (req.method === 'PATCH') {
+      const { name, description } = req.body || {};
+      return res.status(200).json(await updateProject(actor, id, { name, description }));
+    }
+    return res.status(200).json(await deleteProject(actor, id));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('project error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'PATCH', 'DELETE'] }, handler);
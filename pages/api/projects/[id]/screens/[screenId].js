@@ -0,0 +1,38 @@
+// pages/api/projects/[id]/screens/[screenId].js
+import { withAuth } from '@/lib/auth/access';
+import { validateMasks } from '@/lib/compare/masks';
+import { deleteScreen, getScreen, setScreenMasks, updateScreen } from '@/lib/projects/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404 };
+
+async function handler(req, res, actor) {
+  try {
+    const { id, screenId } = req.query;
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ screen: await getScreen(actor, id, screenId) });
+    }
+    if (req.method === 'PATCH') {
+      const { name, description, baselineId, masks } = req.body || {};
+      let checked = null;
+      if (masks !== undefined) {
+        checked = validateMasks(masks);
+        if (!checked.ok) return res.status(400).json({ error: checked.errors[0], details: checked.errors });
+      }
+      let saved = { id: screenId };
+      // name/description/baseline need projects:manage; masks alone only comparisons:run
+      if (name !== undefined || description !== undefined || baselineId !== undefined) {
+        saved = await updateScreen(actor, id, screenId, { name, description, baselineId });
+      }
+      if (checked) saved = await setScreenMasks(actor, id, screenId, checked.value);
+      return res.status(200).json(saved);
+    }
+    return res.status(200).json(await deleteScreen(actor, id, screenId));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('screen error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'PATCH', 'DELETE'] }, handler);
@@ -0,0 +1,25 @@
+// pages/api/projects/[id]/screens/index.js
+import { withAuth } from '@/lib/auth/access';
+import { createScreen, getProject } from '@/lib/projects/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404 };
+
+async function handler(req, res, actor) {
+  try {
+    const { id } = req.query;
+
+    if (req.method === 'GET') {
+      const { screens } = await getProject(actor, id);
+      return res.status(200).json({ screens });
+    }
+
+    const { name, description, baselineId } = req.body || {};
+    return res.status(201).json(await createScreen(actor, id, { name, description, baselineId }));
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('screens error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'POST'] }, handler);
@@ -0,0 +1,20 @@
+// pages/api/projects/index.js
+import { withAuth } from '@/lib/auth/access';
+import { createProject, listProjects } from '@/lib/projects/store';
+
+async function handler(req, res, actor) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ projects: await listProjects(actor) });
+    }
+
+    const { name, description } = req.body || {};
+    return res.status(201).json(await createProject(actor, { name, description }));
+  } catch (e) {
+    if (e?.code === 'BAD_REQUEST') return res.status(400).json({ error: e.message });
+    console.error('projects error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'POST'], permissions: { POST: 'projects:manage' } }, handler);
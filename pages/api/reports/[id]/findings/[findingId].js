@@ -0,0 +1,24 @@
+// pages/api/reports/[id]/findings/[findingId].js
+import { withAuth } from '@/lib/auth/access';
+import { validateManualRegions } from '@/lib/compare/findings';
+import { setManualRegions } from '@/lib/reports/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, NOT_FOUND: 404 };
+
+// PUT { regions: [{ x, y, width, height }] } → replaces the finding's reviewer-drawn boxes ([] clears them)
+async function handler(req, res, actor) {
+  try {
+    const checked = validateManualRegions(req.body?.regions);
+    if (!checked.ok) return res.status(400).json({ error: checked.errors[0], details: checked.errors });
+
+    const finding = await setManualRegions(actor, req.query.id, req.query.findingId, checked.value);
+    return res.status(200).json({ finding });
+  } catch (e) {
+    const status = STATUS_BY_CODE[e?.code];
+    if (status) return res.status(status).json({ error: e.message });
+    console.error('finding regions error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['PUT'], permissions: { PUT: 'findings:triage' } }, handler);
@@ -0,0 +1,18 @@
+// pages/api/reports/[id]/index.js
+import { withAuth } from '@/lib/auth/access';
+import { getReport } from '@/lib/reports/store';
+
+async function handler(req, res, actor) {
+  try {
+    // Own reports, or ones shared with the caller's team; anyone else's id simply isn't found
+    const report = await getReport(actor, req.query.id);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+
+    return res.status(200).json({ report });
+  } catch (e) {
+    console.error('report detail error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET'], permissions: { GET: 'reports:read' }, apiKeys: true }, handler);
@@ -0,0 +1,20 @@
+// pages/api/reports/index.js
+import { withAuth } from '@/lib/auth/access';
+import { listReports } from '@/lib/reports/store';
+
+const STATUS_BY_CODE = { BAD_REQUEST: 400, FORBIDDEN: 403, NOT_FOUND: 404 };
+
+async function handler(req, res, actor) {
+  try {
+    const { q, from, to, severity, projectId, screenId, limit, cursor } = req.query || {};
+    const { reports, nextCursor } = await listReports(actor, { q, from, to, severity, projectId, screenId, limit, cursor });
+
+    return res.status(200).json({ reports, nextCursor });
+  } catch (e) {
+    if (STATUS_BY_CODE[e?.code]) return res.status(STATUS_BY_CODE[e.code]).json({ error: e.message });
+    console.error('reports list error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET'], permissions: { GET: 'reports:read' }, apiKeys: true }, handler);
@@ -2,17 +2,13 @@
 import { buffer } from 'micro';
 import { stripe } from '@/lib/stripe/stripe';
 import { db, FieldValue, Timestamp } from '@/lib/firebase/firebaseAdmin';
+import { getCreditPack, planFromPriceId } from '@/lib/billing/plans';
+import { grantCredits } from '@/lib/billing/credits';
 
 export const config = { api: { bodyParser: false } };
 
 const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 
-const PLAN_BY_PRICE = {
-  [process.env.STRIPE_PRICE_BASIC]: 'basic',
-  [process.env.STRIPE_PRICE_PRO]: 'pro',
-  [process.env.STRIPE_PRICE_ELITE]: 'elite',
-};
-
 /* ---------- Helpers ---------- */
 
 function toTs(secOrMs) {
@@ -77,6 +73,7 @@ async function writeFromSubscriptionEvent(subscription) {
       : subscription.customer?.id || subscription.customer || null;
 
   let uidFromMetadata = null;
+  let orgIdFromMetadata = subscription.metadata?.orgId || null;
   let customerEmail = null;
   let customerName = null;
   let customerAddress = null;
@@ -85,6 +82,7 @@ async function writeFromSubscriptionEvent(subscription) {
     try {
       const cust = await stripe.customers.retrieve(customerId);
       uidFromMetadata = cust?.metadata?.uid || null;
+      orgIdFromMetadata = orgIdFromMetadata || cust?.metadata?.orgId || null;
       customerEmail = cust?.email || null;
       customerName = cust?.name || null;
       customerAddress = cust?.address || null;
@@ -94,7 +92,7 @@ async function writeFromSubscriptionEvent(subscription) {
   const item = subscription.items?.data?.[0] || null;
   const price = item?.price || null;
   const priceId = price?.id || null;
-  const plan = priceId ? (PLAN_BY_PRICE[priceId] || price?.nickname || 'unknown') : 'unknown';
+  const plan = priceId ? (planFromPriceId(priceId) || price?.nickname || 'unknown') : 'unknown';
 
   const payload = {
     stripeCustomerId: customerId || null,
@@ -117,12 +115,25 @@ async function writeFromSubscriptionEvent(subscription) {
     updatedAt: FieldValue.serverTimestamp(),
   };
 
+  // Team subscriptions live on the org; quantity is the number of seats
+  const orgPayload = { ...payload, seats: Math.max(Number(item?.quantity) || 1, 1) };
+  if (orgIdFromMetadata) {
+    await safeSet(db.collection('orgs').doc(orgIdFromMetadata), orgPayload);
+    return null;
+  }
+
   if (uidFromMetadata) {
     await safeSet(db.collection('users').doc(uidFromMetadata), payload);
     return uidFromMetadata;
   }
 
   if (customerId) {
+    const orgQ = await db.collection('orgs').where('stripeCustomerId', '==', customerId).limit(1).get();
+    if (!orgQ.empty) {
+      await safeSet(orgQ.docs[0].ref, orgPayload);
+      return null;
+    }
+
     const q = await db
       .collection('users')
       .where('stripeCustomerId', '==', customerId)
@@ -139,7 +150,7 @@ async function writeFromSubscriptionEvent(subscription) {
   await safeSet(
     db.collection('stripeOrphans').doc(String(subscription.id)),
     {
-      reason: 'No user doc with this stripeCustomerId and no customer.metadata.uid',
+      reason: 'No user/org doc with this stripeCustomerId and no customer.metadata.uid/orgId',
       customerId: customerId || null,
       status: subscription.status,
       createdAt: FieldValue.serverTimestamp(),
@@ -149,15 +160,53 @@ async function writeFromSubscriptionEvent(subscription) {
   return null;
 }
 
-// After checkout completes, map uid ↔ customer and hydrate sub
+// Credit pack purchase (mode 'payment'); only paid sessions are credited, once per session
+async function handleCreditsCheckout(session) {
+  const uid = session.metadata?.uid || null;
+  const pack = getCreditPack(session.metadata?.pack);
+  if (!uid || !pack) return { uid, note: 'credits session without uid/pack' };
+  if (session.payment_status !== 'paid') return { uid, note: `credits pending (${session.payment_status})` };
+
+  const credited = await withRetry(
+    () =>
+      grantCredits({
+        uid,
+        credits: pack.credits,
+        sessionId: session.id,
+        pack: pack.slug,
+        amountTotal: typeof session.amount_total === 'number' ? session.amount_total : null,
+        currency: session.currency || null,
+      }),
+    { tries: process.env.NODE_ENV === 'production' ? 5 : 2 }
+  );
+  return { uid, credited: !!credited, credits: pack.credits };
+}
+
+// After checkout completes, map uid (or team) ↔ customer and hydrate sub
 async function handleCheckoutCompleted(session) {
+  if (session.mode === 'payment' && session.metadata?.kind === 'credits') return handleCreditsCheckout(session);
   if (session.mode !== 'subscription') return { note: 'ignored non-subscription session' };
 
   const uid = session.metadata?.uid || null;
+  const orgId = session.metadata?.orgId || null;
   const customerId = typeof session.customer === 'string' ? session.customer : null;
   const subscriptionId = typeof session.subscription === 'string' ? session.subscription : null;
 
-  if (uid && customerId) {
+  // Team checkout: the customer belongs to the org, not to the owner who paid
+  if (orgId && customerId) {
+    try {
+      const current = await stripe.customers.retrieve(customerId);
+      if (current?.metadata?.orgId !== orgId) {
+        await stripe.customers.update(customerId, { metadata: { ...(current?.metadata || {}), orgId } });
+      }
+    } catch {}
+
+    await safeSet(db.collection('orgs').doc(orgId), {
+      stripeCustomerId: customerId,
+      lastCheckoutSessionId: session.id,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } else if (uid && customerId) {
     try {
       const current = await stripe.customers.retrieve(customerId);
       const nextMeta = { ...(current?.metadata || {}), uid };
@@ -189,7 +238,7 @@ async function handleCheckoutCompleted(session) {
     }
   }
 
-  return { uid, customerId, subscriptionId };
+  return { uid, orgId, customerId, subscriptionId };
 }
 
 async function parseStripeEvent(req) {
@@ -261,6 +310,15 @@ export default async function handler(req, res) {
       });
     }
 
+    // Delayed payment methods: credit packs are granted once the payment clears
+    if (type === 'checkout.session.async_payment_succeeded') {
+      const session = event.data.object;
+      if (session.metadata?.kind === 'credits') {
+        const result = await handleCreditsCheckout(session);
+        await logStripeEvent({ event, rawLength, uid: result?.uid || null, hint: { mappedFrom: type, ...result } });
+      }
+    }
+
     // Optional: other events can be no-ops for now
     return res.status(200).json({ received: true });
   } catch (err) {
@@ -1,12 +1,7 @@
 // pages/api/subscription/status-live.js
 import { stripe } from '@/lib/stripe/stripe';
 import { authAdmin } from '@/lib/firebase/firebaseAdmin';
-
-const PLAN_BY_PRICE = {
-  [process.env.STRIPE_PRICE_BASIC]: 'basic',
-  [process.env.STRIPE_PRICE_PRO]: 'pro',
-  [process.env.STRIPE_PRICE_ELITE]: 'elite',
-};
+import { planFromPriceId } from '@/lib/billing/plans';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
@@ -29,20 +24,21 @@ export default async function handler(req, res) {
       if (srch.data[0]) customerId = srch.data[0].id;
     } catch {}
 
-    // 2) Fallback: by email
+    // 2) Fallback: by email, skipping team customers (metadata.orgId)
     if (!customerId && email) {
-      const list = await stripe.customers.list({ email, limit: 1 });
-      if (list.data[0]) customerId = list.data[0].id;
+      const list = await stripe.customers.list({ email, limit: 10 });
+      const own = list.data.find((c) => !c.metadata?.orgId);
+      if (own) customerId = own.id;
     }
 
-    // 3) Fallback: recent checkout session with metadata.uid
+    // 3) Fallback: recent checkout session with metadata.uid (not a team's)
     if (!customerId) {
       try {
         const sessions = await stripe.checkout.sessions.search({
           query: `metadata['uid']:'${uid}' AND status:'complete'`,
-          limit: 1,
+          limit: 10,
         });
-        const found = sessions.data[0]?.customer;
+        const found = sessions.data.find((s) => !s.metadata?.orgId)?.customer;
         if (found) customerId = typeof found === 'string' ? found : found?.id || null;
       } catch {}
     }
@@ -74,7 +70,7 @@ export default async function handler(req, res) {
     const priceId = price?.id || null;
     const amount = typeof price?.unit_amount === 'number' ? price.unit_amount : null;
     const currency = price?.currency || null;
-    const plan = priceId ? (PLAN_BY_PRICE[priceId] || price?.nickname || 'unknown') : 'unknown';
+    const plan = priceId ? (planFromPriceId(priceId) || price?.nickname || 'unknown') : 'unknown';
 
     return res.status(200).json({
       status: sub.status,
@@ -1,6 +1,6 @@
 import { stripe } from '@/lib/stripe/stripe';
 import { authAdmin, db, adminSdk } from '@/lib/firebase/firebaseAdmin';
-import { PLAN_BY_PRICE } from '@/utils/stripePlan';
+import { planFromPriceId } from '@/lib/billing/plans';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
@@ -24,7 +24,7 @@ export default async function handler(req, res) {
     if (sub) {
       const item = sub.items.data[0];
       const priceId = item?.price?.id || null;
-      const planName = priceId ? (PLAN_BY_PRICE[priceId] || 'unknown') : 'unknown';
+      const planName = priceId ? (planFromPriceId(priceId) || 'unknown') : 'unknown';
 
       await uref.set({
         priceId,
@@ -0,0 +1,36 @@
+// pages/api/usage.js
+import { withAuth } from '@/lib/auth/access';
+import { getUsage, setQuotaTimeZone } from '@/lib/billing/quota';
+
+/**
+ * GET /api/usage
+ * → { plan, mode, limit, used, remaining, resetAt, timeZone, nextTimeZone, day,
+ *     credits, team, history: [{ day, used, creditsUsed, attempts, succeeded, failed }] }
+ * history covers the last 30 days (in the user's time zone), oldest first.
+ * Members of a team plan see the team's pooled quota (team = { orgId, seats }).
+ * limit/remaining are null when the plan has no cap for its quota mode.
+ *
+ * PATCH /api/usage { timezone } → sets the zone daily quotas reset in ('' = UTC; needs billing rights).
+ * The change applies from the next reset; until then it is listed as nextTimeZone { timeZone, effectiveAt }.
+ */
+async function handler(req, res, { uid }) {
+  try {
+    if (req.method === 'PATCH') {
+      try {
+        await setQuotaTimeZone(uid, String(req.body?.timezone || '').trim());
+      } catch (e) {
+        if (e?.code === 'BAD_REQUEST') return res.status(400).json({ error: e.message });
+        if (e?.code === 'FORBIDDEN') return res.status(403).json({ error: e.message });
+        throw e;
+      }
+    }
+
+    const usage = await getUsage(uid);
+    return res.status(200).json(usage);
+  } catch (e) {
+    console.error('usage error', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+export default withAuth({ methods: ['GET', 'PATCH'], permissions: { PATCH: 'billing:manage' } }, handler);
@@ -0,0 +1,15 @@
+// pages/api/v1/baselines/[id]/approve.js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { approveBaselineVersion } from '@/lib/baselines/store';
+
+// POST /api/v1/baselines/:id/approve { version } → the approved version
+async function handler(req, res, { actor }) {
+  const version = Number(req.body?.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw apiError('BAD_REQUEST', 'A positive integer "version" is required.');
+  }
+  return res.status(200).json(await approveBaselineVersion(actor, req.query.id, version));
+}
+
+export default withApiV1({ permissions: { POST: 'baselines:manage' } }, handler);
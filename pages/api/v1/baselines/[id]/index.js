@@ -0,0 +1,28 @@
+// pages/api/v1/baselines/[id]/index.js
+export const config = { api: { bodyParser: false } };
+
+import { formField, readImageUpload, withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { addBaselineVersion, getBaseline } from '@/lib/baselines/store';
+
+/**
+ * GET  /api/v1/baselines/:id → { baseline } with its versions (newest first)
+ * POST /api/v1/baselines/:id  (multipart: image, approve?) → 201 { id, version }
+ */
+async function handler(req, res, { actor }) {
+  const { id } = req.query;
+
+  if (req.method === 'GET') {
+    const baseline = await getBaseline(actor, id);
+    if (!baseline) throw apiError('NOT_FOUND', 'Baseline not found');
+    return res.status(200).json({ baseline });
+  }
+
+  const { fields, image } = await readImageUpload(req, actor);
+  if (!image) throw apiError('MISSING_IMAGES', 'No image uploaded (field name must be "image").');
+
+  const added = await addBaselineVersion(actor, id, { image, approve: formField(fields, 'approve') === 'true' });
+  return res.status(201).json(added);
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read', POST: 'baselines:manage' } }, handler);
@@ -0,0 +1,15 @@
+// pages/api/v1/baselines/[id]/masks.js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { validateMasks } from '@/lib/compare/masks';
+import { setBaselineMasks } from '@/lib/baselines/store';
+
+// PUT /api/v1/baselines/:id/masks { masks } → { id, masks }
+async function handler(req, res, { actor }) {
+  if (!Array.isArray(req.body?.masks)) throw apiError('BAD_REQUEST', 'A "masks" array is required ([] clears them).');
+  const checked = validateMasks(req.body.masks);
+  if (!checked.ok) throw apiError('BAD_REQUEST', checked.errors[0], checked.errors);
+  return res.status(200).json(await setBaselineMasks(actor, req.query.id, checked.value));
+}
+
+export default withApiV1({ permissions: { PUT: 'baselines:manage' } }, handler);
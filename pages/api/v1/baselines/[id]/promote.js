@@ -0,0 +1,13 @@
+// pages/api/v1/baselines/[id]/promote.js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { promoteReportToBaseline } from '@/lib/baselines/store';
+
+// POST /api/v1/baselines/:id/promote { reportId } → the report's dev screenshot as the new approved version
+async function handler(req, res, { actor }) {
+  const { reportId } = req.body || {};
+  if (!reportId) throw apiError('BAD_REQUEST', '"reportId" is required.');
+  return res.status(200).json(await promoteReportToBaseline(actor, req.query.id, reportId));
+}
+
+export default withApiV1({ permissions: { POST: 'baselines:manage' } }, handler);
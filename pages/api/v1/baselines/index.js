@@ -0,0 +1,29 @@
+// pages/api/v1/baselines/index.js
+export const config = { api: { bodyParser: false } };
+
+import { formField, readImageUpload, withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { createBaseline, listBaselines } from '@/lib/baselines/store';
+
+/**
+ * GET  /api/v1/baselines → { baselines }
+ * POST /api/v1/baselines  (multipart: name, image, approve?) → 201 { id, version }
+ * approve=false keeps the first version pending.
+ */
+async function handler(req, res, { actor }) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ baselines: await listBaselines(actor) });
+  }
+
+  const { fields, image } = await readImageUpload(req, actor);
+  if (!image) throw apiError('MISSING_IMAGES', 'No image uploaded (field name must be "image").');
+
+  const created = await createBaseline(actor, {
+    name: formField(fields, 'name'),
+    image,
+    approve: formField(fields, 'approve') !== 'false',
+  });
+  return res.status(201).json(created);
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read', POST: 'baselines:manage' } }, handler);
@@ -0,0 +1,25 @@
+// pages/api/v1/comparisons/[id].js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { getJob } from '@/lib/jobs/store';
+import { getReport } from '@/lib/reports/store';
+
+// GET /api/v1/comparisons/:jobId → { job } (status: queued | running | succeeded | failed)
+async function handler(req, res, { actor }) {
+  const job = await getJob(actor.uid, req.query.id);
+  if (!job) throw apiError('NOT_FOUND', 'Comparison not found');
+
+  // Finished jobs point the heatmap at the saved report's image
+  if (job.status === 'succeeded' && job.result?.reportId && job.result.diff) {
+    try {
+      const report = await getReport(actor, job.result.reportId);
+      job.result.diff.diffImage = report?.imageUrls?.diff || null;
+    } catch (e) {
+      console.warn('[api/v1] could not sign diff image:', e?.message || e);
+    }
+  }
+
+  return res.status(200).json({ job });
+}
+
+export default withApiV1({ permissions: { GET: 'comparisons:run' } }, handler);
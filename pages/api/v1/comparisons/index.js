@@ -0,0 +1,18 @@
+// pages/api/v1/comparisons/index.js
+
+// Same body and runtime as /api/compare (multipart; Next needs the config literal here)
+export const config = { api: { bodyParser: false, sizeLimit: "25mb" } };
+
+import compare from "@/pages/api/compare";
+
+/**
+ * POST /api/v1/comparisons  (multipart: image1 | baselineId, image2, projectId?, screenId?)
+ *   ?async=1  → 202 { jobId, status, rid }; poll GET /api/v1/comparisons/{jobId}
+ *   ?stream=1 → server-sent events
+ *   otherwise → 200 with the finished comparison
+ * /api/compare already answers with the v1 error envelope and accepts API keys,
+ * so this is the same handler under the versioned path.
+ */
+export default function handler(req, res) {
+  return compare(req, res);
+}
@@ -0,0 +1,13 @@
+// pages/api/v1/openapi.js
+import { buildOpenApiDocument } from '@/lib/api/openapi';
+
+// GET /api/v1/openapi → the OpenAPI 3 document of /api/v1 (public, for client generators)
+export default function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed', error_code: 'BAD_METHOD' });
+
+  const proto = String(req.headers['x-forwarded-proto'] || 'https').split(',')[0];
+  const serverUrl = req.headers.host ? `${proto}://${req.headers.host}` : '';
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(buildOpenApiDocument({ serverUrl }));
+}
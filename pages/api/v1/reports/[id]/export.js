@@ -0,0 +1,32 @@
+// pages/api/v1/reports/[id]/export.js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { FINDING_SEVERITIES } from '@/lib/compare/findings';
+import { DEFAULT_FAIL_ON, EXPORT_FORMATS, exportReports } from '@/lib/reports/export';
+import { getReport } from '@/lib/reports/store';
+
+/**
+ * GET /api/v1/reports/:id/export?format=junit|sarif[&failOn=minor]
+ * → the report as a JUnit XML or SARIF 2.1.0 download.
+ * failOn (JUnit only): findings this severe or worse are <failure>s.
+ */
+async function handler(req, res, { actor }) {
+  const format = String(req.query.format || '').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw apiError('BAD_REQUEST', `"format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+  const failOn = String(req.query.failOn || DEFAULT_FAIL_ON).toLowerCase();
+  if (!FINDING_SEVERITIES.includes(failOn)) {
+    throw apiError('BAD_REQUEST', `"failOn" must be one of ${FINDING_SEVERITIES.join(', ')}.`);
+  }
+
+  const report = await getReport(actor, req.query.id);
+  if (!report) throw apiError('NOT_FOUND', 'Report not found');
+
+  const file = exportReports(format, [report], { failOn, baseName: `pixelproof-${report.rid || report.id}` });
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  return res.status(200).send(file.body);
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read' } }, handler);
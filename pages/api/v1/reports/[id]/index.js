@@ -0,0 +1,13 @@
+// pages/api/v1/reports/[id]/index.js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { getReport } from '@/lib/reports/store';
+
+// GET /api/v1/reports/:id → { report } (own reports, or ones shared with the caller's team)
+async function handler(req, res, { actor }) {
+  const report = await getReport(actor, req.query.id);
+  if (!report) throw apiError('NOT_FOUND', 'Report not found');
+  return res.status(200).json({ report });
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read' } }, handler);
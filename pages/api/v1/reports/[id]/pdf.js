@@ -0,0 +1,19 @@
+// pages/api/v1/reports/[id]/pdf.js
+import { withApiV1 } from '@/lib/api/v1';
+import { apiError } from '@/lib/api/errors';
+import { renderReportPdf, reportPdfFileName } from '@/lib/reports/pdf';
+import { getReport } from '@/lib/reports/store';
+
+// GET /api/v1/reports/:id/pdf → the report as a branded PDF download (images, findings, metadata)
+async function handler(req, res, { actor }) {
+  const report = await getReport(actor, req.query.id);
+  if (!report) throw apiError('NOT_FOUND', 'Report not found');
+
+  const pdf = await renderReportPdf(report);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${reportPdfFileName(report)}"`);
+  res.setHeader('Content-Length', pdf.length);
+  return res.status(200).send(pdf);
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read' } }, handler);
@@ -0,0 +1,12 @@
+// pages/api/v1/reports/index.js
+import { withApiV1 } from '@/lib/api/v1';
+import { listReports } from '@/lib/reports/store';
+
+// GET /api/v1/reports?q&from&to&severity&projectId&screenId&limit&cursor → { reports, nextCursor }
+async function handler(req, res, { actor }) {
+  const { q, from, to, severity, projectId, screenId, limit, cursor } = req.query || {};
+  const { reports, nextCursor } = await listReports(actor, { q, from, to, severity, projectId, screenId, limit, cursor });
+  return res.status(200).json({ reports, nextCursor });
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read' } }, handler);
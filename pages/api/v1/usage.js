@@ -0,0 +1,10 @@
+// pages/api/v1/usage.js
+import { withApiV1 } from '@/lib/api/v1';
+import { getUsage } from '@/lib/billing/quota';
+
+// GET /api/v1/usage → current allowance, prepaid credits and the last 30 days (see /api/usage)
+async function handler(req, res, { actor }) {
+  return res.status(200).json(await getUsage(actor.uid));
+}
+
+export default withApiV1({ permissions: { GET: 'reports:read' } }, handler);
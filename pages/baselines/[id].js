@@ -0,0 +1,240 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { auth } from "@/lib/firebase/config";
+import Navbar from "@/components/Navbar";
+import MaskEditor from "@/components/MaskEditor";
+import { Toaster, toast } from "sonner";
+
+const STATUS_BADGE = {
+  approved: "bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300",
+  pending: "bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300",
+  superseded: "bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300",
+};
+
+export default function BaselineDetail() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [authUser, setAuthUser] = useState(null);
+  const [baseline, setBaseline] = useState(null);
+  const [file, setFile] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [masks, setMasks] = useState([]);
+  const [masksDirty, setMasksDirty] = useState(false);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      router.replace("/login");
+    } catch {
+      toast.error("Sign out failed. Please try again.");
+    }
+  };
+
+  // Auth guard
+  useEffect(() => {
+    const unsub = onAuthStateChanged(auth, (u) => {
+      if (!u) router.replace("/login");
+      else setAuthUser(u);
+    });
+    return () => unsub();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const load = useCallback(async () => {
+    if (!id) return;
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/baselines/${encodeURIComponent(id)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load baseline");
+      setBaseline(data.baseline);
+      setMasks(data.baseline.masks || []);
+      setMasksDirty(false);
+    } catch (e) {
+      toast.error(e.message || "Failed to load baseline");
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (authUser) load();
+  }, [authUser, load]);
+
+  async function uploadVersion() {
+    if (!file) {
+      toast.info("Choose a design image first.");
+      return;
+    }
+    setBusy(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const formData = new FormData();
+      formData.append("image", file);
+      const res = await fetch(`/api/baselines/${encodeURIComponent(id)}`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Upload failed");
+      toast.success(`Version ${data.version} uploaded. Approve it to compare against it.`);
+      setFile(null);
+      await load();
+    } catch (e) {
+      toast.error(e.message || "Upload failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function approve(version) {
+    setBusy(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/baselines/${encodeURIComponent(id)}/approve`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ version }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Approve failed");
+      toast.success(`Version ${version} is now the approved baseline.`);
+      await load();
+    } catch (e) {
+      toast.error(e.message || "Approve failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveMasks() {
+    setBusy(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/baselines/${encodeURIComponent(id)}/masks`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ masks }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Saving masks failed");
+      setMasks(data.masks);
+      setMasksDirty(false);
+      toast.success("Ignore masks saved. They apply to every comparison against this baseline.");
+    } catch (e) {
+      toast.error(e.message || "Saving masks failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!authUser) return null;
+
+  const approved = baseline?.versions.find((v) => v.status === "approved");
+
+  return (
+    <>
+      <Head>
+        <title>Baseline – PixelProof</title>
+      </Head>
+
+      <Toaster richColors position="top-right" closeButton />
+      <Navbar user={authUser} onSignOut={handleSignOut} />
+
+      <main className="min-h-screen bg-white text-gray-900 dark:bg-gray-900 dark:text-white">
+        <div className="max-w-5xl mx-auto p-6">
+          <Link href="/baselines" className="text-sm text-purple-700 dark:text-purple-300 hover:underline">
+            ← All baselines
+          </Link>
+
+          {!baseline ? (
+            <p className="mt-6 text-sm text-gray-500">Loading baseline…</p>
+          ) : (
+            <>
+              <h1 className="mt-4 text-3xl font-bold text-purple-800 dark:text-purple-300">{baseline.name}</h1>
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-6">
+                {baseline.approvedVersion ? `Comparisons use version ${baseline.approvedVersion}.` : "No approved version yet."}
+              </p>
+
+              <div className="flex flex-wrap items-center gap-3 mb-8">
+                <input type="file" accept="image/png,image/jpeg,image/webp" onChange={(e) => setFile(e.target.files[0] || null)} />
+                <button
+                  onClick={uploadVersion}
+                  disabled={busy}
+                  className="bg-purple-800 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-900 disabled:opacity-60"
+                >
+                  Upload new version
+                </button>
+              </div>
+
+              {approved?.imageUrl && (
+                <section className="mb-8">
+                  <div className="flex items-center justify-between mb-2">
+                    <h2 className="text-lg font-semibold">Ignore masks</h2>
+                    <button
+                      onClick={saveMasks}
+                      disabled={busy || !masksDirty}
+                      className="bg-purple-800 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-900 disabled:opacity-60"
+                    >
+                      Save masks
+                    </button>
+                  </div>
+                  <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+                    Cover dynamic content such as timestamps, avatars or ads; it is left out of every comparison against this baseline.
+                  </p>
+                  <MaskEditor
+                    src={approved.imageUrl}
+                    masks={masks}
+                    onChange={(next) => {
+                      setMasks(next);
+                      setMasksDirty(true);
+                    }}
+                    disabled={busy}
+                  />
+                </section>
+              )}
+
+              <div className="grid md:grid-cols-2 gap-6">
+                {baseline.versions.map((v) => (
+                  <div key={v.version} className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="font-semibold">v{v.version}</span>
+                      <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${STATUS_BADGE[v.status] || STATUS_BADGE.superseded}`}>
+                        {v.status}
+                      </span>
+                    </div>
+                    {v.imageUrl && (
+                      <img src={v.imageUrl} alt={`Version ${v.version}`} className="rounded border border-gray-300 dark:border-gray-600 bg-white w-full object-contain mb-2" />
+                    )}
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {v.fileName || "—"} · {v.createdAt ? new Date(v.createdAt).toLocaleString() : "—"}
+                      {v.source === "promoted" && v.sourceReportId && (
+                        <>
+                          {" · promoted from "}
+                          <Link href={`/history/${encodeURIComponent(v.sourceReportId)}`} className="underline">report</Link>
+                        </>
+                      )}
+                    </p>
+                    {v.status !== "approved" && (
+                      <button
+                        onClick={() => approve(v.version)}
+                        disabled={busy}
+                        className="mt-3 rounded-lg border border-purple-300 text-purple-800 dark:border-purple-600 dark:text-purple-300 px-3 py-1.5 text-sm font-semibold hover:bg-purple-50 dark:hover:bg-purple-900/20 disabled:opacity-60"
+                      >
+                        Approve
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
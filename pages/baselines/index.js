@@ -0,0 +1,149 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { auth } from "@/lib/firebase/config";
+import Navbar from "@/components/Navbar";
+import { Toaster, toast } from "sonner";
+
+export default function Baselines() {
+  const router = useRouter();
+  const [authUser, setAuthUser] = useState(null);
+  const [baselines, setBaselines] = useState(null);
+  const [name, setName] = useState("");
+  const [file, setFile] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      router.replace("/login");
+    } catch {
+      toast.error("Sign out failed. Please try again.");
+    }
+  };
+
+  // Auth guard
+  useEffect(() => {
+    const unsub = onAuthStateChanged(auth, (u) => {
+      if (!u) router.replace("/login");
+      else setAuthUser(u);
+    });
+    return () => unsub();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function load() {
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/baselines", { headers: { Authorization: `Bearer ${token}` } });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load baselines");
+      setBaselines(data.baselines || []);
+    } catch (e) {
+      console.error("Load baselines error:", e);
+      toast.error("Couldn't load your baselines. Please refresh.");
+      setBaselines([]);
+    }
+  }
+
+  useEffect(() => {
+    if (authUser) load();
+  }, [authUser]);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!name.trim() || !file) {
+      toast.info("Give the baseline a name and choose a design image.");
+      return;
+    }
+    setBusy(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const formData = new FormData();
+      formData.append("name", name.trim());
+      formData.append("image", file);
+      const res = await fetch("/api/baselines", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to create baseline");
+      toast.success("Baseline created and approved.");
+      setName("");
+      setFile(null);
+      e.target.reset();
+      await load();
+    } catch (err) {
+      toast.error(err.message || "Failed to create baseline");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!authUser) return null;
+
+  return (
+    <>
+      <Head>
+        <title>Baselines – PixelProof</title>
+      </Head>
+
+      <Toaster richColors position="top-right" closeButton />
+      <Navbar user={authUser} onSignOut={handleSignOut} />
+
+      <main className="min-h-screen bg-white text-gray-900 dark:bg-gray-900 dark:text-white">
+        <div className="max-w-5xl mx-auto p-6">
+          <h1 className="text-3xl font-bold text-purple-800 dark:text-purple-300 mb-2">Baselines</h1>
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-6">
+            Approve a design screenshot once, then compare every new build against it from the utility page.
+          </p>
+
+          <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 mb-8 p-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
+            <label className="flex-1 min-w-[200px] text-sm">
+              <span className="block font-semibold mb-1">Name</span>
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Checkout page – desktop"
+                className="w-full rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2"
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block font-semibold mb-1">Design image</span>
+              <input type="file" accept="image/png,image/jpeg,image/webp" onChange={(e) => setFile(e.target.files[0] || null)} />
+            </label>
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-purple-800 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-900 disabled:opacity-60"
+            >
+              {busy ? "Saving…" : "Create baseline"}
+            </button>
+          </form>
+
+          {baselines === null ? (
+            <p className="text-sm text-gray-500">Loading…</p>
+          ) : baselines.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">No baselines yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 border rounded-lg border-gray-200 dark:border-gray-700">
+              {baselines.map((b) => (
+                <li key={b.id}>
+                  <Link href={`/baselines/${b.id}`} className="flex items-center justify-between px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-800">
+                    <span className="font-medium">{b.name}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {b.approvedVersion ? `approved v${b.approvedVersion}` : "no approved version"} · {b.latestVersion} version{b.latestVersion === 1 ? "" : "s"}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
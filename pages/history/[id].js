@@ -0,0 +1,232 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import ReactMarkdown from "react-markdown";
+import { auth } from "@/lib/firebase/config";
+import { formatImageInfo } from "@/lib/compare/imageInfo";
+import Navbar from "@/components/Navbar";
+import FindingsList from "@/components/FindingsList";
+import DiffViewer from "@/components/DiffViewer";
+import ExportPDF from "@/components/ExportPDF";
+import ExportFindings from "@/components/ExportFindings";
+import { Toaster, toast } from "sonner";
+
+export default function ReportDetail() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [authUser, setAuthUser] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [baselines, setBaselines] = useState([]);
+  const [promoteTo, setPromoteTo] = useState("");
+  const [promoting, setPromoting] = useState(false);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      router.replace("/login");
+    } catch {
+      toast.error("Sign out failed. Please try again.");
+    }
+  };
+
+  // Auth guard
+  useEffect(() => {
+    const unsub = onAuthStateChanged(auth, (u) => {
+      if (!u) router.replace("/login");
+      else setAuthUser(u);
+    });
+    return () => unsub();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    if (!authUser || !id) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const token = await authUser.getIdToken();
+        const res = await fetch(`/api/reports/${encodeURIComponent(id)}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Failed to load report");
+        if (!cancelled) setReport(data.report);
+      } catch (e) {
+        console.error("Load report error:", e);
+        if (!cancelled) setError(e.message || "Failed to load report");
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [authUser, id]);
+
+  // Baselines this report's dev screenshot can be promoted to
+  useEffect(() => {
+    if (!authUser) return;
+    (async () => {
+      try {
+        const token = await authUser.getIdToken();
+        const res = await fetch("/api/baselines", { headers: { Authorization: `Bearer ${token}` } });
+        const data = await res.json();
+        if (res.ok) setBaselines(data.baselines || []);
+      } catch (e) {
+        console.error("Load baselines error:", e);
+      }
+    })();
+  }, [authUser]);
+
+  async function promote() {
+    if (!promoteTo) return;
+    setPromoting(true);
+    try {
+      const token = await authUser.getIdToken();
+      const res = await fetch(`/api/baselines/${encodeURIComponent(promoteTo)}/promote`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ reportId: report.id }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Promotion failed");
+      toast.success(`Promoted to baseline as version ${data.version}.`);
+    } catch (e) {
+      toast.error(e.message || "Promotion failed");
+    } finally {
+      setPromoting(false);
+    }
+  }
+
+  // Reviewer-drawn boxes of one finding (errors surface in the viewer)
+  async function saveRegions(finding, regions) {
+    const token = await authUser.getIdToken();
+    const res = await fetch(
+      `/api/reports/${encodeURIComponent(report.id)}/findings/${encodeURIComponent(finding.id)}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ regions }),
+      }
+    );
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || "Could not save the boxes.");
+    setReport((prev) => ({
+      ...prev,
+      findings: prev.findings.map((f) => (f.id === data.finding.id ? data.finding : f)),
+    }));
+  }
+
+  if (!authUser) return null;
+
+  return (
+    <>
+      <Head>
+        <title>Report – PixelProof</title>
+      </Head>
+
+      <Toaster richColors position="top-right" closeButton />
+      <Navbar user={authUser} onSignOut={handleSignOut} />
+
+      <main className="min-h-screen bg-white text-gray-900 dark:bg-gray-900 dark:text-white">
+        <div className="max-w-5xl mx-auto p-6">
+          <Link href="/history" className="text-sm text-purple-700 dark:text-purple-300 hover:underline">
+            ← Back to history
+          </Link>
+
+          {error && <p className="mt-6 text-rose-600">{error}</p>}
+          {!error && !report && <p className="mt-6 text-sm text-gray-500">Loading report…</p>}
+
+          {report && (
+            <div className="mt-6 bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-lg">
+              <h1 className="text-xl font-bold mb-4 text-purple-800 dark:text-purple-300">Visual Bug Report</h1>
+              <ul className="text-sm mb-6">
+                {[
+                  ["File 1", report.fileNames.design, report.inputs?.design],
+                  ["File 2", report.fileNames.dev, report.inputs?.dev],
+                ].map(([label, name, info]) => (
+                  <li key={label}>
+                    <strong>{label}:</strong> {name}
+                    {info?.width && <span className="text-gray-500 dark:text-gray-400"> · {formatImageInfo(info)}</span>}
+                  </li>
+                ))}
+                <li><strong>Timestamp:</strong> {report.createdAt ? new Date(report.createdAt).toLocaleString() : "—"}</li>
+                <li><strong>Plan:</strong> {report.plan || "—"} · <strong>Model:</strong> {report.model || "—"}</li>
+                <li><strong>Report ID:</strong> {report.rid}</li>
+                {report.baseline && (
+                  <li>
+                    <strong>Baseline:</strong>{" "}
+                    <Link href={`/baselines/${report.baseline.id}`} className="underline">
+                      {report.baseline.name} v{report.baseline.version}
+                    </Link>
+                  </li>
+                )}
+                {typeof report.mismatchPercent === "number" && (
+                  <li><strong>Pixel mismatch:</strong> {report.mismatchPercent}%</li>
+                )}
+              </ul>
+
+              <div className="grid md:grid-cols-3 gap-4 mb-6">
+                {[
+                  ["Design", report.imageUrls?.design],
+                  ["Development", report.imageUrls?.dev],
+                  ["Diff heatmap", report.imageUrls?.diff],
+                ].map(([label, url]) => (
+                  <figure key={label}>
+                    <figcaption className="text-sm font-semibold mb-2">{label}</figcaption>
+                    {url ? (
+                      <img src={url} alt={label} className="rounded border border-gray-300 dark:border-gray-600 bg-white w-full object-contain" />
+                    ) : (
+                      <div className="h-32 grid place-items-center rounded border border-dashed text-xs text-gray-500">Not available</div>
+                    )}
+                  </figure>
+                ))}
+              </div>
+
+              <DiffViewer
+                design={report.imageUrls?.design}
+                dev={report.imageUrls?.dev}
+                width={report.diff?.width}
+                height={report.diff?.height}
+                findings={report.findings}
+                masks={report.masks}
+                normalization={report.normalization}
+                onRegionsChange={saveRegions}
+              />
+              <FindingsList findings={report.findings} />
+              <div className="prose dark:prose-invert max-w-none text-sm">
+                <ReactMarkdown>{report.result}</ReactMarkdown>
+              </div>
+              <ExportPDF result={report.result} reportId={report.id} />
+              <ExportFindings report={report} />
+
+              {baselines.length > 0 && (
+                <div className="mt-6 flex flex-wrap items-center gap-3 text-sm">
+                  <span className="font-semibold">Intentional change?</span>
+                  <select
+                    value={promoteTo}
+                    onChange={(e) => setPromoteTo(e.target.value)}
+                    className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1"
+                  >
+                    <option value="">Choose baseline…</option>
+                    {baselines.map((b) => (
+                      <option key={b.id} value={b.id}>{b.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={promote}
+                    disabled={!promoteTo || promoting}
+                    className="rounded-lg border border-purple-300 text-purple-800 dark:border-purple-600 dark:text-purple-300 px-3 py-1.5 font-semibold hover:bg-purple-50 dark:hover:bg-purple-900/20 disabled:opacity-60"
+                  >
+                    Promote dev screenshot to baseline
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,228 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { auth } from "@/lib/firebase/config";
+import Navbar from "@/components/Navbar";
+import { SEVERITY_BADGE } from "@/components/FindingsList";
+import { FINDING_SEVERITIES } from "@/lib/compare/findings";
+import { Toaster, toast } from "sonner";
+
+export default function History() {
+  const router = useRouter();
+  const [authUser, setAuthUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [fetching, setFetching] = useState(false);
+  const [reports, setReports] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // filters
+  const [q, setQ] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [severity, setSeverity] = useState("");
+  // set when arriving from a project dashboard (/history?projectId=…&screenId=…)
+  const { projectId, screenId } = router.query;
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      router.replace("/login");
+    } catch {
+      toast.error("Sign out failed. Please try again.");
+    }
+  };
+
+  // Auth guard
+  useEffect(() => {
+    const unsub = onAuthStateChanged(auth, (u) => {
+      if (!u) router.replace("/login");
+      else setAuthUser(u);
+      setLoading(false);
+    });
+    return () => unsub();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // One page of reports for the current filters, after `cursor` when given
+  const fetchReports = async (cursor = null) => {
+    const params = new URLSearchParams();
+    if (q.trim()) params.set("q", q.trim());
+    if (from) params.set("from", String(new Date(`${from}T00:00:00`).getTime()));
+    if (to) params.set("to", String(new Date(`${to}T23:59:59.999`).getTime()));
+    if (severity) params.set("severity", severity);
+    if (projectId) params.set("projectId", String(projectId));
+    if (screenId) params.set("screenId", String(screenId));
+    if (cursor) params.set("cursor", cursor);
+
+    const token = await authUser.getIdToken();
+    const res = await fetch(`/api/reports?${params.toString()}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "Failed to load reports");
+    return { reports: data.reports || [], nextCursor: data.nextCursor || null };
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await fetchReports(nextCursor);
+      setReports((prev) => [...prev, ...page.reports]);
+      setNextCursor(page.nextCursor);
+    } catch (e) {
+      console.error("Load more reports error:", e);
+      toast.error("Couldn't load more reports. Please try again.");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Reload when filters change (search is debounced)
+  useEffect(() => {
+    if (!authUser) return;
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      setFetching(true);
+      try {
+        const page = await fetchReports();
+        if (!cancelled) {
+          setReports(page.reports);
+          setNextCursor(page.nextCursor);
+        }
+      } catch (e) {
+        console.error("Load reports error:", e);
+        if (!cancelled) toast.error("Couldn't load your reports. Please refresh.");
+      } finally {
+        if (!cancelled) setFetching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [authUser, q, from, to, severity, projectId, screenId]);
+
+  if (loading) {
+    return (
+      <main className="min-h-screen grid place-items-center text-slate-600 dark:text-slate-300">
+        Loading history…
+      </main>
+    );
+  }
+  if (!authUser) return null;
+
+  return (
+    <>
+      <Head>
+        <title>History – PixelProof</title>
+      </Head>
+
+      <Toaster richColors position="top-right" closeButton />
+      <Navbar user={authUser} onSignOut={handleSignOut} />
+
+      <main className="min-h-screen bg-white text-gray-900 dark:bg-gray-900 dark:text-white">
+        <div className="max-w-5xl mx-auto p-6">
+          <h1 className="text-3xl font-bold text-purple-800 dark:text-purple-300 mb-6">Report history</h1>
+          {projectId && (
+            <p className="text-sm text-gray-600 dark:text-gray-300 -mt-4 mb-6">
+              Showing one project screen only ·{" "}
+              <Link href="/history" className="underline">show all</Link>
+            </p>
+          )}
+
+          <div className="grid md:grid-cols-4 gap-3 mb-6 text-sm">
+            <input
+              type="search"
+              value={q}
+              onChange={(e) => setQ(e.target.value)}
+              placeholder="Search file names, findings…"
+              className="md:col-span-2 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2"
+            />
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              title="From"
+              className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2"
+            />
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              title="To"
+              className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2"
+            />
+            <select
+              value={severity}
+              onChange={(e) => setSeverity(e.target.value)}
+              className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2"
+            >
+              <option value="">Any severity</option>
+              {FINDING_SEVERITIES.map((s) => (
+                <option key={s} value={s}>Has {s}</option>
+              ))}
+            </select>
+          </div>
+
+          {fetching && <p className="text-sm text-gray-500 mb-3">Loading…</p>}
+
+          {!fetching && reports.length === 0 && !nextCursor ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              No reports yet. Run a comparison from the <Link href="/utility" className="underline">utility page</Link>.
+            </p>
+          ) : reports.length > 0 ? (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 border rounded-lg border-gray-200 dark:border-gray-700">
+              {reports.map((r) => (
+                <li key={r.id}>
+                  <Link
+                    href={`/history/${encodeURIComponent(r.id)}`}
+                    className="flex flex-wrap items-center gap-3 px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-800"
+                  >
+                    <div className="min-w-0 flex-1">
+                      <p className="font-medium truncate">
+                        {r.fileNames.design || "design"} ↔ {r.fileNames.dev || "dev"}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {r.createdAt ? new Date(r.createdAt).toLocaleString() : "—"}
+                        {typeof r.mismatchPercent === "number" ? ` · ${r.mismatchPercent}% pixels changed` : ""}
+                        {` · ${r.findingsCount} finding${r.findingsCount === 1 ? "" : "s"}`}
+                      </p>
+                    </div>
+                    {r.maxSeverity && (
+                      <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${SEVERITY_BADGE[r.maxSeverity]}`}>
+                        {r.maxSeverity}
+                      </span>
+                    )}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          ) : null}
+
+          {!fetching && nextCursor && (
+            <div className="mt-4 text-center">
+              {reports.length === 0 && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">No matches in the most recent reports.</p>
+              )}
+              <button
+                type="button"
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="px-4 py-2 rounded border border-gray-300 dark:border-gray-600 text-sm hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+              >
+                {loadingMore ? "Loading…" : "Load older reports"}
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
@@ -5,10 +5,11 @@ import Head from 'next/head';
 import { auth } from '@/lib/firebase/config';
 import { onAuthStateChanged, signOut as fbSignOut } from 'firebase/auth';
 
-// Public envs (kept as in your file)
-const PRICE_BASIC = process.env.NEXT_PUBLIC_STRIPE_PRICE_BASIC || 'price_basic_xxx';
-const PRICE_PRO = process.env.NEXT_PUBLIC_STRIPE_PRICE_PRO || 'price_pro_xxx';
-const PRICE_ELITE = process.env.NEXT_PUBLIC_STRIPE_PRICE_ELITE || 'price_elite_xxx';
+// "$19.99" from a catalog price ({ amount in cents, currency })
+function formatPrice(price) {
+  if (!price) return '';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: price.currency || 'usd' }).format(price.amount / 100);
+}
 
 export default function LandingPage() {
   // Auth-aware header state
@@ -19,6 +20,18 @@ export default function LandingPage() {
   const [sub, setSub] = useState(null);
   const [subLoading, setSubLoading] = useState(false);
 
+  // Plan catalog (GET /api/plans)
+  const [plans, setPlans] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/plans')
+      .then((res) => res.json())
+      .then((data) => { if (!cancelled) setPlans(Array.isArray(data?.plans) ? data.plans : []); })
+      .catch((e) => console.warn('plans fetch failed:', e));
+    return () => { cancelled = true; };
+  }, []);
+
   useEffect(() => {
     const unsub = onAuthStateChanged(auth, async (u) => {
       setUser(u || null);
@@ -332,30 +345,23 @@ export default function LandingPage() {
       <section className="bg-white text-center py-16 px-6">
         <h2 className="text-3xl font-bold mb-8 text-purple-800">Pricing Plans</h2>
         <div className="grid gap-6 md:grid-cols-3 max-w-6xl mx-auto">
-          {/* Starter */}
-          <div className="border rounded-lg p-6 shadow hover:shadow-lg transition transform hover:scale-105">
-            <h3 className="text-xl font-semibold text-purple-700 mb-2">Starter</h3>
-            <p className="text-4xl font-bold text-purple-800 mb-2">$19.99</p>
-            <p className="text-sm text-gray-600 mb-4">100 comparisons / month</p>
-            <PlanButton planSlug="basic">Choose Starter</PlanButton>
-          </div>
-
-          {/* Pro */}
-          <div className="border-2 border-purple-600 rounded-lg p-6 shadow-lg transform scale-105 bg-purple-50">
-            <h3 className="text-xl font-semibold text-purple-700 mb-2">Pro</h3>
-            <p className="text-4xl font-bold text-purple-800 mb-2">$49.99</p>
-            <p className="text-sm text-gray-600 mb-4">500 comparisons / month</p>
-            <PlanButton planSlug="pro">Choose Pro</PlanButton>
-          </div>
-
-          {/* Unlimited */}
-          <div className="border rounded-lg p-6 shadow hover:shadow-lg transition transform hover:scale-105">
-            <h3 className="text-xl font-semibold text-purple-700 mb-2">Unlimited</h3>
-            <p className="text-4xl font-bold text-purple-800 mb-2">$99.99</p>
-            <p className="text-sm text-gray-600 mb-4">Unlimited comparisons</p>
-            <PlanButton planSlug="elite">Choose Unlimited</PlanButton>
-          </div>
+          {plans.map((plan) => (
+            <div
+              key={plan.slug}
+              className={
+                plan.highlighted
+                  ? 'border-2 border-purple-600 rounded-lg p-6 shadow-lg transform scale-105 bg-purple-50'
+                  : 'border rounded-lg p-6 shadow hover:shadow-lg transition transform hover:scale-105'
+              }
+            >
+              <h3 className="text-xl font-semibold text-purple-700 mb-2">{plan.name}</h3>
+              <p className="text-4xl font-bold text-purple-800 mb-2">{formatPrice(plan.price)}</p>
+              <p className="text-sm text-gray-600 mb-4">{plan.description}</p>
+              <PlanButton planSlug={plan.slug}>Choose {plan.name}</PlanButton>
+            </div>
+          ))}
         </div>
+        {!plans.length && <p className="text-sm text-gray-500">Loading plans…</p>}
 
         {/* Optional: tiny hint while we’re fetching status */}
         {user && subLoading && (
@@ -0,0 +1,217 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { auth } from "@/lib/firebase/config";
+import Navbar from "@/components/Navbar";
+import { Toaster, toast } from "sonner";
+
+export default function ProjectDashboard() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [authUser, setAuthUser] = useState(null);
+  const [dashboard, setDashboard] = useState(null);
+  const [baselines, setBaselines] = useState([]);
+  const [screenName, setScreenName] = useState("");
+  const [screenBaseline, setScreenBaseline] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      router.replace("/login");
+    } catch {
+      toast.error("Sign out failed. Please try again.");
+    }
+  };
+
+  // Auth guard
+  useEffect(() => {
+    const unsub = onAuthStateChanged(auth, (u) => {
+      if (!u) router.replace("/login");
+      else setAuthUser(u);
+    });
+    return () => unsub();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const authedFetch = useCallback(async (url, init = {}) => {
+    const token = await auth.currentUser.getIdToken();
+    const res = await fetch(url, {
+      ...init,
+      headers: { ...(init.headers || {}), Authorization: `Bearer ${token}` },
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "Request failed");
+    return data;
+  }, []);
+
+  const load = useCallback(async () => {
+    if (!id) return;
+    try {
+      setDashboard(await authedFetch(`/api/projects/${encodeURIComponent(id)}/dashboard`));
+    } catch (e) {
+      toast.error(e.message || "Failed to load project");
+    }
+  }, [id, authedFetch]);
+
+  useEffect(() => {
+    if (!authUser) return;
+    load();
+    authedFetch("/api/baselines")
+      .then((d) => setBaselines(d.baselines || []))
+      .catch(() => {});
+  }, [authUser, load, authedFetch]);
+
+  async function addScreen(e) {
+    e.preventDefault();
+    if (!screenName.trim()) {
+      toast.info("Give the screen a name.");
+      return;
+    }
+    setBusy(true);
+    try {
+      await authedFetch(`/api/projects/${encodeURIComponent(id)}/screens`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: screenName.trim(), baselineId: screenBaseline || null }),
+      });
+      setScreenName("");
+      setScreenBaseline("");
+      await load();
+    } catch (err) {
+      toast.error(err.message || "Failed to add screen");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function removeScreen(screen) {
+    if (!window.confirm(`Delete screen "${screen.name}"? Its reports stay in your history.`)) return;
+    try {
+      await authedFetch(`/api/projects/${encodeURIComponent(id)}/screens/${encodeURIComponent(screen.id)}`, { method: "DELETE" });
+      await load();
+    } catch (err) {
+      toast.error(err.message || "Failed to delete screen");
+    }
+  }
+
+  async function removeProject() {
+    if (!window.confirm("Delete this project and all of its screens? Reports stay in your history.")) return;
+    try {
+      await authedFetch(`/api/projects/${encodeURIComponent(id)}`, { method: "DELETE" });
+      router.replace("/projects");
+    } catch (err) {
+      toast.error(err.message || "Failed to delete project");
+    }
+  }
+
+  if (!authUser) return null;
+
+  return (
+    <>
+      <Head>
+        <title>Project – PixelProof</title>
+      </Head>
+
+      <Toaster richColors position="top-right" closeButton />
+      <Navbar user={authUser} onSignOut={handleSignOut} />
+
+      <main className="min-h-screen bg-white text-gray-900 dark:bg-gray-900 dark:text-white">
+        <div className="max-w-5xl mx-auto p-6">
+          <Link href="/projects" className="text-sm text-purple-700 dark:text-purple-300 hover:underline">
+            ← All projects
+          </Link>
+
+          {!dashboard ? (
+            <p className="mt-6 text-sm text-gray-500">Loading project…</p>
+          ) : (
+            <>
+              <div className="mt-4 mb-6 flex items-start justify-between gap-4">
+                <div>
+                  <h1 className="text-3xl font-bold text-purple-800 dark:text-purple-300">{dashboard.project.name}</h1>
+                  {dashboard.project.description && (
+                    <p className="text-sm text-gray-600 dark:text-gray-300">{dashboard.project.description}</p>
+                  )}
+                </div>
+                <button onClick={removeProject} className="text-sm text-rose-600 hover:underline">
+                  Delete project
+                </button>
+              </div>
+
+              <form onSubmit={addScreen} className="flex flex-wrap items-end gap-3 mb-8 p-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
+                <label className="flex-1 min-w-[180px] text-sm">
+                  <span className="block font-semibold mb-1">New screen</span>
+                  <input
+                    value={screenName}
+                    onChange={(e) => setScreenName(e.target.value)}
+                    placeholder="Checkout – desktop"
+                    className="w-full rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2"
+                  />
+                </label>
+                <label className="text-sm">
+                  <span className="block font-semibold mb-1">Default baseline</span>
+                  <select
+                    value={screenBaseline}
+                    onChange={(e) => setScreenBaseline(e.target.value)}
+                    className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-2"
+                  >
+                    <option value="">None</option>
+                    {baselines.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+                  </select>
+                </label>
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="bg-purple-800 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-900 disabled:opacity-60"
+                >
+                  Add screen
+                </button>
+              </form>
+
+              {dashboard.screens.length === 0 ? (
+                <p className="text-sm text-gray-600 dark:text-gray-300">No screens yet.</p>
+              ) : (
+                <div className="space-y-4">
+                  {dashboard.screens.map((s) => (
+                    <div key={s.id} className="rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+                      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                        <div>
+                          <p className="font-semibold">{s.name}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {s.runs} run{s.runs === 1 ? "" : "s"} · {s.passed} passed · {s.failed} failed
+                            {s.passRate !== null ? ` · ${s.passRate}% pass rate` : ""}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-3 text-sm">
+                          <Link href={`/history?projectId=${dashboard.project.id}&screenId=${s.id}`} className="text-purple-700 dark:text-purple-300 hover:underline">
+                            Reports
+                          </Link>
+                          <button onClick={() => removeScreen(s)} className="text-rose-600 hover:underline">Delete</button>
+                        </div>
+                      </div>
+
+                      {/* Pass/fail trend, oldest → newest */}
+                      <div className="flex items-end gap-1 h-8">
+                        {s.trend.length === 0 && <span className="text-xs text-gray-500">No comparisons yet.</span>}
+                        {s.trend.map((run) => (
+                          <Link
+                            key={run.reportId}
+                            href={`/history/${encodeURIComponent(run.reportId)}`}
+                            title={`${run.createdAt ? new Date(run.createdAt).toLocaleString() : ""} · ${run.passed ? "pass" : "fail"}${run.maxSeverity ? ` (${run.maxSeverity})` : ""}`}
+                            className={`w-3 rounded-sm ${run.passed ? "h-8 bg-emerald-500" : "h-5 bg-rose-500"}`}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,146 @@
+import Head from "next/head";
+import Link from "next/link";
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import { onAuthStateChanged, signOut } from "firebase/auth";
+import { auth } from "@/lib/firebase/config";
+import Navbar from "@/components/Navbar";
+import { Toaster, toast } from "sonner";
+
+export default function Projects() {
+  const router = useRouter();
+  const [authUser, setAuthUser] = useState(null);
+  const [projects, setProjects] = useState(null);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      router.replace("/login");
+    } catch {
+      toast.error("Sign out failed. Please try again.");
+    }
+  };
+
+  // Auth guard
+  useEffect(() => {
+    const unsub = onAuthStateChanged(auth, (u) => {
+      if (!u) router.replace("/login");
+      else setAuthUser(u);
+    });
+    return () => unsub();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  async function load() {
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/projects", { headers: { Authorization: `Bearer ${token}` } });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to load projects");
+      setProjects(data.projects || []);
+    } catch (e) {
+      console.error("Load projects error:", e);
+      toast.error("Couldn't load your projects. Please refresh.");
+      setProjects([]);
+    }
+  }
+
+  useEffect(() => {
+    if (authUser) load();
+  }, [authUser]);
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.info("Give the project a name.");
+      return;
+    }
+    setBusy(true);
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch("/api/projects", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ name: name.trim(), description }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Failed to create project");
+      router.push(`/projects/${data.id}`);
+    } catch (err) {
+      toast.error(err.message || "Failed to create project");
+      setBusy(false);
+    }
+  }
+
+  if (!authUser) return null;
+
+  return (
+    <>
+      <Head>
+        <title>Projects – PixelProof</title>
+      </Head>
+
+      <Toaster richColors position="top-right" closeButton />
+      <Navbar user={authUser} onSignOut={handleSignOut} />
+
+      <main className="min-h-screen bg-white text-gray-900 dark:bg-gray-900 dark:text-white">
+        <div className="max-w-5xl mx-auto p-6">
+          <h1 className="text-3xl font-bold text-purple-800 dark:text-purple-300 mb-6">Projects</h1>
+
+          <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 mb-8 p-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
+            <label className="flex-1 min-w-[180px] text-sm">
+              <span className="block font-semibold mb-1">Name</span>
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Acme storefront"
+                className="w-full rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2"
+              />
+            </label>
+            <label className="flex-[2] min-w-[220px] text-sm">
+              <span className="block font-semibold mb-1">Description</span>
+              <input
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Optional"
+                className="w-full rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-purple-800 text-white px-4 py-2 rounded-lg font-semibold hover:bg-purple-900 disabled:opacity-60"
+            >
+              Create project
+            </button>
+          </form>
+
+          {projects === null ? (
+            <p className="text-sm text-gray-500">Loading…</p>
+          ) : projects.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-300">No projects yet.</p>
+          ) : (
+            <div className="grid md:grid-cols-2 gap-4">
+              {projects.map((p) => (
+                <Link
+                  key={p.id}
+                  href={`/projects/${p.id}`}
+                  className="block rounded-lg border border-gray-200 dark:border-gray-700 p-4 hover:border-purple-400"
+                >
+                  <p className="font-semibold">{p.name}</p>
+                  {p.description && <p className="text-sm text-gray-600 dark:text-gray-300">{p.description}</p>}
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                    {p.screenCount} screen{p.screenCount === 1 ? "" : "s"}
+                  </p>
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
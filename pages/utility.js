@@ -1,33 +1,105 @@
 // pages/utility.js
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import Link from 'next/link';
 import { onAuthStateChanged, signOut } from 'firebase/auth';
-import { getFirestore, doc, getDoc } from 'firebase/firestore';
 import { auth } from '../lib/firebase/config';
 import ExportPDF from '../components/ExportPDF';
 import Navbar from '../components/Navbar';
 import LoadingSpinner from '../components/LoadingSpinner';
+import FindingsList from '../components/FindingsList';
+import DiffViewer from '../components/DiffViewer';
+import MaskEditor from '../components/MaskEditor';
+import { formatImageInfo } from '../lib/compare/imageInfo';
 import ReactMarkdown from 'react-markdown';
 import { Toaster, toast as notify } from 'sonner';
 
-const PLAN_LIMITS = { basic: 1, pro: 2, elite: 3 };
-
 // Treat only these as "can run comparisons"
 const ACTIVE_STATUSES = new Set(['active', 'trialing']);
 
+// Async comparison jobs: how often / how long to poll GET /api/jobs/{id}
+const JOB_POLL_MS = 2000;
+const JOB_TIMEOUT_MS = 16 * 60 * 1000; // past the server's job timeout (lib/jobs/store.js), so expiry is seen
+
+const JOB_STATUS_LABELS = {
+  queued: 'Queued…',
+  running: 'Comparing…',
+  succeeded: 'Done',
+  failed: 'Failed',
+};
+
+// Streamed comparisons: POST /api/compare?stream=1 answers with server-sent events
+const STREAM_LABELS = {
+  diff: 'Comparing pixels…',
+  report: 'Writing report…',
+};
+
+/** Split server-sent event frames out of a text buffer; returns [events, rest]. */
+function parseEventFrames(buffer) {
+  const frames = buffer.split('\n\n');
+  const rest = frames.pop();
+  const events = frames
+    .map((frame) => {
+      let event = 'message';
+      const data = [];
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      try {
+        return { event, data: data.length ? JSON.parse(data.join('\n')) : null };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return [events, rest];
+}
+
+const QUOTA_WINDOW_LABELS = {
+  daily: 'today',
+  monthly: 'this billing period',
+  rolling: 'in the last 24h',
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const revokeBlobUrl = (url) => {
+  if (url?.startsWith('blob:')) URL.revokeObjectURL(url);
+};
+
 export default function UtilityPage() {
   const [image1, setImage1] = useState(null);
   const [image2, setImage2] = useState(null);
+  const [baselines, setBaselines] = useState([]);     // approved design references (see /baselines)
+  const [baselineId, setBaselineId] = useState('');   // '' → compare against the uploaded design
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState('');
+  const [screens, setScreens] = useState([]);
+  const [screenId, setScreenId] = useState('');       // project screen the report is filed under
   const [loading, setLoading] = useState(false);
+  const [jobStatus, setJobStatus] = useState(null);   // 'queued' | 'running' | 'succeeded' | 'failed' | null
+  const [liveReport, setLiveReport] = useState(true); // stream the report as it is written (else run as a job)
+  const [streamStage, setStreamStage] = useState(null); // 'diff' | 'report' | null while streaming
   const [comparisonResult, setComparisonResult] = useState(null);
+  const [pixelDiff, setPixelDiff] = useState(null);   // { mismatchPercent, regions, diffImage, ... }
+  const [findings, setFindings] = useState([]);       // [{ id, category, severity, description, region }]
+  const [reportId, setReportId] = useState(null);     // saved report (users/{uid}/reports/{id})
+  const [viewerImages, setViewerImages] = useState(null); // { design, dev } URLs of the images last compared
+  const [designPreview, setDesignPreview] = useState(null); // design (file or baseline) URL, masks are drawn on it
+  const [masks, setMasks] = useState([]);               // ignore masks sent with the request (see lib/compare/masks.js)
+  const [saveMasks, setSaveMasks] = useState(false);    // store them on the selected screen for future runs
+  const [appliedMasks, setAppliedMasks] = useState([]); // masks the last comparison actually blanked
+  const [normalize, setNormalize] = useState(true);     // let the server scale and align the dev screenshot
+  const [normalization, setNormalization] = useState(null); // what it did (lib/compare/normalize.js)
+  const [inputInfo, setInputInfo] = useState(null);     // { design, dev } decoded header metadata
   const [darkMode, setDarkMode] = useState(false);
   const [fileMeta, setFileMeta] = useState({});
   const [user, setUser] = useState(null);
 
-  // plan/limits UI (display only; server is source of truth)
-  const [planName, setPlanName] = useState(null);     // 'basic' | 'pro' | 'elite' | null
-  const [dailyLimit, setDailyLimit] = useState(null); // 1 | 2 | 3 | 0 | null
-  const [remaining, setRemaining] = useState(null);   // starts from dailyLimit
+  // Quota from the usage ledger (GET /api/usage): { plan, limit, used, remaining, history }
+  const [usage, setUsage] = useState(null);
+  const [plans, setPlans] = useState([]);             // catalog from GET /api/plans
 
   // Stripe subscription check (live)
   const [subStatus, setSubStatus] = useState(null);   // 'active' | 'trialing' | 'canceled' | 'no_subscription' | etc.
@@ -44,21 +116,6 @@ export default function UtilityPage() {
         // Signed in quickly → cancel any pending redirect
         if (redirectTimer) clearTimeout(redirectTimer);
         setUser(u);
-
-        try {
-          const db = getFirestore();
-          const snap = await getDoc(doc(db, 'users', u.uid));
-          const d = snap.exists() ? snap.data() : {};
-          const rawPlan = String(d?.activePlan || d?.plan || d?.tier || '').toLowerCase();
-          const max = PLAN_LIMITS[rawPlan] ?? 0;
-          setPlanName(rawPlan || null);
-          setDailyLimit(max);
-          setRemaining(max);
-        } catch {
-          setPlanName(null);
-          setDailyLimit(null);
-          setRemaining(null);
-        }
       } else {
         setUser(null);
         // ⬇️ Give Firebase up to 1.5s to hydrate the user (prevents brief hop to /login after sign-up)
@@ -95,14 +152,7 @@ export default function UtilityPage() {
         const data = await res.json();
         if (!res.ok) throw new Error(data?.error || 'Failed to fetch subscription');
 
-        if (!cancelled) {
-          setSubStatus(data?.status || 'no_subscription');
-
-          // If no active subscription, reflect on page counter visually
-          if (!ACTIVE_STATUSES.has(String(data?.status).toLowerCase())) {
-            setRemaining(0);
-          }
-        }
+        if (!cancelled) setSubStatus(data?.status || 'no_subscription');
       } catch (e) {
         console.error('Subscription check failed:', e);
         if (!cancelled) setSubStatus('no_subscription');
@@ -114,6 +164,166 @@ export default function UtilityPage() {
     return () => { cancelled = true; };
   }, [user]);
 
+  // Today's allowance and recent usage
+  useEffect(() => {
+    if (!user) return;
+    loadUsage();
+  }, [user]);
+
+  // Plan catalog (names, limits, upload size)
+  useEffect(() => {
+    fetch('/api/plans')
+      .then((res) => res.json())
+      .then((data) => setPlans(Array.isArray(data?.plans) ? data.plans : []))
+      .catch((e) => console.error('Plans load failed:', e));
+  }, []);
+
+  const currentPlan = plans.find((p) => p.slug === usage?.plan) || null;
+  const maxImageMb = currentPlan ? Math.round(currentPlan.features.maxImageBytes / (1024 * 1024)) : null;
+  const { minImageWidth = 500, minImageHeight, maxImagePixels } = currentPlan?.features || {};
+
+  const browserTimeZone = typeof Intl !== 'undefined' ? Intl.DateTimeFormat().resolvedOptions().timeZone : 'UTC';
+
+  // Daily quotas reset at midnight in the stored time zone (UTC until the user picks theirs)
+  async function adoptBrowserTimeZone() {
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch('/api/usage', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ timezone: browserTimeZone }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Failed to update time zone');
+      setUsage(data);
+      const next = data.nextTimeZone;
+      notify.success(
+        next
+          ? `Daily quota will reset at midnight ${next.timeZone} from ${new Date(next.effectiveAt).toLocaleString()}.`
+          : `Daily quota now resets at midnight ${data.timeZone}.`
+      );
+    } catch (e) {
+      notify.error(e.message || 'Failed to update time zone');
+    }
+  }
+
+  async function loadUsage() {
+    try {
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch('/api/usage', { headers: { Authorization: `Bearer ${token}` } });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || 'Failed to load usage');
+      setUsage(data);
+    } catch (e) {
+      console.error('Usage load failed:', e);
+    }
+  }
+
+  // Baselines the design can be taken from
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const token = await auth.currentUser.getIdToken();
+        const res = await fetch('/api/baselines', { headers: { Authorization: `Bearer ${token}` } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || 'Failed to fetch baselines');
+        if (!cancelled) setBaselines((data.baselines || []).filter((b) => b.approvedVersion));
+      } catch (e) {
+        console.error('Baselines fetch failed:', e);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [user]);
+
+  // Object URLs of compared files are released when the next comparison replaces them
+  const viewerDesign = viewerImages?.design;
+  const viewerDev = viewerImages?.dev;
+  useEffect(() => () => revokeBlobUrl(viewerDesign), [viewerDesign]);
+  useEffect(() => () => revokeBlobUrl(viewerDev), [viewerDev]);
+
+  // Masks are in design pixels: draw them on the uploaded design or the baseline's approved image
+  useEffect(() => {
+    setDesignPreview(null);
+    if (baselineId) {
+      let cancelled = false;
+      (async () => {
+        try {
+          const url = await baselineImageUrl(baselineId, await auth.currentUser.getIdToken());
+          if (!cancelled) setDesignPreview(url);
+        } catch (e) {
+          console.error('Baseline image fetch failed:', e);
+        }
+      })();
+      return () => { cancelled = true; };
+    }
+    if (!image1) return undefined;
+    const url = URL.createObjectURL(image1);
+    setDesignPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [image1, baselineId]);
+
+  // Projects (optional grouping for comparisons)
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const token = await auth.currentUser.getIdToken();
+        const res = await fetch('/api/projects', { headers: { Authorization: `Bearer ${token}` } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || 'Failed to fetch projects');
+        if (!cancelled) setProjects(data.projects || []);
+      } catch (e) {
+        console.error('Projects fetch failed:', e);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [user]);
+
+  // Screens of the selected project
+  useEffect(() => {
+    setScreens([]);
+    setScreenId('');
+    if (!user || !projectId) return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const token = await auth.currentUser.getIdToken();
+        const res = await fetch(`/api/projects/${encodeURIComponent(projectId)}/screens`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || 'Failed to fetch screens');
+        if (!cancelled) setScreens(data.screens || []);
+      } catch (e) {
+        console.error('Screens fetch failed:', e);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [user, projectId]);
+
+  // A screen's default baseline pre-selects the design source
+  useEffect(() => {
+    const screen = screens.find((s) => s.id === screenId);
+    if (screen?.baselineId && baselines.some((b) => b.id === screen.baselineId)) {
+      setBaselineId(screen.baselineId);
+    }
+  }, [screenId, screens, baselines]);
+
+  // A screen's saved masks start the editor (they apply to its runs either way)
+  useEffect(() => {
+    setMasks(screens.find((s) => s.id === screenId)?.masks || []);
+    setSaveMasks(false);
+  }, [screenId, screens]);
+
   const handleSignOut = async () => {
     try {
       await signOut(auth);
@@ -138,15 +348,15 @@ export default function UtilityPage() {
       notify.error("You don't have an active subscription.", {
         description: 'Choose a plan to run comparisons.',
       });
-      setRemaining(0);
       return;
     }
 
-    if (status === 429 || code === 'LIMIT_EXCEEDED' || /daily limit/.test(m)) {
-      notify.error('Daily limit reached for your plan.', {
-        description: 'Try again tomorrow for more comparisons.',
+    if (status === 429 || code === 'LIMIT_EXCEEDED' || /limit reached/.test(m)) {
+      notify.error(msg || 'Usage limit reached for your plan.', {
+        description: usage?.resetAt
+          ? `More comparisons from ${new Date(usage.resetAt).toLocaleString()}.`
+          : 'Try again later for more comparisons.',
       });
-      setRemaining(0);
       return;
     }
 
@@ -163,6 +373,12 @@ export default function UtilityPage() {
         });
         return;
       }
+      if (code === 'IMAGE_TOO_SMALL' || code === 'IMAGE_TOO_LARGE') {
+        notify.error(code === 'IMAGE_TOO_SMALL' ? 'Image too small.' : 'Image too large.', {
+          description: `${msg} No comparison was used.`,
+        });
+        return;
+      }
     }
 
     if (/failed to fetch|network/.test(m)) {
@@ -183,62 +399,189 @@ export default function UtilityPage() {
       return;
     }
 
-    if (!image1 || !image2) {
+    if ((!image1 && !baselineId) || !image2) {
       notify.info('Please upload both images before comparing.');
       return;
     }
 
     setLoading(true);
+    setJobStatus(null);
     setComparisonResult(null);
+    setPixelDiff(null);
+    setFindings([]);
+    setReportId(null);
+    setAppliedMasks([]);
+    setNormalization(null);
+    setInputInfo(null);
 
     try {
       const token = await auth.currentUser.getIdToken();
 
       const formData = new FormData();
-      formData.append('image1', image1);
+      if (baselineId) formData.append('baselineId', baselineId);
+      else formData.append('image1', image1);
+      if (projectId && screenId) {
+        formData.append('projectId', projectId);
+        formData.append('screenId', screenId);
+      }
       formData.append('image2', image2);
+      if (masks.length || (saveMasks && screenId)) formData.append('masks', JSON.stringify(masks));
+      if (saveMasks && screenId) formData.append('saveMasks', 'true');
+      if (!normalize) formData.append('normalize', 'false');
+
+      setViewerImages({ design: baselineId ? designPreview : URL.createObjectURL(image1), dev: URL.createObjectURL(image2) });
+      if (baselineId && !designPreview) loadBaselineImage(baselineId, token);
 
       setFileMeta({
-        fileName1: image1.name,
+        fileName1: baselineId
+          ? `Baseline: ${baselines.find((b) => b.id === baselineId)?.name || baselineId}`
+          : image1.name,
         fileName2: image2.name,
         timestamp: new Date().toLocaleString(),
       });
 
-      const response = await fetch('/api/compare', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}` },
-        body: formData,
-      });
-
-      const raw = await response.text();
-      let data;
-      try {
-        data = JSON.parse(raw);
-      } catch {
-        data = { error: raw || 'Unknown server response' };
-      }
-
-      if (!response.ok) {
-        const code = data?.error_code || '';
-        const msg = data?.error || 'Server error';
-        showFriendlyError({ status: response.status, code, msg });
-        throw new Error(String(msg));
-      }
-
+      const data = liveReport ? await runStreamed(formData, token) : await runAsJob(formData, token);
       if (!data.result) throw new Error('Comparison result missing in response.');
 
       setComparisonResult(data.result);
+      setPixelDiff(data.diff || null);
+      setFindings(Array.isArray(data.findings) ? data.findings : []);
+      setReportId(data.reportId || null);
+      setAppliedMasks(Array.isArray(data.masks) ? data.masks : []);
+      setNormalization(data.normalization || null);
+      setInputInfo(data.inputs || null);
+      if (saveMasks && screenId) {
+        setScreens((prev) => prev.map((s) => (s.id === screenId ? { ...s, masks } : s)));
+      }
       notify.success('Done! Your visual QA report is ready.');
-
-      // Decrement page counter (server still enforces real quota)
-      setRemaining((prev) => (typeof prev === 'number' ? Math.max(prev - 1, 0) : prev));
     } catch (error) {
       console.error('Comparison failed:', error);
     } finally {
+      loadUsage(); // failed attempts are refunded server-side, so always re-read
       setLoading(false);
+      setJobStatus(null);
+      setStreamStage(null);
     }
   };
 
+  // Signed URL of a baseline's approved version (or null)
+  async function baselineImageUrl(id, token) {
+    const res = await fetch(`/api/baselines/${encodeURIComponent(id)}`, { headers: { Authorization: `Bearer ${token}` } });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || 'Failed to fetch baseline');
+    const { baseline } = data;
+    return baseline.versions.find((v) => v.version === baseline.approvedVersion)?.imageUrl || null;
+  }
+
+  // The approved version of a baseline, for the diff viewer's design side
+  async function loadBaselineImage(id, token) {
+    try {
+      const url = await baselineImageUrl(id, token);
+      if (url) setViewerImages((prev) => (prev ? { ...prev, design: url } : prev));
+    } catch (e) {
+      console.error('Baseline image fetch failed:', e);
+    }
+  }
+
+  // Read an error body (JSON or text) from a non-2xx response and surface it
+  async function failResponse(response) {
+    const raw = await response.text();
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      body = { error: raw || 'Unknown server response' };
+    }
+    const msg = body?.error || 'Server error';
+    showFriendlyError({ status: response.status, code: body?.error_code || '', msg });
+    throw new Error(String(msg));
+  }
+
+  // Job mode: the server answers 202 with a job id right away; the report arrives via polling
+  async function runAsJob(formData, token) {
+    const response = await fetch('/api/compare?async=1', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: formData,
+    });
+    if (!response.ok) await failResponse(response);
+
+    const queued = await response.json();
+    setJobStatus(queued.status || 'queued');
+    const job = await waitForJob(queued.jobId);
+
+    if (job.status === 'failed') {
+      const { status, code, message } = job.error || {};
+      showFriendlyError({ status, code, msg: message });
+      throw new Error(String(message || 'Comparison failed'));
+    }
+    return job.result || {};
+  }
+
+  // Stream mode: render the markdown as the model writes it; quota is used once the report is saved
+  async function runStreamed(formData, token) {
+    const response = await fetch('/api/compare?stream=1', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: formData,
+    });
+    if (!response.ok || !response.body) await failResponse(response);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    setStreamStage('diff');
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const [events, rest] = parseEventFrames(buffer);
+      buffer = rest;
+      for (const { event, data } of events) {
+        if (event === 'diff') {
+          setPixelDiff(data);
+        } else if (event === 'report') {
+          setStreamStage('report');
+          setComparisonResult(data.markdown);
+        } else if (event === 'done') {
+          return data;
+        } else if (event === 'error') {
+          showFriendlyError({ status: data?.status, code: data?.error_code || '', msg: data?.error });
+          throw new Error(String(data?.error || 'Comparison failed'));
+        }
+      }
+    }
+
+    notify.error('The connection closed before the report finished.', {
+      description: 'If the report was finished it is saved in your history and counts as a comparison.',
+    });
+    throw new Error('Stream ended early');
+  }
+
+  // Poll a comparison job until it succeeds or fails
+  async function waitForJob(jobId) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await sleep(JOB_POLL_MS);
+      const token = await auth.currentUser.getIdToken();
+      const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data?.error || 'Failed to check comparison status');
+
+      const { job } = data;
+      setJobStatus(job.status);
+      if (job.status === 'succeeded' || job.status === 'failed') return job;
+    }
+    notify.error('The comparison is taking too long.', {
+      description: 'It may still finish — check your history in a few minutes.',
+    });
+    throw new Error('Job polling timed out');
+  }
+
   const renderPreview = (file) =>
     file ? (
       <img
@@ -280,35 +623,102 @@ export default function UtilityPage() {
 
         {/* Comparison counter on page (not in toasts) */}
         <p className="text-sm text-gray-700 dark:text-gray-300 mb-6">
-          Remaining comparisons today:{' '}
+          Remaining comparisons {QUOTA_WINDOW_LABELS[usage?.mode] || 'today'}:{' '}
           <strong>
-            {typeof remaining === 'number' && typeof dailyLimit === 'number'
-              ? `${remaining}/${dailyLimit}`
-              : '—'}
+            {!usage ? '—' : usage.limit === null ? 'Unlimited' : `${usage.remaining}/${usage.limit}`}
           </strong>
-          {planName ? ` (plan: ${planName})` : ''}
+          {usage?.plan ? ` (plan: ${currentPlan?.name || usage.plan}${usage.team ? `, team pool of ${usage.team.seats} seats` : ''})` : ''}
+          {usage?.credits > 0 && (
+            <>
+              {' '}+ <strong>{usage.credits}</strong> credit{usage.credits === 1 ? '' : 's'}
+            </>
+          )}
+          {usage && (
+            <span className="block text-xs text-gray-500 dark:text-gray-400">
+              {usage.resetAt ? `Resets ${new Date(usage.resetAt).toLocaleString()}` : ''}
+              {usage.mode === 'daily' && (
+                <>
+                  {` (${usage.timeZone})`}
+                  {usage.nextTimeZone && ` · switches to ${usage.nextTimeZone.timeZone} at ${new Date(usage.nextTimeZone.effectiveAt).toLocaleString()}`}
+                  {(usage.nextTimeZone?.timeZone || usage.timeZone) !== browserTimeZone && (
+                    <button onClick={adoptBrowserTimeZone} className="ml-2 text-purple-700 dark:text-purple-300 hover:underline">
+                      Reset at my midnight
+                    </button>
+                  )}
+                </>
+              )}
+              <span className="block">
+                Last 30 days: {usage.history.reduce((n, d) => n + d.succeeded, 0)} completed
+                {` · ${usage.history.reduce((n, d) => n + d.failed, 0)} refunded`}
+              </span>
+            </span>
+          )}
         </p>
 
         <div className="border p-4 rounded bg-gray-50 dark:bg-gray-800 prose dark:prose-invert mb-10">
           <h2 className="font-semibold">How to Use</h2>
           <ul>
             <li>Upload the design and development screenshots</li>
-            <li>Supported: JPG, PNG, WEBP – min width 500px</li>
-            <li>Ensure matching layout and scale</li>
+            <li>
+              Supported: JPG, PNG, WEBP – min {minImageHeight ? `${minImageWidth}×${minImageHeight}px` : `width ${minImageWidth}px`}
+              {maxImagePixels ? `, up to ${Math.round(maxImagePixels / 1e6)} megapixels` : ''}
+              {maxImageMb ? `, max ${maxImageMb}MB per image` : ''}
+            </li>
+            <li>Retina captures, other widths and browser chrome are scaled and shifted to the design automatically; use the same viewport so the layout matches</li>
           </ul>
         </div>
 
+        {projects.length > 0 && (
+          <div className="flex flex-wrap items-center gap-3 mb-6 text-sm">
+            <span className="font-semibold">File under:</span>
+            <select
+              value={projectId}
+              onChange={(e) => setProjectId(e.target.value)}
+              className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-2 py-1"
+            >
+              <option value="">No project</option>
+              {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            {projectId && (
+              <select
+                value={screenId}
+                onChange={(e) => setScreenId(e.target.value)}
+                className="rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-2 py-1"
+              >
+                <option value="">Choose screen…</option>
+                {screens.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            )}
+          </div>
+        )}
+
         <div className="grid md:grid-cols-2 gap-6">
           {/* Upload Design */}
           <div className="border-2 border-dashed border-purple-300 p-6 rounded-lg text-center bg-white dark:bg-gray-700 hover:border-purple-500 transition transform hover:scale-[1.01]">
             <label className="block font-semibold text-gray-800 dark:text-white mb-2">Upload Design</label>
-            <input
-              type="file"
-              onChange={(e) => setImage1(e.target.files[0])}
-              accept="image/*"
-              className="w-full cursor-pointer file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-purple-100 file:text-purple-900 hover:file:bg-purple-200"
-            />
-            {renderPreview(image1)}
+            {baselines.length > 0 && (
+              <select
+                value={baselineId}
+                onChange={(e) => setBaselineId(e.target.value)}
+                className="w-full mb-3 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-2 py-1 text-sm"
+              >
+                <option value="">Upload a design image</option>
+                {baselines.map((b) => (
+                  <option key={b.id} value={b.id}>Baseline: {b.name} (v{b.approvedVersion})</option>
+                ))}
+              </select>
+            )}
+            {!baselineId && (
+              <>
+                <input
+                  type="file"
+                  onChange={(e) => setImage1(e.target.files[0])}
+                  accept="image/*"
+                  className="w-full cursor-pointer file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-purple-100 file:text-purple-900 hover:file:bg-purple-200"
+                />
+                {renderPreview(image1)}
+              </>
+            )}
           </div>
 
           {/* Upload Dev */}
@@ -324,6 +734,32 @@ export default function UtilityPage() {
           </div>
         </div>
 
+        {designPreview && (
+          <div className="mt-6 border p-4 rounded bg-gray-50 dark:bg-gray-800">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+              <h2 className="font-semibold">Ignore areas</h2>
+              {screenId && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={saveMasks}
+                    onChange={(e) => setSaveMasks(e.target.checked)}
+                    disabled={loading}
+                    className="accent-purple-700"
+                  />
+                  Save to screen for future runs
+                </label>
+              )}
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+              Mask timestamps, avatars, ads and other dynamic content on the design; masked areas are blanked on both images before comparing.
+              {screenId ? ' Masks saved on the screen always apply.' : ''}
+              {baselineId ? ' The baseline\'s own masks are applied too.' : ''}
+            </p>
+            <MaskEditor src={designPreview} masks={masks} onChange={setMasks} disabled={loading} />
+          </div>
+        )}
+
         <div className="mt-10 flex flex-wrap items-center gap-3">
           <button
             onClick={handleCompare}
@@ -340,6 +776,28 @@ export default function UtilityPage() {
                       : 'Start Comparison'))}
           </button>
 
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={liveReport}
+              onChange={(e) => setLiveReport(e.target.checked)}
+              disabled={loading}
+              className="accent-purple-700"
+            />
+            Live report
+          </label>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={normalize}
+              onChange={(e) => setNormalize(e.target.checked)}
+              disabled={loading}
+              className="accent-purple-700"
+            />
+            Auto-align
+          </label>
+
           {/* Plans button also available here when no active subscription */}
           {!hasActiveSubscription && !subLoading && (
             <button
@@ -351,20 +809,61 @@ export default function UtilityPage() {
           )}
         </div>
 
-        {loading && <LoadingSpinner />}
+        {loading && (
+          <LoadingSpinner label={STREAM_LABELS[streamStage] || JOB_STATUS_LABELS[jobStatus] || 'Comparing...'} />
+        )}
 
         {comparisonResult && (
           <div className="mt-10 bg-gray-100 dark:bg-gray-800 p-6 rounded-lg shadow-lg">
             <h2 className="text-xl font-bold mb-4 text-purple-800 dark:text-purple-300">Visual Bug Report</h2>
             <ul className="text-sm mb-4">
-              <li><strong>File 1:</strong> {fileMeta.fileName1}</li>
-              <li><strong>File 2:</strong> {fileMeta.fileName2}</li>
+              <li>
+                <strong>File 1:</strong> {fileMeta.fileName1}
+                {inputInfo?.design && <span className="text-gray-500 dark:text-gray-400"> · {formatImageInfo(inputInfo.design)}</span>}
+              </li>
+              <li>
+                <strong>File 2:</strong> {fileMeta.fileName2}
+                {inputInfo?.dev && <span className="text-gray-500 dark:text-gray-400"> · {formatImageInfo(inputInfo.dev)}</span>}
+              </li>
               <li><strong>Timestamp:</strong> {fileMeta.timestamp}</li>
+              {pixelDiff && (
+                <li>
+                  <strong>Pixel mismatch:</strong> {pixelDiff.mismatchPercent}%
+                  {` (${pixelDiff.regions.length} changed region${pixelDiff.regions.length === 1 ? '' : 's'})`}
+                </li>
+              )}
             </ul>
+            {pixelDiff?.diffImage && (
+              <div className="mb-6">
+                <p className="text-sm font-semibold mb-2">Diff heatmap</p>
+                <img
+                  src={pixelDiff.diffImage}
+                  alt="Pixel diff heatmap"
+                  className="rounded border border-gray-300 dark:border-gray-600 bg-white w-full object-contain"
+                />
+              </div>
+            )}
+            {viewerImages && (
+              <DiffViewer
+                design={viewerImages.design}
+                dev={viewerImages.dev}
+                width={pixelDiff?.width}
+                height={pixelDiff?.height}
+                findings={findings}
+                masks={appliedMasks}
+                normalization={normalization}
+              />
+            )}
+            <FindingsList findings={findings} />
             <div className="prose dark:prose-invert max-w-none text-sm">
               <ReactMarkdown>{comparisonResult}</ReactMarkdown>
             </div>
-            <ExportPDF result={comparisonResult} />
+            {!streamStage && <ExportPDF result={comparisonResult} reportId={reportId} />}
+            {reportId && (
+              <Link href={`/history/${encodeURIComponent(reportId)}`} className="inline-block mt-3 text-sm text-purple-700 dark:text-purple-300 hover:underline">
+                Saved to history →
+              </Link>
+            )}
           </div>
         )}
       </div>
@@ -403,8 +902,7 @@ export default function UtilityPage() {
 // import { useState, useEffect } from 'react';
 // import { useRouter } from 'next/router';
 // import { onAuthStateChanged, signOut } from 'firebase/auth';
-// import { getFirestore, doc, getDoc } from 'firebase/firestore';
-// import { auth } from '../lib/firebase/config';
+// // import { auth } from '../lib/firebase/config';
 // import ExportPDF from '../components/ExportPDF';
 // import Navbar from '../components/Navbar';
 // import LoadingSpinner from '../components/LoadingSpinner';
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+// Run design QA comparisons from CI and gate on the findings.
+//
+//   node scripts/compare.mjs --design design.png --dev screenshot.png
+//   node scripts/compare.mjs --design-dir designs/ --dev-dir screenshots/ --fail-on major
+//
+// Auth: an API key from the accounts page (PIXEL_PROOF_API_KEY or --key).
+// Exit codes: 0 passed, 1 findings at or above --fail-on, 2 usage or request errors.
+import { parseArgs } from "util";
+import fs from "fs/promises";
+import path from "path";
+
+const DEFAULT_URL = "https://pixel-proof-2-renu.vercel.app";
+// Same order as lib/compare/findings.js (most → least severe)
+const SEVERITIES = ["critical", "major", "minor", "info"];
+const IMAGE_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp" };
+const FORMATS = ["md", "json"];
+
+const USAGE = `Usage:
+  compare --design <file> --dev <file> [options]
+  compare --baseline <id> --dev <file> [options]
+  compare --design-dir <dir> --dev-dir <dir> [options]   (pairs matched by file name, extension ignored)
+
+Options:
+  --key <key>           API key (default: $PIXEL_PROOF_API_KEY)
+  --url <url>           Server (default: $PIXEL_PROOF_URL or ${DEFAULT_URL})
+  --project <id>        File the reports under a project screen (with --screen)
+  --screen <id>
+  --fail-on <severity>  critical | major | minor | info | none (default: critical)
+  --out <dir>           Where reports are written (default: pixel-proof-reports)
+  --format <list>       md, json or md,json (default: md,json)
+  --timeout <seconds>   Per comparison (default: 300)
+  --no-align            Compare the screenshots as captured (no pixel-ratio scaling or alignment)
+  -h, --help`;
+
+class UsageError extends Error {}
+
+function options() {
+  const { values } = parseArgs({
+    options: {
+      key: { type: "string" },
+      url: { type: "string" },
+      design: { type: "string" },
+      dev: { type: "string" },
+      baseline: { type: "string" },
+      "design-dir": { type: "string" },
+      "dev-dir": { type: "string" },
+      project: { type: "string" },
+      screen: { type: "string" },
+      "fail-on": { type: "string", default: "critical" },
+      out: { type: "string", default: "pixel-proof-reports" },
+      format: { type: "string", default: "md,json" },
+      timeout: { type: "string", default: "300" },
+      "no-align": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) return { help: true };
+
+  const key = values.key || process.env.PIXEL_PROOF_API_KEY;
+  if (!key) throw new UsageError("Missing API key: pass --key or set PIXEL_PROOF_API_KEY.");
+
+  const failOn = values["fail-on"].toLowerCase();
+  if (failOn !== "none" && !SEVERITIES.includes(failOn)) {
+    throw new UsageError(`--fail-on must be one of ${SEVERITIES.join(", ")} or none.`);
+  }
+
+  const formats = values.format.split(",").map((f) => f.trim().toLowerCase()).filter(Boolean);
+  if (!formats.length || formats.some((f) => !FORMATS.includes(f))) throw new UsageError("--format must be md, json or md,json.");
+
+  const timeout = Number(values.timeout);
+  if (!Number.isFinite(timeout) || timeout <= 0) throw new UsageError("--timeout must be a positive number of seconds.");
+
+  if (!!values.project !== !!values.screen) throw new UsageError("--project and --screen must be used together.");
+
+  const byDir = values["design-dir"] || values["dev-dir"];
+  if (byDir && (values.design || values.dev || values.baseline)) {
+    throw new UsageError("Use either --design-dir/--dev-dir or --design/--baseline with --dev.");
+  }
+  if (byDir && !(values["design-dir"] && values["dev-dir"])) throw new UsageError("--design-dir and --dev-dir go together.");
+  if (!byDir && !values.dev) throw new UsageError("Nothing to compare: pass --dev with --design or --baseline, or two directories.");
+  if (!byDir && !!values.design === !!values.baseline) throw new UsageError("Pass exactly one of --design or --baseline.");
+
+  return {
+    key,
+    url: (values.url || process.env.PIXEL_PROOF_URL || DEFAULT_URL).replace(/\/+$/, ""),
+    design: values.design,
+    dev: values.dev,
+    baseline: values.baseline,
+    designDir: values["design-dir"],
+    devDir: values["dev-dir"],
+    project: values.project,
+    screen: values.screen,
+    failOn,
+    out: values.out,
+    formats,
+    timeoutMs: timeout * 1000,
+    align: !values["no-align"],
+  };
+}
+
+const stem = (file) => path.basename(file, path.extname(file));
+const isImage = (file) => path.extname(file).toLowerCase() in IMAGE_TYPES;
+
+async function imagesIn(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  return new Map(
+    entries
+      .filter((e) => e.isFile() && isImage(e.name))
+      .map((e) => [stem(e.name).toLowerCase(), path.join(dir, e.name)])
+  );
+}
+
+/** Comparisons to run: [{ name, design?, baseline?, dev }]. Unmatched files are reported and skipped. */
+async function pairsFor(opts) {
+  if (!opts.designDir) {
+    return [{ name: stem(opts.dev), design: opts.design, baseline: opts.baseline, dev: opts.dev }];
+  }
+
+  const [designs, devs] = await Promise.all([imagesIn(opts.designDir), imagesIn(opts.devDir)]);
+  const pairs = [];
+  for (const [name, design] of designs) {
+    if (devs.has(name)) pairs.push({ name: stem(design), design, dev: devs.get(name) });
+    else console.warn(`! ${path.basename(design)}: no screenshot with the same name in ${opts.devDir}`);
+  }
+  for (const [name, dev] of devs) {
+    if (!designs.has(name)) console.warn(`! ${path.basename(dev)}: no design with the same name in ${opts.designDir}`);
+  }
+  if (!pairs.length) throw new UsageError("No design/screenshot pairs found (files are matched by name).");
+  return pairs.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function imageBlob(file) {
+  const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+  if (!type) throw new UsageError(`${file}: only PNG, JPG and WEBP images are supported.`);
+  return new Blob([await fs.readFile(file)], { type });
+}
+
+/** POST one pair to the API. Resolves to the comparison body; throws with .code from the error envelope. */
+async function compare(opts, pair) {
+  const form = new FormData();
+  if (pair.design) form.append("image1", await imageBlob(pair.design), path.basename(pair.design));
+  if (pair.baseline) form.append("baselineId", pair.baseline);
+  form.append("image2", await imageBlob(pair.dev), path.basename(pair.dev));
+  if (opts.project) {
+    form.append("projectId", opts.project);
+    form.append("screenId", opts.screen);
+  }
+  if (!opts.align) form.append("normalize", "false");
+
+  let res;
+  try {
+    res = await fetch(`${opts.url}/api/v1/comparisons`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${opts.key}` },
+      body: form,
+      signal: AbortSignal.timeout(opts.timeoutMs),
+    });
+  } catch (e) {
+    const err = new Error(e?.name === "TimeoutError" ? "Timed out waiting for the comparison." : `Request failed: ${e?.message || e}`);
+    err.code = e?.name === "TimeoutError" ? "TIMEOUT" : "NETWORK";
+    throw err;
+  }
+
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(body?.error || `HTTP ${res.status}`);
+    err.code = body?.error_code || `HTTP_${res.status}`;
+    err.rid = body?.rid || res.headers.get("x-request-id");
+    throw err;
+  }
+  return body;
+}
+
+function countBySeverity(findings = []) {
+  const counts = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  for (const f of findings) if (f.severity in counts) counts[f.severity] += 1;
+  return counts;
+}
+
+/** Whether any finding is at least as severe as `failOn`. */
+function failsGate(findings, failOn) {
+  if (failOn === "none") return false;
+  const limit = SEVERITIES.indexOf(failOn);
+  return findings.some((f) => {
+    const rank = SEVERITIES.indexOf(f.severity);
+    return rank !== -1 && rank <= limit;
+  });
+}
+
+function markdownFor(pair, body, result) {
+  const lines = [
+    `# ${pair.name}`,
+    "",
+    `- Design: ${pair.design ? path.basename(pair.design) : `baseline ${pair.baseline}`}`,
+    `- Development: ${path.basename(pair.dev)}`,
+    `- Result: ${result.failed ? "**failed**" : "passed"}`,
+    `- Findings: ${SEVERITIES.map((s) => `${result.counts[s]} ${s}`).join(", ")}`,
+  ];
+  if (typeof body.diff?.mismatchPercent === "number") lines.push(`- Pixel mismatch: ${body.diff.mismatchPercent}%`);
+  if (body.reportId) lines.push(`- Report: ${body.reportId} (request ${body.rid})`);
+  lines.push("", body.result || body.summary || "", "");
+  return lines.join("\n");
+}
+
+async function writeReport(opts, pair, body, result) {
+  await fs.mkdir(opts.out, { recursive: true });
+  const written = [];
+  if (opts.formats.includes("md")) {
+    const file = path.join(opts.out, `${pair.name}.md`);
+    await fs.writeFile(file, markdownFor(pair, body, result));
+    written.push(file);
+  }
+  if (opts.formats.includes("json")) {
+    const file = path.join(opts.out, `${pair.name}.json`);
+    // the heatmap data URL is large and already stored with the report
+    const { diff, ...rest } = body;
+    const { diffImage, ...diffMeta } = diff || {};
+    await fs.writeFile(file, `${JSON.stringify({ ...rest, diff: diff ? diffMeta : null, gate: result }, null, 2)}\n`);
+    written.push(file);
+  }
+  return written;
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = options();
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const pairs = await pairsFor(opts);
+  console.log(`Comparing ${pairs.length} pair${pairs.length === 1 ? "" : "s"} on ${opts.url} (fail on: ${opts.failOn})\n`);
+
+  const results = [];
+  for (const pair of pairs) {
+    try {
+      const body = await compare(opts, pair);
+      const findings = body.findings || [];
+      const result = { name: pair.name, failed: failsGate(findings, opts.failOn), counts: countBySeverity(findings), reportId: body.reportId || null };
+      const files = await writeReport(opts, pair, body, result);
+      results.push(result);
+
+      const counts = SEVERITIES.filter((s) => result.counts[s]).map((s) => `${result.counts[s]} ${s}`).join(", ") || "no findings";
+      console.log(`${result.failed ? "✗" : "✓"} ${pair.name}: ${counts}${body.summary ? ` — ${body.summary}` : ""}`);
+      for (const file of files) console.log(`    ${file}`);
+    } catch (e) {
+      results.push({ name: pair.name, error: e.message, code: e.code || null, rid: e.rid || null });
+      console.error(`! ${pair.name}: ${e.message}${e.code ? ` (${e.code}${e.rid ? `, request ${e.rid}` : ""})` : ""}`);
+      if (e instanceof UsageError) return 2;
+      // no allowance left: the remaining pairs would fail the same way
+      if (e.code === "LIMIT_EXCEEDED" || e.code === "NO_PLAN" || e.code === "BAD_TOKEN") break;
+    }
+  }
+
+  // pairs left after a quota or auth error were never sent
+  const skipped = pairs.slice(results.length).map((pair) => pair.name);
+  await fs.mkdir(opts.out, { recursive: true });
+  await fs.writeFile(path.join(opts.out, "summary.json"), `${JSON.stringify({ failOn: opts.failOn, results, skipped }, null, 2)}\n`);
+
+  const passed = results.filter((r) => !r.error && !r.failed).length;
+  const failed = results.filter((r) => r.failed).length;
+  const errored = results.filter((r) => r.error).length;
+  console.log(`\n${passed} passed, ${failed} failed, ${errored} errored${skipped.length ? `, ${skipped.length} skipped` : ""}`);
+  if (errored || skipped.length) return 2;
+  return failed ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (e) => {
+    console.error(e instanceof UsageError ? e.message : e);
+    process.exit(2);
+  }
+);
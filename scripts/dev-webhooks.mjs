@@ -3,7 +3,7 @@ import { spawn } from "child_process";
 
 const PORT = process.env.PORT || "3000";
 const events =
-  "checkout.session.completed,customer.subscription.created,customer.subscription.updated,customer.subscription.deleted";
+  "checkout.session.completed,checkout.session.async_payment_succeeded,customer.subscription.created,customer.subscription.updated,customer.subscription.deleted";
 const forwardUrl = `http://127.0.0.1:${PORT}/api/stripe/webhook`;
 
 // 1) Start Stripe listen (dev-only)
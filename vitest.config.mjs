@@ -0,0 +1,17 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    alias: { '@': root },
+  },
+  test: {
+    include: ['__tests__/**/*.test.js'],
+    environment: 'node',
+    // comparisons run against the offline provider (lib/vision/providers.js)
+    env: { VISION_PROVIDER: 'mock' },
+  },
+});